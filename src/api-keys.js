@@ -0,0 +1,203 @@
+// src/api-keys.js
+// API keys persisted to a JSON file (only their SHA-256 hashes), with per-key daily scrape quotas
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+
+const hashKey = (key) => createHash('sha256').update(String(key)).digest('hex');
+
+/** UTC day ("YYYY-MM-DD") quotas are counted in */
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/** Start of the next UTC day, when daily quotas reset */
+const nextUtcMidnight = (ms) => {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+};
+
+/**
+ * Create the API key store.
+ * - `file`: JSON file holding the keys (hashes only: the plain key is shown once, at creation)
+ * - `adminKey`: master key (ADMIN_API_KEY) that can manage keys; it is never rate limited
+ * - `defaults`: { rateLimitPerMinute, dailyQuota } for keys created without their own limits
+ *   (null = unlimited)
+ * - `now`: clock, for tests
+ *
+ * A key record is { id, name, prefix, role: "client"|"admin", rateLimitPerMinute, dailyQuota,
+ * usage: { day, scrapes }, createdAt, lastUsedAt, revokedAt }.
+ */
+export function createKeyStore({
+  file,
+  adminKey = '',
+  defaults = { rateLimitPerMinute: 60, dailyQuota: 100 },
+  now = Date.now,
+} = {}) {
+  if (!file) throw new Error('createKeyStore requires a file path');
+
+  const keys = new Map();
+  const byHash = new Map();
+  const adminHash = adminKey ? Buffer.from(hashKey(adminKey)) : null;
+  let saving = Promise.resolve();
+
+  /** Write all keys to disk (serialized, through a temp file so a crash never truncates it) */
+  function save() {
+    const snapshot = JSON.stringify({ keys: [...keys.values()] }, null, 2);
+    saving = saving.then(async () => {
+      await fs.mkdir(dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot, { encoding: 'utf-8', mode: 0o600 });
+      await fs.rename(`${file}.tmp`, file);
+    }).catch((err) => console.warn('[Auth] ⚠️ Could not save API keys:', err.message));
+    return saving;
+  }
+
+  /** Public view of a key (no hash) */
+  const describe = ({ hash, ...record }) => record;
+
+  async function load() {
+    let saved = [];
+    try {
+      saved = JSON.parse(await fs.readFile(file, 'utf-8')).keys || [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('[Auth] ⚠️ Could not load API keys:', err.message);
+    }
+    for (const record of saved) {
+      keys.set(record.id, record);
+      byHash.set(record.hash, record);
+    }
+    if (saved.length) console.log(`[Auth] 🔑 Loaded ${saved.length} API key(s)`);
+  }
+
+  /**
+   * Create a key. Returns { key, record }: `key` is the plain secret, never stored nor shown again.
+   * `rateLimitPerMinute` / `dailyQuota` fall back to the store defaults when undefined (null = unlimited).
+   */
+  async function create({ name = null, role = 'client', rateLimitPerMinute, dailyQuota } = {}) {
+    if (!['client', 'admin'].includes(role)) throw new Error('role must be "client" or "admin"');
+    for (const [field, value] of Object.entries({ rateLimitPerMinute, dailyQuota })) {
+      if (value != null && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`${field} must be a positive integer or null`);
+      }
+    }
+
+    const key = `fbs_${randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: randomUUID(),
+      name,
+      prefix: key.slice(0, 8),
+      role,
+      rateLimitPerMinute: rateLimitPerMinute === undefined ? defaults.rateLimitPerMinute : rateLimitPerMinute,
+      dailyQuota: dailyQuota === undefined ? defaults.dailyQuota : dailyQuota,
+      usage: { day: utcDay(now()), scrapes: 0 },
+      createdAt: new Date(now()).toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+      hash: hashKey(key),
+    };
+    keys.set(record.id, record);
+    byHash.set(record.hash, record);
+    await save();
+    console.log(`[Auth] ➕ API key ${record.id} (${record.prefix}…) created${name ? ` for ${name}` : ''}`);
+    return { key, record: describe(record) };
+  }
+
+  /** Revoke a key; it stays listed with revokedAt. Returns false when unknown or already revoked. */
+  async function revoke(id) {
+    const record = keys.get(id);
+    if (!record || record.revokedAt) return false;
+    record.revokedAt = new Date(now()).toISOString();
+    await save();
+    console.log(`[Auth] 🚫 API key ${id} (${record.prefix}…) revoked`);
+    return true;
+  }
+
+  /**
+   * Identity behind a plain key, or null when unknown/revoked.
+   * The admin master key authenticates as { id: "admin", role: "admin", rateLimitPerMinute: null, dailyQuota: null }.
+   */
+  function authenticate(key) {
+    if (!key) return null;
+    const hash = hashKey(key);
+    if (adminHash && timingSafeEqual(adminHash, Buffer.from(hash))) {
+      return { id: 'admin', name: 'ADMIN_API_KEY', role: 'admin', rateLimitPerMinute: null, dailyQuota: null };
+    }
+    const record = byHash.get(hash);
+    if (!record || record.revokedAt) return null;
+    record.lastUsedAt = new Date(now()).toISOString();
+    return describe(record);
+  }
+
+  /** Whether `id` can still act: an unrevoked key of this store, or "admin" while ADMIN_API_KEY is set */
+  function isActive(id) {
+    if (id === 'admin') return !!adminHash;
+    const record = keys.get(id);
+    return !!record && !record.revokedAt;
+  }
+
+  /**
+   * Count `count` scrapes against a key's daily quota (UTC day).
+   * Returns { allowed, limit, used, resetAt }; nothing is counted when not allowed.
+   */
+  function consumeQuota(id, count = 1) {
+    const record = keys.get(id);
+    const resetAt = new Date(nextUtcMidnight(now())).toISOString();
+    if (!record || record.dailyQuota == null) return { allowed: true, limit: null, used: null, resetAt };
+
+    const day = utcDay(now());
+    if (record.usage?.day !== day) record.usage = { day, scrapes: 0 };
+    const allowed = record.usage.scrapes + count <= record.dailyQuota;
+    if (allowed) {
+      record.usage.scrapes += count;
+      save();
+    }
+    return { allowed, limit: record.dailyQuota, used: record.usage.scrapes, resetAt };
+  }
+
+  return {
+    load,
+    create,
+    revoke,
+    authenticate,
+    isActive,
+    consumeQuota,
+    get: (id) => (keys.has(id) ? describe(keys.get(id)) : undefined),
+    list: () => [...keys.values()].map(describe),
+    /** Wait for pending writes (shutdown, tests) */
+    flush: () => saving,
+    stats: () => ({
+      keys: [...keys.values()].filter((k) => !k.revokedAt).length,
+      admin: !!adminHash,
+    }),
+  };
+}
+
+/**
+ * Whether `identity` (from authenticate(), null when auth is off) may see a job, schedule or delivery
+ * created by the key `ownerId`: admin keys see everything, client keys only what they created
+ */
+export function canAccess(identity, ownerId) {
+  if (!identity || identity.role === 'admin') return true;
+  return ownerId != null && ownerId === identity.id;
+}
+
+/**
+ * Fixed one-minute windows per key: `hit(id, limit)` counts a request and returns
+ * { allowed, limit, remaining, resetAt (ms) }. A null limit is unlimited.
+ */
+export function createRateLimiter({ windowMs = 60000, now = Date.now } = {}) {
+  const windows = new Map();
+
+  return {
+    hit(id, limit) {
+      if (limit == null) return { allowed: true, limit: null, remaining: null, resetAt: null };
+      const t = now();
+      let window = windows.get(id);
+      if (!window || t >= window.resetAt) {
+        window = { count: 0, resetAt: t + windowMs };
+        windows.set(id, window);
+      }
+      const allowed = window.count < limit;
+      if (allowed) window.count += 1;
+      return { allowed, limit, remaining: Math.max(0, limit - window.count), resetAt: window.resetAt };
+    },
+  };
+}
@@ -1,72 +1,810 @@
 // src/api-server.js
 import 'dotenv/config';
 import express from 'express';
+import { fileURLToPath } from 'url';
 import { scrapeFacebookPageOptimized } from './scraper-optimized.js';  // ✅ تأكد من الاسم الصحيح
+import { createJobQueue, isFinished, JOB_STATUS } from './job-queue.js';
+import { createBrowserPool, createSharedLease } from './browser-pool.js';
+import { login } from './login.js';
+import { promises as fs } from 'fs';
+import { createStore } from './store.js';
+import { runBatch } from './batch.js';
+import { createScheduler } from './scheduler.js';
+import { createWebhookDispatcher } from './webhooks.js';
+import { openEventStream, lastEventId } from './sse.js';
+import { createKeyStore, createRateLimiter, canAccess } from './api-keys.js';
+import { getSessionStore } from './sessions.js';
+import { ScraperError, ERROR_CODES, errorCode, errorResponse, httpStatus } from './errors.js';
+import { createSchemas, createValidators, describeSchema } from './schemas.js';
+import {
+  pickScrapeParams,
+  checkScrapeParams,
+  scrapeBodyFromQuery,
+  scheduleFromBody,
+  scheduledRunParams,
+  toScraperOptions,
+} from './scrape-params.js';
+import { buildOpenApiDocument, ROUTES, API_VERSION } from './openapi.js';
+import { EXPORT_FORMATS, exportResult } from './exports.js';
+import { getSelectorProfile, reloadSelectorProfile } from './selectors.js';
+import { createExtractionMonitor, thresholdsFromEnv } from './extraction-health.js';
+import { ARTIFACTS, RUN_ID, listRunArtifacts, runsDir } from './debug-capture.js';
 
 
 const app = express();
 app.use(express.json());
 
-// ✅ CORS headers
+/**
+ * Send an error as { success: false, code, error, details? } with the status of its code (see errors.js).
+ * Unknown errors are INTERNAL_ERROR (500); the stack is only included in development.
+ */
+function sendError(res, err) {
+  const code = errorCode(err);
+  if (code === 'INTERNAL_ERROR' || httpStatus(err) >= 500) console.error(`[API] ❌ ${code}:`, err.message);
+  res.status(httpStatus(err)).json(errorResponse(err, { includeStack: process.env.NODE_ENV === 'development' }));
+}
+
+/** Wrap an async route handler so anything it throws ends up in sendError */
+const route = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// ✅ CORS: only origins listed in CORS_ORIGINS (comma-separated, "*" for any) may call the API from a browser
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean);
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  
+  const { origin } = req.headers;
+  const allowed = !!origin && (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin));
+  if (allowed) {
+    res.header('Access-Control-Allow-Origin', CORS_ORIGINS.includes('*') ? '*' : origin);
+    res.header('Vary', 'Origin');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Last-Event-ID');
+    res.header('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+  }
+
   if (req.method === 'OPTIONS') {
+    if (origin && !allowed) {
+      return sendError(res, new ScraperError('FORBIDDEN', `Origin ${origin} is not allowed (see CORS_ORIGINS)`));
+    }
     return res.sendStatus(200);
   }
   next();
 });
 
+/** Positive limit from the environment; "0" or "none" means unlimited (null) */
+function envLimit(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  if (raw === 'none') return null;
+  const value = parseInt(raw, 10);
+  return value > 0 ? value : null;
+}
+
+// ✅ API keys (X-API-Key or Authorization: Bearer), per-key rate limit and daily scrape quota.
+// ADMIN_API_KEY manages keys through /api/admin/keys; API_AUTH=false turns authentication off.
+const AUTH_ENABLED = process.env.API_AUTH !== 'false';
+const keys = createKeyStore({
+  file: process.env.API_KEYS_FILE || fileURLToPath(new URL('../outputs/api-keys.json', import.meta.url)),
+  adminKey: process.env.ADMIN_API_KEY || '',
+  defaults: {
+    rateLimitPerMinute: envLimit('API_RATE_LIMIT_PER_MINUTE', 60),
+    dailyQuota: envLimit('API_DAILY_SCRAPE_QUOTA', 100),
+  },
+});
+await keys.load();
+const limiter = createRateLimiter();
+if (!AUTH_ENABLED) {
+  console.warn('[API] ⚠️ API_AUTH=false: anyone who can reach this port can scrape with your Facebook account');
+} else if (!process.env.ADMIN_API_KEY && keys.stats().keys === 0) {
+  console.warn('[API] ⚠️ No API keys yet and ADMIN_API_KEY is not set: every request will get 401');
+}
+
+// Reachable without a key
+const PUBLIC_PATHS = new Set(ROUTES.filter((r) => r.public).map((r) => r.path));
+// EventSource can't send headers: the SSE endpoints also take ?api_key=
+const SSE_PATH = /^\/api\/(scrape\/stream|jobs\/[^/]+\/events)$/;
+
+function apiKeyOf(req) {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (bearer) return bearer[1];
+  if (req.method === 'GET' && SSE_PATH.test(req.path)) return req.query.api_key || null;
+  return null;
+}
+
+app.use((req, res, next) => {
+  req.apiKey = null;
+  if (!AUTH_ENABLED || PUBLIC_PATHS.has(req.path)) return next();
+
+  const key = apiKeyOf(req);
+  if (!key) {
+    return sendError(res, new ScraperError(
+      'UNAUTHORIZED',
+      'API key required: send it in the X-API-Key header (or Authorization: Bearer <key>)',
+    ));
+  }
+  const identity = keys.authenticate(key);
+  if (!identity) {
+    return sendError(res, new ScraperError('UNAUTHORIZED', 'Invalid or revoked API key'));
+  }
+
+  const rate = limiter.hit(identity.id, identity.rateLimitPerMinute);
+  if (rate.limit != null) {
+    res.set({
+      'X-RateLimit-Limit': String(rate.limit),
+      'X-RateLimit-Remaining': String(rate.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000)),
+    });
+  }
+  if (!rate.allowed) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((rate.resetAt - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return sendError(res, new ScraperError(
+      'TOO_MANY_REQUESTS',
+      `Rate limit exceeded: ${rate.limit} requests per minute for this API key`,
+      { retryAfterSeconds },
+    ));
+  }
+
+  req.apiKey = identity;
+  next();
+});
+
+/** Throws FORBIDDEN unless the caller authenticated with an admin key */
+function requireAdmin(req) {
+  if (!AUTH_ENABLED || req.apiKey?.role === 'admin') return;
+  throw new ScraperError('FORBIDDEN', 'This route requires an admin API key');
+}
+
+/** Key id the jobs and schedules created by this request belong to (null when auth is off) */
+const ownerOf = (req) => req.apiKey?.id ?? null;
+
+/**
+ * Count `count` scrapes against the caller's daily quota; throws TOO_MANY_REQUESTS when exhausted
+ */
+function consumeScrapeQuota(req, res, count = 1) {
+  if (!req.apiKey) return;
+  const quota = keys.consumeQuota(req.apiKey.id, count);
+  if (quota.allowed) return;
+  const retryAfterSeconds = Math.max(1, Math.ceil((Date.parse(quota.resetAt) - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfterSeconds));
+  throw new ScraperError(
+    'TOO_MANY_REQUESTS',
+    `Daily scrape quota exceeded: ${quota.used}/${quota.limit} scrapes used today`
+      + (count > 1 ? ` (this request needs ${count})` : ''),
+    { quota, retryAfterSeconds },
+  );
+}
+
 const PORT = process.env.API_PORT || 3000;
 
+const SCRAPE_CONCURRENCY = Math.max(1, parseInt(process.env.SCRAPE_CONCURRENCY || '2', 10) || 1);
+
+// ✅ Facebook accounts (FB_ACCOUNTS / FB_EMAIL) with their cookies encrypted by SESSION_ENCRYPTION_KEY
+const sessions = await getSessionStore();
+
+// ✅ Selectors and text patterns (SELECTORS_FILE, else src/selectors.json): an invalid file stops the
+// server here rather than failing every scrape; POST /api/admin/selectors/reload picks up edits
+const selectorProfile = getSelectorProfile();
+console.log(`[Selectors] Profile ${selectorProfile.version} loaded from ${selectorProfile.file}`);
+
+const BATCH_MAX_PAGES = Math.max(1, parseInt(process.env.BATCH_MAX_PAGES || '50', 10) || 1);
+const BATCH_MAX_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_MAX_CONCURRENCY || '4', 10) || 1);
+
+// ✅ Warm logged-in browsers reused across requests (no launch + login per scrape);
+// each one logs in with the next usable account and is recycled when that account gets blocked.
+// A batch runs up to BATCH_MAX_CONCURRENCY tabs in one of them: unless that is 1, they are launched
+// multi-process so one crashing tab doesn't take the whole batch down
+const pool = createBrowserPool({
+  size: Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE || String(SCRAPE_CONCURRENCY), 10) || 1),
+  maxUses: Math.max(1, parseInt(process.env.BROWSER_MAX_USES || '20', 10) || 1),
+  launch: () => login({ sessions, singleProcess: BATCH_MAX_CONCURRENCY === 1 }),
+  sessions,
+});
+
+// ✅ Optional SQLite history of pages, posts and engagement snapshots
+const store = process.env.SQLITE_DB_PATH ? createStore({ path: process.env.SQLITE_DB_PATH }) : null;
+
+// ✅ Request bodies are checked against the JSON Schemas in schemas.js (which also document /api/info)
+const schemas = createSchemas({ batchMaxPages: BATCH_MAX_PAGES, batchMaxConcurrency: BATCH_MAX_CONCURRENCY });
+const validate = createValidators(schemas);
+
+// ✅ Extraction health of the recent scrapes (GET /api/health/extraction): flags "degraded" when the share
+// of posts with a date, reactions, ... drops below EXTRACTION_MIN_* over the last EXTRACTION_HEALTH_WINDOW runs
+const extractionHealth = createExtractionMonitor({
+  thresholds: thresholdsFromEnv(),
+  window: Math.max(1, parseInt(process.env.EXTRACTION_HEALTH_WINDOW || '10', 10) || 1),
+  historySize: Math.max(1, parseInt(process.env.EXTRACTION_HEALTH_HISTORY || '200', 10) || 1),
+});
+
+/** Scrape one page and record how well its extraction went */
+async function scrapePage(options) {
+  try {
+    const result = await scrapeFacebookPageOptimized(options);
+    extractionHealth.record(result);
+    return result;
+  } catch (err) {
+    extractionHealth.recordFailure(options.FB_PAGE_URL, err);
+    throw err;
+  }
+}
+
+/** The run is named after the job: its debug artifacts are at GET /api/runs/:id/artifacts */
+async function runScrapeJob(params, { id, signal, onProgress, onEvent }) {
+  console.log(`[API] 🚀 Starting scrape for: ${params.pageUrl}`);
+  console.log(`[API] 📊 Target posts: ${params.postsTarget}`);
+
+  const result = await scrapePage({ ...toScraperOptions(params, { store }), runId: id, signal, onProgress, onEvent, pool });
+
+  console.log(`[API] ✅ Scrape completed! Found ${result.posts.length} posts`);
+  return result;
+}
+
 /**
- * POST /api/scrape - Scrape a Facebook page
- * Body: { pageUrl, postsTarget, scrollDelayMs }
+ * A batch borrows one pooled browser and scrapes its pages in tabs of that session,
+ * so the whole batch costs a single login and a single queue slot.
+ * When that browser crashes, the pages still to come get another one (see createSharedLease).
  */
-app.post('/api/scrape', async (req, res) => {
+async function runBatchJob({ pages, concurrency, delayMs }, { id, signal, onProgress, onEvent }) {
+  console.log(`[API] 🚀 Starting batch of ${pages.length} pages (concurrency ${concurrency}, delay ${delayMs}ms)`);
+  onProgress({ pagesDone: 0, pagesFailed: 0, pagesTotal: pages.length });
+
+  const lease = createSharedLease(pool, { signal });
   try {
-    const { pageUrl, postsTarget = 10, scrollDelayMs = 3000 } = req.body;
-
-    if (!pageUrl) {
-      return res.status(400).json({
-        success: false,
-        error: 'pageUrl is required in request body',
-        example: {
-          pageUrl: 'https://www.facebook.com/pagename',
-          postsTarget: 10,
-          scrollDelayMs: 3000
-        }
-      });
-    }
+    // No browser to start with fails the whole batch, like a single scrape
+    await lease.get();
+    const results = await runBatch(
+      pages,
+      async (params, { signal: pageSignal, index }) => {
+        const { browser, account } = await lease.get();
+        return scrapePage({
+          ...toScraperOptions(params, { store }),
+          // One artifact folder per page
+          runId: `${id}-${index}`,
+          signal: pageSignal,
+          browser,
+          account,
+          // Pages run side by side: tag their events so clients can tell them apart
+          onEvent: (event) => onEvent({ ...event, pageIndex: index, pageUrl: params.pageUrl }),
+        });
+      },
+      { concurrency, delayMs, signal, onProgress },
+    );
+    const succeeded = results.filter((r) => r.success).length;
+    console.log(`[API] ✅ Batch completed! ${succeeded}/${pages.length} pages succeeded`);
+    return {
+      pages: results,
+      summary: { total: pages.length, succeeded, failed: pages.length - succeeded },
+    };
+  } finally {
+    await lease.close();
+  }
+}
 
-    console.log(`[API] 🚀 Starting scrape for: ${pageUrl}`);
-    console.log(`[API] 📊 Target posts: ${postsTarget}`);
+// ✅ Every scrape goes through the queue so at most SCRAPE_CONCURRENCY scrapes run at once
+const jobs = createJobQueue({
+  concurrency: SCRAPE_CONCURRENCY,
+  retentionMs: parseInt(process.env.JOB_RETENTION_MS || '3600000', 10),
+  run: (params, hooks) => (params.batch ? runBatchJob(params, hooks) : runScrapeJob(params, hooks)),
+});
+
+// ✅ Results pushed to `webhookUrl` when a job succeeds or fails (signed with WEBHOOK_SECRET)
+const webhooks = createWebhookDispatcher({
+  secret: process.env.WEBHOOK_SECRET || '',
+  maxAttempts: Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10) || 1),
+  baseDelayMs: Math.max(0, parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10) || 0),
+});
+if (!process.env.WEBHOOK_SECRET) {
+  console.warn('[API] ⚠️ WEBHOOK_SECRET is not set: webhook deliveries will not be signed');
+}
 
-    const result = await scrapeFacebookPageOptimized({
-      FB_PAGE_URL: pageUrl,
-      POSTS_TARGET: postsTarget,
-      SCROLL_DELAY_MS: scrollDelayMs,
-      SAVE_TO_FILE: false,
+/**
+ * Queue a job; when it has a webhookUrl, its outcome is delivered there once it finishes.
+ * `params.apiKeyId` is the key that owns the job (see canAccess).
+ */
+function submitJob(params) {
+  const job = jobs.submit(params);
+  if (params.webhookUrl) {
+    job.done.then(() => {
+      // Cancelled jobs were stopped on purpose by the caller: nothing to report
+      if (job.status === JOB_STATUS.CANCELLED) return;
+      const kind = params.batch ? 'batch' : 'scrape';
+      const succeeded = job.status === JOB_STATUS.SUCCEEDED;
+      webhooks.deliver({
+        url: params.webhookUrl,
+        event: `${kind}.${succeeded ? 'succeeded' : 'failed'}`,
+        jobId: job.id,
+        apiKeyId: params.apiKeyId ?? null,
+        payload: {
+          job: jobs.describe(job),
+          data: succeeded ? job.result : null,
+          error: succeeded ? null : job.error.message,
+        },
+      });
     });
+  }
+  return job;
+}
 
-    console.log(`[API] ✅ Scrape completed! Found ${result.posts.length} posts`);
+// ✅ Recurring scrapes; schedules and their last run survive restarts in outputs/schedules.json
+const scheduler = createScheduler({
+  file: process.env.SCHEDULES_FILE || fileURLToPath(new URL('../outputs/schedules.json', import.meta.url)),
+  // A schedule stops for good once the key that created it is revoked (or gone from the key store)
+  pauseReason: (schedule) => (schedule.apiKeyId && !keys.isActive(schedule.apiKeyId)
+    ? `API key ${schedule.apiKeyId} was revoked or no longer exists`
+    : null),
+  runSchedule: (schedule) => {
+    // Scheduled runs count against the quota of the key that created the schedule
+    if (schedule.apiKeyId && !keys.consumeQuota(schedule.apiKeyId).allowed) {
+      throw new Error('Daily scrape quota of the schedule\'s API key is exhausted');
+    }
+    return submitJob(scheduledRunParams(schedule));
+  },
+});
 
-    res.json({
+/**
+ * Answer a scrape request: 202 with the job when `asJob`, otherwise wait for the result.
+ */
+async function respondWithJob(res, job, asJob) {
+  if (asJob) {
+    return res.status(202).json({
       success: true,
-      data: result,
+      job: jobs.describe(job),
+      links: {
+        status: `/api/jobs/${job.id}`,
+        result: `/api/jobs/${job.id}/result`,
+      },
     });
-  } catch (err) {
-    console.error('[API] ❌ Error:', err.message);
-    res.status(500).json({
-      success: false,
-      error: err.message,
-      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
+  }
+
+  // Caller went away before the scrape finished: don't keep a browser busy for nobody
+  res.on('close', () => {
+    if (!res.writableFinished) jobs.cancel(job.id);
+  });
+
+  await job.done;
+  if (job.status === JOB_STATUS.CANCELLED) return;
+  if (job.status === JOB_STATUS.FAILED) throw job.error;
+
+  await sendResult(res, job.result, job.params.format);
+}
+
+/**
+ * Send a scrape result: { success, data } for json, otherwise the csv/ndjson/xlsx export as a download
+ */
+async function sendResult(res, result, format = 'json') {
+  if (format === 'json') return res.json({ success: true, data: result });
+
+  const { body, contentType, extension } = await exportResult(result, format);
+  const stamp = String(result.scraped_at || new Date().toISOString()).replace(/[:.]/g, '-');
+  res.attachment(`facebook-scrape-${stamp}.${extension}`);
+  res.type(contentType);
+  res.send(body);
+}
+
+/** SSE event ids are "<jobId>:<n>" so a reconnecting EventSource resumes the job it was following */
+function parseEventId(raw) {
+  const match = /^(.+):(\d+)$/.exec(raw || '');
+  return match ? { jobId: match[1], afterId: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Stream a job's events over SSE until it finishes (see events.js and job-queue.js for the event types).
+ * Opens with a `job` event (id + links) unless resuming after `afterId`; with `withResult`
+ * a final `result` event carries the data or error. Closing the stream does not cancel the job.
+ */
+function streamJob(res, job, { afterId = 0, withResult = false } = {}) {
+  // Nothing left to send: 204 tells EventSource to stop reconnecting
+  if (isFinished(job) && afterId >= job.lastEventId) return res.status(204).end();
+
+  const stream = openEventStream(res);
+  if (afterId === 0) {
+    stream.send('job', {
+      job: jobs.describe(job),
+      links: {
+        status: `/api/jobs/${job.id}`,
+        result: `/api/jobs/${job.id}/result`,
+        cancel: `DELETE /api/jobs/${job.id}`,
+      },
     });
   }
+  const unsubscribe = jobs.subscribe(job.id, (event) => {
+    stream.send(event.type, event, `${job.id}:${event.id}`);
+    if (event.type !== 'job-finished') return;
+    if (withResult) {
+      stream.send('result', job.status === JOB_STATUS.SUCCEEDED
+        ? { success: true, data: job.result }
+        : {
+          success: false,
+          status: job.status,
+          code: job.error ? errorCode(job.error) : 'JOB_CANCELLED',
+          error: job.error ? job.error.message : 'Job was cancelled',
+        });
+    }
+    stream.close();
+  }, { afterId });
+  res.on('close', unsubscribe);
+}
+
+/**
+ * POST /api/scrape - Scrape a Facebook page
+ * Body: schemas.scrape ({ pageUrl, postsTarget, scrollDelayMs, includeComments, commentsLimit, openReactionsDialog,
+ *         downloadMedia, since, knownPostIds, stages, webhookUrl, format, async })
+ * With `async: true` responds 202 with a job id right away; otherwise waits for the result.
+ * `format` csv, ndjson or xlsx answers with that file instead of JSON (see exports.js).
+ * With `webhookUrl` the result (or error) is also POSTed there once the job finishes.
+ */
+app.post('/api/scrape', route(async (req, res) => {
+  const body = validate.scrape(req.body);
+  const params = { ...pickScrapeParams(body), format: body.format ?? 'json' };
+  checkScrapeParams(params);
+  consumeScrapeQuota(req, res);
+
+  await respondWithJob(res, submitJob({ ...params, apiKeyId: ownerOf(req) }), !!body.async);
+}));
+
+/**
+ * POST /api/scrape/batch - Scrape several pages in one logged-in session
+ * Body: schemas.batch ({ pages: [pageUrl | { pageUrl, ...per-page options of /api/scrape }], defaults, concurrency,
+ *         delayMs, webhookUrl, async })
+ * `defaults` apply to every page unless the page overrides them. One failing page doesn't fail the batch:
+ * data.pages holds a { pageUrl, success, data | error, code } entry per page, in request order.
+ * The batch reports once, to its own webhookUrl.
+ */
+app.post('/api/scrape/batch', route(async (req, res) => {
+  const {
+    pages,
+    defaults = {},
+    concurrency = 2,
+    delayMs = 5000,
+    webhookUrl,
+    async: asJob = false,
+  } = validate.batch(req.body);
+
+  const items = pages.map((entry) => pickScrapeParams({
+    ...defaults,
+    ...(typeof entry === 'string' ? { pageUrl: entry } : entry),
+  }));
+  items.forEach((item, i) => checkScrapeParams(item, `pages[${i}]`));
+  // Every page of the batch counts as one scrape
+  consumeScrapeQuota(req, res, items.length);
+
+  const job = submitJob({ batch: true, webhookUrl, pages: items, concurrency, delayMs, apiKeyId: ownerOf(req) });
+  await respondWithJob(res, job, asJob);
+}));
+
+/**
+ * GET /api/scrape/stream - Start a scrape and follow it as Server-Sent Events
+ * Query: the /api/scrape body fields (knownPostIds comma-separated, stages as JSON).
+ * Events: job, then job-queued ... job-finished (login-started, navigated, scroll-iteration, stall-detected,
+ * extraction-done, error, ... in between), then result. A reconnecting EventSource resumes the same job.
+ */
+app.get('/api/scrape/stream', route(async (req, res) => {
+  // Reconnect of an existing stream: never start a second scrape
+  const resumed = parseEventId(lastEventId(req));
+  if (resumed) {
+    const job = jobs.get(resumed.jobId);
+    if (!job || !canAccess(req.apiKey, job.params.apiKeyId)) return res.status(204).end();
+    return streamJob(res, job, { afterId: resumed.afterId, withResult: true });
+  }
+
+  const params = pickScrapeParams(validate.scrapeStream(scrapeBodyFromQuery(req.query)));
+  checkScrapeParams(params);
+  consumeScrapeQuota(req, res);
+  streamJob(res, submitJob({ ...params, apiKeyId: ownerOf(req) }), { withResult: true });
+}));
+
+/** The job behind :id, or NOT_FOUND (also when it belongs to another key) */
+function findJob(req) {
+  const job = jobs.get(req.params.id);
+  if (!job || !canAccess(req.apiKey, job.params.apiKeyId)) throw new ScraperError('NOT_FOUND', 'Job not found');
+  return job;
+}
+
+/**
+ * GET /api/jobs/:id/events - Follow a job's progress as Server-Sent Events (replays what already happened)
+ */
+app.get('/api/jobs/:id/events', route(async (req, res) => {
+  const job = findJob(req);
+  const resumed = parseEventId(lastEventId(req));
+  streamJob(res, job, { afterId: resumed?.jobId === job.id ? resumed.afterId : 0 });
+}));
+
+/**
+ * GET /api/jobs/:id - Job status and progress
+ */
+app.get('/api/jobs/:id', route(async (req, res) => {
+  res.json({ success: true, job: jobs.describe(findJob(req)) });
+}));
+
+/**
+ * GET /api/jobs/:id/result - Result payload of a finished job
+ * Query: schemas.resultQuery ({ format }, defaults to the format the job was submitted with)
+ * 202 while queued/running, 410 when cancelled; a failed job answers with the status of its error code
+ */
+app.get('/api/jobs/:id/result', route(async (req, res) => {
+  const job = findJob(req);
+  const format = validate.resultQuery({ ...req.query }).format ?? job.params.format ?? 'json';
+  if (job.params.batch && format !== 'json') {
+    throw new ScraperError('INVALID_REQUEST', 'Batch results are only available as json');
+  }
+  if (!isFinished(job)) {
+    return res.status(202).json({ success: false, error: 'Job is not finished yet', job: jobs.describe(job) });
+  }
+  if (job.status === JOB_STATUS.CANCELLED) {
+    throw new ScraperError('JOB_CANCELLED', 'Job was cancelled', { job: jobs.describe(job) });
+  }
+  if (job.status === JOB_STATUS.FAILED) throw job.error;
+  await sendResult(res, job.result, format);
+}));
+
+/**
+ * DELETE /api/jobs/:id - Cancel a queued or running job (closes its browser)
+ */
+app.delete('/api/jobs/:id', route(async (req, res) => {
+  const job = findJob(req);
+  if (!jobs.cancel(job.id)) {
+    throw new ScraperError('CONFLICT', `Job already ${job.status}`, { job: jobs.describe(job) });
+  }
+  console.log(`[API] 🛑 Cancelled job ${job.id}`);
+  res.json({ success: true, job: jobs.describe(job) });
+}));
+
+/**
+ * POST /api/schedules - Create a recurring scrape
+ * Body: schemas.schedule ({ cron, pageUrl, cronTimezone?, name?, enabled?, ...per-page options of /api/scrape })
+ * Every run saves its result into outputs/ as `format` (json by default; see GET /api/exports)
+ * and into the history store when enabled.
+ */
+app.post('/api/schedules', route(async (req, res) => {
+  const input = scheduleFromBody(validate.schedule(req.body));
+
+  let schedule;
+  try {
+    schedule = await scheduler.create({ ...input, apiKeyId: ownerOf(req) });
+  } catch (err) {
+    // Invalid cron expression or timezone
+    throw new ScraperError('INVALID_REQUEST', err.message);
+  }
+  res.status(201).json({ success: true, schedule });
+}));
+
+/**
+ * GET /api/schedules - The caller's schedules (every schedule for admin keys) with next run time and last-run status
+ */
+app.get('/api/schedules', (req, res) => {
+  res.json({ success: true, schedules: scheduler.list().filter((s) => canAccess(req.apiKey, s.apiKeyId)) });
 });
 
+/** The schedule behind :id, or NOT_FOUND (also when it belongs to another key) */
+function findSchedule(req) {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule || !canAccess(req.apiKey, schedule.apiKeyId)) throw new ScraperError('NOT_FOUND', 'Schedule not found');
+  return schedule;
+}
+
+/**
+ * GET /api/schedules/:id - One schedule
+ */
+app.get('/api/schedules/:id', route(async (req, res) => {
+  res.json({ success: true, schedule: findSchedule(req) });
+}));
+
+/**
+ * DELETE /api/schedules/:id - Remove a schedule (a run in progress is not cancelled)
+ */
+app.delete('/api/schedules/:id', route(async (req, res) => {
+  findSchedule(req);
+  if (!(await scheduler.remove(req.params.id))) throw new ScraperError('NOT_FOUND', 'Schedule not found');
+  console.log(`[API] 🗑️ Deleted schedule ${req.params.id}`);
+  res.json({ success: true });
+}));
+
+// Files written by the persist stage; anything else in outputs/ (keys, schedules) is never served
+const OUTPUTS_DIR = fileURLToPath(new URL('../outputs/', import.meta.url));
+const EXPORT_FILE = new RegExp(`^facebook-scrape-[\\w-]+\\.(${Object.keys(EXPORT_FORMATS).join('|')})$`);
+
+/**
+ * GET /api/exports - Result files saved in outputs/ (scheduled runs, downloadMedia), newest first
+ */
+app.get('/api/exports', route(async (req, res) => {
+  const names = await fs.readdir(OUTPUTS_DIR).catch((err) => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+  const files = [];
+  for (const name of names) {
+    const match = EXPORT_FILE.exec(name);
+    if (!match) continue;
+    const stat = await fs.stat(`${OUTPUTS_DIR}${name}`);
+    files.push({
+      name,
+      format: match[1],
+      size: stat.size,
+      modifiedAt: stat.mtime.toISOString(),
+      url: `/api/exports/${name}`,
+    });
+  }
+  files.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  res.json({ success: true, files });
+}));
+
+/**
+ * GET /api/exports/:file - Download one result file
+ */
+app.get('/api/exports/:file', route(async (req, res) => {
+  const match = EXPORT_FILE.exec(req.params.file);
+  if (!match) throw new ScraperError('NOT_FOUND', 'Export not found');
+  try {
+    await fs.access(`${OUTPUTS_DIR}${req.params.file}`);
+  } catch {
+    throw new ScraperError('NOT_FOUND', 'Export not found');
+  }
+  res.attachment(req.params.file);
+  res.type(EXPORT_FORMATS[match[1]].contentType);
+  res.sendFile(req.params.file, { root: OUTPUTS_DIR });
+}));
+
+/**
+ * GET /api/runs/:id/artifacts - Debug artifacts saved for a run (failed runs, or any run with `debug: true`);
+ * the run id is the job id (batch pages: "<jobId>-<pageIndex>"). Admin only: screenshots and page.html
+ * show Facebook as the scraping account sees it, and outlive the job they came from.
+ */
+app.get('/api/runs/:id/artifacts', route(async (req, res) => {
+  requireAdmin(req);
+  const artifacts = await listRunArtifacts(req.params.id);
+  if (!artifacts) throw new ScraperError('NOT_FOUND', 'No artifacts for this run');
+  res.json({
+    success: true,
+    runId: req.params.id,
+    artifacts: artifacts.map((a) => ({ ...a, url: `/api/runs/${req.params.id}/artifacts/${a.name}` })),
+  });
+}));
+
+/**
+ * GET /api/runs/:id/artifacts/:file - Download one debug artifact (screenshot.png, page.html, network.har, ...)
+ * (admin only)
+ */
+app.get('/api/runs/:id/artifacts/:file', route(async (req, res) => {
+  requireAdmin(req);
+  const { id, file } = req.params;
+  if (!RUN_ID.test(id) || !Object.hasOwn(ARTIFACTS, file)) throw new ScraperError('NOT_FOUND', 'Artifact not found');
+  try {
+    await fs.access(`${runsDir()}/${id}/${file}`);
+  } catch {
+    throw new ScraperError('NOT_FOUND', 'Artifact not found');
+  }
+  res.attachment(`${id}-${file}`);
+  res.type(ARTIFACTS[file]);
+  res.sendFile(`${id}/${file}`, { root: runsDir() });
+}));
+
+/**
+ * GET /api/deliveries - Webhook delivery log of the caller's jobs (every job for admin keys), newest first
+ * Query: schemas.deliveriesQuery ({ status: pending|delivered|failed, jobId })
+ */
+app.get('/api/deliveries', route(async (req, res) => {
+  const { status, jobId } = validate.deliveriesQuery({ ...req.query });
+  const deliveries = webhooks.list({ status, jobId }).filter((d) => canAccess(req.apiKey, d.apiKeyId));
+  res.json({ success: true, deliveries });
+}));
+
+/**
+ * GET /api/deliveries/:id - One webhook delivery with its attempts
+ */
+app.get('/api/deliveries/:id', route(async (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery || !canAccess(req.apiKey, delivery.apiKeyId)) throw new ScraperError('NOT_FOUND', 'Delivery not found');
+  res.json({ success: true, delivery });
+}));
+
+/**
+ * POST /api/admin/keys - Create an API key (admin only)
+ * Body: schemas.createKey ({ name?, role?: "client"|"admin", rateLimitPerMinute?, dailyQuota? }, null = unlimited)
+ * The plain key is in the response only: store it, it can't be shown again.
+ */
+app.post('/api/admin/keys', route(async (req, res) => {
+  requireAdmin(req);
+  const { name = null, role = 'client', rateLimitPerMinute, dailyQuota } = validate.createKey(req.body);
+  const { key, record } = await keys.create({ name, role, rateLimitPerMinute, dailyQuota });
+  res.status(201).json({ success: true, key, apiKey: record });
+}));
+
+/**
+ * GET /api/admin/keys - All API keys with their usage (admin only; secrets are never listed)
+ */
+app.get('/api/admin/keys', route(async (req, res) => {
+  requireAdmin(req);
+  res.json({ success: true, keys: keys.list() });
+}));
+
+/**
+ * DELETE /api/admin/keys/:id - Revoke an API key (admin only)
+ */
+app.delete('/api/admin/keys/:id', route(async (req, res) => {
+  requireAdmin(req);
+  if (!(await keys.revoke(req.params.id))) {
+    throw new ScraperError('NOT_FOUND', 'API key not found or already revoked');
+  }
+  res.json({ success: true, apiKey: keys.get(req.params.id) });
+}));
+
+/**
+ * GET /api/admin/accounts - Facebook accounts with their session health (admin only; no cookies nor passwords)
+ */
+app.get('/api/admin/accounts', route(async (req, res) => {
+  requireAdmin(req);
+  res.json({ success: true, encrypted: sessions.stats().encrypted, accounts: sessions.list() });
+}));
+
+/**
+ * POST /api/admin/accounts/:name/cookies - Import a cookie file for an account, created if needed (admin only)
+ * Body: schemas.importCookies ({ cookies: [...] }: Puppeteer's page.cookies() or a browser extension export)
+ */
+app.post('/api/admin/accounts/:name/cookies', route(async (req, res) => {
+  requireAdmin(req);
+  const { cookies } = validate.importCookies(req.body);
+  const account = await sessions.importCookies(req.params.name, cookies);
+  res.json({ success: true, account });
+}));
+
+/**
+ * GET /api/admin/selectors - Selector profile in use: version, file, selectors and patterns (admin only)
+ */
+app.get('/api/admin/selectors', route(async (req, res) => {
+  requireAdmin(req);
+  res.json({ success: true, profile: getSelectorProfile().describe() });
+}));
+
+/**
+ * POST /api/admin/selectors/reload - Read the selector profile file again (admin only)
+ * An invalid file is rejected and the profile in use stays; running scrapes keep the profile they started with.
+ */
+app.post('/api/admin/selectors/reload', route(async (req, res) => {
+  requireAdmin(req);
+  let reloaded;
+  try {
+    reloaded = reloadSelectorProfile();
+  } catch (err) {
+    throw new ScraperError('INVALID_SELECTOR_PROFILE', err.message, { errors: err.details ?? [err.message] });
+  }
+  res.json({ success: true, profile: reloaded.profile.describe(), previousVersion: reloaded.previousVersion });
+}));
+
+/** Throws FEATURE_DISABLED when SQLITE_DB_PATH is not configured */
+function requireStore() {
+  if (!store) throw new ScraperError('FEATURE_DISABLED', 'History store is disabled (set SQLITE_DB_PATH)');
+}
+
+/**
+ * GET /api/pages - Pages recorded in the history store
+ */
+app.get('/api/pages', route(async (req, res) => {
+  requireStore();
+  res.json({ success: true, pages: store.listPages() });
+}));
+
+/**
+ * GET /api/pages/:id/posts - Stored posts of a page with their latest metrics
+ * Query: schemas.pagePostsQuery ({ limit: 1-500, default 50; offset })
+ */
+app.get('/api/pages/:id/posts', route(async (req, res) => {
+  requireStore();
+  const { limit, offset } = validate.pagePostsQuery({ ...req.query });
+  const page = store.getPage(req.params.id);
+  if (!page) throw new ScraperError('NOT_FOUND', 'Page not found');
+  const { total, posts } = store.listPosts(page.id, { limit, offset });
+  res.json({ success: true, page, total, limit, offset, posts });
+}));
+
+/**
+ * GET /api/posts/:id/history - Engagement snapshots of a post, one per run that saw it
+ */
+app.get('/api/posts/:id/history', route(async (req, res) => {
+  requireStore();
+  const post = store.getPost(req.params.id);
+  if (!post) throw new ScraperError('NOT_FOUND', 'Post not found');
+  res.json({ success: true, post, history: store.getPostHistory(post.id) });
+}));
+
 /**
  * GET /health - Health check
  */
@@ -74,62 +812,130 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
-    message: 'API Server is running'
+    message: 'API Server is running',
+    jobs: jobs.stats(),
+    browsers: pool.stats(),
+    schedules: scheduler.stats(),
+    webhooks: webhooks.stats(),
+    store: store ? 'enabled' : 'disabled',
+    auth: AUTH_ENABLED ? keys.stats() : 'disabled',
+    accounts: sessions.stats(),
+    extraction: extractionHealth.stats(),
   });
 });
 
 /**
- * GET /api/info - API Information
+ * GET /api/health/extraction - Extraction health of the recent scrapes: state ("ok", "degraded" or
+ * "unknown"), averages over the window against the thresholds and the per-run history (newest first)
+ * Query: schemas.extractionHealthQuery ({ limit: 1-200, default 50 })
+ */
+app.get('/api/health/extraction', route(async (req, res) => {
+  const { limit } = validate.extractionHealthQuery({ ...req.query });
+  res.json({ success: true, extraction: extractionHealth.status({ limit }) });
+}));
+
+/**
+ * GET /api/info - API overview (the full description is the OpenAPI document)
  */
 app.get('/api/info', (req, res) => {
   res.json({
     name: 'Facebook Scraper API',
-    version: '1.0.0',
-    endpoints: [
-      {
-        method: 'POST',
-        path: '/api/scrape',
-        description: 'Scrape Facebook page posts with engagement metrics',
-        body: {
-          pageUrl: 'string (required)',
-          postsTarget: 'number (default: 10)',
-          scrollDelayMs: 'number (default: 3000)'
-        },
-        response: {
-          page: { name: 'string', url: 'string' },
-          posts: [
-            {
-              id: 'number',
-              text: 'string',
-              reactions: 'number',
-              comments: 'number',
-              shares: 'number',
-              total_engagement: 'number',
-              date: 'string'
-            }
-          ],
-          summary: {
-            total_posts: 'number',
-            total_reactions: 'number',
-            total_comments: 'number',
-            total_shares: 'number',
-            avg_reactions: 'number',
-            avg_comments: 'number',
-            avg_shares: 'number',
-            best_post: 'object'
-          },
-          scraped_at: 'string'
-        }
-      },
-      { method: 'GET', path: '/health', description: 'Health check' },
-      { method: 'GET', path: '/api/info', description: 'API documentation' }
-    ]
+    version: API_VERSION,
+    docs: { openapi: '/api/openapi.json', html: '/api/docs' },
+    authentication: {
+      required: AUTH_ENABLED,
+      header: 'X-API-Key: <key> (or Authorization: Bearer <key>); SSE endpoints also accept ?api_key=<key>',
+      public: [...PUBLIC_PATHS],
+      errors: {
+        401: 'missing, invalid or revoked key',
+        403: 'admin route called with a client key',
+        429: 'per-minute rate limit (X-RateLimit-* headers) or daily scrape quota (a batch counts one per page); '
+          + 'see Retry-After / details.retryAfterSeconds'
+      }
+    },
+    errors: {
+      format: '{ success: false, code, error, details } - details: [{ field, message }] for INVALID_REQUEST',
+      codes: Object.fromEntries(
+        Object.entries(ERROR_CODES).map(([code, { status, description }]) => [code, `${status} - ${description}`]),
+      )
+    },
+    endpoints: ROUTES.map((r) => ({
+      method: r.method.toUpperCase(),
+      path: r.path,
+      description: r.summary,
+      ...(r.body ? { body: describeSchema(schemas[r.body]) } : {}),
+      ...(r.query ? { query: describeSchema(schemas[r.query]) } : {}),
+    }))
   });
 });
 
-app.listen(PORT, () => {
+// The document only depends on configuration: build it once
+const openApiDocument = buildOpenApiDocument({ schemas, authEnabled: AUTH_ENABLED, version: API_VERSION });
+
+/**
+ * GET /api/openapi.json - OpenAPI 3.1 document of this API
+ */
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * GET /api/docs - HTML docs rendered from /api/openapi.json (no CDN, works offline)
+ */
+app.get('/api/docs', (req, res) => {
+  res.sendFile(fileURLToPath(new URL('./api-docs.html', import.meta.url)));
+});
+
+// ❌ Unknown routes and every error thrown by a route end up as { success: false, code, error }
+app.use((req, res) => {
+  sendError(res, new ScraperError('NOT_FOUND', `No route for ${req.method} ${req.path}`));
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  // Malformed JSON body from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, new ScraperError('INVALID_REQUEST', `Invalid JSON body: ${err.message}`));
+  }
+  sendError(res, err);
+});
+
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 API Server running on http://localhost:${PORT}`);
   console.log(`📍 POST /api/scrape - Scrape a Facebook page`);
-  console.log(`❤️  GET /health - Health check`);
-  console.log(`ℹ️  GET /api/info - API documentation\n`);
+  console.log(`📚 POST /api/scrape/batch - Scrape several pages in one session`);
+  console.log(`📡 GET /api/scrape/stream, /api/jobs/:id/events - Live progress (SSE)`);
+  console.log(`📋 GET/DELETE /api/jobs/:id - Job status / cancel`);
+  console.log(`📅 POST/GET/DELETE /api/schedules - Recurring scrapes`);
+  console.log(`📬 GET /api/deliveries - Webhook delivery log`);
+  console.log(`📥 GET /api/exports, /api/exports/:file - Saved results (json, csv, ndjson, xlsx)`);
+  console.log(`🔑 POST/GET/DELETE /api/admin/keys - API keys (admin)`);
+  console.log(`👤 GET /api/admin/accounts, POST /api/admin/accounts/:name/cookies - Facebook accounts (admin)`);
+  console.log(`🧭 GET /api/admin/selectors, POST /api/admin/selectors/reload - Selector profile (admin)`);
+  if (store) console.log(`🗄️  GET /api/pages, /api/pages/:id/posts, /api/posts/:id/history - Stored history`);
+  console.log(`❤️  GET /health - Health check, GET /api/health/extraction - Extraction health`);
+  console.log(`ℹ️  GET /api/info, /api/openapi.json, /api/docs - API documentation\n`);
+
+  scheduler.start().catch((err) => console.warn('[API] ⚠️ Scheduler failed to start:', err.message));
+
+  if (process.env.BROWSER_POOL_WARM !== 'false') {
+    pool.warm().catch((err) => console.warn('[API] ⚠️ Browser pool warm-up failed:', err.message));
+  }
 });
+
+// ✅ Graceful shutdown: stop accepting requests and close every pooled browser
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n[API] 🛑 ${signal} received, shutting down...`);
+  server.close();
+  await scheduler.stop();
+  await pool.shutdown();
+  store?.close();
+  await keys.flush();
+  await sessions.flush();
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
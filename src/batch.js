@@ -0,0 +1,48 @@
+// src/batch.js
+// Scrape many pages through one logged-in session with bounded parallelism
+import { sleep } from './utils.js';
+import { errorCode } from './errors.js';
+
+/**
+ * Run `scrape(item, { signal, index })` for every item, at most `concurrency` at a time.
+ * Each worker waits `delayMs` between two pages so the session doesn't hammer Facebook.
+ * A failing page doesn't stop the batch: results come back in input order as
+ * { index, pageUrl, success: true, data } or { index, pageUrl, success: false, error, code } (code: see errors.js).
+ * `onProgress` is called with { pagesDone, pagesFailed, pagesTotal } after each page.
+ * Aborting `signal` stops starting new pages; pages not started are reported as cancelled.
+ */
+export async function runBatch(items, scrape, { concurrency = 2, delayMs = 5000, signal = null, onProgress = null } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+
+  async function worker(workerIndex) {
+    // Stagger the first pages too, so parallel tabs don't all load at once
+    if (workerIndex > 0 && delayMs > 0) await sleep(Math.min(delayMs, 1000) * workerIndex);
+    while (next < items.length) {
+      if (signal?.aborted) break;
+      const index = next++;
+      const item = items[index];
+      try {
+        const data = await scrape(item, { signal, index });
+        results[index] = { index, pageUrl: item.pageUrl, success: true, data };
+      } catch (err) {
+        console.warn(`[Batch] ⚠️ Page ${index + 1}/${items.length} failed (${item.pageUrl}):`, err.message);
+        results[index] = { index, pageUrl: item.pageUrl, success: false, error: err.message, code: errorCode(err) };
+        failed += 1;
+      }
+      done += 1;
+      if (onProgress) onProgress({ pagesDone: done, pagesFailed: failed, pagesTotal: items.length });
+      if (next < items.length && delayMs > 0 && !signal?.aborted) await sleep(delayMs);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, (_, i) => worker(i)));
+
+  for (let i = 0; i < items.length; i++) {
+    results[i] ??= { index: i, pageUrl: items[i].pageUrl, success: false, error: 'Batch was cancelled', code: 'JOB_CANCELLED' };
+  }
+  return results;
+}
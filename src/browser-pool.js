@@ -0,0 +1,205 @@
+// src/browser-pool.js
+// Pool of warm, logged-in browsers shared between scrapes
+import { login, newScrapePage } from './login.js';
+
+/**
+ * Create a browser pool.
+ * - `size`: number of browsers kept alive
+ * - `maxUses`: a browser is recycled (closed and relaunched) after this many leases
+ * - `launch`: returns { browser, page, account } of a logged-in session (defaults to login())
+ * - `sessions`: session store (see sessions.js); a browser whose account became unusable
+ *   (rate limited, logged out) is recycled when released, so its relaunch logs in with another account
+ *
+ * `acquire({ signal })` resolves with a lease { browser, page, account, release(), destroy() }; `page` is a fresh tab.
+ * Always call `release()` when done, or `destroy()` to throw the browser away (e.g. on cancel).
+ */
+export function createBrowserPool({ size = 1, maxUses = 20, launch = login, newPage = newScrapePage, sessions = null } = {}) {
+  const entries = new Set();
+  const waiters = [];
+  let nextId = 1;
+  let closing = false;
+
+  function isHealthy(entry) {
+    return entry.browser && entry.browser.connected !== false && !entry.retired;
+  }
+
+  async function retire(entry, reason) {
+    if (entry.retired) return;
+    entry.retired = true;
+    entries.delete(entry);
+    console.log(`[Pool] ♻️ Recycling browser #${entry.id} (${reason})`);
+    if (entry.browser) await entry.browser.close().catch(() => {});
+    if (closing) return;
+    // Keep the pool warm: relaunch right away instead of on the next acquire
+    if (entries.size < size) spawn();
+    dispatch();
+  }
+
+  function spawn() {
+    const entry = { id: nextId++, browser: null, account: null, uses: 0, busy: false, retired: false, ready: null };
+    entries.add(entry);
+    entry.ready = (async () => {
+      console.log(`[Pool] 🚀 Launching browser #${entry.id}`);
+      const { browser, account = null } = await launch();
+      entry.browser = browser;
+      entry.account = account;
+      browser.on('disconnected', () => {
+        if (!entry.retired) retire(entry, 'crashed or disconnected');
+      });
+      // The pool may have been shut down while we were logging in
+      if (closing) await retire(entry, 'pool closing');
+      return entry;
+    })();
+    entry.ready.then(() => dispatch(), (err) => {
+      console.warn(`[Pool] ⚠️ Browser #${entry.id} failed to start:`, err.message);
+      entries.delete(entry);
+      entry.retired = true;
+      // Nothing left that could serve the waiters: surface the launch error
+      if (entries.size === 0) {
+        while (waiters.length) waiters.shift().reject(err);
+      }
+    });
+    return entry;
+  }
+
+  async function lease(entry) {
+    entry.busy = true;
+    entry.uses += 1;
+    let page;
+    try {
+      page = await newPage(entry.browser);
+    } catch (err) {
+      entry.busy = false;
+      await retire(entry, `newPage failed: ${err.message}`);
+      throw err;
+    }
+
+    let done = false;
+    const finish = async (recycle, reason) => {
+      if (done) return;
+      done = true;
+      await page.close().catch(() => {});
+      entry.busy = false;
+      if (recycle || !isHealthy(entry)) await retire(entry, reason);
+      else if (sessions && entry.account && !sessions.isAvailable(entry.account)) {
+        await retire(entry, `account "${entry.account}" is ${sessions.get(entry.account)?.status ?? 'gone'}`);
+      } else if (entry.uses >= maxUses) await retire(entry, `reached ${maxUses} uses`);
+      else dispatch();
+    };
+
+    return {
+      browser: entry.browser,
+      page,
+      account: entry.account,
+      release: () => finish(false, 'unhealthy after use'),
+      destroy: () => finish(true, 'destroyed by caller'),
+    };
+  }
+
+  /** Hand idle browsers to waiting callers, launching new ones up to `size` */
+  function dispatch() {
+    while (waiters.length) {
+      const idle = [...entries].find((e) => isHealthy(e) && !e.busy);
+      if (!idle) break;
+      const waiter = waiters.shift();
+      lease(idle).then(waiter.resolve, waiter.reject);
+    }
+    if (waiters.length && entries.size < size && !closing) spawn();
+  }
+
+  /**
+   * Borrow a logged-in browser with a fresh page. Aborting `signal` while waiting rejects with its reason
+   * (a lease handed over at that moment is released right away).
+   */
+  function acquire({ signal = null } = {}) {
+    if (closing) return Promise.reject(new Error('Browser pool is shut down'));
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const index = waiters.indexOf(waiter);
+        if (index !== -1) waiters.splice(index, 1);
+        reject(signal.reason);
+      };
+      const waiter = {
+        resolve: (lease) => {
+          signal?.removeEventListener('abort', onAbort);
+          if (signal?.aborted) lease.release();
+          else resolve(lease);
+        },
+        reject: (err) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(err);
+        },
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      waiters.push(waiter);
+      dispatch();
+    });
+  }
+
+  /** Launch browsers up front so the first requests don't pay the login cost */
+  async function warm() {
+    while (entries.size < size && !closing) spawn();
+    await Promise.allSettled([...entries].map((e) => e.ready));
+  }
+
+  /** Close every browser and reject pending acquires */
+  async function shutdown() {
+    closing = true;
+    while (waiters.length) waiters.shift().reject(new Error('Browser pool is shut down'));
+    const all = [...entries];
+    await Promise.allSettled(all.map(async (entry) => {
+      await entry.ready.catch(() => {});
+      await retire(entry, 'pool shutdown');
+    }));
+  }
+
+  function stats() {
+    const all = [...entries];
+    return {
+      size,
+      maxUses,
+      browsers: all.length,
+      busy: all.filter((e) => e.busy).length,
+      waiting: waiters.length,
+    };
+  }
+
+  return { acquire, warm, shutdown, stats };
+}
+
+/**
+ * One pooled browser whose tabs several scrapes share (a batch). `get()` resolves with the lease,
+ * leasing another browser once the current one crashed or disconnected, so the scrapes still to come
+ * don't fail with it. `close()` gives the lease back. `signal` aborts a pending acquire.
+ */
+export function createSharedLease(pool, { signal = null } = {}) {
+  let pending = null;
+
+  async function open() {
+    const lease = await pool.acquire({ signal });
+    // The scrapes open their own tabs: the lease's tab is not needed
+    await lease.page.close().catch(() => {});
+    return lease;
+  }
+
+  async function get() {
+    const current = pending;
+    const lease = current && await current.catch(() => null);
+    if (lease && lease.browser.connected !== false) return lease;
+    // Only the first caller to find the lease gone replaces it; the others wait for that one
+    if (pending === current) {
+      pending = open();
+      if (lease) await lease.destroy();
+    }
+    return pending;
+  }
+
+  async function close() {
+    const lease = pending && await pending.catch(() => null);
+    pending = null;
+    if (lease) await lease.release();
+  }
+
+  return { get, close };
+}
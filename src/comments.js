@@ -0,0 +1,93 @@
+// src/comments.js
+// Comment scraping for posts found by the pipeline
+import { sleep, closePostOverlay, parseDateToISO, gotoWithRetry, findPostArticle } from './utils.js';
+import { newScrapePage } from './login.js';
+import { getSelectorProfile, findFirst } from './selectors.js';
+import { extractComments, countComments, clickMoreComments, openCommentsOfArticle } from './extractors/comments.js';
+
+/**
+ * Canonical profile URL: drop tracking parameters, keep ?id= for profile.php links.
+ */
+export function canonicalProfileUrl(href) {
+  if (!href) return null;
+  try {
+    const url = new URL(href, 'https://www.facebook.com');
+    const id = url.pathname === '/profile.php' ? url.searchParams.get('id') : null;
+    return `https://www.facebook.com${url.pathname.replace(/\/+$/, '')}${id ? `?id=${id}` : ''}`;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeComment(c, dateOptions) {
+  return {
+    author_name: c.author_name,
+    author_url: canonicalProfileUrl(c.author_url),
+    text: c.text,
+    date: c.date,
+    dateISO: parseDateToISO(c.date, dateOptions),
+    reactions: c.reactions,
+    replies: (c.replies || []).map((r) => normalizeComment(r, dateOptions)),
+  };
+}
+
+/** Click "View more comments" until `limit` comments are rendered or nothing is left to expand */
+async function expandComments(root, { limit, maxClicks, delayMs, profile }) {
+  for (let i = 0; i < maxClicks; i++) {
+    const count = await root.evaluate(countComments, profile.inPage);
+    if (count >= limit) break;
+    const clicked = await root.evaluate(clickMoreComments, profile.inPage);
+    if (!clicked) break;
+    await sleep(delayMs);
+  }
+}
+
+/**
+ * Scrape up to `limit` comments (with nested replies) of one post.
+ * The post's article is looked up in the feed and its comments opened in the post overlay,
+ * which is closed again with closePostOverlay. When the article is gone from the feed
+ * (virtualized away while scrolling), the post permalink is opened in a separate tab instead.
+ * `timeZone`: IANA timezone the comment dates are shown in (see dates.js).
+ * `profile` / `report`: selector profile and drift report of the run (see selectors.js).
+ */
+export async function scrapePostComments(page, post, {
+  limit = 20, maxClicks = 10, delayMs = 1200, timeZone, profile = getSelectorProfile(), report = null,
+} = {}) {
+  const dateOptions = { now: Date.now(), timeZone };
+  const expand = { limit, maxClicks, delayMs, profile };
+  const article = post.post_id ? await findPostArticle(page, post.post_id, { profile }) : null;
+
+  if (article) {
+    try {
+      const opened = await article.evaluate(openCommentsOfArticle, profile.inPage);
+      if (opened) await sleep(delayMs);
+      // Not every post opens an overlay (comments can unfold in place), so a missing dialog isn't drift
+      const dialog = (await findFirst(page, profile, 'dialog'))?.handle;
+      const root = dialog || article;
+      try {
+        await expandComments(root, expand);
+        const raw = await page.evaluate(extractComments, root, limit, profile.inPage);
+        return raw.map((c) => normalizeComment(c, dateOptions));
+      } finally {
+        if (dialog) await closePostOverlay(page, { profile, report });
+      }
+    } finally {
+      await article.dispose();
+    }
+  }
+
+  if (!post.permalink) return [];
+
+  const postPage = await newScrapePage(page.browser());
+  try {
+    await gotoWithRetry(postPage, post.permalink, { waitUntil: 'networkidle2' });
+    await sleep(delayMs);
+    const root = (await findFirst(postPage, profile, 'dialog'))?.handle
+      || (await findFirst(postPage, profile, 'page.main', report))?.handle;
+    await expandComments(root, expand);
+    const raw = await postPage.evaluate(extractComments, root, limit, profile.inPage);
+    return raw.map((c) => normalizeComment(c, dateOptions));
+  } finally {
+    await postPage.close().catch(() => {});
+  }
+}
@@ -0,0 +1,89 @@
+// src/counts.js
+// Reaction, comment, share and follower counts as Facebook shows them ("1,234", "2.3K", "1,2 k",
+// "٢٫٨ ألف", "3,5 mil", "1.2 M") in any locale; the same parser runs in Node and inside the page
+
+/** Global the parser is installed as in every scrape page (see installCountParser) */
+const PAGE_GLOBAL = '__parseCount';
+
+/**
+ * Parse a count into an integer, or null when `text` holds no number.
+ * - digits: Latin, Arabic-Indic (٠-٩) and Persian (۰-۹, with "هزار"/"میلیون")
+ * - separators: "1,234", "1.234", "1 234" (also NBSP), "1٬234"; decimals "2.3K", "1,2 k", "٢٫٨"
+ * - magnitudes: K/M/B, "thousand"/"million"/"billion", Arabic "ألف"/"آلاف"/"مليون"/"مليار",
+ *   French "k"/"M"/"Md"/"mille"/"million"/"milliard", Spanish/Portuguese "mil"/"M"/"millón"/"mil millones"
+ * - ranges ("1K–5K", "١-٥ آلاف") give their lower bound
+ * The first number in `text` wins ("Like: 120 people" -> 120).
+ *
+ * Runs inside the browser too (installCountParser serializes it), so it must stay self-contained:
+ * no imports, no references to module scope.
+ */
+export function parseCount(text) {
+  if (text == null) return null;
+  const MAGNITUDES = [
+    ['mil millones', 1e9], ['millones', 1e6], ['millón', 1e6], ['millon', 1e6], ['milhões', 1e6], ['milhão', 1e6],
+    ['milliards', 1e9], ['milliard', 1e9], ['millions', 1e6], ['million', 1e6], ['billions', 1e9], ['billion', 1e9],
+    ['thousand', 1e3], ['mille', 1e3], ['mil', 1e3], ['mrd', 1e9], ['md', 1e9], ['bn', 1e9],
+    ['k', 1e3], ['m', 1e6], ['b', 1e9],
+    ['آلاف', 1e3], ['الاف', 1e3], ['ألف', 1e3], ['الف', 1e3],
+    ['ملايين', 1e6], ['مليون', 1e6], ['مليارات', 1e9], ['مليار', 1e9],
+    ['هزار', 1e3], ['میلیون', 1e6], ['میلیارد', 1e9],
+  ];
+  const magnitudeRx = new RegExp(`^\\s*(${MAGNITUDES.map(([word]) => word).join('|')})\\.?(?![\\p{L}])`, 'u');
+  // A number: digit groups joined by separators (spaces only before a 3-digit group)
+  const numberRx = /\d+(?:(?:[.,'\u2019]|[ \u00a0\u202f\u2009](?=\d{3}(?!\d)))\d+)*/;
+  const rangeRx = /^\s*(?:[-–—~]|to|à|a|إلى|الى)\s*(?=\d)/u;
+
+  const s = String(text)
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0))
+    .replace(/٫/g, '.')
+    .replace(/٬/g, ',')
+    .toLowerCase();
+
+  /** { value, factor, end } of the number starting the search at `from`, or null */
+  const readNumber = (from) => {
+    const m = s.slice(from).match(numberRx);
+    if (!m) return null;
+    const end = from + m.index + m[0].length;
+    const mag = s.slice(end).match(magnitudeRx);
+    const factor = mag ? MAGNITUDES.find(([word]) => word === mag[1])[1] : 1;
+
+    const groups = m[0].split(/[^\d]/);
+    const seps = m[0].replace(/\d/g, '').split('');
+    const marks = seps.filter((c) => c === '.' || c === ',');
+    let decimalAt = -1;
+    if (new Set(marks).size > 1) {
+      // "1,234.5" / "1.234,5": the last mark is the decimal point
+      decimalAt = seps.lastIndexOf(marks[marks.length - 1]);
+    } else if (marks.length === 1) {
+      const after = groups[seps.lastIndexOf(marks[0]) + 1];
+      // "1,234" is a thousand separator, "2.3K" / "1,2 k" / "1,5" a decimal one
+      if (after.length !== 3 || factor > 1) decimalAt = seps.lastIndexOf(marks[0]);
+    }
+    const digits = decimalAt === -1
+      ? groups.join('')
+      : `${groups.slice(0, decimalAt + 1).join('')}.${groups.slice(decimalAt + 1).join('')}`;
+    return { value: parseFloat(digits), factor, end: end + (mag ? mag[0].length : 0) };
+  };
+
+  const first = readNumber(0);
+  if (!first) return null;
+  let { factor } = first;
+  // "1–5K": the magnitude after the range applies to both ends
+  if (factor === 1 && rangeRx.test(s.slice(first.end))) {
+    const second = readNumber(first.end);
+    if (second) factor = second.factor;
+  }
+  const n = Math.round(first.value * factor);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Make parseCount available to the in-page extractors as window.__parseCount, in the current
+ * document and every document the page loads from now on.
+ */
+export async function installCountParser(page) {
+  const script = `window.${PAGE_GLOBAL} = ${parseCount.toString()};`;
+  await page.evaluateOnNewDocument(script);
+  await page.evaluate(script);
+}
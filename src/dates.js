@@ -0,0 +1,234 @@
+// src/dates.js
+// Facebook post and comment dates ("3h", "Yesterday at 3:15 PM", "14 septembre 2023", "١٤ أيلول الساعة ٦:٠٠ م")
+// in Arabic, English and French, resolved against a reference time in an IANA timezone
+
+/**
+ * How exactly a parsed date pins the moment:
+ * - minute: a clock time was shown ("Yesterday at 3:15 PM") or the post is minutes old
+ * - hour: "3h" - right to the hour
+ * - day: the calendar day is known ("2d", "14 September 2023"); the time of day is not
+ * - estimated: weeks, months or years ago - only roughly placed
+ */
+export const DATE_PRECISIONS = ['minute', 'hour', 'day', 'estimated'];
+
+const MONTHS = {
+  // English
+  january: 0, jan: 0, february: 1, feb: 1, march: 2, mar: 2, april: 3, apr: 3, may: 4, june: 5, jun: 5,
+  july: 6, jul: 6, august: 7, aug: 7, september: 8, sept: 8, sep: 8, october: 9, oct: 9,
+  november: 10, nov: 10, december: 11, dec: 11,
+  // French
+  janvier: 0, janv: 0, 'février': 1, fevrier: 1, 'févr': 1, mars: 2, avril: 3, avr: 3, mai: 4, juin: 5,
+  juillet: 6, juil: 6, 'août': 7, aout: 7, septembre: 8, octobre: 9, novembre: 10, 'décembre': 11, decembre: 11, 'déc': 11,
+  // Arabic (Egypt / Gulf)
+  'يناير': 0, 'فبراير': 1, 'مارس': 2, 'أبريل': 3, 'ابريل': 3, 'إبريل': 3, 'مايو': 4, 'يونيو': 5, 'يونيه': 5,
+  'يوليو': 6, 'يوليه': 6, 'أغسطس': 7, 'اغسطس': 7, 'سبتمبر': 8, 'أكتوبر': 9, 'اكتوبر': 9, 'نوفمبر': 10, 'ديسمبر': 11,
+  // Arabic (Levant / Iraq)
+  'كانون الثاني': 0, 'شباط': 1, 'آذار': 2, 'اذار': 2, 'نيسان': 3, 'أيار': 4, 'ايار': 4, 'حزيران': 5,
+  'تموز': 6, 'آب': 7, 'أيلول': 8, 'ايلول': 8, 'تشرين الأول': 9, 'تشرين الاول': 9,
+  'تشرين الثاني': 10, 'كانون الأول': 11, 'كانون الاول': 11,
+  // Arabic (Maghreb)
+  'جانفي': 0, 'فيفري': 1, 'أفريل': 3, 'افريل': 3, 'ماي': 4, 'جوان': 5, 'جويلية': 6, 'أوت': 7, 'اوت': 7,
+};
+
+const WEEKDAYS = {
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+  dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6,
+  'الأحد': 0, 'الاحد': 0, 'الاثنين': 1, 'الإثنين': 1, 'الثلاثاء': 2, 'الأربعاء': 3, 'الاربعاء': 3,
+  'الخميس': 4, 'الجمعة': 5, 'السبت': 6,
+};
+
+/** Relative units after a count ("3h", "5 mins", "il y a 2 jours", "٣ ساعات"): [unit, words, precision] */
+const UNITS = [
+  ['minute', ['minutes', 'minute', 'mins', 'min', 'mn', 'm', 'دقائق', 'دقيقة', 'د'], 'minute'],
+  ['hour', ['hours', 'hour', 'hrs', 'hr', 'heures', 'heure', 'h', 'ساعات', 'ساعة', 'سا', 'س'], 'hour'],
+  ['day', ['days', 'day', 'jours', 'jour', 'j', 'd', 'أيام', 'ايام', 'يوم', 'ي'], 'day'],
+  ['week', ['weeks', 'week', 'wks', 'wk', 'w', 'semaines', 'semaine', 'sem', 'أسابيع', 'اسابيع', 'أسبوع', 'اسبوع'], 'estimated'],
+  ['month', ['months', 'month', 'mos', 'mo', 'mois', 'أشهر', 'اشهر', 'شهور', 'شهر'], 'estimated'],
+  ['year', ['years', 'year', 'yrs', 'yr', 'y', 'ans', 'an', 'سنوات', 'سنين', 'سنة', 'أعوام', 'عام'], 'estimated'],
+];
+const PRECISION_OF = Object.fromEntries(UNITS.map(([unit, , precision]) => [unit, precision]));
+const UNIT_OF = new Map(UNITS.flatMap(([unit, words]) => words.map((word) => [word, unit])));
+
+/**
+ * Units that carry their own count: "an hour ago", "منذ ساعة" (1) and the Arabic duals, "ساعتين" (2).
+ * Bare "عام" is left out: it is also "Public" next to the date.
+ */
+const COUNTED_WORDS = {
+  minute: { minute: 1, 'دقيقة': 1, 'دقيقتين': 2, 'دقيقتان': 2 },
+  hour: { hour: 1, heure: 1, 'ساعة': 1, 'ساعتين': 2, 'ساعتان': 2 },
+  day: { day: 1, jour: 1, 'يوم': 1, 'يومين': 2, 'يومان': 2 },
+  week: { week: 1, semaine: 1, 'أسبوع': 1, 'اسبوع': 1, 'أسبوعين': 2, 'اسبوعين': 2 },
+  month: { month: 1, mois: 1, 'شهر': 1, 'شهرين': 2 },
+  year: { year: 1, 'سنة': 1, 'سنتين': 2, 'عامين': 2 },
+};
+const WORD_OF = new Map(Object.entries(COUNTED_WORDS).flatMap(([unit, words]) => (
+  Object.entries(words).map(([word, count]) => [word, { unit, count }])
+)));
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const alternation = (words) => [...words].sort((a, b) => b.length - a.length).map(escape).join('|');
+
+// Letters (any script) and digits must not touch the words we match: \b does not work around Arabic letters
+const WORD_START = '(?<![\\p{L}\\d])';
+const WORD_END = '(?![\\p{L}])';
+
+const MONTH_RX = alternation(Object.keys(MONTHS));
+const DAY_FIRST = new RegExp(`${WORD_START}(\\d{1,2})(?:er)?\\s+(${MONTH_RX})\\.?${WORD_END}(?:,?\\s+(\\d{4}))?`, 'u');
+const MONTH_FIRST = new RegExp(`${WORD_START}(${MONTH_RX})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?${WORD_END}(?:,?\\s+(\\d{4}))?`, 'u');
+const TIME = new RegExp(
+  `${WORD_START}(\\d{1,2})(?:\\s*[:h]\\s*(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.|صباحًا|صباحا|مساءً|مساء|ص|م)?${WORD_END}`,
+  'gu',
+);
+const RELATIVE = new RegExp(`${WORD_START}(\\d+)\\s*(${alternation(UNIT_OF.keys())})\\.?${WORD_END}`, 'u');
+const RELATIVE_WORD = new RegExp(`${WORD_START}(?:(?:an?|une?|un) )?(${alternation(WORD_OF.keys())})${WORD_END}`, 'u');
+const WEEKDAY = new RegExp(`${WORD_START}(${alternation(Object.keys(WEEKDAYS))})${WORD_END}`, 'u');
+const YESTERDAY = new RegExp(`${WORD_START}(?:yesterday|hier|أمس|امس|الأمس|البارحة)${WORD_END}`, 'u');
+const TODAY = new RegExp(`${WORD_START}(?:today|aujourd'hui|اليوم)${WORD_END}`, 'u');
+const JUST_NOW = /^(?:just now|now|à l'instant|a l'instant|maintenant|الآن|الان|للتو|الآن فقط|منذ لحظات)$/u;
+
+/** Latin digits, lower case, plain apostrophes and single spaces */
+function normalize(text) {
+  return String(text)
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0))
+    .replace(/[‘’ʼ]/g, "'")
+    .replace(/[‎‏؜]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/** True for an IANA timezone name the runtime knows ("Asia/Riyadh", "UTC", ...) */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Wall-clock { year, month (0-11), day, hour, minute, second } of instant `ms` in `timeZone` */
+function wallClock(ms, timeZone) {
+  const parts = Object.fromEntries(formatter(timeZone).formatToParts(ms).map((p) => [p.type, Number(p.value)]));
+  return { year: parts.year, month: parts.month - 1, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/** Instant of a wall-clock time in `timeZone` (days and months may overflow, like Date.UTC) */
+function fromWallClock({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month, day, hour, minute);
+  const offsetAt = (ms) => {
+    const w = wallClock(ms, timeZone);
+    return Date.UTC(w.year, w.month, w.day, w.hour, w.minute, w.second) - Math.floor(ms / 1000) * 1000;
+  };
+  // Twice: around a DST change the offset at the first guess may not be the offset at the answer
+  return asUtc - offsetAt(asUtc - offsetAt(asUtc));
+}
+
+/** 24-hour { hour, minute } of the first clock time in `text`, or null */
+function findTime(text) {
+  for (const [, h, min, period] of text.matchAll(TIME)) {
+    // A bare number is a day, a year or a count, not a time
+    if (min === undefined && !period) continue;
+    let hour = parseInt(h, 10);
+    const minute = min === undefined ? 0 : parseInt(min, 10);
+    if (period) {
+      if (hour > 12) continue;
+      hour = (hour % 12) + (/^(?:pm|p\.m\.|م|مساء|مساءً)$/.test(period) ? 12 : 0);
+    }
+    if (hour < 24 && minute < 60) return { hour, minute };
+  }
+  return null;
+}
+
+/**
+ * Parse a date as Facebook shows it.
+ * - `now`: reference time (ms or Date) that relative dates count back from; defaults to the current time
+ * - `timeZone`: IANA timezone the dates are shown in (the scraping account's); defaults to the server's
+ *
+ * Returns { iso, precision } (see DATE_PRECISIONS) or null when the text is not a date.
+ * Relative dates ("3h", "2 weeks ago") count back from `now`; calendar days without a time are
+ * midnight in `timeZone`; dates without a year are within the last twelve months.
+ */
+export function parseFacebookDate(text, { now = Date.now(), timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone } = {}) {
+  if (!text) return null;
+  const s = normalize(text);
+  if (!s) return null;
+  const ref = now instanceof Date ? now.getTime() : now;
+  const result = (ms, precision) => (Number.isFinite(ms) ? { iso: new Date(ms).toISOString(), precision } : null);
+
+  // Already ISO (e.g. from a data-utime attribute)
+  if (/^\d{4}-\d{2}-\d{2}t\d{2}:/.test(s)) return result(Date.parse(text), 'minute');
+
+  if (JUST_NOW.test(s)) return result(ref, 'minute');
+
+  const today = wallClock(ref, timeZone);
+  const time = findTime(s);
+  const onDay = (year, month, day) => (time
+    ? result(fromWallClock({ year, month, day, ...time }, timeZone), 'minute')
+    : result(fromWallClock({ year, month, day }, timeZone), 'day'));
+
+  // "14 September 2023", "September 14 at 6:00 PM", "14 أيلول الساعة 6:00 م"
+  // Checked before relative units: "14 سبتمبر" would otherwise read as "14 س" (hours)
+  const absolute = s.match(DAY_FIRST) || s.match(MONTH_FIRST);
+  if (absolute) {
+    const dayFirst = /^\d/.test(absolute[1]);
+    const day = parseInt(dayFirst ? absolute[1] : absolute[2], 10);
+    const month = MONTHS[dayFirst ? absolute[2] : absolute[1]];
+    let year = absolute[3] ? parseInt(absolute[3], 10) : today.year;
+    if (day >= 1 && day <= 31) {
+      // Facebook leaves the year out for recent dates: a day still ahead of us is from last year
+      if (!absolute[3] && Date.UTC(year, month, day) > Date.UTC(today.year, today.month, today.day)) year -= 1;
+      return onDay(year, month, day);
+    }
+  }
+
+  if (YESTERDAY.test(s)) return onDay(today.year, today.month, today.day - 1);
+  if (TODAY.test(s)) return onDay(today.year, today.month, today.day);
+
+  // "Monday at 3:15 PM": the last such day before today
+  const weekday = s.match(WEEKDAY);
+  if (weekday) {
+    const current = new Date(Date.UTC(today.year, today.month, today.day)).getUTCDay();
+    const back = ((current - WEEKDAYS[weekday[1]] + 7) % 7) || 7;
+    return onDay(today.year, today.month, today.day - back);
+  }
+
+  const counted = s.match(RELATIVE);
+  const word = counted ? null : s.match(RELATIVE_WORD);
+  if (counted || word) {
+    const { unit, count } = counted ? { unit: UNIT_OF.get(counted[2]), count: parseInt(counted[1], 10) } : WORD_OF.get(word[1]);
+    const precision = PRECISION_OF[unit];
+    if (unit === 'minute') return result(ref - count * MINUTE, precision);
+    if (unit === 'hour') return result(ref - count * HOUR, precision);
+    if (unit === 'day') return result(ref - count * DAY, precision);
+    if (unit === 'week') return result(ref - count * 7 * DAY, precision);
+    const back = unit === 'month' ? { month: today.month - count } : { year: today.year - count };
+    return result(fromWallClock({ ...today, ...back }, timeZone), precision);
+  }
+
+  return null;
+}
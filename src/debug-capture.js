@@ -0,0 +1,324 @@
+// src/debug-capture.js
+// Debug capture: records the page console and network traffic while a scrape runs, and on failure (or always in
+// debug mode) saves a screenshot, DOM snapshots, the console log and a HAR into outputs/runs/<runId>/
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { errorCode } from './errors.js';
+
+/** DEBUG_CAPTURE values: never capture, capture failed runs (the default) or capture every run */
+export const DEBUG_MODES = ['off', 'on-failure', 'always'];
+
+export const DEFAULT_RUNS_DIR = fileURLToPath(new URL('../outputs/runs/', import.meta.url));
+
+/** Run ids double as folder names: job ids, "<jobId>-<pageIndex>" for batch pages */
+export const RUN_ID = /^[\w-]{1,100}$/;
+
+/** Files a capture can write, in listing order, with their content type (nothing else is ever served) */
+export const ARTIFACTS = {
+  'run.json': 'application/json',
+  'screenshot.png': 'image/png',
+  'page.html': 'text/html',
+  'articles.html': 'text/html',
+  'console.log': 'text/plain',
+  'network.har': 'application/json',
+};
+
+/** Folder holding one artifact folder per run: RUNS_DIR, else outputs/runs/ */
+export function runsDir() {
+  return process.env.RUNS_DIR || DEFAULT_RUNS_DIR;
+}
+
+// Session cookies and tokens never end up on disk
+const REDACTED_HEADERS = new Set(['cookie', 'set-cookie', 'authorization', 'proxy-authorization']);
+
+const harHeaders = (headers = {}) => Object.entries(headers).map(([name, value]) => ({
+  name,
+  value: REDACTED_HEADERS.has(name.toLowerCase()) ? '[redacted]' : String(value),
+}));
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * HAR 1.2 log of recorded requests ({ startedAt, finishedAt, method, url, headers, bodySize, resourceType,
+ * status, statusText, responseHeaders, failure }). Bodies are not recorded; requests that never finished
+ * have a time of 0 and failed ones carry `_error`.
+ */
+export function toHar(requests, { creator = { name: 'facebook-scraper', version: '1.0.0' } } = {}) {
+  return {
+    log: {
+      version: '1.2',
+      creator,
+      pages: [],
+      entries: requests.map((r) => {
+        const time = r.finishedAt != null ? Math.max(0, r.finishedAt - r.startedAt) : 0;
+        const responseHeaders = r.responseHeaders ?? {};
+        return {
+          startedDateTime: new Date(r.startedAt).toISOString(),
+          time,
+          request: {
+            method: r.method,
+            url: r.url,
+            httpVersion: '',
+            cookies: [],
+            headers: harHeaders(r.headers),
+            queryString: queryString(r.url),
+            headersSize: -1,
+            bodySize: r.bodySize ?? 0,
+          },
+          response: {
+            status: r.status ?? 0,
+            statusText: r.statusText ?? '',
+            httpVersion: '',
+            cookies: [],
+            headers: harHeaders(responseHeaders),
+            content: {
+              size: parseInt(responseHeaders['content-length'], 10) || 0,
+              mimeType: responseHeaders['content-type'] ?? '',
+            },
+            redirectURL: responseHeaders.location ?? '',
+            headersSize: -1,
+            bodySize: -1,
+          },
+          cache: {},
+          timings: { send: 0, wait: time, receive: 0 },
+          _resourceType: r.resourceType ?? null,
+          ...(r.failure ? { _error: r.failure } : {}),
+        };
+      }),
+    },
+  };
+}
+
+/** Console messages ({ at, type, text, location }) as log lines */
+export function formatConsole(messages) {
+  return messages
+    .map((m) => `${m.at} [${m.type}] ${m.text}${m.location ? ` (${m.location})` : ''}`)
+    .join('\n') + (messages.length ? '\n' : '');
+}
+
+const escapeHtml = (s) => String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+/**
+ * Standalone document with the serialized articles in a feed, shaped like the files in test/fixtures/
+ * (so a capture can become a fixture as is)
+ */
+export function articlesDocument({ lang = '', title = '', html = [] }) {
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(lang)}">`,
+    '<head>',
+    '  <meta charset="utf-8">',
+    `  <title>${escapeHtml(title)}</title>`,
+    '</head>',
+    '<body>',
+    '  <div role="main">',
+    '    <div role="feed">',
+    ...html,
+    '    </div>',
+    '  </div>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * In-page: outerHTML of every top-level article (comments are articles too and come along inside their post),
+ * without scripts. Self-contained: runs in the browser through page.evaluate.
+ */
+export function serializeArticles(articleSelectors) {
+  const selector = articleSelectors.join(', ');
+  const nodes = [...document.querySelectorAll(selector)].filter((node) => !node.parentElement?.closest(selector));
+  return {
+    lang: document.documentElement.lang || '',
+    title: document.title || '',
+    html: nodes.map((node) => {
+      const clone = node.cloneNode(true);
+      clone.querySelectorAll('script').forEach((s) => s.remove());
+      return clone.outerHTML;
+    }),
+  };
+}
+
+/**
+ * Record the console and network of `page` from now on (at most `maxRequests` requests and `maxMessages`
+ * console messages; the rest is counted as dropped). stop() detaches the listeners: pooled pages outlive the scrape.
+ */
+export function createDebugRecorder(page, { maxRequests = 5000, maxMessages = 2000 } = {}) {
+  const messages = [];
+  const requests = [];
+  const byRequest = new Map();
+  const dropped = { requests: 0, messages: 0 };
+
+  const log = (entry) => {
+    if (messages.length >= maxMessages) dropped.messages += 1;
+    else messages.push({ at: new Date().toISOString(), ...entry });
+  };
+
+  const listeners = {
+    console: (msg) => log({ type: msg.type(), text: msg.text(), location: msg.location()?.url ?? null }),
+    pageerror: (err) => log({ type: 'pageerror', text: err.message ?? String(err), location: null }),
+    request: (request) => {
+      if (requests.length >= maxRequests) {
+        dropped.requests += 1;
+        return;
+      }
+      const record = {
+        startedAt: Date.now(),
+        finishedAt: null,
+        method: request.method(),
+        url: request.url(),
+        headers: request.headers(),
+        bodySize: request.postData()?.length ?? 0,
+        resourceType: request.resourceType(),
+        status: null,
+        statusText: null,
+        responseHeaders: null,
+        failure: null,
+      };
+      requests.push(record);
+      byRequest.set(request, record);
+    },
+    response: (response) => {
+      const record = byRequest.get(response.request());
+      if (!record) return;
+      record.status = response.status();
+      record.statusText = response.statusText();
+      record.responseHeaders = response.headers();
+    },
+    requestfinished: (request) => {
+      const record = byRequest.get(request);
+      if (!record) return;
+      record.finishedAt = Date.now();
+      byRequest.delete(request);
+    },
+    requestfailed: (request) => {
+      const record = byRequest.get(request);
+      if (!record) return;
+      record.finishedAt = Date.now();
+      record.failure = request.failure()?.errorText ?? 'failed';
+      byRequest.delete(request);
+    },
+  };
+  for (const [event, listener] of Object.entries(listeners)) page.on(event, listener);
+
+  return {
+    messages: () => messages,
+    requests: () => requests,
+    dropped: () => ({ ...dropped }),
+    stop() {
+      for (const [event, listener] of Object.entries(listeners)) page.off(event, listener);
+    },
+  };
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Save the artifacts of one run into <dir>/<runId>/: screenshot.png (full page), page.html (the serialized DOM),
+ * articles.html (see articlesDocument), console.log, network.har and run.json, which describes the capture
+ * ({ runId, reason, pageUrl, url, stage, error, selectorProfile, dropped, capturedAt, files }) and is returned.
+ * Every artifact is best effort (a crashed page still leaves its console and network); older run folders
+ * beyond `keep` are removed afterwards.
+ */
+export async function captureDebugArtifacts(page, recorder, {
+  runId,
+  reason,
+  pageUrl = null,
+  stage = null,
+  error = null,
+  profile,
+  dir = runsDir(),
+  keep = 50,
+  timeoutMs = 20000,
+}) {
+  if (!RUN_ID.test(runId)) throw new Error(`Invalid run id: ${runId}`);
+  const runDir = path.join(dir, runId);
+  await fs.mkdir(runDir, { recursive: true });
+
+  const files = [];
+  const save = async (name, produce) => {
+    try {
+      await fs.writeFile(path.join(runDir, name), await withTimeout(produce(), timeoutMs, name));
+      files.push(name);
+    } catch (err) {
+      console.warn(`[Debug] ⚠️ Could not capture ${name}: ${err.message.split('\n')[0]}`);
+    }
+  };
+
+  const pageOpen = !!page && !page.isClosed();
+  if (pageOpen) {
+    await save('screenshot.png', () => page.screenshot({ fullPage: true }));
+    await save('page.html', () => page.content());
+    await save('articles.html', async () => articlesDocument(
+      await page.evaluate(serializeArticles, profile.selectors('feed.article')),
+    ));
+  }
+  if (recorder) {
+    await save('console.log', async () => formatConsole(recorder.messages()));
+    await save('network.har', async () => JSON.stringify(toHar(recorder.requests()), null, 2));
+  }
+
+  const run = {
+    runId,
+    reason,
+    pageUrl,
+    url: pageOpen ? page.url() : null,
+    stage,
+    error: error ? { code: errorCode(error), message: error.message } : null,
+    selectorProfile: profile?.version ?? null,
+    dropped: recorder ? recorder.dropped() : null,
+    capturedAt: new Date().toISOString(),
+    files: ['run.json', ...files],
+  };
+  await fs.writeFile(path.join(runDir, 'run.json'), JSON.stringify(run, null, 2));
+  console.log(`[Debug] 📸 Saved ${run.files.length} artifacts of run ${runId} (${reason}) into ${runDir}`);
+
+  await pruneRuns(dir, keep).catch((err) => console.warn('[Debug] ⚠️ Could not prune old runs:', err.message));
+  return run;
+}
+
+/** Remove the oldest run folders of `dir` beyond the newest `keep` */
+export async function pruneRuns(dir, keep) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const runs = await Promise.all(entries
+    .filter((e) => e.isDirectory() && RUN_ID.test(e.name))
+    .map(async (e) => ({ name: e.name, mtime: (await fs.stat(path.join(dir, e.name))).mtimeMs })));
+  runs.sort((a, b) => b.mtime - a.mtime);
+  for (const run of runs.slice(keep)) {
+    await fs.rm(path.join(dir, run.name), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Artifacts saved for `runId` ([{ name, contentType, size, modifiedAt }] in ARTIFACTS order),
+ * or null when the run has none
+ */
+export async function listRunArtifacts(runId, { dir = runsDir() } = {}) {
+  if (!RUN_ID.test(runId)) return null;
+  const names = await fs.readdir(path.join(dir, runId)).catch((err) => {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+    throw err;
+  });
+  if (!names) return null;
+  const artifacts = [];
+  for (const name of Object.keys(ARTIFACTS)) {
+    if (!names.includes(name)) continue;
+    const stat = await fs.stat(path.join(dir, runId, name));
+    artifacts.push({ name, contentType: ARTIFACTS[name], size: stat.size, modifiedAt: stat.mtime.toISOString() });
+  }
+  return artifacts;
+}
@@ -0,0 +1,74 @@
+// src/errors.js
+// Typed errors: every failure the API reports carries a code that maps to an HTTP status
+
+/**
+ * Error codes with their HTTP status. Scrape failures (thrown by login.js and the pipeline stages)
+ * come first, then the API's own request errors.
+ */
+export const ERROR_CODES = {
+  LOGIN_FAILED: { status: 502, description: 'Facebook rejected the credentials or the login could not complete' },
+  CHECKPOINT_REQUIRED: {
+    status: 503,
+    description: 'Facebook wants a security check (checkpoint, 2FA, identity confirmation) or locked the account; details.state says which',
+  },
+  PAGE_NOT_FOUND: { status: 404, description: 'The Facebook page does not exist or was removed' },
+  CONTENT_UNAVAILABLE: { status: 403, description: 'The page exists but the scraping account cannot see it' },
+  NAVIGATION_TIMEOUT: { status: 504, description: 'Facebook did not load in time' },
+  RATE_LIMITED: { status: 429, description: 'Facebook temporarily blocked the account; retry later' },
+  EXTRACTION_EMPTY: { status: 502, description: 'The page loaded but no posts could be read from it' },
+  NO_ACCOUNT_AVAILABLE: { status: 503, description: 'Every Facebook account is rate limited, logged out or at a checkpoint' },
+
+  INVALID_REQUEST: { status: 400, description: 'The request body or query does not match the schema' },
+  UNAUTHORIZED: { status: 401, description: 'Missing, invalid or revoked API key' },
+  FORBIDDEN: { status: 403, description: 'The API key is not allowed to do this' },
+  NOT_FOUND: { status: 404, description: 'No such job, schedule, delivery, key, account, page, post or run artifact' },
+  CONFLICT: { status: 409, description: 'The resource is not in a state that allows this' },
+  INVALID_SELECTOR_PROFILE: { status: 422, description: 'The selector profile file is not valid; the previous profile stays in use' },
+  JOB_CANCELLED: { status: 410, description: 'The job was cancelled before it finished' },
+  TOO_MANY_REQUESTS: { status: 429, description: 'API key rate limit or daily scrape quota exceeded' },
+  FEATURE_DISABLED: { status: 503, description: 'The feature is not configured on this server' },
+  INTERNAL_ERROR: { status: 500, description: 'Unexpected error' },
+};
+
+/**
+ * Error with a code from ERROR_CODES and optional machine-readable `details`.
+ */
+export class ScraperError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'ScraperError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.details = details;
+  }
+
+  get status() {
+    return ERROR_CODES[this.code].status;
+  }
+}
+
+/** Code of any error: its own when it is a known one, otherwise NAVIGATION_TIMEOUT for timeouts or INTERNAL_ERROR */
+export function errorCode(err) {
+  if (err?.code && ERROR_CODES[err.code]) return err.code;
+  if (err?.name === 'TimeoutError') return 'NAVIGATION_TIMEOUT';
+  return 'INTERNAL_ERROR';
+}
+
+/** HTTP status of any error (500 for unknown ones) */
+export function httpStatus(err) {
+  return ERROR_CODES[errorCode(err)].status;
+}
+
+/**
+ * Response body of an error: { success: false, code, error, details? }.
+ * `includeStack` adds the stack of unexpected (INTERNAL_ERROR) errors, for development.
+ */
+export function errorResponse(err, { includeStack = false } = {}) {
+  const code = errorCode(err);
+  return {
+    success: false,
+    code,
+    error: err.message,
+    details: err.details ?? undefined,
+    stack: includeStack && code === 'INTERNAL_ERROR' ? err.stack : undefined,
+  };
+}
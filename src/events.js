@@ -0,0 +1,53 @@
+// src/events.js
+// Structured progress events emitted while a scrape runs (streamed to clients over SSE)
+
+/**
+ * Event types, in the order a scrape usually emits them. Every event is { type, at, ...data }:
+ * - login-started { reason: "cookies"|"credentials", account }, login-state { state, account } (each login screen
+ *   seen, see extractors/login-state.js), cookies-valid { account }, cookies-invalid { account },
+ *   logged-in { confirmed, account, via: "cookies"|"credentials" } (account: name in the session store, see sessions.js)
+ * - session-ready { source: "login"|"pool"|"shared", account }
+ * - stage-started { stage }
+ * - navigated { url, postsTab }
+ * - scroll-iteration { iteration, articles, postsTarget }
+ * - stall-detected { stalls, limit, articles }
+ * - cutoff-reached { postId, reason }
+ * - feed-loaded { articles, reason: "target"|"stalled"|"cutoff"|"max-loops" }
+ * - extraction-done { posts, articles, skipped }
+ * - debug-captured { runId, reason: "debug"|"failure", files } (artifacts saved, see debug-capture.js)
+ * - done { posts }
+ * - error { code, message } (code from errors.js)
+ */
+export const SCRAPE_EVENTS = [
+  'login-started',
+  'login-state',
+  'cookies-valid',
+  'cookies-invalid',
+  'logged-in',
+  'session-ready',
+  'stage-started',
+  'navigated',
+  'scroll-iteration',
+  'stall-detected',
+  'cutoff-reached',
+  'feed-loaded',
+  'extraction-done',
+  'debug-captured',
+  'done',
+  'error',
+];
+
+/**
+ * Build an `emit(type, data)` function around an optional `onEvent` listener.
+ * A throwing listener never breaks the scrape.
+ */
+export function createEmitter(onEvent) {
+  return (type, data = {}) => {
+    if (!onEvent) return;
+    try {
+      onEvent({ type, at: new Date().toISOString(), ...data });
+    } catch (err) {
+      console.warn(`[Scraper] ⚠️ Event listener failed on ${type}:`, err.message);
+    }
+  };
+}
@@ -0,0 +1,128 @@
+// src/exports.js
+// Scrape results as JSON, CSV, NDJSON or XLSX (HTTP responses and files in outputs/)
+import ExcelJS from 'exceljs';
+import { REACTION_TYPES } from './reactions.js';
+
+/** Supported formats with their file extension and Content-Type */
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+/** One spreadsheet column per post field: [header, value(post)] */
+const POST_COLUMNS = [
+  ['id', (p) => p.id],
+  ['post_id', (p) => p.post_id],
+  ['permalink', (p) => p.permalink],
+  ['date', (p) => p.date],
+  ['date_iso', (p) => p.dateISO],
+  ['date_precision', (p) => p.date_precision],
+  ['post_type', (p) => p.post_type],
+  ['text', (p) => p.text],
+  ['reactions', (p) => p.reactions],
+  ...REACTION_TYPES.map((type) => [`reactions_${type}`, (p) => p.reactions_by_type?.[type] ?? null]),
+  ['reactions_breakdown_source', (p) => p.reactions_breakdown_source],
+  ['comments', (p) => p.comments],
+  ['shares', (p) => p.shares],
+  ['total_engagement', (p) => p.total_engagement],
+  ['media_count', (p) => p.media?.length ?? 0],
+  ['media_urls', (p) => (p.media || []).map((m) => m.url || m.page_url).filter(Boolean).join('\n') || null],
+  ['media_files', (p) => (p.media || []).map((m) => m.file).filter(Boolean).join('\n') || null],
+  ['shared_url', (p) => p.shared_url],
+  ['comments_scraped', (p) => (p.comments_list ? p.comments_list.length : null)],
+];
+
+/** Posts as rows of POST_COLUMNS values (null for missing values) */
+export function postRows(result) {
+  return result.posts.map((post) => POST_COLUMNS.map(([, value]) => value(post) ?? null));
+}
+
+/** [label, value] rows of the summary sheet */
+export function summaryRows(result) {
+  const { page, summary } = result;
+  return [
+    ['page_name', page.name],
+    ['page_url', page.url],
+    ['followers', page.followers],
+    ['likes', page.likes],
+    ['scraped_at', result.scraped_at],
+    ['total_posts', summary.total_posts],
+    ['total_reactions', summary.total_reactions],
+    ['total_comments', summary.total_comments],
+    ['total_shares', summary.total_shares],
+    ['avg_reactions', summary.avg_reactions],
+    ['avg_comments', summary.avg_comments],
+    ['avg_shares', summary.avg_shares],
+    ...REACTION_TYPES.map((type) => [`reactions_${type}`, summary.reactions_by_type?.[type] ?? 0]),
+    ...REACTION_TYPES.map((type) => [`reactions_share_${type}`, summary.reactions_share?.[type] ?? 0]),
+    ['best_post_id', summary.best_post?.id ?? null],
+    ['best_post_permalink', summary.best_post?.permalink ?? null],
+    ['best_post_engagement', summary.best_post?.total_engagement ?? null],
+  ].map(([label, value]) => [label, value ?? null]);
+}
+
+/**
+ * One CSV cell. Text starting with = + - @ is prefixed with ' so spreadsheet apps
+ * never run a post's text as a formula.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Posts as CSV: UTF-8 with a BOM (Excel then reads Arabic text correctly) and CRLF line endings */
+export function toCsv(result) {
+  const lines = [POST_COLUMNS.map(([header]) => header), ...postRows(result)]
+    .map((row) => row.map(csvCell).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/** One JSON line per post, each tagged with its page URL and scrape time */
+export function toNdjson(result) {
+  return result.posts
+    .map((post) => JSON.stringify({ page_url: result.page.url, scraped_at: result.scraped_at, ...post }))
+    .map((line) => `${line}\n`)
+    .join('');
+}
+
+/** Workbook with a "Posts" sheet (one row per post) and a "Summary" sheet */
+export async function toXlsx(result) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'facebook-scraper';
+  workbook.created = result.scraped_at ? new Date(result.scraped_at) : new Date();
+
+  const posts = workbook.addWorksheet('Posts', { views: [{ state: 'frozen', ySplit: 1 }] });
+  posts.columns = POST_COLUMNS.map(([header]) => ({
+    header,
+    key: header,
+    width: header === 'text' ? 80 : /url|permalink|files/.test(header) ? 45 : 16,
+  }));
+  posts.addRows(postRows(result));
+  posts.getRow(1).font = { bold: true };
+  posts.getColumn('text').alignment = { wrapText: true, vertical: 'top' };
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [{ header: 'metric', key: 'metric', width: 28 }, { header: 'value', key: 'value', width: 60 }];
+  summary.addRows(summaryRows(result));
+  summary.getRow(1).font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Render a scrape result (the canonical { page, posts, summary, scraped_at, ... } shape) in `format`.
+ * Resolves { body, contentType, extension } where body is a string, or a Buffer for xlsx.
+ */
+export async function exportResult(result, format = 'json') {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format} (known: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  const body = format === 'csv' ? toCsv(result)
+    : format === 'ndjson' ? toNdjson(result)
+    : format === 'xlsx' ? await toXlsx(result)
+    : JSON.stringify(result, null, 2);
+  return { body, ...spec };
+}
@@ -0,0 +1,160 @@
+// src/extraction-health.js
+// Extraction health: per-scrape quality metrics (how many articles became posts, how many posts have a
+// date or reactions) and a rolling monitor that flags a degraded state when Facebook's markup drifts
+
+/** Metrics checked against the thresholds: each one is a ratio between 0 and 1 */
+export const HEALTH_METRICS = ['postsPerArticle', 'withDate', 'withDateISO', 'withReactions'];
+
+export const DEFAULT_THRESHOLDS = {
+  postsPerArticle: 0.3,
+  withDate: 0.8,
+  withDateISO: 0.7,
+  withReactions: 0.3,
+};
+
+const ratio = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+/** { strategy: posts } of one engagement metric; posts without a strategy count as "none" */
+function countStrategies(posts, metric) {
+  const counts = {};
+  for (const post of posts) {
+    const strategy = post.engagement_source?.[metric] ?? 'none';
+    counts[strategy] = (counts[strategy] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Health metrics of one scrape: `articles` rendered when the posts were read, `postsRead` posts
+ * extracted from them (before deduplication and the incremental cutoff) and the kept `posts`.
+ * Ratios are null when there is nothing to divide by; `strategies` says which extraction strategy
+ * (see extractors/posts.js) produced each engagement metric, in number of posts.
+ */
+export function measureExtraction({ articles = null, postsRead = null, posts = [] }) {
+  const read = postsRead ?? posts.length;
+  return {
+    articles,
+    postsRead: read,
+    postsKept: posts.length,
+    postsPerArticle: articles == null ? null : ratio(read, articles),
+    withDate: ratio(posts.filter((p) => p.date).length, posts.length),
+    withDateISO: ratio(posts.filter((p) => p.dateISO).length, posts.length),
+    withReactions: ratio(posts.filter((p) => p.reactions > 0).length, posts.length),
+    strategies: {
+      reactions: countStrategies(posts, 'reactions'),
+      comments: countStrategies(posts, 'comments'),
+      shares: countStrategies(posts, 'shares'),
+    },
+  };
+}
+
+/**
+ * Thresholds from EXTRACTION_MIN_POSTS_PER_ARTICLE, EXTRACTION_MIN_WITH_DATE, EXTRACTION_MIN_WITH_DATE_ISO
+ * and EXTRACTION_MIN_WITH_REACTIONS (ratios between 0 and 1; 0 turns a check off), else the defaults
+ */
+export function thresholdsFromEnv(env = process.env) {
+  const names = {
+    postsPerArticle: 'EXTRACTION_MIN_POSTS_PER_ARTICLE',
+    withDate: 'EXTRACTION_MIN_WITH_DATE',
+    withDateISO: 'EXTRACTION_MIN_WITH_DATE_ISO',
+    withReactions: 'EXTRACTION_MIN_WITH_REACTIONS',
+  };
+  return Object.fromEntries(HEALTH_METRICS.map((metric) => {
+    const value = parseFloat(env[names[metric]]);
+    return [metric, value >= 0 && value <= 1 ? value : DEFAULT_THRESHOLDS[metric]];
+  }));
+}
+
+/** Metrics of `values` below their threshold (missing values are not judged) */
+function belowThresholds(values, thresholds) {
+  return HEALTH_METRICS.filter((metric) => values[metric] != null && values[metric] < thresholds[metric]);
+}
+
+/**
+ * Rolling extraction health over the last scrapes.
+ * record(result) takes a scrape result (meta.extraction, see pipeline.js) and recordFailure(pageUrl, err)
+ * an EXTRACTION_EMPTY failure (other errors say nothing about the extraction and are ignored).
+ * The state is "degraded" when the average of a metric over the last `window` runs is below its
+ * threshold, "ok" otherwise and "unknown" before the first run; every change is logged.
+ */
+export function createExtractionMonitor({ thresholds = DEFAULT_THRESHOLDS, window = 10, historySize = 200 } = {}) {
+  const history = [];
+  let runs = 0;
+  let state = 'unknown';
+  let since = null;
+
+  const averages = () => {
+    const recent = history.slice(-window);
+    return Object.fromEntries(HEALTH_METRICS.map((metric) => {
+      const values = recent.map((entry) => entry[metric]).filter((v) => v != null);
+      return [metric, values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 1000) / 1000 : null];
+    }));
+  };
+
+  function push(entry) {
+    history.push(entry);
+    if (history.length > historySize) history.shift();
+    runs += 1;
+
+    const avg = averages();
+    const below = belowThresholds(avg, thresholds);
+    const next = below.length ? 'degraded' : 'ok';
+    if (next !== state) {
+      if (next === 'degraded') {
+        const why = below.map((m) => `${m} ${avg[m]} < ${thresholds[m]}`).join(', ');
+        console.warn(`[Extraction] ⚠️ Degraded over the last ${Math.min(window, history.length)} runs: ${why}`);
+      } else if (state === 'degraded') {
+        console.log('[Extraction] ✅ Recovered: every metric is back above its threshold');
+      }
+      state = next;
+      since = entry.at;
+    }
+    return entry;
+  }
+
+  return {
+    record(result) {
+      const extraction = result.meta?.extraction;
+      if (!extraction) return null;
+      return push({
+        pageUrl: result.page?.url ?? null,
+        at: result.scraped_at ?? new Date().toISOString(),
+        ...extraction,
+        below: belowThresholds(extraction, thresholds),
+        selectorDrift: result.meta.selectors?.drift ?? [],
+        error: null,
+      });
+    },
+
+    recordFailure(pageUrl, err) {
+      if (err?.code !== 'EXTRACTION_EMPTY') return null;
+      // Nothing could be read: the feed itself is what broke
+      const extraction = { ...measureExtraction({ articles: err.details?.loadedArticles ?? null, postsRead: 0 }), postsPerArticle: 0 };
+      return push({
+        pageUrl,
+        at: new Date().toISOString(),
+        ...extraction,
+        below: belowThresholds(extraction, thresholds),
+        selectorDrift: [],
+        error: err.code,
+      });
+    },
+
+    /** { state, since, runs, thresholds, window: { runs, averages, below }, history } (newest first, up to `limit`) */
+    status({ limit = 50 } = {}) {
+      const avg = averages();
+      return {
+        state,
+        since,
+        runs,
+        thresholds: { ...thresholds },
+        window: { runs: Math.min(window, history.length), averages: avg, below: belowThresholds(avg, thresholds) },
+        history: history.slice(-limit).reverse(),
+      };
+    },
+
+    stats() {
+      return { state, runs };
+    },
+  };
+}
@@ -0,0 +1,133 @@
+// src/extractors/comments.js
+// In-page helpers for a post's comment section.
+// They run inside the browser via page.evaluate(fn, rootHandle, ..., profile.inPage), so each must stay
+// self-contained (counts go through window.__parseCount, see counts.js; selectors and patterns come from
+// the selector profile, see selectors.js).
+
+/**
+ * Read comments and nested replies under `root` (a post dialog or article).
+ * Comment articles are recognised by their aria-label ("Comment by …" / "تعليق من …"),
+ * replies ("Reply by …" / "رد من …") attach to the comment rendered before them.
+ * Stops after `limit` entries (comments + replies).
+ * Returns [{ author_name, author_url, text, date, reactions, replies: [...] }].
+ */
+export function extractComments(root, limit, profile) {
+  const patterns = (field) => profile.patterns[field].map((p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  });
+  const matches = (field) => {
+    const rxs = patterns(field);
+    return (text) => rxs.some((rx) => rx.test(text));
+  };
+  const isComment = matches('comment.commentLabel');
+  const isReply = matches('comment.replyLabel');
+  const isReactions = matches('comment.reactionsLabel');
+  const ARTICLE = profile.selectors['feed.article'].join(', ');
+
+  const parseCount = window.__parseCount;
+  const clean = (t) => String(t || '').replace(/\s+/g, ' ').trim();
+
+  const read = (el) => {
+    // Only look at nodes that belong to this comment, not to a reply rendered inside it
+    const own = (n) => n.closest(ARTICLE) === el;
+
+    // Author and timestamp links both carry ?comment_id=…; the timestamp is the one reading "3h" / "٣ س"
+    const isTimeText = (t) => /^[0-9٠-٩]+\s*\S{0,8}$/.test(t);
+    const links = Array.from(el.querySelectorAll('a[href]')).filter((a) => own(a) && clean(a.innerText));
+    const authorLink = links.find((a) => !isTimeText(clean(a.innerText)));
+    const timeLink = links.find((a) => isTimeText(clean(a.innerText)));
+
+    const text = Array.from(el.querySelectorAll('div[dir="auto"]'))
+      .filter((n) => own(n) && !n.closest('a') && !n.querySelector('div[dir="auto"]'))
+      .map((n) => clean(n.innerText))
+      .filter(Boolean)
+      .join(' ');
+
+    const reactionEl = Array.from(el.querySelectorAll('[aria-label]'))
+      .find((n) => own(n) && isReactions(n.getAttribute('aria-label') || ''));
+
+    return {
+      author_name: authorLink ? clean(authorLink.innerText) : null,
+      author_url: authorLink ? authorLink.href : null,
+      text,
+      date: timeLink ? clean(timeLink.innerText) : null,
+      reactions: reactionEl ? (parseCount(reactionEl.getAttribute('aria-label')) ?? 0) : 0,
+      replies: [],
+    };
+  };
+
+  const out = [];
+  let count = 0;
+  let current = null;
+  for (const el of root.querySelectorAll(profile.selectors['comment.article'].join(', '))) {
+    if (count >= limit) break;
+    const label = (el.getAttribute('aria-label') || '').trim();
+    if (isComment(label)) {
+      current = read(el);
+      out.push(current);
+      count += 1;
+    } else if (isReply(label) && current) {
+      current.replies.push(read(el));
+      count += 1;
+    }
+  }
+  return out;
+}
+
+/** Number of comment + reply articles currently rendered under `root` */
+export function countComments(root, profile) {
+  const LABELS = [...profile.patterns['comment.commentLabel'], ...profile.patterns['comment.replyLabel']].map((p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  });
+  return Array.from(root.querySelectorAll(profile.selectors['comment.article'].join(', ')))
+    .filter((el) => LABELS.some((rx) => rx.test((el.getAttribute('aria-label') || '').trim())))
+    .length;
+}
+
+/**
+ * Click one "View more comments" / "عرض المزيد من التعليقات" (or "view replies") control under `root`.
+ * Returns true when something was clicked.
+ */
+export function clickMoreComments(root, profile) {
+  const MORE = profile.patterns['comment.more'].map((p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  });
+  const candidates = root.querySelectorAll(profile.selectors['comment.moreButton'].join(', '));
+  for (const el of candidates) {
+    const txt = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (txt && MORE.some((rx) => rx.test(txt))) {
+      try { el.click(); return true; } catch {}
+    }
+  }
+  return false;
+}
+
+/**
+ * Open the comment section of `article`: click the "N comments" / "N تعليقات" counter,
+ * falling back to the "Comment" / "تعليق" action. Returns true when something was clicked.
+ */
+export function openCommentsOfArticle(article, profile) {
+  const patterns = (field) => profile.patterns[field].map((p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  });
+  const COUNTER = patterns('comment.counter');
+  const ACTION = patterns('comment.action');
+  const clickables = Array.from(article.querySelectorAll(profile.selectors['comment.opener'].join(', ')));
+  const textOf = (el) => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+  // Fallbacks in order: the first pattern any element matches wins
+  const find = (rxs) => {
+    for (const rx of rxs) {
+      const el = clickables.find((c) => rx.test(textOf(c)));
+      if (el) return el;
+    }
+    return null;
+  };
+  const target = find(COUNTER) || find(ACTION);
+  if (!target) return false;
+  try { target.scrollIntoView({ block: 'center' }); } catch {}
+  try { target.click(); return true; } catch { return false; }
+}
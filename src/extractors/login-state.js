@@ -0,0 +1,79 @@
+// src/extractors/login-state.js
+// In-page check of where a Facebook login ended up.
+// Runs inside the browser via page.evaluate(detectLoginState, profile.inPage), so it must stay self-contained
+// (selectors and patterns come from the profile, see selectors.js).
+
+/**
+ * Classify the current document during a login.
+ * Returns { state, matched, fields } where state is one of:
+ * "logged-in", "consent-wall" (cookie consent dialog over the page), "two-factor" (login code prompt),
+ * "save-device" ("remember this browser?" after a code), "account-locked", "confirm-identity",
+ * "checkpoint", "wrong-password", "login-form" or "unknown"; matched is the text, selector or URL
+ * that gave it away, and fields { field: index } the profile fields that matched, for the selector report.
+ */
+export function detectLoginState(profile) {
+  const toRegExp = (p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  };
+  const SCREENS = [
+    ['two-factor', 'login.twoFactorScreen'],
+    ['save-device', 'login.saveDeviceScreen'],
+    ['account-locked', 'login.lockedScreen'],
+    ['confirm-identity', 'login.confirmIdentityScreen'],
+    ['checkpoint', 'login.checkpointScreen'],
+    ['wrong-password', 'login.wrongPasswordScreen'],
+  ];
+  const fields = {};
+  // First fallback of `field` found in the document: { el, selector } (recorded in fields) or null
+  const queryFirst = (field) => {
+    const list = profile.selectors[field];
+    for (let i = 0; i < list.length; i++) {
+      const el = document.querySelector(list[i]);
+      if (el) {
+        fields[field] = i;
+        return { el, selector: list[i] };
+      }
+    }
+    return null;
+  };
+  // First pattern of `field` matching `text`: the match (recorded in fields) or null
+  const matchFirst = (field, text) => {
+    const list = profile.patterns[field];
+    for (let i = 0; i < list.length; i++) {
+      const m = text.match(toRegExp(list[i]));
+      if (m) {
+        fields[field] = i;
+        return m;
+      }
+    }
+    return null;
+  };
+  const result = (state, matched) => ({ state, matched, fields });
+
+  const url = location.href;
+  const text = (document.body?.innerText || '').replace(/\s+/g, ' ');
+  const loginForm = queryFirst('login.passwordForm');
+
+  const consent = queryFirst('cookies.banner');
+  if (consent) {
+    const banner = consent.el.getAttribute('data-cookiebanner');
+    return result('consent-wall', banner ? `[data-cookiebanner="${banner}"]` : consent.selector);
+  }
+  const consentText = matchFirst('login.consentScreen', text);
+  if (consentText) return result('consent-wall', consentText[0]);
+
+  const code = queryFirst('login.code');
+  if (code) return result('two-factor', code.selector);
+
+  if (!loginForm && queryFirst('login.loggedIn')) return result('logged-in', null);
+
+  for (const [state, field] of SCREENS) {
+    const m = matchFirst(field, text);
+    if (m) return result(state, m[0]);
+  }
+
+  if (matchFirst('login.checkpointUrl', url)) return result('checkpoint', url);
+  if (loginForm || matchFirst('login.formUrl', url)) return result('login-form', url);
+  return result('unknown', null);
+}
@@ -0,0 +1,101 @@
+// src/extractors/page-counts.js
+// In-page extractor for a page's follower and like counts.
+// Runs inside the browser via page.evaluate(extractPageCounts, profile.inPage), so it must stay self-contained
+// (counts go through window.__parseCount, see counts.js; selectors and patterns come from the profile, see selectors.js).
+
+/**
+ * Scan the page text for follower/like counts (header chips first, then any matching line).
+ * Returns { followers, likes, fields } with null for any count not found; `fields` is
+ * { field: index|null } of the profile fields used, for the selector report.
+ */
+export function extractPageCounts(profile) {
+  const parseCount = window.__parseCount;
+  const toRegExp = (p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  };
+  const patterns = (field) => profile.patterns[field].map(toRegExp);
+  const fields = {};
+  // Index of the first rx matching any of `lines`, recorded under `field`
+  const recordFirst = (field, rxs, lines) => {
+    const index = rxs.findIndex((rx) => lines.some((line) => rx.test(line)));
+    fields[field] = index === -1 ? null : index;
+  };
+
+  const FOLLOWING = patterns('page.followingLabel');
+  const FOLLOWERS_LABEL = patterns('page.followersLabel');
+  const LIKES_LABEL = patterns('page.likesLabel');
+  // A count next to its label, in any digits with separators and magnitude ("12,345 followers", "١٢٫٥ ألف متابع")
+  const FOLLOWERS_COUNT = patterns('page.followersCount');
+  const LIKES_COUNT = patterns('page.likesCount');
+  const isFollowing = (t) => FOLLOWING.some((rx) => rx.test(t));
+
+  function extractFromHeaderChips() {
+    let chips = [];
+    const list = profile.selectors['page.countChip'];
+    fields['page.countChip'] = null;
+    for (let i = 0; i < list.length; i++) {
+      const found = Array.from(document.querySelectorAll(list[i]));
+      if (found.length) {
+        fields['page.countChip'] = i;
+        chips = found.map((el) => (el.textContent || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+        break;
+      }
+    }
+    let followers = null;
+    let likes = null;
+    for (const t of chips) {
+      if (isFollowing(t)) continue;
+      if (FOLLOWERS_LABEL.some((rx) => rx.test(t))) {
+        const n = parseCount(t);
+        if (n != null) followers = Math.max(followers ?? 0, n);
+      }
+      if (LIKES_LABEL.some((rx) => rx.test(t))) {
+        const n = parseCount(t);
+        if (n != null) likes = Math.max(likes ?? 0, n);
+      }
+    }
+    recordFirst('page.followersLabel', FOLLOWERS_LABEL, chips);
+    recordFirst('page.likesLabel', LIKES_LABEL, chips);
+    return { followers, likes };
+  }
+
+  const headerRes = extractFromHeaderChips();
+  const textNodes = Array.from(document.querySelectorAll('body *'))
+    .map((el) => (el.textContent || '').replace(/\s+/g, ' ').trim())
+    .filter((t) => t && !isFollowing(t));
+
+  let followers = headerRes.followers;
+  let likes = headerRes.likes;
+
+  const DIGIT = /[0-9٠-٩۰-۹]/;
+
+  function bestMatchFrom(lines, rxs) {
+    let best = null;
+    for (const line of lines) {
+      for (const rx of rxs) {
+        const m = line.match(rx);
+        if (m) {
+          // The count is whichever side of the label has digits
+          const numStr = DIGIT.test(m[1]) ? m[1] : m[2];
+          const val = parseCount(numStr);
+          if (val != null) {
+            if (best == null || val > best) best = val;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  if (followers == null) {
+    followers = bestMatchFrom(textNodes, FOLLOWERS_COUNT);
+    recordFirst('page.followersCount', FOLLOWERS_COUNT, textNodes);
+  }
+  if (likes == null) {
+    likes = bestMatchFrom(textNodes, LIKES_COUNT);
+    recordFirst('page.likesCount', LIKES_COUNT, textNodes);
+  }
+
+  return { followers, likes, fields };
+}
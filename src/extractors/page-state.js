@@ -0,0 +1,59 @@
+// src/extractors/page-state.js
+// In-page check for Facebook's error and interstitial screens.
+// Runs inside the browser via page.evaluate(detectPageState, profile.inPage), so it must stay self-contained
+// (selectors and patterns come from the profile, see selectors.js).
+
+/**
+ * Classify what the current document shows instead of a page feed.
+ * Returns { state, matched, fields } where state is "ok", "not-found", "unavailable", "rate-limited",
+ * "checkpoint" or "login-required", matched is the text (or URL) that gave it away, and fields
+ * { field: index|null } the profile fields it looked up, for the selector report.
+ * Feeds never count as an error screen, even when a post quotes one of the messages.
+ */
+export function detectPageState(profile) {
+  const toRegExp = (p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  };
+  const SCREENS = [
+    ['checkpoint', 'page.checkpointScreen'],
+    ['rate-limited', 'page.rateLimitedScreen'],
+    ['not-found', 'page.notFoundScreen'],
+    ['unavailable', 'page.unavailableScreen'],
+  ];
+  const fields = {};
+  // Index of the first fallback of `field` in the document, or -1
+  const querySome = (field) => profile.selectors[field].findIndex((sel) => document.querySelector(sel));
+  // First pattern of `field` matching `text`: the match (recorded in fields) or null
+  const matchFirst = (field, text) => {
+    const list = profile.patterns[field];
+    for (let i = 0; i < list.length; i++) {
+      const m = text.match(toRegExp(list[i]));
+      if (m) {
+        fields[field] = i;
+        return m;
+      }
+    }
+    return null;
+  };
+  const result = (state, matched) => ({ state, matched, fields });
+
+  const url = location.href;
+  if (matchFirst('login.checkpointUrl', url)) return result('checkpoint', url);
+
+  const content = querySome('page.content');
+  // A missing feed is worth reporting: the error screens below are the only reason it may be expected
+  fields['page.content'] = content === -1 ? null : content;
+  if (content !== -1) return result('ok', null);
+
+  const text = (document.body?.innerText || '').replace(/\s+/g, ' ');
+  for (const [state, field] of SCREENS) {
+    const m = matchFirst(field, text);
+    if (m) return result(state, m[0]);
+  }
+
+  const loginForm = querySome('login.passwordForm');
+  if (loginForm !== -1) fields['login.passwordForm'] = loginForm;
+  if (loginForm !== -1 || matchFirst('login.formUrl', url)) return result('login-required', url);
+  return result('ok', null);
+}
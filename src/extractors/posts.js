@@ -0,0 +1,280 @@
+// src/extractors/posts.js
+// In-page extractor for feed articles.
+// Runs inside the browser via page.$$eval(articleSelector, extractPostsFromArticles, profile.inPage),
+// so it must stay self-contained: no imports, no references to module scope
+// (counts go through window.__parseCount, see counts.js; selectors and patterns come from the profile, see selectors.js).
+
+/**
+ * Turn article nodes into { text, reactions, reactions_by_type, comments, shares, engagement_source, date, link,
+ * post_type, media, shared_url } records, dropping empty articles (no text, media or link).
+ * `link` is the raw post href (see post-identity.js); deduplication happens outside the page
+ * once post IDs are known.
+ */
+export function extractPostsFromArticles(nodes, profile) {
+  const toRegExp = (p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  };
+  const patterns = (field) => profile.patterns[field].map(toRegExp);
+  const firstMatch = (rxs, text) => rxs.find((rx) => rx.test(text)) || null;
+  const globalOf = (rx) => new RegExp(rx.source, rx.flags.includes('g') ? rx.flags : `${rx.flags}g`);
+  const queryFirst = (root, field) => {
+    for (const sel of profile.selectors[field]) {
+      const el = root.querySelector(sel);
+      if (el) return el;
+    }
+    return null;
+  };
+  const ARTICLE = profile.selectors['feed.article'].join(', ');
+  const SEE_MORE = patterns('post.seeMore').map(globalOf);
+  const ACTIONS = patterns('post.actions');
+  const ALL_REACTIONS = patterns('post.allReactions');
+  const METRIC_LABELS = {
+    reactions: patterns('post.reactionsLabel'),
+    comments: patterns('post.commentsLabel'),
+    shares: patterns('post.sharesLabel'),
+  };
+  // One token per count: "1,234", "2.3K", "1,2 k", "2.8 ألف"
+  const COUNT_TOKENS = patterns('post.countToken').map(globalOf);
+  const POST_HREF = patterns('post.href');
+  const COMMENT_HREF = patterns('post.commentHref');
+  const REEL_HREF = patterns('media.reelHref');
+  const VIDEO_HREF = patterns('media.videoHref');
+  const PHOTO_HREF = patterns('media.photoHref');
+
+  const arabicDigits = {
+    '\u0660': '0', '\u0661': '1', '\u0662': '2', '\u0663': '3', '\u0664': '4',
+    '\u0665': '5', '\u0666': '6', '\u0667': '7', '\u0668': '8', '\u0669': '9'
+  };
+  const normalizeDigits = (s) => String(s || '')
+    .replace(/[\u0660-\u0669]/g, (d) => arabicDigits[d] || d)
+    .replace(/[\u06f0-\u06f9]/g, (d) => String(d.charCodeAt(0) - 0x06f0));
+
+  const parseCount = window.__parseCount;
+
+  // Extract post text
+  const cleanText = (t) => {
+    if (!t) return '';
+    for (const rx of SEE_MORE) t = t.replace(rx, ' ');
+    const splitOn = firstMatch(ACTIONS, t);
+    const parts = splitOn ? t.split(splitOn) : [t];
+    return (parts[0] || t).replace(/\s+/g, ' ').trim();
+  };
+
+  // Extract engagement metrics: [value, strategy] where strategy is "all-reactions", "aria-label",
+  // "text" or null when nothing was found (value 0)
+  const extractEngagement = (article, metric) => {
+    const allText = article.innerText || '';
+    const normalizedText = normalizeDigits(allText);
+
+    // Strategy 1: Parse "كل التفاعلات: 571 571 2 8"
+    const allReactions = firstMatch(ALL_REACTIONS, allText);
+    if (allReactions) {
+      const afterLabel = normalizedText.split(allReactions)[1];
+
+      if (afterLabel) {
+        const tokens = COUNT_TOKENS.map((rx) => afterLabel.match(rx)).find(Boolean) || [];
+        const numbers = tokens.map(parseCount);
+
+        if (numbers.length >= 4) {
+          // Format: reactions emoji_count comments shares
+          if (metric === 'reactions') return [numbers[0], 'all-reactions'];
+          if (metric === 'comments') return [numbers[2], 'all-reactions'];
+          if (metric === 'shares') return [numbers[3], 'all-reactions'];
+        } else if (numbers.length >= 2) {
+          // Without shares the total is still rendered twice ("34 34 5"): skip the repeat
+          const rest = numbers.length === 3 && numbers[0] === numbers[1] ? numbers.slice(2) : numbers.slice(1);
+          if (metric === 'reactions') return [numbers[0], 'all-reactions'];
+          if (metric === 'comments') return [rest[0], 'all-reactions'];
+          if (metric === 'shares') return [rest.length >= 2 ? rest[1] : 0, 'all-reactions'];
+        } else if (numbers.length === 1) {
+          if (metric === 'reactions') return [numbers[0], 'all-reactions'];
+        }
+      }
+    }
+
+    // Strategy 2: aria-label buttons
+    try {
+      const buttons = Array.from(article.querySelectorAll('[aria-label]'));
+      for (const btn of buttons) {
+        const label = normalizeDigits((btn.getAttribute('aria-label') || '').toLowerCase());
+
+        if (firstMatch(METRIC_LABELS[metric], label)) {
+          const n = parseCount(label);
+          if (n != null) return [n, 'aria-label'];
+        }
+      }
+    } catch (e) {}
+
+    // Strategy 3 (reactions only): numeric spans next to a reaction word
+    if (metric === 'reactions') {
+      const text = article.innerText || '';
+      const spans = Array.from(article.querySelectorAll('span'))
+        .map((s) => s.textContent || '')
+        .filter((s) => /[0-9\u0660-\u0669]/.test(s) && firstMatch(METRIC_LABELS.reactions, text + ' ' + s));
+      for (const s of spans) {
+        const val = parseCount(s);
+        if (val != null) return [val, 'text'];
+      }
+    }
+
+    return [0, null];
+  };
+
+  // Reaction breakdown from the summary icons' aria-labels ("Like: 120 people", "أعجبني: ١٢٠ شخصًا").
+  // Returns { like, love, ... } with the types found, or null when the post shows none.
+  // A type's label patterns followed by a colon, or "… reacted with <type>"
+  const REACTION_TYPES = ['like', 'love', 'care', 'haha', 'wow', 'sad', 'angry'].map((type) => [
+    type,
+    [...patterns(`reaction.${type}`).map((rx) => new RegExp(`${rx.source}\\s*[:：]`, rx.flags)), new RegExp(`reacted with ${type}`, 'i')],
+  ]);
+  const extractReactionBreakdown = (article) => {
+    const breakdown = {};
+    for (const el of article.querySelectorAll('[aria-label]')) {
+      // Skip comment articles rendered inside the post
+      if (el.closest(ARTICLE) !== article) continue;
+      const label = normalizeDigits(el.getAttribute('aria-label') || '').trim();
+      const type = REACTION_TYPES.find(([, rxs]) => firstMatch(rxs, label));
+      if (!type) continue;
+      const n = parseCount(label);
+      if (n != null) breakdown[type[0]] = Math.max(breakdown[type[0]] || 0, n);
+    }
+    return Object.keys(breakdown).length ? breakdown : null;
+  };
+
+  // Post links; comment timestamps (comment_id=...) also point at the post, so they don't count
+  const isPostHref = (href) => href && firstMatch(POST_HREF, href) && !firstMatch(COMMENT_HREF, href);
+
+  // Extract post date: the raw timestamp ("5h", "Yesterday at 3:15 PM", "hier à 14h30", "١٤ أيلول الساعة ٦:٠٠ م"),
+  // read by dates.js outside the page. The timestamp link is the article's own link to the post; its
+  // aria-label or tooltip usually holds the full date when the visible text is short.
+  const extractDate = (article) => {
+    const timeEl = queryFirst(article, 'post.time');
+    if (timeEl) {
+      const dt = timeEl.getAttribute('datetime') || timeEl.textContent;
+      if (dt && dt.trim()) return dt.trim();
+    }
+    const links = profile.selectors['post.timeLink']
+      .flatMap((sel) => Array.from(article.querySelectorAll(sel)))
+      .filter((a) => a.closest(ARTICLE) === article);
+    const timeLink = links.find((a) => isPostHref(a.href)) || links[0];
+    if (!timeLink) return null;
+    const label = timeLink.getAttribute('aria-label') || timeLink.getAttribute('title') || timeLink.textContent || '';
+    return label.replace(/\s+/g, ' ').trim() || null;
+  };
+
+  // Extract the post's own link: the timestamp link first, then any post-shaped href
+  const extractLink = (article) => {
+    const timeLink = queryFirst(article, 'post.timeLink');
+    if (timeLink && isPostHref(timeLink.href)) return timeLink.href;
+    for (const a of article.querySelectorAll('a[href]')) {
+      if (isPostHref(a.href)) return a.href;
+    }
+    return null;
+  };
+
+  // Attached media: photos (with Facebook's alt text), videos and reels.
+  // Items are { type: 'image'|'video'|'reel', url, page_url, thumbnail_url, alt };
+  // `url` is the image itself or the direct video source (null when only a blob: stream is available).
+  const ownedBy = (article) => (n) => n.closest(ARTICLE) === article;
+  const extractMedia = (article) => {
+    const own = ownedBy(article);
+    const media = [];
+    const seen = new Set();
+    const push = (item) => {
+      const key = item.page_url || item.url;
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      media.push(item);
+    };
+    for (const a of article.querySelectorAll('a[href]')) {
+      const img = a.querySelector('img');
+      // Timestamp links also point at the video/photo but carry no thumbnail
+      if (!own(a) || !img) continue;
+      const alt = img.getAttribute('alt') || null;
+      const reel = firstMatch(REEL_HREF, a.href);
+      if (reel || firstMatch(VIDEO_HREF, a.href)) {
+        push({ type: reel ? 'reel' : 'video', url: null, page_url: a.href, thumbnail_url: img.src || null, alt });
+      } else if (firstMatch(PHOTO_HREF, a.href)) {
+        push({ type: 'image', url: img.src || null, page_url: a.href, thumbnail_url: null, alt });
+      }
+    }
+    for (const video of article.querySelectorAll('video')) {
+      if (!own(video)) continue;
+      const src = video.currentSrc || video.src || video.querySelector('source[src]')?.src || '';
+      const direct = src && !src.startsWith('blob:') ? src : null;
+      const poster = video.getAttribute('poster') || null;
+      // The player usually sits inside the video link found above: attach its source there
+      const linked = media.find((m) => m.type !== 'image' && !m.url);
+      if (linked) {
+        linked.url = direct;
+        linked.thumbnail_url ??= poster;
+      } else {
+        push({ type: 'video', url: direct, page_url: null, thumbnail_url: poster, alt: null });
+      }
+    }
+    return media;
+  };
+
+  // Link shares and events: the first outbound (or l.facebook.com-wrapped) link, or an /events/ link
+  const extractSharedUrl = (article) => {
+    const own = ownedBy(article);
+    for (const a of article.querySelectorAll('a[href]')) {
+      if (!own(a)) continue;
+      let url;
+      try { url = new URL(a.href); } catch { continue; }
+      if (/^l\.facebook\.com$/i.test(url.hostname) && url.searchParams.get('u')) {
+        return { kind: 'link', url: url.searchParams.get('u') };
+      }
+      if (/(^|\.)facebook\.com$/i.test(url.hostname)) {
+        if (/^\/events\/\d+/.test(url.pathname)) return { kind: 'event', url: `${url.origin}${url.pathname.replace(/\/+$/, '')}` };
+        continue;
+      }
+      if (/^https?:$/.test(url.protocol)) return { kind: 'link', url: url.href };
+    }
+    return null;
+  };
+
+  // text, photo, album, video, reel, link or event
+  const detectPostType = (media, shared, link) => {
+    if (media.some((m) => m.type === 'reel') || (!media.length && firstMatch(REEL_HREF, link || ''))) return 'reel';
+    if (media.some((m) => m.type === 'video') || (!media.length && firstMatch(VIDEO_HREF, link || ''))) return 'video';
+    const images = media.filter((m) => m.type === 'image').length;
+    if (images > 1) return 'album';
+    if (images === 1) return 'photo';
+    if (shared) return shared.kind;
+    return 'text';
+  };
+
+  return nodes
+    .map((article) => {
+      const reactionsByType = extractReactionBreakdown(article);
+      const typedTotal = reactionsByType ? Object.values(reactionsByType).reduce((a, b) => a + b, 0) : 0;
+      const link = extractLink(article);
+      const media = extractMedia(article);
+      const shared = extractSharedUrl(article);
+      const [reactions, reactionsSource] = extractEngagement(article, 'reactions');
+      const [comments, commentsSource] = extractEngagement(article, 'comments');
+      const [shares, sharesSource] = extractEngagement(article, 'shares');
+      return {
+        text: cleanText(article.innerText || ''),
+        // A per-type label ("Like: 120") can be picked up as the total: never report less than the typed sum
+        reactions: Math.max(reactions, typedTotal),
+        reactions_by_type: reactionsByType,
+        comments,
+        shares,
+        engagement_source: {
+          reactions: typedTotal > reactions ? 'breakdown' : reactionsSource,
+          comments: commentsSource,
+          shares: sharesSource,
+        },
+        date: extractDate(article),
+        link,
+        post_type: detectPostType(media, shared, link),
+        media,
+        shared_url: shared ? shared.url : null,
+      };
+    })
+    // Caption-less photo and video posts still carry media or a permalink; loading placeholders carry nothing
+    .filter((p) => p.text || p.media.length || p.link);
+}
@@ -0,0 +1,56 @@
+// src/extractors/reactions.js
+// In-page helpers for a post's reactions dialog.
+// They run inside the browser via page.evaluate(fn, rootHandle, profile.inPage), so each must stay
+// self-contained (counts go through window.__parseCount, see counts.js; selectors and patterns come from
+// the selector profile, see selectors.js).
+
+/**
+ * Open the reactions dialog of `article` by clicking its "كل التفاعلات" / "All reactions" summary.
+ * Returns true when something was clicked.
+ */
+export function openReactionsOfArticle(article, profile) {
+  const SUMMARY = profile.patterns['reactions.summary'].map((p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  });
+  const ARTICLE = profile.selectors['feed.article'].join(', ');
+  const textOf = (el) => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+  const labelOf = (el) => (el.getAttribute('aria-label') || '').trim();
+  // Wrappers start with the same text: click the innermost match
+  const target = Array.from(article.querySelectorAll(profile.selectors['reactions.opener'].join(', ')))
+    .filter((el) => el.closest(ARTICLE) === article)
+    .filter((el) => SUMMARY.some((rx) => rx.test(textOf(el)) || rx.test(labelOf(el))))
+    .sort((a, b) => a.querySelectorAll('*').length - b.querySelectorAll('*').length)[0];
+  if (!target) return false;
+  try { target.scrollIntoView({ block: 'center' }); } catch {}
+  try { target.click(); return true; } catch { return false; }
+}
+
+/**
+ * Read the per-type counts from the reactions dialog tabs under `root`
+ * ("Like 120" / "أعجبني ١٢٠", or the tab's aria-label "Like, 120 people").
+ * The "All" tab is skipped. Returns { like, love, ... } with the types found, or null.
+ */
+export function readReactionTabs(root, profile) {
+  // [type, [RegExp, ...]] from the profile's reaction.<type> patterns, in profile order
+  const TYPES = Object.entries(profile.patterns)
+    .filter(([field]) => field.startsWith('reaction.'))
+    .map(([field, list]) => [field.slice('reaction.'.length), list.map((p) => {
+      const i = p.lastIndexOf('/');
+      return new RegExp(p.slice(1, i), p.slice(i + 1));
+    })]);
+  const matches = (rxs, t) => rxs.some((rx) => rx.test(t));
+  const parseCount = window.__parseCount;
+
+  const breakdown = {};
+  for (const tab of root.querySelectorAll(profile.selectors['reactions.tab'].join(', '))) {
+    const label = [tab.getAttribute('aria-label'), tab.innerText || tab.textContent]
+      .map((t) => String(t || '').replace(/\s+/g, ' ').trim())
+      .find((t) => TYPES.some(([, rxs]) => matches(rxs, t)));
+    if (!label) continue;
+    const [type] = TYPES.find(([, rxs]) => matches(rxs, label));
+    const n = parseCount(label);
+    if (n != null) breakdown[type] = Math.max(breakdown[type] || 0, n);
+  }
+  return Object.keys(breakdown).length ? breakdown : null;
+}
@@ -0,0 +1,42 @@
+// src/extractors/selector-probe.js
+// In-page check of which fallback of each selector-profile field matches the current document.
+// Runs inside the browser via page.evaluate(probeSelectors, profile.inPage, fields), so it must stay self-contained.
+
+/**
+ * For each of `fields` (names from the profile's selectors or patterns), the index of the first
+ * fallback that matches the document, or null. Selectors are looked up with querySelector;
+ * patterns are tested against the page text and the aria-labels (where Facebook puts counts and names).
+ */
+export function probeSelectors(profile, fields) {
+  const toRegExp = (p) => {
+    const i = p.lastIndexOf('/');
+    return new RegExp(p.slice(1, i), p.slice(i + 1));
+  };
+  let text = null;
+  const pageText = () => {
+    if (text == null) {
+      const labels = Array.from(document.querySelectorAll('[aria-label]')).map((el) => el.getAttribute('aria-label'));
+      text = [document.body?.innerText || '', ...labels].join('\n');
+    }
+    return text;
+  };
+  const lines = () => pageText().split('\n').map((l) => l.trim()).filter(Boolean);
+
+  const out = {};
+  for (const field of fields) {
+    if (profile.selectors[field]) {
+      const index = profile.selectors[field].findIndex((sel) => {
+        try { return !!document.querySelector(sel); } catch { return false; }
+      });
+      out[field] = index === -1 ? null : index;
+    } else if (profile.patterns[field]) {
+      // Anchored patterns ("^Like") are meant for one label, so test them line by line
+      const index = profile.patterns[field].findIndex((p) => {
+        const rx = toRegExp(p);
+        return rx.source.startsWith('^') ? lines().some((l) => rx.test(l)) : rx.test(pageText());
+      });
+      out[field] = index === -1 ? null : index;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,60 @@
+// src/incremental.js
+// Incremental scraping: stop at posts older than `since` or already seen in an earlier run
+import { parseDateToISO } from './utils.js';
+
+/**
+ * Build the cutoff for a run from the `since` (ISO date) and `knownPostIds` options;
+ * `timeZone` is the one post dates are shown in (see dates.js).
+ * Returns null when neither is set; throws on an unparsable date or a non-array id list.
+ */
+export function createCutoff({ since = null, knownPostIds = null, timeZone = null } = {}) {
+  let sinceISO = null;
+  if (since != null && since !== '') {
+    const d = since instanceof Date ? since : new Date(since);
+    if (isNaN(d.getTime())) throw new Error(`Invalid "since" date: ${since}`);
+    sinceISO = d.toISOString();
+  }
+  if (knownPostIds != null && !Array.isArray(knownPostIds)) {
+    throw new Error('"knownPostIds" must be an array of post IDs');
+  }
+  const known = new Set((knownPostIds || []).map(String));
+  if (!sinceISO && known.size === 0) return null;
+  return { since: sinceISO, known, timeZone, reached: false, reason: null, postId: null };
+}
+
+/**
+ * Why `post` is past the cutoff: 'known-post', 'since', or null when it is new.
+ * Posts without a parsable date are never cut off by `since`.
+ */
+export function staleReason(post, cutoff) {
+  if (cutoff.known.has(post.id) || (post.post_id && cutoff.known.has(post.post_id))) return 'known-post';
+  if (cutoff.since) {
+    const iso = post.dateISO ?? parseDateToISO(post.date, { timeZone: cutoff.timeZone ?? undefined });
+    if (iso && iso < cutoff.since) return 'since';
+  }
+  return null;
+}
+
+/**
+ * First stale post in feed order as { reason, postId }, or null.
+ * The top post is ignored: pages pin old posts there, above everything new.
+ */
+export function findCutoff(posts, cutoff) {
+  for (const post of posts.slice(1)) {
+    const reason = staleReason(post, cutoff);
+    if (reason) return { reason, postId: post.id };
+  }
+  return null;
+}
+
+/** Public view of the cutoff for result metadata */
+export function describeCutoff(cutoff) {
+  if (!cutoff) return null;
+  return {
+    since: cutoff.since,
+    knownPostIds: cutoff.known.size,
+    reached: cutoff.reached,
+    reason: cutoff.reason,
+    postId: cutoff.postId,
+  };
+}
@@ -0,0 +1,194 @@
+// src/job-queue.js
+// In-memory job queue for long-running scrapes with a concurrency limit
+import { randomUUID } from 'crypto';
+import { errorCode } from './errors.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINISHED = new Set([JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]);
+
+/** True when the job reached a terminal state */
+export function isFinished(job) {
+  return FINISHED.has(job.status);
+}
+
+/**
+ * Create a job queue.
+ * `run(params, { id, signal, onProgress, onEvent })` does the actual work and resolves with the job result.
+ * At most `concurrency` jobs run at the same time; the rest wait in FIFO order.
+ * Finished jobs are kept for `retentionMs` so their status/result can still be read.
+ *
+ * Every job keeps its last `eventBufferSize` events ({ id, type, at, ...data }): job-queued, job-started,
+ * progress, whatever `run` passes to onEvent, and finally job-finished { status, error, errorCode }.
+ */
+export function createJobQueue({ run, concurrency = 1, retentionMs = 60 * 60 * 1000, eventBufferSize = 500 } = {}) {
+  if (typeof run !== 'function') {
+    throw new Error('createJobQueue requires a run function');
+  }
+
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (isFinished(job) && job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  /** Record an event on the job and hand it to its subscribers */
+  function publish(job, event) {
+    const entry = { id: ++job.lastEventId, at: new Date().toISOString(), ...event };
+    job.events.push(entry);
+    if (job.events.length > eventBufferSize) job.events.shift();
+    for (const listener of job.listeners) {
+      try {
+        listener(entry);
+      } catch (err) {
+        console.warn(`[Queue] ⚠️ Event subscriber of job ${job.id} failed:`, err.message);
+      }
+    }
+  }
+
+  function finish(job, status, { result = null, error = null } = {}) {
+    if (isFinished(job)) return;
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    publish(job, { type: 'job-finished', status, error: error ? error.message : null, errorCode: error ? errorCode(error) : null });
+    job.listeners.clear();
+    job.resolveDone();
+  }
+
+  async function start(job) {
+    running += 1;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    publish(job, { type: 'job-started' });
+
+    try {
+      const result = await run(job.params, {
+        id: job.id,
+        signal: job.controller.signal,
+        onProgress: (progress) => {
+          job.progress = { ...job.progress, ...progress };
+          publish(job, { type: 'progress', ...job.progress });
+        },
+        onEvent: (event) => publish(job, event),
+      });
+      if (job.controller.signal.aborted) finish(job, JOB_STATUS.CANCELLED);
+      else finish(job, JOB_STATUS.SUCCEEDED, { result });
+    } catch (err) {
+      if (job.controller.signal.aborted) finish(job, JOB_STATUS.CANCELLED);
+      else finish(job, JOB_STATUS.FAILED, { error: err });
+    } finally {
+      running -= 1;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length) {
+      const job = pending.shift();
+      if (job.status !== JOB_STATUS.QUEUED) continue;
+      start(job);
+    }
+  }
+
+  /** Queue a new job and return it immediately */
+  function submit(params = {}) {
+    prune();
+    let resolveDone;
+    const done = new Promise((resolve) => { resolveDone = resolve; });
+    const job = {
+      id: randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      params,
+      progress: { loadedArticles: 0 },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      done,
+      resolveDone,
+      events: [],
+      lastEventId: 0,
+      listeners: new Set(),
+    };
+    jobs.set(job.id, job);
+    publish(job, { type: 'job-queued' });
+    pending.push(job);
+    drain();
+    return job;
+  }
+
+  /** Look up a job by id (undefined when unknown or pruned) */
+  function get(id) {
+    return jobs.get(id);
+  }
+
+  /**
+   * Cancel a queued or running job. Running jobs receive an abort signal,
+   * which makes the scraper close its browser. Returns false when already finished.
+   */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || isFinished(job)) return false;
+    job.controller.abort();
+    if (job.status === JOB_STATUS.QUEUED) finish(job, JOB_STATUS.CANCELLED);
+    return true;
+  }
+
+  /**
+   * Follow a job's events: buffered events with an id above `afterId` are replayed first,
+   * then `listener` gets new ones as they happen, up to job-finished.
+   * Returns an unsubscribe function (a no-op once the job is finished).
+   */
+  function subscribe(id, listener, { afterId = 0 } = {}) {
+    const job = jobs.get(id);
+    if (!job) throw new Error(`Unknown job: ${id}`);
+    for (const event of job.events) {
+      if (event.id > afterId) listener(event);
+    }
+    if (isFinished(job)) return () => {};
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  }
+
+  /** Public representation of a job (no result payload) */
+  function describe(job) {
+    const queued = pending.filter((j) => j.status === JOB_STATUS.QUEUED);
+    const queuePosition = job.status === JOB_STATUS.QUEUED ? queued.indexOf(job) + 1 : null;
+    return {
+      id: job.id,
+      status: job.status,
+      pageUrl: job.params.pageUrl ?? null,
+      scheduleId: job.params.scheduleId ?? null,
+      progress: job.progress,
+      queuePosition,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error ? job.error.message : null,
+      errorCode: job.error ? errorCode(job.error) : null,
+    };
+  }
+
+  function stats() {
+    return { running, queued: pending.filter((j) => j.status === JOB_STATUS.QUEUED).length, concurrency };
+  }
+
+  return { submit, get, cancel, subscribe, describe, stats };
+}
@@ -2,107 +2,249 @@
 import 'dotenv/config';
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { waitAndType, waitAndClick, clickIfExists } from './utils.js';
-import { promises as fs } from 'fs';
-import { fileURLToPath } from 'url';
+import { waitAndType, clickIfExists, sleep } from './utils.js';
+import { createEmitter } from './events.js';
+import { ScraperError, errorCode } from './errors.js';
+import { getSessionStore } from './sessions.js';
+import { totp } from './totp.js';
+import { installCountParser } from './counts.js';
+import { detectLoginState } from './extractors/login-state.js';
+import { getSelectorProfile, createSelectorReport, findFirst, waitForFirst } from './selectors.js';
 
 puppeteer.use(StealthPlugin());
 
-const cookiesFilePath = fileURLToPath(new URL('../cookies.json', import.meta.url));
+export const USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
-async function loadCookies(page) {
-  try {
-    const data = await fs.readFile(cookiesFilePath, 'utf-8');
-    const cookies = JSON.parse(data);
-    if (Array.isArray(cookies) && cookies.length) {
-      await page.setCookie(...cookies);
-      console.log('Loaded cookies from cookies.json');
-    }
-  } catch (_) {
-    // No cookies file yet
-  }
+/**
+ * Chromium flags of the scraper. `singleProcess` runs the whole browser in one process: lighter for a
+ * browser that has one tab at a time, but a crashing tab then takes every other tab down with it.
+ */
+export function browserArgs({ singleProcess = true } = {}) {
+  return [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',  // تعطيل GPU
+    ...(singleProcess ? ['--single-process'] : [])  // thread واحد بس
+  ];
 }
 
-async function saveCookies(page) {
-  try {
-    const cookies = await page.cookies();
-    await fs.writeFile(cookiesFilePath, JSON.stringify(cookies, null, 2), 'utf-8');
-    console.log('Saved cookies to cookies.json');
-  } catch (err) {
-    console.warn('Failed to save cookies:', err);
-  }
+/**
+ * Launch a Chromium instance with the scraper's default flags (see browserArgs)
+ */
+export async function launchBrowser({ singleProcess = true } = {}) {
+  return await puppeteer.launch({
+    headless: 'new',  // ✅ headless mode الحديث (أسرع)
+    args: browserArgs({ singleProcess })
+  });
 }
 
-async function isLoggedInHeuristic(page) {
-  return await page.evaluate(() => {
-    return !!document.querySelector('a[aria-label="Profile"], a[aria-label="Your profile"], div[role="feed"]');
-  });
+/**
+ * Open a new tab configured like the login tab (realistic user agent) with the count parser
+ * the in-page extractors use (see counts.js)
+ */
+export async function newScrapePage(browser) {
+  const page = await browser.newPage();
+  await page.setUserAgent(USER_AGENT);
+  await installCountParser(page);
+  return page;
 }
 
 /**
- * Launch browser and log into Facebook using credentials in .env
- * Returns: { browser, page }
+ * Login screens that end a login attempt: state (see extractors/login-state.js) -> [code, message].
+ * The error's details.state names the screen.
  */
-export async function login() {
-  const { FB_EMAIL, FB_PASSWORD } = process.env;
-  if (!FB_EMAIL || !FB_PASSWORD) {
-    throw new Error('FB_EMAIL and FB_PASSWORD must be set in .env');
+const LOGIN_STATE_ERRORS = {
+  'two-factor': ['CHECKPOINT_REQUIRED', 'Facebook asks for a two-factor login code (give the account a totpSecret to fill it in)'],
+  'save-device': ['CHECKPOINT_REQUIRED', 'Facebook asks whether to remember this browser'],
+  'account-locked': ['CHECKPOINT_REQUIRED', 'Facebook has locked the account'],
+  'confirm-identity': ['CHECKPOINT_REQUIRED', "Facebook wants to confirm it's you"],
+  checkpoint: ['CHECKPOINT_REQUIRED', 'Facebook requires a security checkpoint'],
+  'wrong-password': ['LOGIN_FAILED', 'Facebook did not accept the login credentials'],
+  'login-form': ['LOGIN_FAILED', 'Facebook still shows the login form'],
+  'consent-wall': ['LOGIN_FAILED', 'A cookie consent dialog blocks the login'],
+  unknown: ['LOGIN_FAILED', 'Could not confirm the login'],
+};
+
+/** States where the saved cookies did reach the account (so logging in again would not help) */
+const ACCOUNT_BLOCKED = new Set(['two-factor', 'save-device', 'account-locked', 'confirm-identity', 'checkpoint']);
+
+/**
+ * Where a login stands: { state, matched } (see extractors/login-state.js), told by the selector `profile`;
+ * the fields that matched go to `report` when given.
+ * Facebook's markup changes often, so an unrecognised page with a session cookie counts as logged in.
+ */
+export async function detectLogin(page, { profile = getSelectorProfile(), report = null } = {}) {
+  const { state, matched, fields } = await page.evaluate(detectLoginState, profile.inPage);
+  report?.merge(fields);
+  if (state === 'unknown' && (await page.cookies()).some((c) => c.name === 'c_user')) {
+    return { state: 'logged-in', matched: 'c_user cookie' };
   }
+  return { state, matched };
+}
 
-  const browser = await puppeteer.launch({
-    headless: 'new',  // ✅ headless mode الحديث (أسرع)
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',  // تعطيل GPU
-      '--single-process'  // thread واحد بس
-    ]
-  });
+/** Click the first element of profile field `field` and wait for the page it submits to */
+async function submitAndWait(page, profile, field) {
+  const found = await findFirst(page, profile, field);
+  if (!found) throw new Error(`No element matches ${field} (selector profile ${profile.version})`);
+  await Promise.all([
+    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }).catch(() => {}),
+    found.handle.click(),
+  ]);
+}
 
-  const page = await browser.newPage();
+/** Wait for the first fallback of profile field `field` to show up and type `text` into it */
+async function typeInto(page, profile, field, text) {
+  const { selector } = await waitForFirst(page, profile, field);
+  await waitAndType(page, selector, text);
+}
 
-  // Helpful: realistic user agent
-  await page.setUserAgent(
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  );
+/**
+ * Get past the screens a login can stop on: accept the cookie consent dialog, fill the two-factor
+ * code generated from `totpSecret` and let Facebook remember the browser.
+ * Resolves { state, matched, codeSent } with the state it could not get past (or "logged-in");
+ * `onState` is called with every { state, matched } seen. The screens, consent buttons and checkpoint fields
+ * come from the selector `profile` (see selectors.js); `report` collects the fallbacks they matched
+ * (by default a throwaway one, which still warns about drift).
+ */
+export async function settleLogin(page, {
+  totpSecret = null,
+  onState = null,
+  now = Date.now,
+  profile = getSelectorProfile(),
+  report = createSelectorReport(profile),
+} = {}) {
+  let codeSent = false;
+  let consentClicks = 0;
+  let result;
+  for (let step = 0; step < 6; step++) {
+    result = await detectLogin(page, { profile, report });
+    onState?.(result);
+
+    if (result.state === 'consent-wall' && consentClicks < 2) {
+      consentClicks += 1;
+      // Least tracking first
+      for (const selector of profile.selectors('cookies.decline')) {
+        if (await clickIfExists(page, selector)) break;
+      }
+      await sleep(1000);
+      continue;
+    }
+    if (result.state === 'two-factor' && totpSecret && !codeSent && (await findFirst(page, profile, 'login.code'))) {
+      codeSent = true;
+      await typeInto(page, profile, 'login.code', totp(totpSecret, { now: now() }));
+      await submitAndWait(page, profile, 'login.checkpointSubmit');
+      continue;
+    }
+    if (result.state === 'save-device' && (await findFirst(page, profile, 'login.checkpointSubmit'))) {
+      const saveDevice = await findFirst(page, profile, 'login.saveDevice');
+      if (saveDevice) await saveDevice.handle.click();
+      await submitAndWait(page, profile, 'login.checkpointSubmit');
+      continue;
+    }
+    break;
+  }
+  return { ...result, codeSent };
+}
 
-  // Try loading cookies first and go to home to validate session
-  await loadCookies(page);
-  await page.goto('https://www.facebook.com/', { waitUntil: 'networkidle2' });
-  let loggedIn = await isLoggedInHeuristic(page);
+/** Typed error of a login that stopped on `state` */
+function loginStateError({ state, matched, codeSent }, page, account) {
+  const [code, message] = LOGIN_STATE_ERRORS[state] || LOGIN_STATE_ERRORS.unknown;
+  return new ScraperError(
+    code,
+    `${state === 'two-factor' && codeSent ? 'Facebook did not accept the two-factor code' : message} (account "${account}")`,
+    { state, matched, url: page.url(), account },
+  );
+}
 
-  if (!loggedIn) {
-    // Navigate to Facebook login
-    await page.goto('https://www.facebook.com/login', { waitUntil: 'networkidle2' });
+/**
+ * Make sure the browser session behind `page` is logged into Facebook as `account` (a name in the
+ * session store, see sessions.js): reuse its saved cookies when they are still valid, otherwise log in
+ * with its credentials (filling the two-factor code when the account has a TOTP secret).
+ * The store keeps the fresh cookies and the account's health.
+ * Resolves { state: "logged-in", matched, via: "cookies"|"credentials" }; any other screen it ends on
+ * (checkpoint, wrong password, ...) throws a ScraperError whose details.state names it.
+ * Optional `onEvent` receives login-started / login-state / cookies-valid / cookies-invalid / logged-in (see events.js).
+ */
+export async function ensureLoggedIn(page, { onEvent = null, sessions, account } = {}) {
+  const { email, password, totpSecret, cookies } = sessions.session(account);
+  if (!cookies?.length && !(email && password)) {
+    throw new ScraperError('LOGIN_FAILED', `Account "${account}" has neither cookies nor credentials`, { reason: 'missing-credentials', account });
+  }
+  const emit = createEmitter(onEvent);
+  const onState = ({ state }) => emit('login-state', { state, account });
 
-    // Try dismiss cookie banners if present (varies by region)
-    await clickIfExists(page, 'button[data-cookiebanner="accept_only_essential_button"]');
-    await clickIfExists(page, 'button[title="Only allow essential cookies"]');
-    await clickIfExists(page, 'button[title="Allow all cookies"]');
+  // Try the saved cookies first and go to home to validate the session
+  emit('login-started', { reason: 'cookies', account });
+  if (cookies?.length) await page.setCookie(...cookies);
+  await page.goto('https://www.facebook.com/', { waitUntil: 'networkidle2' });
+  let result = await settleLogin(page, { totpSecret, onState });
+  let via = 'cookies';
 
-    // Fill credentials and submit
-    await waitAndType(page, 'input[name="email"]', FB_EMAIL);
-    await waitAndType(page, 'input[name="pass"]', FB_PASSWORD);
-    await waitAndClick(page, 'button[name="login"]');
+  if (ACCOUNT_BLOCKED.has(result.state)) throw loginStateError(result, page, account);
 
-    // Wait for either home/newsfeed or any post-login state
-    try {
-      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
-    } catch (_) {
-      // Sometimes FB stays on same URL but shows logged-in content; ignore timeout
+  if (result.state !== 'logged-in') {
+    emit('cookies-invalid', { account });
+    if (!email || !password) {
+      throw new ScraperError('LOGIN_FAILED', `The cookies of account "${account}" no longer log in`, {
+        reason: 'cookies-expired', state: result.state, account,
+      });
     }
+    emit('login-started', { reason: 'credentials', account });
+    via = 'credentials';
+    await page.goto('https://www.facebook.com/login', { waitUntil: 'networkidle2' });
+    // Region-dependent cookie consent dialog over the form
+    await settleLogin(page, { onState });
 
-    loggedIn = await isLoggedInHeuristic(page);
-    if (!loggedIn) {
-      console.warn('Login may not have been confirmed, proceeding anyway.');
-    }
+    const profile = getSelectorProfile();
+    await typeInto(page, profile, 'login.email', email);
+    await typeInto(page, profile, 'login.password', password);
+    await submitAndWait(page, profile, 'login.submit');
 
-    // Save cookies after login attempt
-    await saveCookies(page);
+    result = await settleLogin(page, { totpSecret, onState });
+    if (result.state !== 'logged-in') throw loginStateError(result, page, account);
+    await sessions.saveCookies(account, await page.cookies());
   } else {
-    console.log('Logged in using existing cookies.');
+    console.log(`Logged in as "${account}" using saved cookies.`);
+    emit('cookies-valid', { account });
+    // Facebook refreshes the session cookies as they are used: keep the new ones
+    await sessions.saveCookies(account, await page.cookies());
   }
 
-  return { browser, page };
+  await sessions.reportSuccess(account);
+  emit('logged-in', { confirmed: true, account, via });
+  return { state: 'logged-in', matched: result.matched, via };
+}
+
+/**
+ * Launch a browser and log into Facebook with the next usable account of the session store
+ * (getSessionStore() unless `sessions` is given). When an account is rate limited, logged out or
+ * stuck at a checkpoint it is marked as such and the next one is tried; `account` pins one account.
+ * Optional `onEvent` receives the login progress events (see ensureLoggedIn); `singleProcess: false`
+ * launches a browser meant to run several tabs side by side (see browserArgs).
+ * Returns: { browser, page, account }
+ */
+export async function login({ onEvent = null, sessions = null, account = null, singleProcess = true } = {}) {
+  sessions ??= await getSessionStore();
+  const tried = [];
+  let lastError = null;
+
+  for (;;) {
+    const name = account ?? sessions.pick({ exclude: tried });
+    if (!name) throw lastError ?? sessions.noAccountError();
+    tried.push(name);
+
+    const browser = await launchBrowser({ singleProcess });
+    try {
+      const page = await newScrapePage(browser);
+      await ensureLoggedIn(page, { onEvent, sessions, account: name });
+      return { browser, page, account: name };
+    } catch (err) {
+      await browser.close().catch(() => {});
+      if (!sessions.reportFailure(name, err) || account) throw err;
+      console.warn(`[Sessions] 🔄 Login as "${name}" failed (${errorCode(err)}), trying the next account`);
+      lastError = err;
+    }
+  }
 }
@@ -0,0 +1,74 @@
+// src/media.js
+// Download of the media attached to scraped posts
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { USER_AGENT } from './login.js';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+};
+
+/**
+ * File name for the `index`-th media item of `post`: "<post id>-<n>[-thumb].<ext>".
+ * Characters that are unsafe in file names (e.g. the ':' of "text:<hash>" ids) become '_'.
+ */
+export function mediaFileName(post, index, ext, { thumbnail = false } = {}) {
+  const id = String(post.id || 'post').replace(/[^A-Za-z0-9_-]/g, '_');
+  return `${id}-${index + 1}${thumbnail ? '-thumb' : ''}.${ext}`;
+}
+
+/** File extension from the response content type, falling back to the URL path */
+function extensionFor(url, contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXTENSIONS[type]) return EXTENSIONS[type];
+  const m = new URL(url).pathname.match(/\.([a-z0-9]{2,5})$/i);
+  return m ? m[1].toLowerCase() : 'bin';
+}
+
+/**
+ * Download every post's media into `dirUrl` (created when needed).
+ * Images and direct video sources are saved as-is; videos and reels that only stream
+ * (no direct URL) get their thumbnail saved instead.
+ * Each media item gains `file`: its path relative to the directory above `dirUrl`
+ * (e.g. "facebook-scrape-<ts>-media/123-1.jpg"), or null when the download failed.
+ * Returns { downloaded, failed }.
+ */
+export async function downloadPostMedia(posts, dirUrl, { signal = null, timeoutMs = 30000 } = {}) {
+  const dirPath = fileURLToPath(dirUrl);
+  const dirName = dirPath.replace(/[\\/]+$/, '').split(/[\\/]/).pop();
+  await fs.mkdir(dirPath, { recursive: true });
+
+  let downloaded = 0;
+  let failed = 0;
+  for (const post of posts) {
+    for (const [i, item] of (post.media || []).entries()) {
+      signal?.throwIfAborted();
+      const source = item.url || item.thumbnail_url;
+      if (!source) continue;
+      try {
+        const res = await fetch(source, {
+          headers: { 'User-Agent': USER_AGENT },
+          signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeoutMs)]) : AbortSignal.timeout(timeoutMs),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const name = mediaFileName(post, i, extensionFor(source, res.headers.get('content-type')), {
+          thumbnail: !item.url,
+        });
+        await fs.writeFile(new URL(name, dirUrl), Buffer.from(await res.arrayBuffer()));
+        item.file = `${dirName}/${name}`;
+        downloaded += 1;
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[Scraper] ⚠️ Could not download media ${i + 1} of post ${post.id}:`, err.message);
+        item.file = null;
+        failed += 1;
+      }
+    }
+  }
+  return { downloaded, failed };
+}
@@ -0,0 +1,901 @@
+// src/openapi.js
+// OpenAPI 3.1 document of the API, built from the route table below, the request schemas
+// (schemas.js) and the response schemas; served at /api/openapi.json and rendered by /api/docs
+import { ERROR_CODES } from './errors.js';
+import { REACTION_TYPES } from './reactions.js';
+import { STAGE_NAMES } from './pipeline.js';
+import { SCRAPE_OPTIONS } from './schemas.js';
+import { EXPORT_FORMATS } from './exports.js';
+import { DATE_PRECISIONS } from './dates.js';
+import { HEALTH_METRICS } from './extraction-health.js';
+import { ARTIFACTS } from './debug-capture.js';
+
+export const API_VERSION = '1.0.0';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const STRING_OR_NULL = { type: ['string', 'null'] };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const DATE_TIME_OR_NULL = { type: ['string', 'null'], format: 'date-time' };
+
+/** Object schema whose listed properties are all required unless named in `optional` */
+function object(properties, { optional = [], description } = {}) {
+  return {
+    type: 'object',
+    ...(description ? { description } : {}),
+    properties,
+    required: Object.keys(properties).filter((name) => !optional.includes(name)),
+    additionalProperties: false,
+  };
+}
+
+/** { success: true, ...properties } */
+const success = (properties, options) => object({ success: { const: true }, ...properties }, options);
+
+/** Strategies of extractors/posts.js that read a count off the post */
+const ENGAGEMENT_STRATEGIES = ['all-reactions', 'aria-label', 'text'];
+
+const POST_PROPERTIES = {
+  id: { type: 'string', description: 'Facebook post ID, or "text:<hash>" when the post has no link' },
+  post_id: STRING_OR_NULL,
+  permalink: STRING_OR_NULL,
+  text: { type: 'string' },
+  reactions: { type: 'integer', minimum: 0 },
+  reactions_by_type: nullable(ref('ReactionCounts')),
+  reactions_breakdown_source: {
+    enum: ['summary', 'dialog', null],
+    description: 'where reactions_by_type comes from (null when the post shows no breakdown)',
+  },
+  comments: { type: 'integer', minimum: 0 },
+  shares: { type: 'integer', minimum: 0 },
+  engagement_source: object({
+    reactions: { enum: [...ENGAGEMENT_STRATEGIES, 'breakdown', 'dialog', null] },
+    comments: { enum: [...ENGAGEMENT_STRATEGIES, null] },
+    shares: { enum: [...ENGAGEMENT_STRATEGIES, null] },
+  }, {
+    description: 'extraction strategy behind each count: the "all reactions" block, an aria-label, nearby text, '
+      + 'the per-type breakdown or the reactions dialog (null: nothing found, the count is 0)',
+  }),
+  total_engagement: { type: 'integer', minimum: 0 },
+  date: { ...STRING_OR_NULL, description: 'date as shown by Facebook' },
+  dateISO: DATE_TIME_OR_NULL,
+  date_precision: {
+    enum: [...DATE_PRECISIONS, null],
+    description: 'how exact dateISO is: minute, hour, day or estimated (weeks/months/years ago)',
+  },
+  post_type: { enum: ['text', 'photo', 'album', 'video', 'reel', 'link', 'event'] },
+  media: { type: 'array', items: ref('Media') },
+  shared_url: { ...STRING_OR_NULL, description: 'link shares and events' },
+  comments_list: { type: 'array', items: ref('Comment'), description: 'only with includeComments' },
+};
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const RATIO = { type: ['number', 'null'], minimum: 0, maximum: 1 };
+
+/** meta.extraction of a scrape result (see extraction-health.js) */
+const EXTRACTION_PROPERTIES = {
+  articles: { type: ['integer', 'null'], description: 'articles rendered when the posts were read' },
+  postsRead: { type: 'integer', minimum: 0, description: 'posts read from them, before deduplication and the cutoff' },
+  postsKept: { type: 'integer', minimum: 0 },
+  postsPerArticle: RATIO,
+  withDate: { ...RATIO, description: 'share of kept posts with a date' },
+  withDateISO: { ...RATIO, description: 'share of kept posts whose date could be parsed' },
+  withReactions: { ...RATIO, description: 'share of kept posts with reactions > 0' },
+  strategies: {
+    type: 'object',
+    description: 'metric (reactions, comments, shares) -> { strategy: posts } (see Post.engagement_source; "none" = not found)',
+    additionalProperties: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } },
+  },
+};
+
+/** Response bodies and the objects they are made of */
+export const RESPONSE_SCHEMAS = {
+  Error: object({
+    success: { const: false },
+    code: { enum: Object.keys(ERROR_CODES) },
+    error: { type: 'string' },
+    details: {
+      description: 'INVALID_REQUEST: [{ field, message }]; TOO_MANY_REQUESTS: { retryAfterSeconds, quota? }; '
+        + 'failed scrapes: whatever helps (e.g. { reason })',
+    },
+    stack: { type: 'string', description: 'development only' },
+  }, { optional: ['details', 'stack'] }),
+  ReactionCounts: object(Object.fromEntries(REACTION_TYPES.map((type) => [type, { type: 'integer', minimum: 0 }]))),
+  ReactionShares: object(
+    Object.fromEntries(REACTION_TYPES.map((type) => [type, { type: 'number', minimum: 0, maximum: 1 }])),
+    { description: 'each type\'s fraction of the typed total' },
+  ),
+  Media: object({
+    type: { enum: ['image', 'video', 'reel'] },
+    url: STRING_OR_NULL,
+    page_url: STRING_OR_NULL,
+    thumbnail_url: STRING_OR_NULL,
+    alt: STRING_OR_NULL,
+    file: { ...STRING_OR_NULL, description: 'path under outputs/, only with downloadMedia (null when the download failed)' },
+  }, { optional: ['file'] }),
+  Comment: object({
+    author_name: STRING_OR_NULL,
+    author_url: STRING_OR_NULL,
+    text: { type: 'string' },
+    date: STRING_OR_NULL,
+    dateISO: DATE_TIME_OR_NULL,
+    reactions: { type: 'integer', minimum: 0 },
+    replies: { type: 'array', items: ref('Comment') },
+  }),
+  Post: object(POST_PROPERTIES, { optional: ['comments_list'] }),
+  Summary: object({
+    total_posts: { type: 'integer', minimum: 0 },
+    total_reactions: { type: 'integer', minimum: 0 },
+    total_comments: { type: 'integer', minimum: 0 },
+    total_shares: { type: 'integer', minimum: 0 },
+    avg_reactions: { type: 'integer', minimum: 0 },
+    avg_comments: { type: 'integer', minimum: 0 },
+    avg_shares: { type: 'integer', minimum: 0 },
+    reactions_by_type: { ...ref('ReactionCounts'), description: 'totals over the posts with a breakdown' },
+    reactions_share: ref('ReactionShares'),
+    best_post: { ...nullable(ref('Post')), description: 'post with the highest total_engagement (null without posts)' },
+  }),
+  ScrapeResult: object({
+    page: object({
+      name: STRING_OR_NULL,
+      url: { type: 'string' },
+      followers: { type: ['integer', 'null'] },
+      likes: { type: ['integer', 'null'] },
+    }),
+    posts: { type: 'array', items: ref('Post') },
+    summary: ref('Summary'),
+    scraped_at: DATE_TIME,
+    meta: object({
+      postsTarget: { type: 'integer' },
+      loadedArticles: { type: ['integer', 'null'] },
+      stages: { type: 'array', items: { enum: STAGE_NAMES } },
+      cutoff: nullable(object({
+        since: STRING_OR_NULL,
+        knownPostIds: { type: 'integer', description: 'how many known post IDs were sent' },
+        reached: { type: 'boolean' },
+        reason: { enum: ['since', 'known-post', null] },
+        postId: STRING_OR_NULL,
+      }, { description: 'incremental runs only' })),
+      selectors: nullable(ref('SelectorReport')),
+      extraction: ref('ExtractionMetrics'),
+      debug: nullable(object({
+        runId: { type: 'string', description: 'GET /api/runs/:id/artifacts' },
+        files: { type: 'array', items: { enum: Object.keys(ARTIFACTS) } },
+      }, { description: 'artifacts saved for this successful run (debug: true or DEBUG_CAPTURE=always)' })),
+    }),
+  }),
+  ExtractionMetrics: object(EXTRACTION_PROPERTIES),
+  ExtractionHealth: object({
+    state: { enum: ['ok', 'degraded', 'unknown'] },
+    since: { ...DATE_TIME_OR_NULL, description: 'when the state last changed' },
+    runs: { type: 'integer', minimum: 0, description: 'runs recorded since the server started' },
+    thresholds: object(Object.fromEntries(HEALTH_METRICS.map((m) => [m, { type: 'number', minimum: 0, maximum: 1 }]))),
+    window: object({
+      runs: { type: 'integer', minimum: 0 },
+      averages: object(Object.fromEntries(HEALTH_METRICS.map((m) => [m, RATIO]))),
+      below: { type: 'array', items: { enum: HEALTH_METRICS }, description: 'metrics whose average is below its threshold' },
+    }),
+    history: {
+      type: 'array',
+      description: 'newest first',
+      items: object({
+        pageUrl: STRING_OR_NULL,
+        at: DATE_TIME,
+        ...EXTRACTION_PROPERTIES,
+        below: { type: 'array', items: { enum: HEALTH_METRICS }, description: 'metrics of this run below their threshold' },
+        selectorDrift: { type: 'array', items: { type: 'string' }, description: 'meta.selectors.drift of the run' },
+        error: { enum: ['EXTRACTION_EMPTY', null], description: 'the run failed because no post could be read' },
+      }),
+    },
+  }),
+  SelectorReport: object({
+    version: { type: 'string', description: 'selector profile the scrape ran with' },
+    matched: {
+      type: 'object',
+      additionalProperties: { type: ['integer', 'null'], minimum: 0 },
+      description: 'field -> index of the fallback that matched (0 = primary, null = none)',
+    },
+    drift: { type: 'array', items: { type: 'string' }, description: 'fields that needed a fallback or matched nothing' },
+  }),
+  SelectorProfile: object({
+    version: { type: 'string' },
+    file: STRING_OR_NULL,
+    loadedAt: DATE_TIME,
+    selectors: {
+      type: 'object',
+      additionalProperties: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      description: 'field -> CSS selectors, tried in order',
+    },
+    patterns: {
+      type: 'object',
+      additionalProperties: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      description: 'field -> text patterns written as "/source/flags", tried in order',
+    },
+  }),
+  BatchResult: object({
+    pages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          pageUrl: { type: 'string' },
+          success: { type: 'boolean' },
+          data: ref('ScrapeResult'),
+          error: { type: 'string' },
+          code: { enum: Object.keys(ERROR_CODES) },
+        },
+        required: ['index', 'pageUrl', 'success'],
+        additionalProperties: false,
+        description: 'data when success is true, error and code otherwise; in request order',
+      },
+    },
+    summary: object({
+      total: { type: 'integer', minimum: 0 },
+      succeeded: { type: 'integer', minimum: 0 },
+      failed: { type: 'integer', minimum: 0 },
+    }),
+  }),
+  Job: object({
+    id: { type: 'string' },
+    status: { enum: JOB_STATUSES },
+    pageUrl: STRING_OR_NULL,
+    scheduleId: STRING_OR_NULL,
+    progress: {
+      type: 'object',
+      properties: {
+        loadedArticles: { type: ['integer', 'null'] },
+        postsTarget: { type: 'integer' },
+        reactionsScrapedPosts: { type: 'integer' },
+        commentsScrapedPosts: { type: 'integer' },
+        postsTotal: { type: 'integer' },
+        pagesDone: { type: 'integer' },
+        pagesFailed: { type: 'integer' },
+        pagesTotal: { type: 'integer' },
+      },
+      additionalProperties: false,
+      description: 'feed loading (loadedArticles), opt-in stages (...ScrapedPosts / postsTotal) or batches (pages...)',
+    },
+    queuePosition: { type: ['integer', 'null'] },
+    createdAt: DATE_TIME,
+    startedAt: DATE_TIME_OR_NULL,
+    finishedAt: DATE_TIME_OR_NULL,
+    error: STRING_OR_NULL,
+    errorCode: { enum: [...Object.keys(ERROR_CODES), null] },
+  }),
+  JobLinks: object({
+    status: { type: 'string' },
+    result: { type: 'string' },
+  }),
+  Schedule: object({
+    id: { type: 'string' },
+    name: STRING_OR_NULL,
+    cron: { type: 'string' },
+    cronTimezone: { ...STRING_OR_NULL, description: 'timezone of the cron expression' },
+    pageUrl: { type: 'string' },
+    options: {
+      type: 'object',
+      properties: {
+        ...Object.fromEntries(Object.entries(SCRAPE_OPTIONS).filter(([name]) => name !== 'pageUrl')),
+        format: { enum: Object.keys(EXPORT_FORMATS) },
+      },
+      additionalProperties: false,
+    },
+    enabled: { type: 'boolean' },
+    apiKeyId: STRING_OR_NULL,
+    createdAt: DATE_TIME,
+    nextRunAt: DATE_TIME_OR_NULL,
+    lastRun: nullable(object({
+      status: { enum: [...JOB_STATUSES, 'skipped', 'interrupted', 'paused'] },
+      jobId: { type: 'string' },
+      startedAt: DATE_TIME,
+      finishedAt: DATE_TIME_OR_NULL,
+      error: STRING_OR_NULL,
+      reason: { type: 'string', description: 'why the run was skipped or the schedule paused' },
+      at: { ...DATE_TIME, description: 'when a run was skipped, could not start or paused the schedule' },
+    }, { optional: ['jobId', 'startedAt', 'finishedAt', 'error', 'reason', 'at'] })),
+  }),
+  Delivery: object({
+    id: { type: 'string' },
+    url: { type: 'string' },
+    event: { enum: ['scrape.succeeded', 'scrape.failed', 'batch.succeeded', 'batch.failed'] },
+    jobId: STRING_OR_NULL,
+    apiKeyId: { ...STRING_OR_NULL, description: 'key the job was submitted with' },
+    status: { enum: ['pending', 'delivered', 'failed'] },
+    signed: { type: 'boolean' },
+    createdAt: DATE_TIME,
+    deliveredAt: DATE_TIME_OR_NULL,
+    nextAttemptAt: DATE_TIME_OR_NULL,
+    attempts: {
+      type: 'array',
+      items: object({
+        at: DATE_TIME,
+        statusCode: { type: ['integer', 'null'] },
+        error: STRING_OR_NULL,
+        durationMs: { type: ['integer', 'null'] },
+      }),
+    },
+  }),
+  ApiKey: object({
+    id: { type: 'string' },
+    name: STRING_OR_NULL,
+    prefix: { type: 'string', description: 'first characters of the key, to recognise it' },
+    role: { enum: ['client', 'admin'] },
+    rateLimitPerMinute: { type: ['integer', 'null'] },
+    dailyQuota: { type: ['integer', 'null'] },
+    usage: object({ day: { type: 'string', description: 'UTC day (YYYY-MM-DD)' }, scrapes: { type: 'integer' } }),
+    createdAt: DATE_TIME,
+    lastUsedAt: DATE_TIME_OR_NULL,
+    revokedAt: DATE_TIME_OR_NULL,
+  }),
+  Account: object({
+    name: { type: 'string' },
+    email: { ...STRING_OR_NULL, description: 'null for accounts that only have imported cookies' },
+    hasCredentials: { type: 'boolean', description: 'can log in again when its cookies expire' },
+    twoFactor: { type: 'boolean', description: 'has a TOTP secret to fill two-factor codes' },
+    cookies: { type: 'integer', description: 'number of saved cookies' },
+    cookiesUpdatedAt: DATE_TIME_OR_NULL,
+    status: { enum: ['unknown', 'active', 'rate-limited', 'logged-out', 'checkpoint'] },
+    available: { type: 'boolean', description: 'whether the next login may use it' },
+    unavailableReason: STRING_OR_NULL,
+    lastUsedAt: DATE_TIME_OR_NULL,
+    lastValidatedAt: { ...DATE_TIME_OR_NULL, description: 'last time it was seen logged in' },
+    lastFailureAt: DATE_TIME_OR_NULL,
+    lastFailure: nullable(object({ code: { enum: Object.keys(ERROR_CODES) }, message: { type: 'string' } })),
+    cooldownUntil: { ...DATE_TIME_OR_NULL, description: 'rate-limited or logged-out accounts rest until then' },
+  }),
+  ExportFile: object({
+    name: { type: 'string', description: 'facebook-scrape-<timestamp>.<format>' },
+    format: { enum: Object.keys(EXPORT_FORMATS) },
+    size: { type: 'integer', description: 'bytes' },
+    modifiedAt: DATE_TIME,
+    url: { type: 'string', description: 'download link (GET /api/exports/:file)' },
+  }),
+  RunArtifact: object({
+    name: { enum: Object.keys(ARTIFACTS) },
+    contentType: { type: 'string' },
+    size: { type: 'integer', description: 'bytes' },
+    modifiedAt: DATE_TIME,
+    url: { type: 'string', description: 'download link (GET /api/runs/:id/artifacts/:file)' },
+  }),
+  StoredPage: object({
+    id: { type: 'string' },
+    url: { type: 'string' },
+    name: STRING_OR_NULL,
+    followers: { type: ['integer', 'null'] },
+    likes: { type: ['integer', 'null'] },
+    first_seen_at: DATE_TIME,
+    last_scraped_at: DATE_TIME,
+    posts_count: { type: 'integer' },
+    runs_count: { type: 'integer' },
+  }),
+  StoredPost: object({
+    ...POST_PROPERTIES,
+    page_id: { type: 'string' },
+    first_seen_at: DATE_TIME,
+    last_seen_at: DATE_TIME,
+  }, { optional: ['comments_list', 'date_precision', 'engagement_source'] }),
+  PostSnapshot: object({
+    run_id: { type: 'integer' },
+    scraped_at: DATE_TIME,
+    reactions: { type: ['integer', 'null'] },
+    comments: { type: ['integer', 'null'] },
+    shares: { type: ['integer', 'null'] },
+    total_engagement: { type: ['integer', 'null'] },
+    reactions_by_type: nullable(ref('ReactionCounts')),
+  }),
+};
+
+const JOB_ACCEPTED = success({ job: ref('Job'), links: ref('JobLinks') });
+
+/** Scrape failures a scrape route can answer with (they reach the caller when it waits for the result) */
+const SCRAPE_ERRORS = [
+  'LOGIN_FAILED',
+  'CHECKPOINT_REQUIRED',
+  'PAGE_NOT_FOUND',
+  'CONTENT_UNAVAILABLE',
+  'NAVIGATION_TIMEOUT',
+  'RATE_LIMITED',
+  'EXTRACTION_EMPTY',
+  'NO_ACCOUNT_AVAILABLE',
+];
+
+const SSE_EVENTS = 'job { job, links } first, then job-queued, job-started, the scrape events of events.js '
+  + '(login-started, login-state, session-ready, stage-started, navigated, scroll-iteration, stall-detected, cutoff-reached, '
+  + 'feed-loaded, extraction-done, debug-captured, done, error { code, message }), progress and job-finished { status, error, errorCode }. '
+  + 'Every event but `job` has an id "<jobId>:<n>": a reconnecting EventSource resumes where it left off.';
+
+/**
+ * Every route of the API. `body` / `query` name a request schema of schemas.js; `responses` map
+ * a status to { description, schema } (or a text/event-stream description); `errors` are the
+ * ERROR_CODES the route answers with besides the ones every authenticated route can give.
+ */
+export const ROUTES = [
+  {
+    method: 'post',
+    path: '/api/scrape',
+    tag: 'Scrape',
+    summary: 'Scrape Facebook page posts with engagement metrics',
+    description: 'Waits for the result unless `async` is set; with `webhookUrl` the outcome is also POSTed there.',
+    body: 'scrape',
+    responses: {
+      200: {
+        description: 'Scrape result (a csv, ndjson or xlsx download with `format`)',
+        schema: success({ data: ref('ScrapeResult') }),
+        exports: true,
+      },
+      202: { description: 'Job accepted (async: true)', schema: JOB_ACCEPTED },
+    },
+    errors: ['INVALID_REQUEST', ...SCRAPE_ERRORS],
+  },
+  {
+    method: 'post',
+    path: '/api/scrape/batch',
+    tag: 'Scrape',
+    summary: 'Scrape several pages in one logged-in browser session',
+    description: 'One failing page does not fail the batch; every page counts against the daily quota.',
+    body: 'batch',
+    responses: {
+      200: { description: 'Per-page results', schema: success({ data: ref('BatchResult') }) },
+      202: { description: 'Job accepted (async: true)', schema: JOB_ACCEPTED },
+    },
+    errors: ['INVALID_REQUEST'],
+  },
+  {
+    method: 'get',
+    path: '/api/scrape/stream',
+    tag: 'Scrape',
+    summary: 'Start a scrape and stream its progress as Server-Sent Events',
+    description: 'Closing the stream does not cancel the job. The last event, `result`, carries '
+      + '{ success, data } or { success: false, status, code, error }.',
+    query: 'scrapeStream',
+    sse: true,
+    responses: {
+      200: { description: SSE_EVENTS, stream: true },
+      204: { description: 'Reconnect after the job finished: nothing left to send' },
+    },
+    errors: ['INVALID_REQUEST'],
+  },
+  {
+    method: 'get',
+    path: '/api/jobs/:id/events',
+    tag: 'Jobs',
+    summary: 'Server-Sent Events of a job (buffered events are replayed first)',
+    description: 'Batch page events carry pageIndex and pageUrl.',
+    sse: true,
+    responses: {
+      200: { description: SSE_EVENTS, stream: true },
+      204: { description: 'The job finished and every event was already sent' },
+    },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/api/jobs/:id',
+    tag: 'Jobs',
+    summary: 'Job status and progress',
+    responses: { 200: { description: 'The job', schema: success({ job: ref('Job') }) } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/api/jobs/:id/result',
+    tag: 'Jobs',
+    summary: 'Result of a finished job',
+    description: 'A failed job answers with the status of its error code.',
+    query: 'resultQuery',
+    responses: {
+      200: {
+        description: 'Scrape or batch result (scrapes: a csv, ndjson or xlsx download with `format`)',
+        schema: success({ data: { anyOf: [ref('ScrapeResult'), ref('BatchResult')] } }),
+        exports: true,
+      },
+      202: {
+        description: 'Still queued or running',
+        schema: object({ success: { const: false }, error: { type: 'string' }, job: ref('Job') }),
+      },
+    },
+    errors: ['INVALID_REQUEST', 'NOT_FOUND', 'JOB_CANCELLED', ...SCRAPE_ERRORS],
+  },
+  {
+    method: 'delete',
+    path: '/api/jobs/:id',
+    tag: 'Jobs',
+    summary: 'Cancel a queued or running job',
+    responses: { 200: { description: 'The cancelled job', schema: success({ job: ref('Job') }) } },
+    errors: ['NOT_FOUND', 'CONFLICT'],
+  },
+  {
+    method: 'post',
+    path: '/api/schedules',
+    tag: 'Schedules',
+    summary: 'Create a recurring scrape',
+    description: 'Every run saves its result JSON into outputs/ (and the history store when enabled).',
+    body: 'schedule',
+    responses: { 201: { description: 'The new schedule', schema: success({ schedule: ref('Schedule') }) } },
+    errors: ['INVALID_REQUEST'],
+  },
+  {
+    method: 'get',
+    path: '/api/schedules',
+    tag: 'Schedules',
+    summary: 'Schedules with next run time and last-run status',
+    description: 'Client keys see the schedules they created, admin keys every schedule.',
+    responses: {
+      200: { description: 'All schedules', schema: success({ schedules: { type: 'array', items: ref('Schedule') } }) },
+    },
+  },
+  {
+    method: 'get',
+    path: '/api/schedules/:id',
+    tag: 'Schedules',
+    summary: 'One schedule',
+    responses: { 200: { description: 'The schedule', schema: success({ schedule: ref('Schedule') }) } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'delete',
+    path: '/api/schedules/:id',
+    tag: 'Schedules',
+    summary: 'Delete a schedule (a run in progress is not cancelled)',
+    responses: { 200: { description: 'Deleted', schema: success({}) } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/api/exports',
+    tag: 'Exports',
+    summary: 'Result files saved in outputs/ (scheduled runs, downloadMedia), newest first',
+    responses: {
+      200: { description: 'Saved files', schema: success({ files: { type: 'array', items: ref('ExportFile') } }) },
+    },
+  },
+  {
+    method: 'get',
+    path: '/api/exports/:file',
+    tag: 'Exports',
+    summary: 'Download a saved result file',
+    responses: { 200: { description: 'The file (json, csv, ndjson or xlsx)', exports: true, files: true } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/api/runs/:id/artifacts',
+    tag: 'Jobs',
+    summary: 'Debug artifacts of a run: screenshot, DOM snapshots, console log and HAR (admin key required)',
+    description: 'Saved when a scrape fails (DEBUG_CAPTURE=on-failure, the default) or runs with `debug: true`. '
+      + 'The run id is the job id; the pages of a batch are "<jobId>-<pageIndex>". articles.html has the shape of '
+      + 'the test fixtures.',
+    responses: {
+      200: {
+        description: 'Saved artifacts',
+        schema: success({ runId: { type: 'string' }, artifacts: { type: 'array', items: ref('RunArtifact') } }),
+      },
+    },
+    errors: ['FORBIDDEN', 'NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/api/runs/:id/artifacts/:file',
+    tag: 'Jobs',
+    summary: 'Download one debug artifact (admin key required)',
+    responses: { 200: { description: `The file (${Object.keys(ARTIFACTS).join(', ')})`, artifacts: true } },
+    errors: ['FORBIDDEN', 'NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/api/deliveries',
+    tag: 'Webhooks',
+    summary: 'Webhook delivery log, newest first',
+    description: 'Deliveries are POSTs with the headers X-Scraper-Event, X-Scraper-Delivery, X-Scraper-Timestamp and '
+      + 'X-Scraper-Signature: sha256=HMAC-SHA256(WEBHOOK_SECRET, "<timestamp>.<body>"); failed attempts are retried '
+      + 'with exponential backoff.',
+    query: 'deliveriesQuery',
+    responses: {
+      200: { description: 'Deliveries', schema: success({ deliveries: { type: 'array', items: ref('Delivery') } }) },
+    },
+    errors: ['INVALID_REQUEST'],
+  },
+  {
+    method: 'get',
+    path: '/api/deliveries/:id',
+    tag: 'Webhooks',
+    summary: 'One webhook delivery with its attempts',
+    responses: { 200: { description: 'The delivery', schema: success({ delivery: ref('Delivery') }) } },
+    errors: ['NOT_FOUND'],
+  },
+  {
+    method: 'post',
+    path: '/api/admin/keys',
+    tag: 'Admin',
+    summary: 'Create an API key (admin key required)',
+    description: 'The plain key is in this response only.',
+    body: 'createKey',
+    responses: {
+      201: { description: 'The new key', schema: success({ key: { type: 'string', pattern: '^fbs_' }, apiKey: ref('ApiKey') }) },
+    },
+    errors: ['INVALID_REQUEST', 'FORBIDDEN'],
+  },
+  {
+    method: 'get',
+    path: '/api/admin/keys',
+    tag: 'Admin',
+    summary: 'API keys with their usage (admin key required)',
+    responses: { 200: { description: 'All keys', schema: success({ keys: { type: 'array', items: ref('ApiKey') } }) } },
+    errors: ['FORBIDDEN'],
+  },
+  {
+    method: 'delete',
+    path: '/api/admin/keys/:id',
+    tag: 'Admin',
+    summary: 'Revoke an API key (admin key required)',
+    responses: { 200: { description: 'The revoked key', schema: success({ apiKey: ref('ApiKey') }) } },
+    errors: ['FORBIDDEN', 'NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/api/admin/accounts',
+    tag: 'Admin',
+    summary: 'Facebook accounts with their session health (admin key required)',
+    description: 'Scrapes log in with the next available account and move on to another one when an account '
+      + 'is rate limited, logged out or stuck at a checkpoint. Cookies and passwords are never returned.',
+    responses: {
+      200: {
+        description: 'All accounts',
+        schema: success({
+          encrypted: { type: 'boolean', description: 'cookies are saved encrypted (SESSION_ENCRYPTION_KEY is set)' },
+          accounts: { type: 'array', items: ref('Account') },
+        }),
+      },
+    },
+    errors: ['FORBIDDEN'],
+  },
+  {
+    method: 'post',
+    path: '/api/admin/accounts/:name/cookies',
+    tag: 'Admin',
+    summary: 'Import a cookie file for an account (admin key required)',
+    description: 'Creates the account when it does not exist yet and clears its failure state. '
+      + 'The file must hold the facebook.com session cookies (c_user, xs).',
+    body: 'importCookies',
+    responses: { 200: { description: 'The account', schema: success({ account: ref('Account') }) } },
+    errors: ['INVALID_REQUEST', 'FORBIDDEN'],
+  },
+  {
+    method: 'get',
+    path: '/api/admin/selectors',
+    tag: 'Admin',
+    summary: 'Selector profile in use (admin key required)',
+    description: 'The CSS selectors and text patterns scrapes use to read Facebook, each an ordered list of fallbacks. '
+      + 'meta.selectors of a scrape result reports which fallback matched.',
+    responses: { 200: { description: 'The profile', schema: success({ profile: ref('SelectorProfile') }) } },
+    errors: ['FORBIDDEN'],
+  },
+  {
+    method: 'post',
+    path: '/api/admin/selectors/reload',
+    tag: 'Admin',
+    summary: 'Reload the selector profile file (admin key required)',
+    description: 'An invalid file is rejected (details.errors lists the problems) and the profile in use stays. '
+      + 'Scrapes already running finish with the profile they started with.',
+    responses: {
+      200: {
+        description: 'The profile now in use',
+        schema: success({ profile: ref('SelectorProfile'), previousVersion: STRING_OR_NULL }),
+      },
+    },
+    errors: ['FORBIDDEN', 'INVALID_SELECTOR_PROFILE'],
+  },
+  {
+    method: 'get',
+    path: '/api/pages',
+    tag: 'History',
+    summary: 'Pages recorded in the history store (requires SQLITE_DB_PATH)',
+    responses: { 200: { description: 'Pages', schema: success({ pages: { type: 'array', items: ref('StoredPage') } }) } },
+    errors: ['FEATURE_DISABLED'],
+  },
+  {
+    method: 'get',
+    path: '/api/pages/:id/posts',
+    tag: 'History',
+    summary: 'Stored posts of a page with their latest metrics, newest first',
+    query: 'pagePostsQuery',
+    responses: {
+      200: {
+        description: 'One page of posts',
+        schema: success({
+          page: ref('StoredPage'),
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          posts: { type: 'array', items: ref('StoredPost') },
+        }),
+      },
+    },
+    errors: ['FEATURE_DISABLED', 'INVALID_REQUEST', 'NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/api/posts/:id/history',
+    tag: 'History',
+    summary: 'Engagement snapshots of a post, one per run that saw it',
+    responses: {
+      200: {
+        description: 'The post and its snapshots, oldest first',
+        schema: success({ post: ref('StoredPost'), history: { type: 'array', items: ref('PostSnapshot') } }),
+      },
+    },
+    errors: ['FEATURE_DISABLED', 'NOT_FOUND'],
+  },
+  {
+    method: 'get',
+    path: '/health',
+    tag: 'Server',
+    summary: 'Health check with queue, pool, scheduler, webhook, auth and account stats',
+    public: true,
+    responses: { 200: { description: 'Server status', schema: { type: 'object', properties: { status: { const: 'OK' } } } } },
+  },
+  {
+    method: 'get',
+    path: '/api/health/extraction',
+    tag: 'Server',
+    summary: 'Extraction health of the recent scrapes',
+    description: 'Per-run metrics (posts per article, share of posts with a date, a parsed date and reactions, '
+      + 'extraction strategies) and their averages over the last runs. The state turns "degraded" when an average '
+      + 'drops below its threshold (EXTRACTION_MIN_* settings), which usually means Facebook changed its markup.',
+    query: 'extractionHealthQuery',
+    responses: { 200: { description: 'Health and history', schema: success({ extraction: ref('ExtractionHealth') }) } },
+    errors: ['INVALID_REQUEST'],
+  },
+  {
+    method: 'get',
+    path: '/api/info',
+    tag: 'Server',
+    summary: 'API overview: authentication, error codes and routes',
+    public: true,
+    responses: { 200: { description: 'Overview', schema: { type: 'object' } } },
+  },
+  {
+    method: 'get',
+    path: '/api/openapi.json',
+    tag: 'Server',
+    summary: 'This OpenAPI document',
+    public: true,
+    responses: { 200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } } },
+  },
+  {
+    method: 'get',
+    path: '/api/docs',
+    tag: 'Server',
+    summary: 'HTML documentation rendered from the OpenAPI document (works offline)',
+    public: true,
+    responses: { 200: { description: 'HTML page', html: true } },
+  },
+];
+
+/** Response content of the csv, ndjson and xlsx downloads */
+const EXPORT_CONTENT = Object.fromEntries(Object.entries(EXPORT_FORMATS).filter(([format]) => format !== 'json')
+  .map(([format, { contentType }]) => [
+    contentType.split(';')[0],
+    { schema: format === 'xlsx' ? { type: 'string', format: 'binary' } : { type: 'string' } },
+  ]));
+
+const ARTIFACT_CONTENT = Object.fromEntries(Object.values(ARTIFACTS).map((contentType) => [
+  contentType,
+  { schema: contentType === 'image/png' ? { type: 'string', format: 'binary' } : { type: 'string' } },
+]));
+
+/** "/api/jobs/:id" -> "/api/jobs/{id}" */
+const openApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/** Query parameters of an object schema; arrays are comma-separated, objects JSON-encoded */
+function queryParameters(schema) {
+  const required = new Set(schema.required || []);
+  return Object.entries(schema.properties).map(([name, s]) => {
+    const { description, ...rest } = s;
+    const parameter = { name, in: 'query', required: required.has(name), ...(description ? { description } : {}) };
+    if (rest.type === 'object') return { ...parameter, content: { 'application/json': { schema: rest } } };
+    if (rest.type === 'array') return { ...parameter, schema: rest, style: 'form', explode: false };
+    return { ...parameter, schema: rest };
+  });
+}
+
+/** "get" + "/api/jobs/:id/events" -> "getApiJobsIdEvents" */
+function operationId({ method, path }) {
+  const words = path.replace(/:/g, '').split(/[/.-]/).filter(Boolean);
+  return method + words.map((w) => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+/** Error responses of a route grouped by HTTP status (PAGE_NOT_FOUND and NOT_FOUND share 404) */
+function errorResponses(codes) {
+  const byStatus = {};
+  for (const code of codes) {
+    const { status, description } = ERROR_CODES[code];
+    (byStatus[status] ??= []).push(`${code}: ${description}`);
+  }
+  return Object.fromEntries(Object.entries(byStatus).map(([status, lines]) => [status, {
+    description: lines.join('\n'),
+    content: { 'application/json': { schema: ref('Error') } },
+  }]));
+}
+
+function operation(route, schemas, { authEnabled }) {
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name, in: 'path', required: true, schema: { type: 'string' },
+  }));
+  const codes = [...(route.errors || [])];
+  if (authEnabled && !route.public) codes.push('UNAUTHORIZED', 'TOO_MANY_REQUESTS');
+
+  const responses = {};
+  for (const [status, { description, schema, stream, html, exports, files, artifacts }] of Object.entries(route.responses)) {
+    const content = stream ? { 'text/event-stream': { schema: { type: 'string' } } }
+      : html ? { 'text/html': { schema: { type: 'string' } } }
+      : {
+        ...(schema ? { 'application/json': { schema } } : {}),
+        // A saved .json file is the raw result, without the { success, data } envelope
+        ...(files ? {
+          'application/json': { schema: { type: 'object', description: 'the saved result (a ScrapeResult for API runs)' } },
+        } : {}),
+        ...(exports ? EXPORT_CONTENT : {}),
+        ...(artifacts ? ARTIFACT_CONTENT : {}),
+      };
+    responses[status] = { description, ...(Object.keys(content).length ? { content } : {}) };
+  }
+  Object.assign(responses, errorResponses([...new Set(codes)]));
+
+  const op = {
+    operationId: operationId(route),
+    tags: [route.tag],
+    summary: route.summary,
+    ...(route.description ? { description: route.description } : {}),
+    parameters: [...pathParams, ...(route.query ? queryParameters(schemas[route.query]) : [])],
+    ...(route.body ? {
+      requestBody: { required: true, content: { 'application/json': { schema: ref(requestSchemaName(route.body)) } } },
+    } : {}),
+    responses,
+  };
+  if (!authEnabled || route.public) op.security = [];
+  else if (route.sse) op.security = [{ apiKeyHeader: [] }, { bearer: [] }, { apiKeyQuery: [] }];
+  return op;
+}
+
+/** "createKey" -> "CreateKeyRequest" */
+const requestSchemaName = (name) => `${name[0].toUpperCase()}${name.slice(1)}Request`;
+
+/**
+ * Build the OpenAPI document. `schemas` are the request schemas (createSchemas()),
+ * `authEnabled` adds the API key security schemes and the 401/429 responses.
+ */
+export function buildOpenApiDocument({ schemas, authEnabled = true, version = API_VERSION } = {}) {
+  const paths = {};
+  for (const route of ROUTES) {
+    (paths[openApiPath(route.path)] ??= {})[route.method] = operation(route, schemas, { authEnabled });
+  }
+  const requestSchemas = Object.fromEntries([...new Set(ROUTES.map((r) => r.body).filter(Boolean))]
+    .map((name) => [requestSchemaName(name), schemas[name]]));
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Facebook Scraper API',
+      version,
+      description: 'Scrape Facebook page posts with engagement metrics. Every error is '
+        + '{ success: false, code, error, details }; the codes and their HTTP status are listed under each route. '
+        + 'Jobs, schedules and webhook deliveries belong to the API key that created them: other client keys '
+        + 'get NOT_FOUND, admin keys see all of them.',
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(ROUTES.map((r) => r.tag))].map((name) => ({ name })),
+    paths,
+    components: {
+      schemas: { ...RESPONSE_SCHEMAS, ...requestSchemas },
+      securitySchemes: authEnabled ? {
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer', description: 'the API key as a bearer token' },
+        apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key', description: 'Server-Sent Events routes only' },
+      } : {},
+    },
+    ...(authEnabled ? { security: [{ apiKeyHeader: [] }, { bearer: [] }] } : {}),
+  };
+}
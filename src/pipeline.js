@@ -0,0 +1,294 @@
+// src/pipeline.js
+// One configurable scrape pipeline built from pluggable stages
+import { randomUUID } from 'crypto';
+import { login, newScrapePage } from './login.js';
+import { sleep } from './utils.js';
+import { navigateStage } from './stages/navigate.js';
+import { pageMetadataStage } from './stages/page-metadata.js';
+import { loadFeedStage } from './stages/load-feed.js';
+import { expandStage } from './stages/expand.js';
+import { extractPostsStage } from './stages/extract-posts.js';
+import { enrichStage } from './stages/enrich.js';
+import { reactionsDialogStage } from './stages/reactions-dialog.js';
+import { commentsStage } from './stages/comments.js';
+import { summarizeStage } from './stages/summarize.js';
+import { downloadMediaStage } from './stages/download-media.js';
+import { storeStage } from './stages/store.js';
+import { persistStage } from './stages/persist.js';
+import { createCutoff, describeCutoff } from './incremental.js';
+import { createEmitter } from './events.js';
+import { errorCode } from './errors.js';
+import { getSessionStore, isAccountFailure } from './sessions.js';
+import { getSelectorProfile, createSelectorReport } from './selectors.js';
+import { measureExtraction } from './extraction-health.js';
+import { DEBUG_MODES, createDebugRecorder, captureDebugArtifacts } from './debug-capture.js';
+
+/** Stages in execution order; each is { name, run(ctx) } */
+export const STAGES = [
+  navigateStage,
+  pageMetadataStage,
+  loadFeedStage,
+  expandStage,
+  extractPostsStage,
+  enrichStage,
+  reactionsDialogStage,
+  commentsStage,
+  summarizeStage,
+  downloadMediaStage,
+  storeStage,
+  persistStage,
+];
+
+export const STAGE_NAMES = STAGES.map((s) => s.name);
+
+const DEFAULT_OPTIONS = {
+  POSTS_TARGET: 10,
+  SCROLL_DELAY_MS: 3000,
+  SCROLL_STALL_LIMIT: 5,
+  SCROLL_MAX_LOOPS: 100,
+  SAVE_TO_FILE: false,
+  OUTPUT_FORMAT: 'json',
+  OPEN_POSTS_TAB: true,
+  ABOUT_FALLBACK: true,
+  INCLUDE_COMMENTS: false,
+  COMMENTS_LIMIT: 20,
+  OPEN_REACTIONS_DIALOG: false,
+  DOWNLOAD_MEDIA: false,
+  FOLLOWERS_XPATH: null,
+  LIKES_XPATH: null,
+  TIMEZONE: process.env.SCRAPE_TIMEZONE || null,
+  DEBUG_CAPTURE: process.env.DEBUG_CAPTURE || 'on-failure',
+  saveDir: null,
+  store: null,
+  since: null,
+  knownPostIds: null,
+};
+
+/**
+ * Canonical result shape shared by every caller
+ */
+export function buildResult(ctx) {
+  return {
+    page: {
+      name: ctx.pageName,
+      url: ctx.options.FB_PAGE_URL,
+      followers: ctx.followers,
+      likes: ctx.likes,
+    },
+    posts: ctx.posts,
+    summary: ctx.summary,
+    scraped_at: ctx.scrapedAt,
+    meta: {
+      postsTarget: ctx.options.POSTS_TARGET,
+      loadedArticles: ctx.loadedArticles,
+      stages: ctx.enabledStages,
+      cutoff: describeCutoff(ctx.cutoff),
+      selectors: ctx.selectorReport?.toJSON() ?? null,
+      extraction: measureExtraction({
+        articles: ctx.articlesRead ?? ctx.loadedArticles ?? null,
+        postsRead: ctx.postsRead ?? null,
+        posts: ctx.posts,
+      }),
+      debug: ctx.debugCapture ? { runId: ctx.runId, files: ctx.debugCapture.files } : null,
+    },
+  };
+}
+
+/**
+ * Resolve which stages run. `toggles` is a map like { 'page-metadata': false };
+ * persist is on only when SAVE_TO_FILE is set, comments only when INCLUDE_COMMENTS is,
+ * reactions-dialog only when OPEN_REACTIONS_DIALOG is, download-media only when
+ * DOWNLOAD_MEDIA is and store only when a `store` is passed, unless toggled explicitly.
+ */
+export function resolveStages(toggles = {}, options = {}) {
+  const unknown = Object.keys(toggles).filter((name) => !STAGE_NAMES.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown pipeline stage(s): ${unknown.join(', ')} (known: ${STAGE_NAMES.join(', ')})`);
+  }
+  const defaults = {
+    persist: !!options.SAVE_TO_FILE,
+    comments: !!options.INCLUDE_COMMENTS,
+    'reactions-dialog': !!options.OPEN_REACTIONS_DIALOG,
+    'download-media': !!options.DOWNLOAD_MEDIA,
+    store: !!options.store,
+  };
+  return STAGE_NAMES.filter((name) => toggles[name] ?? defaults[name] ?? true);
+}
+
+/**
+ * Run the scrape pipeline.
+ * Options use the scrapers' names (FB_PAGE_URL, POSTS_TARGET, SCROLL_DELAY_MS, ...) plus:
+ * - `stages`: per-stage on/off toggles (see resolveStages)
+ * - `pool`: borrow a warm browser from a browser pool instead of launching one
+ * - `browser`: run in a new tab of an already logged-in browser; only the tab is closed afterwards
+ *   (`account`: the session store account that browser is logged in as)
+ * - `sessions`: session store (see sessions.js) used to log in and told when the account gets
+ *   rate limited or logged out mid-scrape (defaults to getSessionStore())
+ * - `store`: SQLite store (see store.js) that records pages, posts and engagement snapshots
+ * - `signal`: AbortSignal that cancels the scrape and closes the browser
+ * - `onProgress`: called with { loadedArticles, postsTarget } while the feed loads
+ *   (then { reactionsScrapedPosts, postsTotal } / { commentsScrapedPosts, postsTotal } in the opt-in stages)
+ * - `onEvent`: called with structured events ({ type, at, ...data }, see events.js) from login to done/error
+ * - `formatResult(ctx)`: shape of the returned/persisted result (defaults to buildResult)
+ * - `TIMEZONE`: IANA timezone Facebook shows dates in (the account's), for dateISO; defaults to
+ *   SCRAPE_TIMEZONE, then the server's
+ * - `OUTPUT_FORMAT`: file written by the persist stage: json (default), csv, ndjson or xlsx (see exports.js)
+ * - `since` (ISO date) / `knownPostIds`: incremental run, see incremental.js; the feed stops loading
+ *   at the first older or known post, only newer posts are returned and meta.cutoff says whether
+ *   the cutoff was reached
+ * - `selectorProfile`: selector profile to scrape with (defaults to getSelectorProfile(), see selectors.js);
+ *   meta.selectors reports which fallback of each field matched
+ * - `DEBUG_CAPTURE`: "on-failure" (default; or the DEBUG_CAPTURE env), "always" or "off": records the page console
+ *   and network while the scrape runs and saves a screenshot, DOM snapshots, console.log and network.har into
+ *   outputs/runs/<runId>/ when it fails (or every time), see debug-capture.js; meta.debug lists the saved files
+ * - `runId`: name of that artifact folder (defaults to a random UUID)
+ */
+export async function runScrapePipeline(options = {}) {
+  const {
+    stages: toggles,
+    pool = null,
+    browser: sharedBrowser = null,
+    account = null,
+    sessions = null,
+    signal = null,
+    onProgress = null,
+    onEvent = null,
+    formatResult = buildResult,
+    selectorProfile = getSelectorProfile(),
+    runId = randomUUID(),
+    ...rest
+  } = options;
+  const opts = { ...DEFAULT_OPTIONS, ...stripUndefined(rest) };
+
+  if (!opts.FB_PAGE_URL) {
+    throw new Error('FB_PAGE_URL is required');
+  }
+  if (!DEBUG_MODES.includes(opts.DEBUG_CAPTURE)) {
+    throw new Error(`DEBUG_CAPTURE must be one of ${DEBUG_MODES.join(', ')} (got ${opts.DEBUG_CAPTURE})`);
+  }
+
+  const enabledStages = resolveStages(toggles, opts);
+  const cutoff = createCutoff({ since: opts.since, knownPostIds: opts.knownPostIds, timeZone: opts.TIMEZONE });
+  const emit = createEmitter(onEvent);
+  const ctx = {
+    options: opts,
+    signal,
+    enabledStages,
+    browser: null,
+    page: null,
+    account,
+    pageName: null,
+    followers: null,
+    likes: null,
+    loadedArticles: null,
+    articlesRead: null,
+    postsRead: null,
+    posts: [],
+    summary: null,
+    savedTo: null,
+    scrapedAt: null,
+    cutoff,
+    // The profile is fixed for the whole run, even when it is reloaded meanwhile
+    selectorProfile,
+    selectorReport: createSelectorReport(selectorProfile),
+    runId,
+    // Stage running right now, for the debug capture of a failed run
+    stage: null,
+    debugRecorder: null,
+    debugCapture: null,
+    isEnabled: (name) => enabledStages.includes(name),
+    progress: (p) => { if (onProgress) onProgress(p); },
+    emit,
+    buildResult: () => formatResult(ctx),
+  };
+
+  let lease = null;
+  let sessionReady = false;
+
+  const captureDebug = async (reason, error = null) => {
+    try {
+      ctx.debugCapture = await captureDebugArtifacts(ctx.page, ctx.debugRecorder, {
+        runId,
+        reason,
+        pageUrl: opts.FB_PAGE_URL,
+        stage: ctx.stage,
+        error,
+        profile: selectorProfile,
+        keep: Math.max(1, parseInt(process.env.DEBUG_KEEP_RUNS || '50', 10) || 1),
+      });
+      emit('debug-captured', { runId, reason, files: ctx.debugCapture.files });
+    } catch (err) {
+      console.warn('[Debug] ⚠️ Debug capture failed:', err.message);
+    }
+  };
+
+  // Closing the browser makes any pending Puppeteer call reject right away
+  // (a shared browser keeps serving other scrapes: only our tab is closed)
+  const onAbort = () => {
+    if (lease) lease.destroy();
+    else if (sharedBrowser) ctx.page?.close().catch(() => {});
+    else if (ctx.browser) ctx.browser.close().catch(() => {});
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    signal?.throwIfAborted();
+    if (pool) {
+      lease = await pool.acquire({ signal });
+      ({ browser: ctx.browser, page: ctx.page, account: ctx.account } = lease);
+    } else if (sharedBrowser) {
+      ctx.browser = sharedBrowser;
+      ctx.page = await newScrapePage(sharedBrowser);
+    } else {
+      ({ browser: ctx.browser, page: ctx.page, account: ctx.account } = await login({ onEvent, sessions }));
+      // Short wait after login
+      await sleep(2000);
+    }
+    sessionReady = true;
+    if (opts.DEBUG_CAPTURE !== 'off') ctx.debugRecorder = createDebugRecorder(ctx.page);
+    emit('session-ready', { source: pool ? 'pool' : sharedBrowser ? 'shared' : 'login', account: ctx.account });
+
+    console.log(`[Scraper] Starting scrape for: ${opts.FB_PAGE_URL} (stages: ${enabledStages.join(', ')})`);
+
+    for (const stage of STAGES) {
+      if (!ctx.isEnabled(stage.name)) continue;
+      signal?.throwIfAborted();
+      ctx.stage = stage.name;
+      emit('stage-started', { stage: stage.name });
+      await stage.run(ctx);
+    }
+    ctx.stage = null;
+    if (opts.DEBUG_CAPTURE === 'always') await captureDebug('debug');
+
+    ctx.scrapedAt ??= new Date().toISOString();
+    console.log('[Scraper] ✅ Done!');
+    emit('done', { posts: ctx.posts.length });
+    return ctx.buildResult();
+  } catch (err) {
+    console.error('[Scraper] ❌ Error:', err.message);
+    // Facebook blocked or logged out the account mid-scrape: the next scrapes use another one
+    // (login failures are already recorded by login())
+    if (sessionReady && ctx.account && isAccountFailure(err)) {
+      (sessions ?? await getSessionStore()).reportFailure(ctx.account, err);
+    }
+    // A cancelled run has nothing to show: its browser is already closing
+    if (ctx.debugRecorder && !signal?.aborted) await captureDebug('failure', err);
+    emit('error', { code: errorCode(err), message: err.message });
+    throw err;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    ctx.debugRecorder?.stop();
+    if (lease) {
+      await lease.release();
+    } else if (sharedBrowser) {
+      if (ctx.page) await ctx.page.close().catch(() => {});
+    } else {
+      if (ctx.page) await ctx.page.close().catch(e => console.warn('⚠️ Could not close page:', e.message));
+      if (ctx.browser) await ctx.browser.close().catch(e => console.warn('⚠️ Could not close browser:', e.message));
+    }
+  }
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
@@ -0,0 +1,97 @@
+// src/post-identity.js
+// Stable post identity: canonical permalink + Facebook post ID parsed from post links
+import { createHash } from 'crypto';
+import { sanitizeText } from './utils.js';
+
+const FB_ORIGIN = 'https://www.facebook.com';
+
+/**
+ * Parse a Facebook post link into { postId, permalink }.
+ * Handles /{page}/posts/{id|pfbid…}, permalink.php?story_fbid=…, /{page}/permalink/{id},
+ * /{page}/videos/{id}, /reel/{id}, /watch/?v={id} and photo links (fbid=…).
+ * Tracking parameters (__cft__, __tn__, …) are dropped. Returns null for anything else.
+ */
+export function parsePostUrl(href) {
+  if (!href) return null;
+  let url;
+  try {
+    url = new URL(href, FB_ORIGIN);
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)facebook\.com$/i.test(url.hostname)) return null;
+
+  const params = url.searchParams;
+  const path = url.pathname.replace(/\/+$/, '');
+
+  // permalink.php?story_fbid=…&id=…  /  story.php?story_fbid=…
+  const storyFbid = params.get('story_fbid');
+  if (storyFbid) {
+    const owner = params.get('id');
+    const query = `story_fbid=${encodeURIComponent(storyFbid)}${owner ? `&id=${encodeURIComponent(owner)}` : ''}`;
+    return { postId: storyFbid, permalink: `${FB_ORIGIN}/permalink.php?${query}` };
+  }
+
+  // /{page}/posts/{id}, /{page}/permalink/{id}, /groups/{g}/permalink/{id}
+  let m = path.match(/^(\/.+)?\/(posts|permalink)\/(pfbid[A-Za-z0-9]+|\d+)/);
+  if (m) {
+    return { postId: m[3], permalink: `${FB_ORIGIN}${m[1] || ''}/${m[2]}/${m[3]}` };
+  }
+
+  // /{page}/videos/{id} or /{page}/videos/{slug}/{id}
+  m = path.match(/^(\/[^/]+)?\/videos\/(?:[^/]+\/)?(\d+)$/);
+  if (m) {
+    return { postId: m[2], permalink: `${FB_ORIGIN}${m[1] || ''}/videos/${m[2]}` };
+  }
+
+  m = path.match(/^\/reel\/(\d+)/);
+  if (m) {
+    return { postId: m[1], permalink: `${FB_ORIGIN}/reel/${m[1]}` };
+  }
+
+  if (/^\/watch$/.test(path) && /^\d+$/.test(params.get('v') || '')) {
+    return { postId: params.get('v'), permalink: `${FB_ORIGIN}/watch/?v=${params.get('v')}` };
+  }
+
+  // /photo/?fbid=…, /photo.php?fbid=…
+  const fbid = params.get('fbid');
+  if (/^\/photo(\.php)?$/.test(path) && fbid) {
+    return { postId: fbid, permalink: `${FB_ORIGIN}/photo/?fbid=${encodeURIComponent(fbid)}` };
+  }
+
+  // Any other link that still carries a pfbid token
+  m = url.href.match(/(pfbid[A-Za-z0-9]+)/);
+  if (m) {
+    return { postId: m[1], permalink: `${FB_ORIGIN}${path}` };
+  }
+
+  return null;
+}
+
+/** Short stable hash of a post's normalized text, used when no link was found */
+export function hashPostText(text) {
+  return createHash('sha1').update(sanitizeText(text)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Attach { id, post_id, permalink } to raw extracted posts and drop duplicates.
+ * `id` is the Facebook post ID when known, otherwise "text:<hash>".
+ * The raw `link` field is replaced by the canonical `permalink`.
+ */
+export function identifyPosts(rawPosts) {
+  const seen = new Set();
+  const posts = [];
+  for (const { link, ...post } of rawPosts) {
+    const parsed = parsePostUrl(link);
+    const id = parsed ? parsed.postId : `text:${hashPostText(post.text)}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    posts.push({
+      id,
+      post_id: parsed ? parsed.postId : null,
+      permalink: parsed ? parsed.permalink : null,
+      ...post,
+    });
+  }
+  return posts;
+}
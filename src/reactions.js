@@ -0,0 +1,47 @@
+// src/reactions.js
+// Per-type reaction breakdown of posts found by the pipeline
+import { sleep, closePostOverlay, findPostArticle } from './utils.js';
+import { openReactionsOfArticle, readReactionTabs } from './extractors/reactions.js';
+import { getSelectorProfile, findFirst } from './selectors.js';
+
+/** Reaction types in Facebook's display order */
+export const REACTION_TYPES = ['like', 'love', 'care', 'haha', 'wow', 'sad', 'angry'];
+
+/**
+ * Fill every reaction type (missing ones as 0), or null when there is no breakdown at all.
+ */
+export function normalizeReactionBreakdown(breakdown) {
+  if (!breakdown) return null;
+  return Object.fromEntries(REACTION_TYPES.map((type) => [type, breakdown[type] || 0]));
+}
+
+/** Sum of a (normalized or partial) breakdown */
+export function sumReactionBreakdown(breakdown) {
+  return breakdown ? Object.values(breakdown).reduce((sum, n) => sum + (n || 0), 0) : 0;
+}
+
+/**
+ * Open the reactions dialog of one post and read the per-type counts from its tabs.
+ * Returns a normalized breakdown, or null when the post is no longer in the feed
+ * or the dialog shows no typed tabs. The dialog is closed again with closePostOverlay.
+ * `profile` / `report`: selector profile and drift report of the run (see selectors.js).
+ */
+export async function scrapeReactionBreakdown(page, post, { delayMs = 1200, profile = getSelectorProfile(), report = null } = {}) {
+  const article = post.post_id ? await findPostArticle(page, post.post_id, { profile }) : null;
+  if (!article) return null;
+
+  try {
+    const opened = await article.evaluate(openReactionsOfArticle, profile.inPage);
+    if (!opened) return null;
+    await sleep(delayMs);
+    const dialog = (await findFirst(page, profile, 'dialog', report))?.handle;
+    if (!dialog) return null;
+    try {
+      return normalizeReactionBreakdown(await dialog.evaluate(readReactionTabs, profile.inPage));
+    } finally {
+      await closePostOverlay(page, { profile, report });
+    }
+  } finally {
+    await article.dispose();
+  }
+}
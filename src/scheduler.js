@@ -0,0 +1,196 @@
+// src/scheduler.js
+// Recurring scrapes on cron expressions, persisted to a JSON file so they survive restarts
+import { Cron } from 'croner';
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Create a scheduler.
+ * - `file`: JSON file holding the schedules and their last-run status
+ * - `runSchedule(schedule)`: starts a scrape and returns its job ({ id, status, done, error })
+ * - `pauseReason(schedule)`: why the schedule must not run any more (e.g. its API key was revoked), or null;
+ *   such a schedule is disabled instead of run (lastRun.status "paused")
+ *
+ * A schedule is { id, name, cron, cronTimezone, pageUrl, options, enabled, apiKeyId, createdAt, nextRunAt, lastRun }.
+ * A run is skipped (lastRun.status "skipped") while the previous run for the same page is still going.
+ */
+export function createScheduler({ file, runSchedule, pauseReason = () => null }) {
+  if (!file) throw new Error('createScheduler requires a file path');
+  if (typeof runSchedule !== 'function') throw new Error('createScheduler requires a runSchedule function');
+
+  const schedules = new Map();
+  const timers = new Map();
+  // pageUrl -> job of the run in progress, shared by every schedule of that page
+  const running = new Map();
+  let saving = Promise.resolve();
+
+  /** Write all schedules to disk (serialized, through a temp file so a crash never truncates it) */
+  function save() {
+    const snapshot = JSON.stringify({ schedules: [...schedules.values()] }, null, 2);
+    saving = saving.then(async () => {
+      await fs.mkdir(dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot, 'utf-8');
+      await fs.rename(`${file}.tmp`, file);
+    }).catch((err) => console.warn('[Scheduler] ⚠️ Could not save schedules:', err.message));
+    return saving;
+  }
+
+  function arm(schedule) {
+    disarm(schedule.id);
+    if (!schedule.enabled) {
+      schedule.nextRunAt = null;
+      return;
+    }
+    const timer = new Cron(schedule.cron, { timezone: schedule.cronTimezone || undefined }, () => fire(schedule.id));
+    timers.set(schedule.id, timer);
+    schedule.nextRunAt = timer.nextRun()?.toISOString() ?? null;
+  }
+
+  function disarm(id) {
+    timers.get(id)?.stop();
+    timers.delete(id);
+  }
+
+  async function fire(id) {
+    const schedule = schedules.get(id);
+    if (!schedule) return;
+    schedule.nextRunAt = timers.get(id)?.nextRun()?.toISOString() ?? null;
+
+    const reason = pauseReason(schedule);
+    if (reason) {
+      console.warn(`[Scheduler] ⏸️ Pausing schedule ${schedule.id}: ${reason}`);
+      schedule.enabled = false;
+      arm(schedule);
+      schedule.lastRun = { status: 'paused', reason, at: new Date().toISOString() };
+      await save();
+      return;
+    }
+
+    const previous = running.get(schedule.pageUrl);
+    if (previous) {
+      console.log(`[Scheduler] ⏭️ Skipping ${schedule.pageUrl}: previous run ${previous.id} is still going`);
+      schedule.lastRun = {
+        status: 'skipped',
+        reason: `previous run ${previous.id} still in progress`,
+        at: new Date().toISOString(),
+      };
+      await save();
+      return;
+    }
+
+    let job;
+    try {
+      job = runSchedule(schedule);
+    } catch (err) {
+      schedule.lastRun = { status: 'failed', error: err.message, at: new Date().toISOString() };
+      await save();
+      return;
+    }
+
+    console.log(`[Scheduler] ⏰ Schedule ${schedule.id} started job ${job.id} for ${schedule.pageUrl}`);
+    running.set(schedule.pageUrl, job);
+    schedule.lastRun = { jobId: job.id, status: 'running', startedAt: new Date().toISOString(), finishedAt: null, error: null };
+    await save();
+
+    await job.done;
+    running.delete(schedule.pageUrl);
+    // The schedule may have been deleted or replaced while the job ran
+    if (schedules.get(id) !== schedule) return;
+    schedule.lastRun = {
+      ...schedule.lastRun,
+      status: job.status,
+      finishedAt: new Date().toISOString(),
+      error: job.error ? job.error.message : null,
+    };
+    await save();
+  }
+
+  /**
+   * Create and arm a schedule. Throws on an invalid cron expression or timezone.
+   * `input` is { cron, pageUrl, cronTimezone?, name?, enabled?, options?, apiKeyId? } (cronTimezone: timezone
+   * of the cron expression; apiKeyId: key that created it).
+   */
+  async function create({ cron, pageUrl, cronTimezone = null, name = null, enabled = true, options = {}, apiKeyId = null }) {
+    if (!cron) throw new Error('cron is required');
+    if (!pageUrl) throw new Error('pageUrl is required');
+    // Validate the timezone and pattern up front
+    if (cronTimezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: cronTimezone });
+      } catch {
+        throw new Error(`Invalid timezone: ${cronTimezone}`);
+      }
+    }
+    new Cron(cron, { timezone: cronTimezone || undefined, paused: true }).stop();
+
+    const schedule = {
+      id: randomUUID(),
+      name,
+      cron,
+      cronTimezone,
+      pageUrl,
+      options,
+      enabled: enabled !== false,
+      apiKeyId,
+      createdAt: new Date().toISOString(),
+      nextRunAt: null,
+      lastRun: null,
+    };
+    schedules.set(schedule.id, schedule);
+    arm(schedule);
+    await save();
+    console.log(`[Scheduler] ➕ Schedule ${schedule.id}: "${cron}" for ${pageUrl}`);
+    return schedule;
+  }
+
+  /** Delete a schedule (a run in progress keeps going). Returns false when unknown. */
+  async function remove(id) {
+    if (!schedules.has(id)) return false;
+    disarm(id);
+    schedules.delete(id);
+    await save();
+    return true;
+  }
+
+  /** Load schedules from disk and arm them; runs cut short by a restart are marked "interrupted" */
+  async function start() {
+    let saved = [];
+    try {
+      saved = JSON.parse(await fs.readFile(file, 'utf-8')).schedules || [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('[Scheduler] ⚠️ Could not load schedules:', err.message);
+    }
+    for (const schedule of saved) {
+      if (schedule.lastRun?.status === 'running') {
+        schedule.lastRun = { ...schedule.lastRun, status: 'interrupted', finishedAt: null };
+      }
+      schedules.set(schedule.id, schedule);
+      try {
+        arm(schedule);
+      } catch (err) {
+        console.warn(`[Scheduler] ⚠️ Schedule ${schedule.id} not armed:`, err.message);
+      }
+    }
+    if (saved.length) console.log(`[Scheduler] 📅 Loaded ${saved.length} schedule(s)`);
+    await save();
+  }
+
+  /** Stop every timer (schedules stay on disk) */
+  async function stop() {
+    for (const id of [...timers.keys()]) disarm(id);
+    await saving;
+  }
+
+  return {
+    create,
+    remove,
+    start,
+    stop,
+    /** Run a schedule right away, outside its cron timing (still skipped if its page is busy) */
+    trigger: (id) => fire(id),
+    get: (id) => schedules.get(id),
+    list: () => [...schedules.values()],
+    stats: () => ({ schedules: schedules.size, running: running.size }),
+  };
+}
@@ -0,0 +1,347 @@
+// src/schemas.js
+// JSON Schemas of the API requests: the same schemas validate requests (ajv) and generate the /api/info docs
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { STAGE_NAMES } from './pipeline.js';
+import { ScraperError } from './errors.js';
+import { EXPORT_FORMATS } from './exports.js';
+
+// Accepted URLs are rewritten onto www.facebook.com (see normalizeFacebookUrl)
+const FACEBOOK_URL = {
+  type: 'string',
+  maxLength: 2048,
+  pattern: '^https?://([a-z0-9-]+\\.)?(facebook|fb)\\.com/[^\\s]+$',
+  'x-pattern-message': 'must be a facebook.com page URL',
+  'x-normalize': 'facebook-url',
+};
+
+const HTTP_URL = {
+  type: 'string',
+  format: 'uri',
+  maxLength: 2048,
+  pattern: '^https?://',
+  'x-pattern-message': 'must be an http(s) URL',
+};
+
+/** Options of one page scrape, shared by /api/scrape, batch pages and schedules */
+export const SCRAPE_OPTIONS = {
+  pageUrl: { ...FACEBOOK_URL, description: 'Facebook page URL' },
+  postsTarget: { type: 'integer', minimum: 1, maximum: 500, default: 10, description: 'posts to load' },
+  scrollDelayMs: { type: 'integer', minimum: 500, maximum: 30000, default: 3000, description: 'pause between two scrolls' },
+  includeComments: { type: 'boolean', default: false, description: 'also scrape each post\'s comments and replies' },
+  commentsLimit: { type: 'integer', minimum: 1, maximum: 500, default: 20, description: 'max comments (incl. replies) per post' },
+  openReactionsDialog: {
+    type: 'boolean',
+    default: false,
+    description: 'open each post\'s reactions dialog for an exact per-type breakdown',
+  },
+  downloadMedia: {
+    type: 'boolean',
+    default: false,
+    description: 'download post media into outputs/ next to the saved result JSON',
+  },
+  since: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64,
+    description: 'ISO date - only return posts newer than this; scrolling stops at the first older post',
+  },
+  timezone: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64,
+    description: 'IANA timezone Facebook shows dates in (the account\'s), e.g. "Asia/Riyadh"; defaults to SCRAPE_TIMEZONE',
+  },
+  knownPostIds: {
+    type: 'array',
+    maxItems: 10000,
+    items: { type: 'string', minLength: 1, maxLength: 200 },
+    description: 'post IDs from earlier runs; scrolling stops at the first one seen',
+  },
+  stages: {
+    type: 'object',
+    propertyNames: { enum: STAGE_NAMES },
+    additionalProperties: { type: 'boolean' },
+    description: `turn stages on/off, e.g. { "page-metadata": false }; stages: ${STAGE_NAMES.join(', ')}`,
+  },
+  webhookUrl: { ...HTTP_URL, description: 'POST the result there when the job succeeds or fails (see /api/deliveries)' },
+  debug: {
+    type: 'boolean',
+    default: false,
+    description: 'save the debug artifacts (screenshot, DOM, console, HAR) of successful runs too, not only of '
+      + 'failed ones; see /api/runs/{id}/artifacts',
+  },
+};
+
+/** Default values of SCRAPE_OPTIONS */
+export const SCRAPE_DEFAULTS = Object.fromEntries(
+  Object.entries(SCRAPE_OPTIONS).filter(([, s]) => 'default' in s).map(([name, s]) => [name, s.default]),
+);
+
+const FORMAT = {
+  enum: Object.keys(EXPORT_FORMATS),
+  default: 'json',
+  description: 'json, csv (UTF-8 with BOM, one row per post), ndjson (one post per line) or xlsx (Posts + Summary sheets)',
+};
+
+const ASYNC = { type: 'boolean', default: false, description: 'return a job id immediately instead of waiting' };
+
+/** SCRAPE_OPTIONS without defaults (batch entries are merged with the batch `defaults` first) */
+const withoutDefaults = (props) => Object.fromEntries(
+  Object.entries(props).map(([name, { default: _default, ...s }]) => [name, s]),
+);
+
+const { webhookUrl: _pageWebhook, ...BATCH_PAGE_OPTIONS } = withoutDefaults(SCRAPE_OPTIONS);
+const { pageUrl: _defaultsPageUrl, ...BATCH_DEFAULT_OPTIONS } = BATCH_PAGE_OPTIONS;
+
+/**
+ * Request schemas. `limits` are the server's configurable maxima ({ batchMaxPages, batchMaxConcurrency }).
+ */
+export function createSchemas({ batchMaxPages = 50, batchMaxConcurrency = 4 } = {}) {
+  return {
+    scrape: {
+      type: 'object',
+      properties: { ...SCRAPE_OPTIONS, format: { ...FORMAT, description: `response format: ${FORMAT.description}` }, async: ASYNC },
+      required: ['pageUrl'],
+      additionalProperties: false,
+    },
+    scrapeStream: {
+      type: 'object',
+      properties: { ...SCRAPE_OPTIONS, api_key: { type: 'string', description: 'API key (EventSource can\'t send headers)' } },
+      required: ['pageUrl'],
+      additionalProperties: false,
+    },
+    batch: {
+      type: 'object',
+      properties: {
+        pages: {
+          type: 'array',
+          minItems: 1,
+          maxItems: batchMaxPages,
+          items: {
+            if: { type: 'string' },
+            then: FACEBOOK_URL,
+            else: { type: 'object', properties: BATCH_PAGE_OPTIONS, required: ['pageUrl'], additionalProperties: false },
+          },
+          description: 'page URLs or { pageUrl, ...any /api/scrape option } objects',
+        },
+        defaults: {
+          type: 'object',
+          properties: BATCH_DEFAULT_OPTIONS,
+          additionalProperties: false,
+          description: '/api/scrape options applied to every page',
+        },
+        concurrency: {
+          type: 'integer',
+          minimum: 1,
+          maximum: batchMaxConcurrency,
+          default: 2,
+          description: 'pages scraped in parallel tabs',
+        },
+        delayMs: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 600000,
+          default: 5000,
+          description: 'pause between two pages of the same worker',
+        },
+        webhookUrl: { ...HTTP_URL, description: 'POST the batch result there when it finishes' },
+        async: ASYNC,
+      },
+      required: ['pages'],
+      additionalProperties: false,
+    },
+    schedule: {
+      type: 'object',
+      properties: {
+        cron: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 120,
+          description: 'cron expression, e.g. "0 */6 * * *" (optional seconds field first)',
+        },
+        cronTimezone: {
+          type: 'string',
+          maxLength: 64,
+          description: 'IANA timezone of the cron expression, e.g. "Asia/Riyadh" (`timezone` is the one dates are read in)',
+        },
+        name: { type: 'string', maxLength: 200 },
+        enabled: { type: 'boolean', default: true },
+        format: { ...FORMAT, description: `file saved in outputs/ by every run: ${FORMAT.description}` },
+        ...SCRAPE_OPTIONS,
+      },
+      required: ['cron', 'pageUrl'],
+      additionalProperties: false,
+    },
+    createKey: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 200 },
+        role: { enum: ['client', 'admin'], default: 'client', description: 'admin keys can manage keys' },
+        rateLimitPerMinute: {
+          type: ['integer', 'null'],
+          minimum: 1,
+          description: 'requests per minute (default: API_RATE_LIMIT_PER_MINUTE, 60); null for unlimited',
+        },
+        dailyQuota: {
+          type: ['integer', 'null'],
+          minimum: 1,
+          description: 'scrapes per UTC day (default: API_DAILY_SCRAPE_QUOTA, 100); null for unlimited',
+        },
+      },
+      additionalProperties: false,
+    },
+    importCookies: {
+      type: 'object',
+      properties: {
+        cookies: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 500,
+          description: "cookie file: Puppeteer's page.cookies() or a browser extension export (EditThisCookie, Cookie-Editor)",
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              value: { type: 'string' },
+              domain: { type: 'string' },
+            },
+            required: ['name', 'value', 'domain'],
+          },
+        },
+      },
+      required: ['cookies'],
+      additionalProperties: false,
+    },
+    pagePostsQuery: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+        offset: { type: 'integer', minimum: 0, default: 0 },
+      },
+    },
+    extractionHealthQuery: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 200, default: 50, description: 'runs of history to return' },
+      },
+    },
+    resultQuery: {
+      type: 'object',
+      properties: {
+        format: { enum: FORMAT.enum, description: 'export format (default: the format the job was submitted with)' },
+      },
+    },
+    deliveriesQuery: {
+      type: 'object',
+      properties: {
+        status: { enum: ['pending', 'delivered', 'failed'] },
+        jobId: { type: 'string' },
+      },
+    },
+  };
+}
+
+/** "/pages/0/postsTarget" -> "pages[0].postsTarget" */
+function fieldPath(instancePath) {
+  return instancePath
+    .split('/')
+    .filter(Boolean)
+    .reduce((path, part) => (/^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part), '');
+}
+
+function describeError(err) {
+  const field = fieldPath(err.instancePath);
+  if (err.keyword === 'additionalProperties') {
+    const name = field ? `${field}.${err.params.additionalProperty}` : err.params.additionalProperty;
+    return { field: name, message: `${name} is not a known field` };
+  }
+  if (err.keyword === 'required') {
+    const name = field ? `${field}.${err.params.missingProperty}` : err.params.missingProperty;
+    return { field: name, message: `${name} is required` };
+  }
+  if (err.keyword === 'propertyNames') {
+    return { field, message: `${field} has an unknown key "${err.params.propertyName}"` };
+  }
+  if (err.keyword === 'enum') {
+    return { field, message: `${field || 'body'} must be one of ${err.params.allowedValues.map((v) => JSON.stringify(v)).join(', ')}` };
+  }
+  const message = err.keyword === 'pattern' && err.parentSchema?.['x-pattern-message']
+    ? err.parentSchema['x-pattern-message']
+    : err.message;
+  return { field: field || 'body', message: `${field || 'body'} ${message}` };
+}
+
+/**
+ * The same URL on https://www.facebook.com, the host page and post IDs are read from: fb.com, m., mbasic., web.
+ * and locale hosts (ar-ar.facebook.com) all serve the same pages. Anything else is returned unchanged.
+ */
+export function normalizeFacebookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return value;
+  }
+  if (!/^([a-z0-9-]+\.)?(facebook|fb)\.com$/i.test(url.hostname)) return value;
+  url.protocol = 'https:';
+  url.hostname = 'www.facebook.com';
+  return url.href;
+}
+
+const NORMALIZERS = { 'facebook-url': normalizeFacebookUrl };
+
+/**
+ * Compile the schemas into validators: `validator.name(data)` returns `data` when valid (page URLs rewritten
+ * onto www.facebook.com) and throws a ScraperError INVALID_REQUEST (details: [{ field, message }]) otherwise.
+ * Query schemas (named *Query) coerce strings to numbers/booleans and fill in defaults.
+ */
+export function createValidators(schemas) {
+  const options = { allErrors: false, verbose: true, strict: true, strictTypes: false };
+  const bodies = addFormats(new Ajv(options));
+  const queries = addFormats(new Ajv({ ...options, coerceTypes: true, useDefaults: true }));
+  for (const ajv of [bodies, queries]) {
+    ajv.addKeyword({ keyword: 'x-pattern-message', schemaType: 'string' });
+    ajv.addKeyword({
+      keyword: 'x-normalize',
+      type: 'string',
+      schemaType: 'string',
+      modifying: true,
+      errors: false,
+      validate: (name, value, parentSchema, { parentData, parentDataProperty } = {}) => {
+        if (parentData !== undefined) parentData[parentDataProperty] = NORMALIZERS[name](value);
+        return true;
+      },
+    });
+  }
+
+  return Object.fromEntries(Object.entries(schemas).map(([name, schema]) => {
+    const validate = (name.endsWith('Query') ? queries : bodies).compile(schema);
+    return [name, (data) => {
+      if (validate(data)) return data;
+      // `if` and the enum inside propertyNames only repeat what the error next to them says
+      const details = (validate.errors || [])
+        .filter((e) => e.keyword !== 'if' && !e.schemaPath.includes('/propertyNames/'))
+        .map(describeError);
+      throw new ScraperError('INVALID_REQUEST', details.map((d) => d.message).join('; ') || 'Invalid request', details);
+    }];
+  }));
+}
+
+/**
+ * Documentation of an object schema for /api/info: { field: "type (default: x, min-max) [required] - description" }
+ */
+export function describeSchema(schema) {
+  const required = new Set(schema.required || []);
+  return Object.fromEntries(Object.entries(schema.properties).map(([name, s]) => {
+    const type = s.enum ? s.enum.map((v) => JSON.stringify(v)).join(' | ') : [].concat(s.type || 'any').join('|');
+    const facts = [];
+    if (required.has(name)) facts.push('required');
+    if ('default' in s) facts.push(`default: ${JSON.stringify(s.default)}`);
+    if (s.minimum != null || s.maximum != null) facts.push(`${s.minimum ?? ''}-${s.maximum ?? ''}`);
+    if (s.maxItems != null) facts.push(`max ${s.maxItems} items`);
+    if (s['x-pattern-message']) facts.push(s['x-pattern-message']);
+    const text = `${type}${facts.length ? ` (${facts.join(', ')})` : ''}`;
+    return [name, s.description ? `${text} - ${s.description}` : text];
+  }));
+}
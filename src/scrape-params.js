@@ -0,0 +1,102 @@
+// src/scrape-params.js
+// API scrape parameters (camelCase, see schemas.js) and the scraper options (FB_PAGE_URL, POSTS_TARGET, ...) they map to
+import { resolveStages } from './pipeline.js';
+import { createCutoff } from './incremental.js';
+import { isValidTimeZone } from './dates.js';
+import { ScraperError } from './errors.js';
+import { SCRAPE_OPTIONS, SCRAPE_DEFAULTS } from './schemas.js';
+
+/** Scrape params from a validated request body (or batch entry): scrape options only, defaults applied */
+export function pickScrapeParams(body) {
+  const params = { ...SCRAPE_DEFAULTS };
+  for (const field of Object.keys(SCRAPE_OPTIONS)) {
+    if (body[field] !== undefined) params[field] = body[field];
+  }
+  return params;
+}
+
+/** Checks the schemas can't express (a parsable `since` date, a known timezone); throws INVALID_REQUEST */
+export function checkScrapeParams({ stages, since, knownPostIds, timezone }, field = '') {
+  try {
+    if (stages !== undefined) resolveStages(stages);
+    createCutoff({ since, knownPostIds });
+    if (timezone !== undefined && !isValidTimeZone(timezone)) throw new Error(`Unknown timezone: ${timezone}`);
+  } catch (err) {
+    throw new ScraperError('INVALID_REQUEST', field ? `${field}: ${err.message}` : err.message);
+  }
+}
+
+/**
+ * Request body equivalent of a query string (GET /api/scrape/stream): numbers and booleans decoded,
+ * knownPostIds comma-separated, stages as JSON. Anything undecodable is left for the schema to reject.
+ */
+export function scrapeBodyFromQuery(query) {
+  const body = { ...query };
+  for (const field of ['postsTarget', 'scrollDelayMs', 'commentsLimit']) {
+    if (body[field] !== undefined && /^-?\d+$/.test(body[field])) body[field] = parseInt(body[field], 10);
+  }
+  for (const field of ['includeComments', 'openReactionsDialog', 'downloadMedia', 'debug']) {
+    if (body[field] === 'true' || body[field] === '1') body[field] = true;
+    else if (body[field] === 'false' || body[field] === '0') body[field] = false;
+  }
+  if (typeof body.knownPostIds === 'string') body.knownPostIds = body.knownPostIds.split(',').filter(Boolean);
+  if (typeof body.stages === 'string') {
+    try {
+      body.stages = JSON.parse(body.stages);
+    } catch {
+      throw new ScraperError('INVALID_REQUEST', 'stages must be a JSON object, e.g. {"page-metadata":false}');
+    }
+  }
+  return body;
+}
+
+/**
+ * scheduler.create() input from a validated POST /api/schedules body (schemas.schedule).
+ * `cronTimezone` times the cron expression; `timezone` stays a scrape option (the timezone dates are read in).
+ */
+export function scheduleFromBody(body) {
+  const { cron, cronTimezone = null, name = null, enabled = true, format = 'json', ...rest } = body;
+  const { pageUrl, ...scrapeOptions } = pickScrapeParams(rest);
+  const options = { ...scrapeOptions, format };
+  checkScrapeParams(options);
+  return { cron, cronTimezone, name, enabled, pageUrl, options };
+}
+
+/**
+ * Scrape params of one run of a schedule: its options, and the result always saved into outputs/.
+ * The job belongs to the key that created the schedule.
+ */
+export function scheduledRunParams(schedule) {
+  return {
+    ...schedule.options,
+    pageUrl: schedule.pageUrl,
+    saveToFile: true,
+    scheduleId: schedule.id,
+    apiKeyId: schedule.apiKeyId ?? null,
+  };
+}
+
+/** Scraper options (FB_PAGE_URL, POSTS_TARGET, ...) for one page; `store`: the history store, if any */
+export function toScraperOptions(params, { store = null } = {}) {
+  return {
+    FB_PAGE_URL: params.pageUrl,
+    POSTS_TARGET: params.postsTarget,
+    SCROLL_DELAY_MS: params.scrollDelayMs,
+    // Downloaded media is only useful next to the JSON that maps files back to posts;
+    // scheduled runs always keep their result in outputs/
+    SAVE_TO_FILE: !!(params.saveToFile || params.downloadMedia),
+    // Only scheduled runs save their result as `format`; otherwise `format` is the shape of the HTTP response
+    OUTPUT_FORMAT: params.saveToFile ? params.format : 'json',
+    DOWNLOAD_MEDIA: params.downloadMedia,
+    INCLUDE_COMMENTS: params.includeComments,
+    COMMENTS_LIMIT: params.commentsLimit,
+    OPEN_REACTIONS_DIALOG: params.openReactionsDialog,
+    TIMEZONE: params.timezone,
+    // Failed runs are captured anyway (DEBUG_CAPTURE, on-failure by default)
+    DEBUG_CAPTURE: params.debug ? 'always' : undefined,
+    since: params.since,
+    knownPostIds: params.knownPostIds,
+    stages: params.stages,
+    store,
+  };
+}
@@ -0,0 +1,224 @@
+// src/selectors.js
+// Selector profile: the CSS selectors and text patterns used to find things on Facebook, kept in a
+// versioned JSON file (src/selectors.json, or SELECTORS_FILE) so a markup change doesn't need a deploy
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { parse as parseCss } from 'css-what';
+
+export const DEFAULT_SELECTORS_FILE = fileURLToPath(new URL('./selectors.json', import.meta.url));
+
+/**
+ * Fields the scraper looks up: a profile missing one of them would only fail mid-scrape, so it is rejected.
+ * Fields beyond these are allowed (a newer profile on an older deploy).
+ */
+export const REQUIRED_FIELDS = {
+  selectors: [
+    'feed.article', 'feed.postsTab', 'page.name', 'page.main', 'page.countChip', 'page.content', 'dialog', 'dialog.close',
+    'post.expander', 'post.time', 'post.timeLink',
+    'comment.article', 'comment.moreButton', 'comment.opener',
+    'reactions.opener', 'reactions.tab', 'cookies.decline', 'cookies.banner',
+    'login.email', 'login.password', 'login.submit', 'login.code', 'login.checkpointSubmit', 'login.saveDevice',
+    'login.passwordForm', 'login.loggedIn',
+  ],
+  patterns: [
+    'feed.postsTabLabel', 'post.seeMore', 'post.actions', 'post.allReactions',
+    'post.reactionsLabel', 'post.commentsLabel', 'post.sharesLabel', 'post.countToken', 'post.href', 'post.commentHref',
+    'media.reelHref', 'media.videoHref', 'media.photoHref',
+    'comment.commentLabel', 'comment.replyLabel', 'comment.reactionsLabel', 'comment.more', 'comment.action',
+    'comment.counter', 'reactions.summary',
+    'reaction.like', 'reaction.love', 'reaction.care', 'reaction.haha', 'reaction.wow', 'reaction.sad', 'reaction.angry',
+    'page.followingLabel', 'page.followersLabel', 'page.likesLabel', 'page.followersCount', 'page.likesCount',
+    'page.checkpointScreen', 'page.rateLimitedScreen', 'page.notFoundScreen', 'page.unavailableScreen',
+    'login.consentScreen', 'login.twoFactorScreen', 'login.saveDeviceScreen', 'login.lockedScreen',
+    'login.confirmIdentityScreen', 'login.checkpointScreen', 'login.wrongPasswordScreen',
+    'login.checkpointUrl', 'login.formUrl',
+  ],
+};
+
+/** Pattern as written in the profile ("/see more/i") -> RegExp; throws on anything else */
+export function parsePattern(text) {
+  const m = typeof text === 'string' && text.match(/^\/(.+)\/([dgimsuy]*)$/s);
+  if (!m) throw new Error(`Pattern ${JSON.stringify(text)} must look like "/source/flags"`);
+  return new RegExp(m[1], m[2]);
+}
+
+/** Throws when `text` is not a CSS selector list (the syntax only: unknown pseudo-classes still pass) */
+export function parseSelector(text) {
+  try {
+    parseCss(text);
+  } catch (err) {
+    throw new Error(`Selector ${JSON.stringify(text)} does not parse: ${err.message}`);
+  }
+}
+
+/** Problems with a profile's content, as "where: what" strings (empty when it is valid) */
+function profileErrors(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return ['profile must be a JSON object'];
+  const errors = [];
+  if (typeof data.version !== 'string' || !data.version) errors.push('version: must be a non-empty string');
+  for (const section of ['selectors', 'patterns']) {
+    const fields = data[section];
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      errors.push(`${section}: must be an object of field -> [fallbacks]`);
+      continue;
+    }
+    for (const field of REQUIRED_FIELDS[section]) {
+      if (!(field in fields)) errors.push(`${section}.${field}: missing`);
+    }
+    for (const [field, fallbacks] of Object.entries(fields)) {
+      if (!Array.isArray(fallbacks) || fallbacks.length === 0) {
+        errors.push(`${section}.${field}: must be a non-empty array`);
+        continue;
+      }
+      fallbacks.forEach((value, i) => {
+        if (typeof value !== 'string' || !value.trim()) {
+          errors.push(`${section}.${field}[${i}]: must be a non-empty string`);
+        } else {
+          try {
+            if (section === 'patterns') parsePattern(value);
+            else parseSelector(value);
+          } catch (err) {
+            errors.push(`${section}.${field}[${i}]: ${err.message}`);
+          }
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Profile from parsed JSON ({ version, selectors: { field: [css, ...] }, patterns: { field: ["/rx/i", ...] } }).
+ * Every field is an ordered list of fallbacks: the first one that matches wins.
+ * Throws an Error with `details` (the list of problems) when the content is not valid.
+ */
+export function createSelectorProfile(data, { file = null, loadedAt = new Date().toISOString() } = {}) {
+  const errors = profileErrors(data);
+  if (errors.length) {
+    const err = new Error(`Invalid selector profile${file ? ` ${file}` : ''}: ${errors[0]}`);
+    err.details = errors;
+    throw err;
+  }
+  const compiled = Object.fromEntries(Object.entries(data.patterns).map(([field, list]) => [field, list.map(parsePattern)]));
+
+  /** Fallback list of a field; an unknown field is a bug in the caller, not in the profile */
+  const lookup = (section, values, field) => {
+    if (!(field in values)) throw new Error(`Selector profile ${data.version} has no ${section} "${field}"`);
+    return values[field];
+  };
+
+  return Object.freeze({
+    version: data.version,
+    file,
+    loadedAt,
+    /** CSS selectors of `field`, in order */
+    selectors: (field) => lookup('selectors', data.selectors, field),
+    /** RegExps of `field`, in order */
+    patterns: (field) => lookup('patterns', compiled, field),
+    /** Plain-JSON copy for the in-page extractors (they build their RegExps themselves) */
+    inPage: { version: data.version, selectors: data.selectors, patterns: data.patterns },
+    describe: () => ({
+      version: data.version,
+      file,
+      loadedAt,
+      selectors: data.selectors,
+      patterns: data.patterns,
+    }),
+  });
+}
+
+/** Read and validate a profile file; throws (with `details`) when it is missing or invalid */
+export function loadSelectorProfile(file = DEFAULT_SELECTORS_FILE) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    const wrapped = new Error(`Cannot read selector profile ${file}: ${err.message}`);
+    wrapped.details = [err.message];
+    throw wrapped;
+  }
+  return createSelectorProfile(data, { file });
+}
+
+let current = null;
+
+const profileFile = () => process.env.SELECTORS_FILE || DEFAULT_SELECTORS_FILE;
+
+/** The profile in use (SELECTORS_FILE, else src/selectors.json), loaded on first use */
+export function getSelectorProfile() {
+  if (!current) current = loadSelectorProfile(profileFile());
+  return current;
+}
+
+/**
+ * Read the profile file again. When the new content is invalid the current profile stays in use
+ * and the error is thrown. Scrapes already running finish with the profile they started with.
+ */
+export function reloadSelectorProfile() {
+  const previous = current;
+  // Assigned only once the new profile is valid
+  current = loadSelectorProfile(profileFile());
+  console.log(`[Selectors] 🔄 Profile ${current.version} loaded${previous ? ` (was ${previous.version})` : ''}`);
+  return { profile: current, previousVersion: previous?.version ?? null };
+}
+
+const warned = new Set();
+
+/**
+ * Which fallback of each field matched during one scrape: { version, matched: { field: index|null }, drift }
+ * where index 0 is the primary selector/pattern, a higher one a fallback and null no match;
+ * `drift` lists the fields that needed a fallback or found nothing.
+ */
+export function createSelectorReport(profile) {
+  const matched = {};
+  return {
+    profile,
+    record(field, index) {
+      // A field that matched once keeps its best (lowest) index over the run
+      if (matched[field] != null && (index == null || index >= matched[field])) return;
+      matched[field] = index;
+      if (index > 0 && !warned.has(`${profile.version}:${field}`)) {
+        warned.add(`${profile.version}:${field}`);
+        console.warn(`[Selectors] ⚠️ ${field}: primary selector missed, fallback #${index} matched (profile ${profile.version})`);
+      }
+    },
+    /** Merge { field: index|null } (e.g. from probeSelectors in the page) */
+    merge(indexes) {
+      for (const [field, index] of Object.entries(indexes || {})) this.record(field, index);
+    },
+    toJSON() {
+      return {
+        version: profile.version,
+        matched: { ...matched },
+        drift: Object.keys(matched).filter((field) => matched[field] !== 0).sort(),
+      };
+    },
+  };
+}
+
+/**
+ * First element of `field` under `root` (a page or element handle), trying the fallbacks in order.
+ * Returns { handle, index, selector } or null; the outcome is recorded in `report` when given.
+ */
+export async function findFirst(root, profile, field, report = null) {
+  const list = profile.selectors(field);
+  for (let i = 0; i < list.length; i++) {
+    const handle = await root.$(list[i]);
+    if (handle) {
+      report?.record(field, i);
+      return { handle, index: i, selector: list[i] };
+    }
+  }
+  report?.record(field, null);
+  return null;
+}
+
+/**
+ * Wait until any fallback of `field` is visible, then resolve like findFirst.
+ * Throws Puppeteer's TimeoutError when none shows up in time.
+ */
+export async function waitForFirst(page, profile, field, { timeout = 15000, report = null } = {}) {
+  const list = profile.selectors(field);
+  await page.waitForSelector(list.join(', '), { visible: true, timeout });
+  return findFirst(page, profile, field, report);
+}
@@ -0,0 +1,437 @@
+// src/sessions.js
+// Facebook accounts the scraper logs in with: cookies encrypted at rest, session health per account
+// and rotation to the next account when one is rate limited, logged out or stuck at a checkpoint
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { ScraperError, errorCode } from './errors.js';
+import { base32Decode } from './totp.js';
+
+const ACCOUNT_NAME = /^[\w.-]{1,64}$/;
+
+/** What a scrape failure does to the account that hit it */
+const FAILURE_STATUS = {
+  RATE_LIMITED: 'rate-limited',
+  LOGIN_FAILED: 'logged-out',
+  CHECKPOINT_REQUIRED: 'checkpoint',
+};
+
+/** True when `err` means the account itself is unusable for now (and another one should take over) */
+export const isAccountFailure = (err) => Boolean(FAILURE_STATUS[errorCode(err)]);
+
+/**
+ * LOGIN_FAILED screens (details.state, see login.js and utils.assertPageAvailable) that show the session is
+ * really gone. Others (a consent wall, a page that could not be read) may just be a bad page load.
+ */
+const LOGGED_OUT_STATES = new Set(['login-form', 'wrong-password', 'login-required']);
+
+/** Cookies Facebook needs for a logged-in session */
+const SESSION_COOKIES = ['c_user', 'xs'];
+
+/** Browser extensions (EditThisCookie, Cookie-Editor) export sameSite in their own words */
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None' };
+
+/**
+ * Normalize an exported cookie file (Puppeteer's page.cookies() or a browser extension export)
+ * to Puppeteer cookies. Only facebook.com cookies are kept; throws INVALID_REQUEST when the
+ * session cookies (c_user, xs) are missing.
+ */
+export function normalizeCookies(cookies) {
+  if (!Array.isArray(cookies)) throw new ScraperError('INVALID_REQUEST', 'cookies must be an array');
+  const normalized = cookies
+    .filter((c) => c && typeof c.name === 'string' && typeof c.value === 'string' && /(^|\.)facebook\.com$/.test(c.domain || ''))
+    .map((c) => {
+      const expires = c.expires ?? c.expirationDate;
+      const sameSite = SAME_SITE[String(c.sameSite || '').toLowerCase()];
+      return {
+        name: c.name,
+        value: c.value,
+        domain: c.domain,
+        path: c.path || '/',
+        ...(typeof expires === 'number' && expires > 0 && !c.session ? { expires } : {}),
+        httpOnly: Boolean(c.httpOnly),
+        secure: c.secure !== false,
+        ...(sameSite ? { sameSite } : {}),
+      };
+    });
+  const missing = SESSION_COOKIES.filter((name) => !normalized.some((c) => c.name === name));
+  if (missing.length) {
+    throw new ScraperError(
+      'INVALID_REQUEST',
+      `The cookie file has no logged-in facebook.com session (missing ${missing.join(', ')})`,
+      missing.map((name) => ({ field: 'cookies', message: `cookies has no ${name} cookie for facebook.com` })),
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Accounts configured in the environment: FB_ACCOUNTS, a JSON array of { name, email, password, totpSecret? },
+ * plus FB_EMAIL / FB_PASSWORD (and FB_TOTP_SECRET) as the account "default".
+ * `totpSecret` is the base32 key of the account's authenticator app, used to fill two-factor codes.
+ */
+export function accountsFromEnv(env = process.env) {
+  const accounts = [];
+  if (env.FB_ACCOUNTS) {
+    let parsed;
+    try {
+      parsed = JSON.parse(env.FB_ACCOUNTS);
+    } catch (err) {
+      throw new Error(`FB_ACCOUNTS must be a JSON array of { name, email, password }: ${err.message}`);
+    }
+    if (!Array.isArray(parsed)) throw new Error('FB_ACCOUNTS must be a JSON array of { name, email, password }');
+    for (const { name, email, password, totpSecret = null } of parsed) {
+      if (!ACCOUNT_NAME.test(name || '') || !email || !password) {
+        throw new Error(`FB_ACCOUNTS: every account needs a name (letters, digits, . _ -), an email and a password`);
+      }
+      accounts.push({ name, email, password, totpSecret });
+    }
+  }
+  if (env.FB_EMAIL && env.FB_PASSWORD && !accounts.some((a) => a.name === 'default')) {
+    accounts.push({ name: 'default', email: env.FB_EMAIL, password: env.FB_PASSWORD, totpSecret: env.FB_TOTP_SECRET || null });
+  }
+  for (const { name, totpSecret } of accounts) {
+    if (!totpSecret) continue;
+    try {
+      if (!base32Decode(totpSecret).length) throw new Error('it is empty');
+    } catch (err) {
+      throw new Error(`The TOTP secret of account "${name}" is not valid base32: ${err.message}`);
+    }
+  }
+  return accounts;
+}
+
+/**
+ * Create the session store.
+ * - `file`: JSON file holding the accounts' health and their encrypted cookies (never the passwords)
+ * - `secret`: encryption key (SESSION_ENCRYPTION_KEY); without it cookies are only kept in memory
+ * - `accounts`: [{ name, email, password, totpSecret }] that can log in with credentials (see accountsFromEnv);
+ *   accounts created by importing cookies have no credentials
+ * - `rateLimitCooldownMs`: how long a rate-limited account rests before it is used again
+ * - `loginRetryMs`: how long a logged-out account with credentials waits before logging in again
+ * - `legacyCookiesFile`: plaintext cookies.json of older versions, imported into "default" once
+ * - `now`: clock, for tests
+ *
+ * Account status: unknown (never validated), active, rate-limited, logged-out or checkpoint.
+ * A checkpoint, or a logged-out account without credentials, stays unusable until cookies are imported.
+ */
+export function createSessionStore({
+  file,
+  secret = '',
+  accounts: configured = [],
+  rateLimitCooldownMs = 30 * 60 * 1000,
+  loginRetryMs = 15 * 60 * 1000,
+  legacyCookiesFile = null,
+  now = Date.now,
+} = {}) {
+  if (!file) throw new Error('createSessionStore requires a file path');
+
+  const accounts = new Map();
+  let salt = null;
+  let key = null;
+  let cursor = -1;
+  let saving = Promise.resolve();
+
+  const iso = (ms) => new Date(ms).toISOString();
+
+  function encrypt(cookies) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(cookies), 'utf-8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+  }
+
+  function decrypt({ iv, tag, data }) {
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf-8'));
+  }
+
+  function ensureAccount(name) {
+    if (!accounts.has(name)) {
+      accounts.set(name, {
+        name,
+        credentials: null,
+        cookies: null,
+        cookiesUpdatedAt: null,
+        status: 'unknown',
+        lastUsedAt: null,
+        lastValidatedAt: null,
+        lastFailureAt: null,
+        lastFailure: null,
+        cooldownUntil: null,
+      });
+    }
+    return accounts.get(name);
+  }
+
+  /** Write every account to disk (serialized, through a temp file so a crash never truncates it) */
+  function save() {
+    const records = [...accounts.values()].map(({ credentials, cookies, ...record }) => ({
+      ...record,
+      // Without a key the cookies stay in memory: they are never written in plain text
+      cookies: key && cookies ? encrypt(cookies) : null,
+    }));
+    const snapshot = JSON.stringify({ version: 1, salt, accounts: records }, null, 2);
+    saving = saving.then(async () => {
+      await fs.mkdir(dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot, { encoding: 'utf-8', mode: 0o600 });
+      await fs.rename(`${file}.tmp`, file);
+    }).catch((err) => console.warn('[Sessions] ⚠️ Could not save sessions:', err.message));
+    return saving;
+  }
+
+  async function importLegacyCookies() {
+    let cookies;
+    try {
+      cookies = normalizeCookies(JSON.parse(await fs.readFile(legacyCookiesFile, 'utf-8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('[Sessions] ⚠️ Ignoring legacy cookies.json:', err.message);
+      return;
+    }
+    const account = ensureAccount('default');
+    if (account.cookies) return;
+    account.cookies = cookies;
+    account.cookiesUpdatedAt = iso(now());
+    console.warn(`[Sessions] 🔐 Imported ${legacyCookiesFile} into account "default"`
+      + (key ? ': delete that file, it holds the session in plain text' : ''));
+    if (key) await save();
+  }
+
+  async function load() {
+    let saved = { accounts: [] };
+    try {
+      saved = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('[Sessions] ⚠️ Could not load sessions:', err.message);
+    }
+    salt = saved.salt || randomBytes(16).toString('base64');
+    key = secret ? scryptSync(secret, Buffer.from(salt, 'base64'), 32) : null;
+
+    for (const { cookies: encrypted, ...record } of saved.accounts || []) {
+      if (!ACCOUNT_NAME.test(record.name || '')) continue;
+      const account = Object.assign(ensureAccount(record.name), record);
+      if (!encrypted || !key) continue;
+      try {
+        account.cookies = decrypt(encrypted);
+      } catch (_) {
+        console.warn(`[Sessions] ⚠️ Could not decrypt the cookies of "${record.name}" (was SESSION_ENCRYPTION_KEY changed?)`);
+        account.cookiesUpdatedAt = null;
+      }
+    }
+    for (const { name, email, password, totpSecret = null } of configured) {
+      ensureAccount(name).credentials = { email, password, totpSecret };
+    }
+    if (legacyCookiesFile) await importLegacyCookies();
+    // Carry on the rotation after the account used last
+    let lastUsedAt = '';
+    for (const [index, account] of [...accounts.values()].entries()) {
+      if (account.lastUsedAt > lastUsedAt) {
+        lastUsedAt = account.lastUsedAt;
+        cursor = index;
+      }
+    }
+
+    if (!key) {
+      console.warn('[Sessions] ⚠️ SESSION_ENCRYPTION_KEY is not set: cookies are kept in memory only (every restart logs in again)');
+    }
+    if (accounts.size) console.log(`[Sessions] 👤 ${accounts.size} Facebook account(s): ${[...accounts.keys()].join(', ')}`);
+  }
+
+  /** Why `account` can't be used right now, or null when it can */
+  function unavailableReason(account) {
+    if (account.status === 'checkpoint') return 'checkpoint: import fresh cookies';
+    if (!account.cookies && !account.credentials) {
+      return account.status === 'logged-out' ? 'logged out: import fresh cookies' : 'no cookies nor credentials';
+    }
+    if (account.cooldownUntil && Date.parse(account.cooldownUntil) > now()) {
+      return `${account.status} until ${account.cooldownUntil}`;
+    }
+    return null;
+  }
+
+  function describe(account) {
+    return {
+      name: account.name,
+      email: account.credentials?.email ?? null,
+      hasCredentials: !!account.credentials,
+      twoFactor: !!account.credentials?.totpSecret,
+      cookies: account.cookies?.length ?? 0,
+      cookiesUpdatedAt: account.cookiesUpdatedAt,
+      status: account.status,
+      available: !unavailableReason(account),
+      unavailableReason: unavailableReason(account),
+      lastUsedAt: account.lastUsedAt,
+      lastValidatedAt: account.lastValidatedAt,
+      lastFailureAt: account.lastFailureAt,
+      lastFailure: account.lastFailure,
+      cooldownUntil: account.cooldownUntil,
+    };
+  }
+
+  function get(name) {
+    const account = accounts.get(name);
+    if (!account) throw new ScraperError('NOT_FOUND', `No Facebook account named "${name}"`);
+    return account;
+  }
+
+  /**
+   * Next usable account, round-robin (so a pool of browsers spreads over the accounts; the order survives restarts).
+   * `exclude`: names already tried. Returns null when none is usable.
+   */
+  function pick({ exclude = [] } = {}) {
+    const names = [...accounts.keys()];
+    for (let i = 1; i <= names.length; i++) {
+      const index = (cursor + i) % names.length;
+      const account = accounts.get(names[index]);
+      if (exclude.includes(account.name) || unavailableReason(account)) continue;
+      cursor = index;
+      account.lastUsedAt = iso(now());
+      save();
+      return account.name;
+    }
+    return null;
+  }
+
+  /** Error for when `pick()` finds nothing: LOGIN_FAILED without any account, NO_ACCOUNT_AVAILABLE otherwise */
+  function noAccountError() {
+    if (!accounts.size) {
+      return new ScraperError(
+        'LOGIN_FAILED',
+        'No Facebook account: set FB_EMAIL and FB_PASSWORD (or FB_ACCOUNTS) in .env, or import cookies',
+        { reason: 'missing-credentials' },
+      );
+    }
+    return new ScraperError(
+      'NO_ACCOUNT_AVAILABLE',
+      'Every Facebook account is rate limited, logged out or at a checkpoint',
+      { accounts: [...accounts.values()].map((a) => ({ name: a.name, status: a.status, reason: unavailableReason(a) })) },
+    );
+  }
+
+  /** What login.js needs: { name, email, password, totpSecret, cookies } (credentials null for cookie-only accounts) */
+  function session(name) {
+    const account = get(name);
+    return {
+      name,
+      email: account.credentials?.email ?? null,
+      password: account.credentials?.password ?? null,
+      totpSecret: account.credentials?.totpSecret ?? null,
+      cookies: account.cookies,
+    };
+  }
+
+  /** Keep the cookies of a fresh login */
+  function saveCookies(name, cookies) {
+    const account = get(name);
+    account.cookies = cookies;
+    account.cookiesUpdatedAt = iso(now());
+    return save();
+  }
+
+  /** The account is logged in: clear its failure state */
+  function reportSuccess(name) {
+    const account = get(name);
+    Object.assign(account, { status: 'active', lastValidatedAt: iso(now()), cooldownUntil: null });
+    return save();
+  }
+
+  /**
+   * Record a failure of the account. RATE_LIMITED rests it for `rateLimitCooldownMs`; CHECKPOINT_REQUIRED and
+   * a LOGIN_FAILED on a logged-out screen drop its cookies (they no longer log in). Any other LOGIN_FAILED is
+   * only recorded: the account and its cookies stay as they are. Errors that are not the account's fault
+   * are ignored. Returns true when another account should take over.
+   */
+  function reportFailure(name, err) {
+    const status = FAILURE_STATUS[errorCode(err)];
+    const account = accounts.get(name);
+    if (!status || !account) return false;
+    const at = now();
+    const lastFailure = { code: errorCode(err), message: err.message };
+    if (status === 'logged-out' && !LOGGED_OUT_STATES.has(err.details?.state)) {
+      Object.assign(account, { lastFailureAt: iso(at), lastFailure });
+      console.warn(`[Sessions] ⚠️ Account "${name}" could not be confirmed, keeping its cookies: ${err.message}`);
+      save();
+      return true;
+    }
+    Object.assign(account, {
+      status,
+      lastFailureAt: iso(at),
+      lastFailure,
+      cooldownUntil: status === 'rate-limited' ? iso(at + rateLimitCooldownMs)
+        : status === 'logged-out' && account.credentials ? iso(at + loginRetryMs)
+        : null,
+    });
+    if (status !== 'rate-limited') {
+      account.cookies = null;
+      account.cookiesUpdatedAt = null;
+    }
+    console.warn(`[Sessions] 🚫 Account "${name}" is ${status}: ${err.message}`);
+    save();
+    return true;
+  }
+
+  /** Import an exported cookie file for `name` (created if needed); resets its failure state */
+  async function importCookies(name, cookies) {
+    if (!ACCOUNT_NAME.test(name)) {
+      throw new ScraperError('INVALID_REQUEST', 'Account names use letters, digits, . _ - (up to 64)', [
+        { field: 'name', message: 'name must match ^[\\w.-]{1,64}$' },
+      ]);
+    }
+    const normalized = normalizeCookies(cookies);
+    const account = ensureAccount(name);
+    Object.assign(account, {
+      cookies: normalized,
+      cookiesUpdatedAt: iso(now()),
+      status: 'unknown',
+      cooldownUntil: null,
+    });
+    console.log(`[Sessions] 🍪 Imported ${normalized.length} cookies for account "${name}"`);
+    await save();
+    return describe(account);
+  }
+
+  return {
+    load,
+    pick,
+    noAccountError,
+    session,
+    saveCookies,
+    reportSuccess,
+    reportFailure,
+    importCookies,
+    isAvailable: (name) => accounts.has(name) && !unavailableReason(accounts.get(name)),
+    get: (name) => (accounts.has(name) ? describe(accounts.get(name)) : undefined),
+    list: () => [...accounts.values()].map(describe),
+    /** Wait for pending writes (shutdown, tests) */
+    flush: () => saving,
+    stats: () => ({
+      accounts: accounts.size,
+      available: [...accounts.values()].filter((a) => !unavailableReason(a)).length,
+      encrypted: !!key,
+    }),
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Session store configured from the environment (loaded once, shared by login.js and the API):
+ * SESSIONS_FILE (default outputs/sessions.json), SESSION_ENCRYPTION_KEY, FB_ACCOUNTS / FB_EMAIL / FB_PASSWORD / FB_TOTP_SECRET
+ * and ACCOUNT_COOLDOWN_MS (rest of a rate-limited account, default 30 minutes).
+ */
+export function getSessionStore() {
+  defaultStore ??= (async () => {
+    const store = createSessionStore({
+      file: process.env.SESSIONS_FILE || fileURLToPath(new URL('../outputs/sessions.json', import.meta.url)),
+      secret: process.env.SESSION_ENCRYPTION_KEY || '',
+      accounts: accountsFromEnv(),
+      rateLimitCooldownMs: Math.max(0, parseInt(process.env.ACCOUNT_COOLDOWN_MS || '1800000', 10) || 0),
+      legacyCookiesFile: fileURLToPath(new URL('../cookies.json', import.meta.url)),
+    });
+    await store.load();
+    return store;
+  })();
+  return defaultStore;
+}
@@ -0,0 +1,51 @@
+// src/sse.js
+// Server-Sent Events responses (text/event-stream) for live job progress
+
+/**
+ * Turn an HTTP response into an event stream.
+ * - `heartbeatMs`: interval of comment lines that keep proxies from closing an idle stream
+ *
+ * Returns { send(type, data, id), close(), closed }; `closed` turns true once the client disconnects.
+ * Browsers reconnect on their own and send the last id they saw in the Last-Event-ID header.
+ */
+export function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // nginx buffers responses unless told otherwise
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders?.();
+
+  const stream = {
+    closed: false,
+    send(type, data, id = null) {
+      if (stream.closed) return;
+      let frame = '';
+      if (id != null) frame += `id: ${id}\n`;
+      frame += `event: ${type}\n`;
+      frame += `data: ${JSON.stringify(data)}\n\n`;
+      res.write(frame);
+    },
+    close() {
+      if (stream.closed) return;
+      stream.closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+  };
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+  heartbeat.unref?.();
+  res.on('close', () => {
+    stream.closed = true;
+    clearInterval(heartbeat);
+  });
+  return stream;
+}
+
+/** Id of the last event a reconnecting client saw (Last-Event-ID header), or null */
+export function lastEventId(req) {
+  return req.headers['last-event-id'] || null;
+}
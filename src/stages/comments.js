@@ -0,0 +1,30 @@
+// src/stages/comments.js
+// Stage (opt-in): scrape comments and replies of every kept post
+import { scrapePostComments } from '../comments.js';
+
+export const commentsStage = {
+  name: 'comments',
+  async run(ctx) {
+    const { page, options, signal } = ctx;
+    const { COMMENTS_LIMIT, TIMEZONE } = options;
+
+    console.log(`[Scraper] Scraping up to ${COMMENTS_LIMIT} comments for ${ctx.posts.length} posts...`);
+    for (let i = 0; i < ctx.posts.length; i++) {
+      signal?.throwIfAborted();
+      const post = ctx.posts[i];
+      try {
+        post.comments_list = await scrapePostComments(page, post, {
+          limit: COMMENTS_LIMIT,
+          timeZone: TIMEZONE || undefined,
+          profile: ctx.selectorProfile,
+          report: ctx.selectorReport,
+        });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[Scraper] ⚠️ Could not scrape comments of post ${post.id}:`, err.message);
+        post.comments_list = [];
+      }
+      ctx.progress({ commentsScrapedPosts: i + 1, postsTotal: ctx.posts.length });
+    }
+  },
+};
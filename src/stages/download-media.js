@@ -0,0 +1,17 @@
+// src/stages/download-media.js
+// Stage (opt-in): download post media next to the result JSON
+import { downloadPostMedia } from '../media.js';
+import { outputTarget } from './persist.js';
+
+export const downloadMediaStage = {
+  name: 'download-media',
+  async run(ctx) {
+    const { dirUrl, baseName } = outputTarget(ctx);
+    const mediaDirUrl = new URL(`${baseName}-media/`, dirUrl);
+    const total = ctx.posts.reduce((n, p) => n + (p.media?.length || 0), 0);
+
+    console.log(`[Scraper] Downloading ${total} media files...`);
+    const { downloaded, failed } = await downloadPostMedia(ctx.posts, mediaDirUrl, { signal: ctx.signal });
+    console.log(`[Scraper] ✅ Downloaded ${downloaded} media files${failed ? ` (${failed} failed)` : ''}`);
+  },
+};
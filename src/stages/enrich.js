@@ -0,0 +1,22 @@
+// src/stages/enrich.js
+// Stage: trim to the target and derive computed fields
+import { parseFacebookDate } from '../dates.js';
+import { normalizeReactionBreakdown } from '../reactions.js';
+
+export const enrichStage = {
+  name: 'enrich',
+  async run(ctx) {
+    const dateOptions = { now: Date.now(), timeZone: ctx.options.TIMEZONE || undefined };
+    ctx.posts = ctx.posts.slice(0, ctx.options.POSTS_TARGET).map((p) => {
+      const date = parseFacebookDate(p.date, dateOptions);
+      return {
+        ...p,
+        reactions_by_type: normalizeReactionBreakdown(p.reactions_by_type),
+        reactions_breakdown_source: p.reactions_by_type ? 'summary' : null,
+        total_engagement: (p.reactions || 0) + (p.comments || 0) + (p.shares || 0),
+        dateISO: date?.iso ?? null,
+        date_precision: date?.precision ?? null,
+      };
+    });
+  },
+};
@@ -0,0 +1,15 @@
+// src/stages/expand.js
+// Stage: expand "See more" text in every loaded article and close stray overlays
+import { sleep, clickSeeMoreInArticles, closePostOverlay } from '../utils.js';
+
+export const expandStage = {
+  name: 'expand',
+  async run(ctx) {
+    const { page, selectorProfile: profile, selectorReport: report } = ctx;
+    await clickSeeMoreInArticles(page, { profile });
+    try {
+      await closePostOverlay(page, { profile, report });
+    } catch {}
+    await sleep(800);
+  },
+};
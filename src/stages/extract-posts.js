@@ -0,0 +1,47 @@
+// src/stages/extract-posts.js
+// Stage: read text, engagement and date out of every loaded article
+import { extractPostsFromArticles } from '../extractors/posts.js';
+import { probeSelectors } from '../extractors/selector-probe.js';
+import { identifyPosts } from '../post-identity.js';
+import { staleReason } from '../incremental.js';
+import { assertPageAvailable } from '../utils.js';
+import { ScraperError } from '../errors.js';
+
+/** Profile fields probed on the loaded feed (the others are recorded where they are used) */
+const PROBED = [
+  'feed.article', 'post.time', 'post.timeLink', 'post.actions',
+  'post.reactionsLabel', 'post.commentsLabel', 'post.sharesLabel',
+];
+
+export const extractPostsStage = {
+  name: 'extract-posts',
+  async run(ctx) {
+    const { selectorProfile: profile } = ctx;
+    const articleSelector = profile.selectors('feed.article').join(', ');
+    // Articles rendered right now (the feed virtualizes, so this can differ from loadedArticles), for meta.extraction
+    ctx.articlesRead = await ctx.page.$$eval(articleSelector, (nodes) => nodes.length);
+    const rawPosts = await ctx.page.$$eval(articleSelector, extractPostsFromArticles, profile.inPage);
+    ctx.postsRead = rawPosts.length;
+    // Which fallback of each feed/post field the page matches, for meta.selectors
+    ctx.selectorReport.merge(await ctx.page.evaluate(probeSelectors, profile.inPage, PROBED));
+    if (rawPosts.length === 0) {
+      // A block or error screen that showed up while scrolling explains the empty feed better
+      await assertPageAvailable(ctx.page, { profile, report: ctx.selectorReport });
+      throw new ScraperError('EXTRACTION_EMPTY', `No posts could be read from ${ctx.options.FB_PAGE_URL}`, {
+        loadedArticles: ctx.loadedArticles,
+      });
+    }
+    // Facebook re-renders posts while the feed virtualizes: dedupe on post ID (text hash as fallback)
+    ctx.posts = identifyPosts(rawPosts);
+    let skipped = 0;
+    // Incremental runs only return what is new since the last one
+    if (ctx.cutoff) {
+      const before = ctx.posts.length;
+      ctx.posts = ctx.posts.filter((p) => !staleReason(p, ctx.cutoff));
+      skipped = before - ctx.posts.length;
+      console.log(`[Scraper] Skipped ${skipped} posts past the cutoff`);
+    }
+    console.log(`[Scraper] Extracted ${ctx.posts.length} posts from ${ctx.loadedArticles ?? '?'} articles`);
+    ctx.emit('extraction-done', { posts: ctx.posts.length, articles: ctx.loadedArticles, skipped });
+  },
+};
@@ -0,0 +1,87 @@
+// src/stages/load-feed.js
+// Stage: scroll the feed until enough articles are loaded, the feed stalls
+// or (incremental runs) the feed reaches posts older than `since` or already known
+import { sleep, scrollPageToBottom, clickSeeMoreInArticles, closePostOverlay } from '../utils.js';
+import { extractPostsFromArticles } from '../extractors/posts.js';
+import { identifyPosts } from '../post-identity.js';
+import { findCutoff } from '../incremental.js';
+
+export const loadFeedStage = {
+  name: 'load-feed',
+  async run(ctx) {
+    const { page, options, signal, selectorProfile: profile, selectorReport: report } = ctx;
+    const articleSelector = profile.selectors('feed.article').join(', ');
+    const { POSTS_TARGET, SCROLL_DELAY_MS, SCROLL_STALL_LIMIT, SCROLL_MAX_LOOPS } = options;
+    // Expanding while scrolling keeps long posts from being cut when they unmount
+    const expandWhileScrolling = ctx.isEnabled('expand');
+
+    console.log(`[Scraper] Loading ${POSTS_TARGET} posts...`);
+    let lastCount = 0;
+    let stalls = 0;
+    let reason = 'max-loops';
+
+    for (let i = 0; i < SCROLL_MAX_LOOPS; i++) {
+      signal?.throwIfAborted();
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      try {
+        await page.keyboard.press('End');
+      } catch {}
+      try {
+        await page.mouse.wheel({ deltaY: 2000 });
+      } catch {}
+      await sleep(SCROLL_DELAY_MS);
+
+      if (expandWhileScrolling) {
+        await clickSeeMoreInArticles(page, { profile });
+        try {
+          await closePostOverlay(page, { profile, report });
+        } catch {}
+      }
+
+      const count = await page.$$eval(articleSelector, (nodes) => nodes.length);
+      console.log(`[Scraper] Loaded ${count} posts...`);
+      ctx.loadedArticles = count;
+      ctx.progress({ loadedArticles: count, postsTarget: POSTS_TARGET });
+      ctx.emit('scroll-iteration', { iteration: i + 1, articles: count, postsTarget: POSTS_TARGET });
+
+      // Dates are resolved on every pass so the loop stops as soon as old posts show up
+      if (ctx.cutoff) {
+        const loaded = identifyPosts(await page.$$eval(articleSelector, extractPostsFromArticles, profile.inPage));
+        const hit = findCutoff(loaded, ctx.cutoff);
+        if (hit) {
+          Object.assign(ctx.cutoff, { reached: true, ...hit });
+          console.log(`[Scraper] ⏹️ Cutoff reached at post ${hit.postId} (${hit.reason})`);
+          ctx.emit('cutoff-reached', { postId: hit.postId, reason: hit.reason });
+          reason = 'cutoff';
+          break;
+        }
+      }
+
+      if (count >= POSTS_TARGET) {
+        reason = 'target';
+        break;
+      }
+      if (count <= lastCount) {
+        stalls += 1;
+        ctx.emit('stall-detected', { stalls, limit: SCROLL_STALL_LIMIT, articles: count });
+      } else {
+        stalls = 0;
+        lastCount = count;
+      }
+      if (stalls >= SCROLL_STALL_LIMIT) {
+        reason = 'stalled';
+        break;
+      }
+    }
+    ctx.emit('feed-loaded', { articles: ctx.loadedArticles, reason });
+
+    // Extra safety scroll (not needed once the cutoff is on screen)
+    if (ctx.cutoff?.reached) return;
+    await scrollPageToBottom(page, {
+      step: 1800,
+      delayMs: Math.max(400, Math.floor(SCROLL_DELAY_MS * 0.5)),
+      maxScrolls: 5
+    });
+    await sleep(600);
+  },
+};
@@ -0,0 +1,92 @@
+// src/stages/navigate.js
+// Stage: open the page, dismiss the cookie dialog and switch to the Posts tab
+import { sleep, gotoWithRetry, assertPageAvailable } from '../utils.js';
+import { ScraperError } from '../errors.js';
+import { findFirst } from '../selectors.js';
+
+export const navigateStage = {
+  name: 'navigate',
+  async run(ctx) {
+    const { page, options, selectorProfile: profile, selectorReport: report } = ctx;
+    const articleSelector = profile.selectors('feed.article').join(', ');
+    const { FB_PAGE_URL, OPEN_POSTS_TAB } = options;
+
+    let response;
+    try {
+      response = await gotoWithRetry(page, FB_PAGE_URL, { waitUntil: 'networkidle2' });
+    } catch (err) {
+      if (err.name !== 'TimeoutError') throw err;
+      throw new ScraperError('NAVIGATION_TIMEOUT', `Timed out loading ${FB_PAGE_URL}: ${err.message}`);
+    }
+    if (response?.status() === 404) {
+      throw new ScraperError('PAGE_NOT_FOUND', `Facebook page not found (${FB_PAGE_URL})`, { httpStatus: 404 });
+    }
+    await sleep(1500);
+    await assertPageAvailable(page, { profile, report });
+
+    // Try to close cookie dialogs
+    try {
+      const decline = await findFirst(page, profile, 'cookies.decline');
+      if (decline) await decline.handle.click();
+    } catch (_) {}
+
+    if (!OPEN_POSTS_TAB) {
+      ctx.emit('navigated', { url: page.url(), postsTab: false });
+      return;
+    }
+
+    // Navigate to Posts tab
+    const base = FB_PAGE_URL.endsWith('/') ? FB_PAGE_URL.slice(0, -1) : FB_PAGE_URL;
+    const postTabCandidates = [`${base}?sk=posts`, `${base}/posts`];
+
+    for (const u of postTabCandidates) {
+      ctx.signal?.throwIfAborted();
+      try {
+        await gotoWithRetry(page, u, { waitUntil: 'domcontentloaded' });
+        const hasArticles = await page.$$eval(articleSelector, (n) => n.length);
+        if (hasArticles > 0) {
+          ctx.navigatedToPosts = true;
+          ctx.emit('navigated', { url: page.url(), postsTab: true });
+          return;
+        }
+      } catch (err) {
+        console.warn(`[Scraper] Failed to navigate to ${u}:`, err.message);
+      }
+    }
+
+    // If URL approach didn't work, try DOM click
+    try {
+      // Index of the postsTabLabel fallback whose tab was clicked, or -1
+      const clicked = await page.evaluate((profile) => {
+        const candidates = Array.from(document.querySelectorAll(profile.selectors['feed.postsTab'].join(', ')));
+        const labels = profile.patterns['feed.postsTabLabel'].map((p) => {
+          const i = p.lastIndexOf('/');
+          return new RegExp(p.slice(1, i), p.slice(i + 1));
+        });
+        for (let i = 0; i < labels.length; i++) {
+          for (const el of candidates) {
+            const txt = (el.innerText || el.textContent || '').trim();
+            if (labels[i].test(txt)) {
+              try {
+                if (typeof el.click === 'function') {
+                  el.click();
+                  return i;
+                }
+              } catch {}
+            }
+          }
+        }
+        return -1;
+      }, profile.inPage);
+      report.record('feed.postsTabLabel', clicked === -1 ? null : clicked);
+
+      if (clicked !== -1) {
+        await page.waitForSelector(articleSelector, { timeout: 8000 });
+        ctx.navigatedToPosts = true;
+      }
+    } catch (err) {
+      console.warn('[Scraper] DOM click failed:', err.message);
+    }
+    ctx.emit('navigated', { url: page.url(), postsTab: !!ctx.navigatedToPosts });
+  },
+};
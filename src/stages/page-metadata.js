@@ -0,0 +1,102 @@
+// src/stages/page-metadata.js
+// Stage: page name, followers and likes (XPath overrides, text scan, About-page fallback)
+import { gotoWithRetry } from '../utils.js';
+import { parseCount, installCountParser } from '../counts.js';
+import { extractPageCounts } from '../extractors/page-counts.js';
+
+/** Helper to extract by XPath */
+async function extractByXPath(pg, xpathExpr) {
+  if (!xpathExpr) return null;
+  try {
+    return await pg.evaluate((xp) => {
+      try {
+        const res = document.evaluate(xp, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+        const node = res.singleNodeValue;
+        if (!node) return null;
+        return (node.textContent || '').trim();
+      } catch (e) {
+        return null;
+      }
+    }, xpathExpr);
+  } catch (err) {
+    console.warn('[Scraper] XPath extraction failed:', err.message);
+    return null;
+  }
+}
+
+/** Scan the page text for follower/like counts; the profile fields used go to `report` */
+async function extractCountsFrom(pg, profile, report) {
+  const { followers, likes, fields } = await pg.evaluate(extractPageCounts, profile.inPage);
+  report.merge(fields);
+  return { followers, likes };
+}
+
+/** Page title from the first page.name fallback (h1 / level-1 heading) with text */
+async function extractPageName(page, profile, report) {
+  const list = profile.selectors('page.name');
+  for (let i = 0; i < list.length; i++) {
+    const el = await page.$(list[i]);
+    const text = el ? (await page.evaluate((e) => e.innerText, el))?.trim() : null;
+    if (text) {
+      report.record('page.name', i);
+      return text;
+    }
+  }
+  report.record('page.name', null);
+  return null;
+}
+
+export const pageMetadataStage = {
+  name: 'page-metadata',
+  async run(ctx) {
+    const { page, browser, options, selectorProfile: profile, selectorReport: report } = ctx;
+    const { FB_PAGE_URL, FOLLOWERS_XPATH, LIKES_XPATH, ABOUT_FALLBACK } = options;
+
+    ctx.pageName = await extractPageName(page, profile, report);
+    console.log(`[Scraper] Page: ${ctx.pageName}`);
+
+    let followers = null;
+    let likes = null;
+
+    // Custom XPath layer
+    if (FOLLOWERS_XPATH) {
+      const txt = await extractByXPath(page, FOLLOWERS_XPATH);
+      const n = parseCount(txt);
+      if (n != null) followers = n;
+    }
+    if (LIKES_XPATH) {
+      const txt = await extractByXPath(page, LIKES_XPATH);
+      const n = parseCount(txt);
+      if (n != null) likes = n;
+    }
+
+    // Fallback robust scan
+    if (followers == null || likes == null) {
+      const res = await extractCountsFrom(page, profile, report);
+      if (followers == null) followers = res.followers;
+      if (likes == null) likes = res.likes;
+
+      // Try about page if still missing
+      if (ABOUT_FALLBACK && (!followers || followers < 50)) {
+        ctx.signal?.throwIfAborted();
+        const aboutPage = await browser.newPage();
+        try {
+          await aboutPage.setUserAgent(await browser.userAgent());
+          await installCountParser(aboutPage);
+          const aboutUrl = (FB_PAGE_URL.endsWith('/') ? FB_PAGE_URL.slice(0, -1) : FB_PAGE_URL) + '/about';
+          await gotoWithRetry(aboutPage, aboutUrl, { waitUntil: 'networkidle2' });
+          const extracted = await extractCountsFrom(aboutPage, profile, report);
+          if (extracted.followers && (!followers || extracted.followers > followers)) followers = extracted.followers;
+          if (extracted.likes && (!likes || extracted.likes > likes)) likes = extracted.likes;
+        } catch (err) {
+          console.warn('[Scraper] About page extraction failed:', err.message);
+        } finally {
+          await aboutPage.close().catch((e) => console.warn('[Scraper] Failed to close about page:', e.message));
+        }
+      }
+    }
+
+    ctx.followers = followers;
+    ctx.likes = likes;
+  },
+};
@@ -0,0 +1,63 @@
+// src/stages/persist.js
+// Stage: write the result into the outputs directory (JSON, or OUTPUT_FORMAT: csv, ndjson, xlsx; plus the JSON
+// when media was downloaded)
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import { exportResult } from '../exports.js';
+
+/**
+ * Where this run's files go: { dirUrl, baseName } with baseName "facebook-scrape-<timestamp>".
+ * Computed once per run so the JSON and downloaded media share the same name.
+ */
+export function outputTarget(ctx) {
+  if (!ctx.outputTarget) {
+    const { saveDir } = ctx.options;
+    const ts = new Date().toISOString().replace(/[:.]/g, '-');
+    ctx.outputTarget = {
+      dirUrl: saveDir ? new URL(saveDir) : new URL('../../outputs/', import.meta.url),
+      baseName: `facebook-scrape-${ts}`,
+    };
+  }
+  return ctx.outputTarget;
+}
+
+/** The fields exports.js reads, straight from the pipeline context */
+function exportSource(ctx) {
+  return {
+    page: { name: ctx.pageName, url: ctx.options.FB_PAGE_URL, followers: ctx.followers, likes: ctx.likes },
+    posts: ctx.posts,
+    summary: ctx.summary,
+    scraped_at: ctx.scrapedAt,
+  };
+}
+
+/** Write the result as `format` next to the other files of the run; returns the file path */
+async function writeResult(ctx, format) {
+  const { dirUrl: outputsDirUrl, baseName } = outputTarget(ctx);
+  // JSON keeps the caller's result shape; spreadsheets are always built from the canonical fields
+  const { body, extension } = format === 'json'
+    ? { body: JSON.stringify(ctx.buildResult(), null, 2), extension: 'json' }
+    : await exportResult(exportSource(ctx), format);
+  const outFileUrl = new URL(`${baseName}.${extension}`, outputsDirUrl);
+  await fs.mkdir(fileURLToPath(outputsDirUrl), { recursive: true });
+  await fs.writeFile(fileURLToPath(outFileUrl), body);
+  return fileURLToPath(outFileUrl);
+}
+
+export const persistStage = {
+  name: 'persist',
+  async run(ctx) {
+    ctx.scrapedAt ??= new Date().toISOString();
+    try {
+      const format = ctx.options.OUTPUT_FORMAT || 'json';
+      ctx.savedTo = await writeResult(ctx, format);
+      console.log(`[Scraper] ✅ Saved to: ${ctx.savedTo}`);
+      // Only the JSON maps downloaded media files back to their posts: keep it next to them whatever the format
+      if (format !== 'json' && ctx.isEnabled('download-media')) {
+        console.log(`[Scraper] ✅ Saved to: ${await writeResult(ctx, 'json')}`);
+      }
+    } catch (err) {
+      console.warn('[Scraper] ⚠️ Warning: Could not save file:', err.message);
+    }
+  },
+};
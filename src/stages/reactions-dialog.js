@@ -0,0 +1,37 @@
+// src/stages/reactions-dialog.js
+// Stage (opt-in): read each kept post's reaction breakdown from its reactions dialog
+import { scrapeReactionBreakdown, sumReactionBreakdown } from '../reactions.js';
+
+export const reactionsDialogStage = {
+  name: 'reactions-dialog',
+  async run(ctx) {
+    const { page, signal } = ctx;
+
+    console.log(`[Scraper] Opening reactions dialogs for ${ctx.posts.length} posts...`);
+    for (let i = 0; i < ctx.posts.length; i++) {
+      signal?.throwIfAborted();
+      const post = ctx.posts[i];
+      try {
+        const breakdown = await scrapeReactionBreakdown(page, post, {
+          profile: ctx.selectorProfile,
+          report: ctx.selectorReport,
+        });
+        if (breakdown) {
+          // The dialog lists every reactor, so it wins over the summary icons
+          post.reactions_by_type = breakdown;
+          post.reactions_breakdown_source = 'dialog';
+          const total = sumReactionBreakdown(breakdown);
+          if (total > (post.reactions || 0)) {
+            post.reactions = total;
+            post.engagement_source = { ...post.engagement_source, reactions: 'dialog' };
+          }
+          post.total_engagement = post.reactions + (post.comments || 0) + (post.shares || 0);
+        }
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[Scraper] ⚠️ Could not read reactions of post ${post.id}:`, err.message);
+      }
+      ctx.progress({ reactionsScrapedPosts: i + 1, postsTotal: ctx.posts.length });
+    }
+  },
+};
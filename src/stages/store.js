@@ -0,0 +1,20 @@
+// src/stages/store.js
+// Stage (on when a store is passed): record the run in the SQLite store (see store.js)
+
+export const storeStage = {
+  name: 'store',
+  async run(ctx) {
+    const { store, FB_PAGE_URL } = ctx.options;
+    ctx.scrapedAt ??= new Date().toISOString();
+    try {
+      const { pageId, runId } = store.saveRun({
+        page: { url: FB_PAGE_URL, name: ctx.pageName, followers: ctx.followers, likes: ctx.likes },
+        posts: ctx.posts,
+        scrapedAt: ctx.scrapedAt,
+      });
+      console.log(`[Scraper] ✅ Stored run #${runId} for page ${pageId} (${ctx.posts.length} posts)`);
+    } catch (err) {
+      console.warn('[Scraper] ⚠️ Warning: Could not store run:', err.message);
+    }
+  },
+};
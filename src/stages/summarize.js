@@ -0,0 +1,37 @@
+// src/stages/summarize.js
+// Stage: engagement totals, averages, reaction types and best post
+import { REACTION_TYPES } from '../reactions.js';
+
+/** Build the `summary` block for a list of posts */
+export function summarizePosts(posts) {
+  const total = (key) => posts.reduce((sum, p) => sum + (p[key] || 0), 0);
+  const avg = (key) => (posts.length > 0 ? Math.round(total(key) / posts.length) : 0);
+
+  // Per-type totals over the posts that have a breakdown; shares are fractions of the typed total
+  const byType = Object.fromEntries(REACTION_TYPES.map((type) => [
+    type,
+    posts.reduce((sum, p) => sum + (p.reactions_by_type?.[type] || 0), 0),
+  ]));
+  const typedTotal = Object.values(byType).reduce((a, b) => a + b, 0);
+  const shareOf = (n) => (typedTotal > 0 ? Math.round((n / typedTotal) * 10000) / 10000 : 0);
+
+  return {
+    total_posts: posts.length,
+    total_reactions: total('reactions'),
+    total_comments: total('comments'),
+    total_shares: total('shares'),
+    avg_reactions: avg('reactions'),
+    avg_comments: avg('comments'),
+    avg_shares: avg('shares'),
+    reactions_by_type: byType,
+    reactions_share: Object.fromEntries(REACTION_TYPES.map((type) => [type, shareOf(byType[type])])),
+    best_post: posts.length > 0 ? posts.reduce((best, p) => p.total_engagement > best.total_engagement ? p : best) : null
+  };
+}
+
+export const summarizeStage = {
+  name: 'summarize',
+  async run(ctx) {
+    ctx.summary = summarizePosts(ctx.posts);
+  },
+};
@@ -0,0 +1,252 @@
+// src/store.js
+// SQLite store: pages and posts upserted by stable ID, one engagement snapshot per post per run
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS pages (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    name TEXT,
+    followers INTEGER,
+    likes INTEGER,
+    first_seen_at TEXT NOT NULL,
+    last_scraped_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id TEXT NOT NULL REFERENCES pages(id),
+    scraped_at TEXT NOT NULL,
+    posts_count INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS posts (
+    id TEXT PRIMARY KEY,
+    page_id TEXT NOT NULL REFERENCES pages(id),
+    post_id TEXT,
+    permalink TEXT,
+    text TEXT,
+    date TEXT,
+    date_iso TEXT,
+    post_type TEXT,
+    reactions INTEGER,
+    comments INTEGER,
+    shares INTEGER,
+    data TEXT NOT NULL,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS posts_page_idx ON posts (page_id, last_seen_at);
+
+  CREATE TABLE IF NOT EXISTS snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    post_id TEXT NOT NULL REFERENCES posts(id),
+    run_id INTEGER NOT NULL REFERENCES runs(id),
+    scraped_at TEXT NOT NULL,
+    reactions INTEGER,
+    comments INTEGER,
+    shares INTEGER,
+    total_engagement INTEGER,
+    reactions_by_type TEXT,
+    UNIQUE (post_id, run_id)
+  );
+  CREATE INDEX IF NOT EXISTS snapshots_post_idx ON snapshots (post_id, scraped_at);
+`;
+
+/**
+ * Stable page ID from a page URL: the vanity name ("mat3amalsham") or the numeric id of
+ * profile.php?id=… links, lowercased. Returns null for anything that is not a Facebook URL.
+ */
+export function pageIdFromUrl(pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)facebook\.com$/i.test(url.hostname)) return null;
+  if (url.pathname === '/profile.php') return url.searchParams.get('id');
+  const segments = url.pathname.split('/').filter(Boolean);
+  // /pg/{name}/posts and /{name}/posts both belong to {name}
+  const name = segments[0] === 'pg' ? segments[1] : segments[0];
+  return name ? decodeURIComponent(name).toLowerCase() : null;
+}
+
+/**
+ * Open (and create/migrate) the store at `path` (':memory:' for a throwaway database).
+ * Returns { saveRun, listPages, getPage, listPosts, getPost, getPostHistory, close }.
+ */
+export function createStore({ path }) {
+  if (!path) throw new Error('createStore requires a database path');
+  if (path !== ':memory:') mkdirSync(dirname(path), { recursive: true });
+
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const upsertPage = db.prepare(`
+    INSERT INTO pages (id, url, name, followers, likes, first_seen_at, last_scraped_at)
+    VALUES (@id, @url, @name, @followers, @likes, @scraped_at, @scraped_at)
+    ON CONFLICT (id) DO UPDATE SET
+      url = excluded.url,
+      name = COALESCE(excluded.name, pages.name),
+      followers = COALESCE(excluded.followers, pages.followers),
+      likes = COALESCE(excluded.likes, pages.likes),
+      last_scraped_at = excluded.last_scraped_at
+  `);
+  const insertRun = db.prepare(`
+    INSERT INTO runs (page_id, scraped_at, posts_count) VALUES (@page_id, @scraped_at, @posts_count)
+  `);
+  const upsertPost = db.prepare(`
+    INSERT INTO posts (id, page_id, post_id, permalink, text, date, date_iso, post_type,
+                       reactions, comments, shares, data, first_seen_at, last_seen_at)
+    VALUES (@id, @page_id, @post_id, @permalink, @text, @date, @date_iso, @post_type,
+            @reactions, @comments, @shares, @data, @scraped_at, @scraped_at)
+    ON CONFLICT (id) DO UPDATE SET
+      post_id = COALESCE(excluded.post_id, posts.post_id),
+      permalink = COALESCE(excluded.permalink, posts.permalink),
+      text = excluded.text,
+      date = excluded.date,
+      -- Relative dates ("3h") drift between runs: keep the first resolution
+      date_iso = COALESCE(posts.date_iso, excluded.date_iso),
+      post_type = excluded.post_type,
+      reactions = excluded.reactions,
+      comments = excluded.comments,
+      shares = excluded.shares,
+      data = excluded.data,
+      last_seen_at = excluded.last_seen_at
+  `);
+  const insertSnapshot = db.prepare(`
+    INSERT OR REPLACE INTO snapshots (post_id, run_id, scraped_at, reactions, comments, shares,
+                                      total_engagement, reactions_by_type)
+    VALUES (@post_id, @run_id, @scraped_at, @reactions, @comments, @shares,
+            @total_engagement, @reactions_by_type)
+  `);
+
+  /**
+   * Record one scrape of a page: upsert the page and its posts, add a snapshot per post.
+   * `page` is { url, name, followers, likes }. Returns { pageId, runId }.
+   */
+  const saveRun = db.transaction(({ page, posts, scrapedAt }) => {
+    const pageId = pageIdFromUrl(page.url);
+    if (!pageId) throw new Error(`Cannot derive a page ID from ${page.url}`);
+    const scraped_at = scrapedAt || new Date().toISOString();
+
+    upsertPage.run({
+      id: pageId,
+      url: page.url,
+      name: page.name ?? null,
+      followers: page.followers ?? null,
+      likes: page.likes ?? null,
+      scraped_at,
+    });
+    const runId = Number(insertRun.run({ page_id: pageId, scraped_at, posts_count: posts.length }).lastInsertRowid);
+
+    for (const post of posts) {
+      upsertPost.run({
+        id: post.id,
+        page_id: pageId,
+        post_id: post.post_id ?? null,
+        permalink: post.permalink ?? null,
+        text: post.text ?? null,
+        date: post.date ?? null,
+        date_iso: post.dateISO ?? null,
+        post_type: post.post_type ?? null,
+        reactions: post.reactions ?? 0,
+        comments: post.comments ?? 0,
+        shares: post.shares ?? 0,
+        data: JSON.stringify(post),
+        scraped_at,
+      });
+      insertSnapshot.run({
+        post_id: post.id,
+        run_id: runId,
+        scraped_at,
+        reactions: post.reactions ?? 0,
+        comments: post.comments ?? 0,
+        shares: post.shares ?? 0,
+        total_engagement: post.total_engagement ?? (post.reactions || 0) + (post.comments || 0) + (post.shares || 0),
+        reactions_by_type: post.reactions_by_type ? JSON.stringify(post.reactions_by_type) : null,
+      });
+    }
+    return { pageId, runId };
+  });
+
+  const pageSelect = `
+    SELECT p.*, (SELECT COUNT(*) FROM posts WHERE page_id = p.id) AS posts_count,
+           (SELECT COUNT(*) FROM runs WHERE page_id = p.id) AS runs_count
+    FROM pages p
+  `;
+  const listPagesStmt = db.prepare(`${pageSelect} ORDER BY p.last_scraped_at DESC`);
+  const getPageStmt = db.prepare(`${pageSelect} WHERE p.id = ?`);
+  const listPostsStmt = db.prepare(`
+    SELECT * FROM posts WHERE page_id = ?
+    ORDER BY COALESCE(date_iso, first_seen_at) DESC
+    LIMIT ? OFFSET ?
+  `);
+  const countPostsStmt = db.prepare('SELECT COUNT(*) AS n FROM posts WHERE page_id = ?');
+  const getPostStmt = db.prepare('SELECT * FROM posts WHERE id = ? OR post_id = ?');
+  const historyStmt = db.prepare('SELECT * FROM snapshots WHERE post_id = ? ORDER BY scraped_at, id');
+
+  const toPost = (row) => ({
+    ...JSON.parse(row.data),
+    page_id: row.page_id,
+    reactions: row.reactions,
+    comments: row.comments,
+    shares: row.shares,
+    dateISO: row.date_iso,
+    first_seen_at: row.first_seen_at,
+    last_seen_at: row.last_seen_at,
+  });
+
+  const toSnapshot = (row) => ({
+    run_id: row.run_id,
+    scraped_at: row.scraped_at,
+    reactions: row.reactions,
+    comments: row.comments,
+    shares: row.shares,
+    total_engagement: row.total_engagement,
+    reactions_by_type: row.reactions_by_type ? JSON.parse(row.reactions_by_type) : null,
+  });
+
+  return {
+    saveRun,
+
+    /** All pages, most recently scraped first, with post and run counts */
+    listPages() {
+      return listPagesStmt.all();
+    },
+
+    /** One page by ID, or null */
+    getPage(id) {
+      return getPageStmt.get(id) ?? null;
+    },
+
+    /** Posts of a page with their latest metrics, newest first: { total, posts } */
+    listPosts(pageId, { limit = 50, offset = 0 } = {}) {
+      return {
+        total: countPostsStmt.get(pageId).n,
+        posts: listPostsStmt.all(pageId, limit, offset).map(toPost),
+      };
+    },
+
+    /** One post (by stable ID or Facebook post ID) with its latest metrics, or null */
+    getPost(id) {
+      const row = getPostStmt.get(id, id);
+      return row ? toPost(row) : null;
+    },
+
+    /** Engagement snapshots of a post, oldest first (empty when unknown) */
+    getPostHistory(id) {
+      const row = getPostStmt.get(id, id);
+      return row ? historyStmt.all(row.id).map(toSnapshot) : [];
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// src/totp.js
+// Time-based one-time passwords (RFC 6238) for accounts with two-factor authentication
+import { createHmac } from 'crypto';
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** Decode a base32 secret as authenticator apps show it (spaces, dashes, lower case and padding allowed) */
+export function base32Decode(secret) {
+  const clean = String(secret).toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}" in TOTP secret`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Current code for a base32 `secret` (the key behind the QR code Facebook shows when
+ * two-factor authentication is set up with an authenticator app).
+ */
+export function totp(secret, { now = Date.now(), period = 30, digits = 6 } = {}) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 1000 / period)));
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
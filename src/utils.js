@@ -1,109 +1,24 @@
 // src/utils.js
 // Utilities to help with common Puppeteer actions
+import { ScraperError } from './errors.js';
+import { parseFacebookDate } from './dates.js';
+import { detectPageState } from './extractors/page-state.js';
+import { getSelectorProfile } from './selectors.js';
 
 /** Simple sleep helper to await for ms milliseconds */
 export function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-// Normalize Arabic-Indic digits to Latin digits
-const arabicDigitMap = {
-  '\u0660': '0', '\u0661': '1', '\u0662': '2', '\u0663': '3', '\u0664': '4',
-  '\u0665': '5', '\u0666': '6', '\u0667': '7', '\u0668': '8', '\u0669': '9',
-};
-function normalizeArabicDigits(s) {
-  return (s || '').replace(/[\u0660-\u0669]/g, (d) => arabicDigitMap[d] || d);
-}
+/** Counts ("2.3K", "٢٫٨ ألف", ...): see counts.js */
+export { parseCount } from './counts.js';
 
 /**
- * Parse a textual count like "2.3K", "1M", or Arabic forms like "٢٫٨ ألف" into a number.
- * Returns integer or null when not parsable.
+ * Parse a Facebook date ("3h", "Yesterday at 3:15 PM", "14 سبتمبر الساعة 6:00 م", ...) to ISO.
+ * Options { now, timeZone } as for parseFacebookDate in dates.js, which also reports the precision.
  */
-export function parseCount(text) {
-  if (!text) return null;
-  let s = normalizeArabicDigits(String(text)).trim().toLowerCase();
-  // Normalize Arabic decimal/thousand separators
-  s = s.replace(/\u066b/g, '.').replace(/\u066c/g, '');
-
-  // Map Arabic magnitude words
-  let factor = 1;
-  if (/\b(الف|ألف)\b/.test(s)) factor = 1_000;
-  else if (/\b(مليون|ملايين)\b/.test(s)) factor = 1_000_000;
-  else if (/\b(مليار|مليارات)\b/.test(s)) factor = 1_000_000_000;
-  else if (/\bk\b/.test(s)) factor = 1_000;
-  else if (/\bm\b/.test(s)) factor = 1_000_000;
-  else if (/\bb\b/.test(s)) factor = 1_000_000_000;
-
-  // Extract first numeric token
-  const m = s.match(/([0-9]+(?:\.[0-9]+)?)/);
-  if (!m) {
-    const digitsOnly = s.replace(/[^0-9]/g, '');
-    if (!digitsOnly) return null;
-    const n = parseInt(digitsOnly, 10);
-    return Number.isFinite(n) ? n : null;
-  }
-  const num = parseFloat(m[1]);
-  const val = Math.round(num * factor);
-  return Number.isFinite(val) ? val : null;
-}
-
-/**
- * Parse relative/Arabic date strings to ISO (best-effort).
- * Examples: "١٨ س" => now - 18h, "3d" => now - 3 days,
- * "14 سبتمبر الساعة 6:00 م" => absolute with Arabic month/period.
- */
-export function parseDateToISO(dateStr) {
-  if (!dateStr) return null;
-  let s = normalizeArabicDigits(String(dateStr)).trim();
-
-  // If already ISO-like
-  if (/\d{4}-\d{2}-\d{2}T\d{2}:/i.test(s)) {
-    const d = new Date(s);
-    return isNaN(d.getTime()) ? null : d.toISOString();
-  }
-
-  const now = new Date();
-  // Relative forms: number + unit (ar/en)
-  const rel = s.match(/([0-9]+)\s*(س|ساعة|h|سا|د|دقيقة|m|ي|يوم|d|y|سنة)/i);
-  if (rel) {
-    const n = parseInt(rel[1], 10);
-    const unit = rel[2].toLowerCase();
-    const d = new Date(now);
-    if (['س', 'ساعة', 'h', 'سا'].includes(unit)) d.setHours(d.getHours() - n);
-    else if (['د', 'دقيقة', 'm'].includes(unit)) d.setMinutes(d.getMinutes() - n);
-    else if (['ي', 'يوم', 'd'].includes(unit)) d.setDate(d.getDate() - n);
-    else if (['y', 'سنة'].includes(unit)) d.setFullYear(d.getFullYear() - n);
-    return d.toISOString();
-  }
-
-  // Absolute Arabic form: "14 سبتمبر الساعة 6:00 م"
-  const months = {
-    'يناير': 0, 'فبراير': 1, 'مارس': 2, 'أبريل': 3, 'ابريل': 3, 'أيار': 4, 'مايو': 4,
-    'يونيو': 5, 'يوليو': 6, 'أغسطس': 7, 'اغسطس': 7, 'سبتمبر': 8, 'أكتوبر': 9, 'اكتوبر': 9,
-    'نوفمبر': 10, 'ديسمبر': 11,
-  };
-  const abs = s.match(/(\d{1,2})\s+(\p{L}+)\s+الساعة\s+(\d{1,2}):(\d{2})\s*(ص|م)?/u);
-  if (abs) {
-    const day = parseInt(abs[1], 10);
-    const monName = abs[2];
-    const hour = parseInt(abs[3], 10);
-    const minute = parseInt(abs[4], 10);
-    const period = (abs[5] || '').trim();
-    const month = months[monName];
-    if (month != null) {
-      let h = hour % 12;
-      if (period === 'م') h += 12; // PM
-      // Assume current year and local timezone
-      const d = new Date();
-      d.setMonth(month);
-      d.setDate(day);
-      d.setHours(h, minute, 0, 0);
-      return d.toISOString();
-    }
-  }
-
-  // Fallback: return null when cannot parse
-  return null;
+export function parseDateToISO(dateStr, options) {
+  return parseFacebookDate(dateStr, options)?.iso ?? null;
 }
 
 /**
@@ -142,14 +57,21 @@ export async function clickIfExists(page, selector) {
   return false;
 }
 
-/** Auto-click "See more/عرض المزيد" inside each article to expand text */
-export async function clickSeeMoreInArticles(page) {
-  await page.evaluate(() => {
-    const matches = (t) => /عرض المزيد|see more/i.test(t || '');
-    const articles = document.querySelectorAll('div[role="article"]');
+/**
+ * Auto-click "See more/عرض المزيد" inside each article to expand text.
+ * `profile`: selector profile (see selectors.js) for the articles, expanders and "See more" labels.
+ */
+export async function clickSeeMoreInArticles(page, { profile = getSelectorProfile() } = {}) {
+  await page.evaluate((profile) => {
+    const SEE_MORE = profile.patterns['post.seeMore'].map((p) => {
+      const i = p.lastIndexOf('/');
+      return new RegExp(p.slice(1, i), p.slice(i + 1));
+    });
+    const matches = (t) => SEE_MORE.some((rx) => rx.test(t || ''));
+    const articles = document.querySelectorAll(profile.selectors['feed.article'].join(', '));
     for (const art of articles) {
       // Restrict to elements that act as inline expanders, not navigation links
-      const clickable = art.querySelectorAll('button, span[role="button"], div[role="button"], span[aria-label], div[aria-label]');
+      const clickable = art.querySelectorAll(profile.selectors['post.expander'].join(', '));
       for (const el of clickable) {
         const txt = (el.innerText || el.textContent || '').trim();
         // Skip anchors or elements inside anchors to avoid opening the post overlay
@@ -160,40 +82,92 @@ export async function clickSeeMoreInArticles(page) {
         }
       }
     }
-  });
+  }, profile.inPage);
 }
 
-/** Try to close an open post overlay/dialog if present */
-export async function closePostOverlay(page) {
+/**
+ * Try to close an open post overlay/dialog if present.
+ * The close control that worked is recorded in `report` (see createSelectorReport in selectors.js).
+ */
+export async function closePostOverlay(page, { profile = getSelectorProfile(), report = null } = {}) {
+  const dialog = profile.selectors('dialog').join(', ');
   try {
     // If a dialog is present, try known close controls
-    const hasDialog = await page.$('div[role="dialog"], [aria-modal="true"]');
+    const hasDialog = await page.$(dialog);
     if (!hasDialog) return false;
 
-    const selectors = [
-      'div[role="dialog"] [aria-label="Close"]',
-      'div[role="dialog"] [aria-label="إغلاق"]',
-      'div[role="dialog"] [data-testid="close-button"]',
-      'div[role="dialog"] [role="button"][tabindex="0"]',
-      'div[role="dialog"] button',
-    ];
-
-    for (const sel of selectors) {
-      const el = await page.$(sel);
-      if (el) { try { await el.click(); await page.waitForTimeout(200); } catch {} }
-      const stillOpen = await page.$('div[role="dialog"], [aria-modal="true"]');
-      if (!stillOpen) return true;
+    const selectors = profile.selectors('dialog.close');
+    for (let i = 0; i < selectors.length; i++) {
+      const el = await page.$(selectors[i]);
+      if (el) { try { await el.click(); await sleep(200); } catch {} }
+      const stillOpen = await page.$(dialog);
+      if (!stillOpen) {
+        report?.record('dialog.close', i);
+        return true;
+      }
     }
 
     // Fallback: press Escape to close
-    try { await page.keyboard.press('Escape'); await page.waitForTimeout(200); } catch {}
-    const remains = await page.$('div[role="dialog"], [aria-modal="true"]');
+    report?.record('dialog.close', null);
+    try { await page.keyboard.press('Escape'); await sleep(200); } catch {}
+    const remains = await page.$(dialog);
     return !remains;
   } catch {
     return false;
   }
 }
 
+/**
+ * Find the feed article (outside any dialog) that links to `postId`.
+ * Returns an ElementHandle, or null when the post is no longer rendered.
+ */
+export async function findPostArticle(page, postId, { profile = getSelectorProfile() } = {}) {
+  const handle = await page.evaluateHandle((id, article, dialog) => {
+    return Array.from(document.querySelectorAll(article))
+      .find((el) => !el.closest(dialog)
+        && Array.from(el.querySelectorAll('a[href]')).some((a) => a.href.includes(id))) || null;
+  }, postId, profile.selectors('feed.article').join(', '), profile.selectors('dialog').join(', '));
+  const el = handle.asElement();
+  if (!el) await handle.dispose();
+  return el;
+}
+
+// Facebook screen (see extractors/page-state.js) -> error code and message
+const PAGE_STATE_ERRORS = {
+  'not-found': ['PAGE_NOT_FOUND', 'Facebook page not found'],
+  unavailable: ['CONTENT_UNAVAILABLE', 'Facebook page is not available to the scraping account'],
+  'rate-limited': ['RATE_LIMITED', 'Facebook temporarily blocked the scraping account'],
+  checkpoint: ['CHECKPOINT_REQUIRED', 'Facebook requires a security checkpoint on the scraping account'],
+  'login-required': ['LOGIN_FAILED', 'Facebook session is not logged in'],
+};
+
+/**
+ * Throw a ScraperError when the page shows one of Facebook's error screens instead of content.
+ * The screens come from the selector `profile`; the fields that matched go to `report` when given.
+ */
+export async function assertPageAvailable(page, { profile = getSelectorProfile(), report = null } = {}) {
+  const { state, matched, fields } = await page.evaluate(detectPageState, profile.inPage);
+  report?.merge(fields);
+  if (state === 'ok') return;
+  const [code, message] = PAGE_STATE_ERRORS[state];
+  throw new ScraperError(code, `${message} (${page.url()})`, { state, matched });
+}
+
+/**
+ * Navigate with retries and a growing back-off between attempts.
+ */
+export async function gotoWithRetry(page, url, options = {}, maxRetries = 3) {
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      return await page.goto(url, options);
+    } catch (err) {
+      if (i === maxRetries - 1) throw err;
+      console.warn(`Retry ${i + 1}/${maxRetries} for ${url}: ${err.message}`);
+      await sleep(1000 * (i + 1));
+    }
+  }
+}
+
 /**
  * Get trimmed innerText of a selector, or null if missing.
  */
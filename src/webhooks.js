@@ -0,0 +1,146 @@
+// src/webhooks.js
+// Webhook delivery of scrape results: HMAC-signed POSTs, retries with exponential backoff, delivery log
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { sleep } from './utils.js';
+
+/**
+ * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" with the shared secret.
+ * Sent as `X-Scraper-Signature: sha256=<hex>` next to `X-Scraper-Timestamp`.
+ */
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Check a received signature header ("sha256=<hex>") against the body, for receivers */
+export function verifySignature(secret, timestamp, body, header) {
+  const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`);
+  const received = Buffer.from(String(header || ''));
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+// Worth another attempt: network errors, timeouts, rate limiting and server errors
+const isRetryable = (status) => status == null || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Create a webhook dispatcher.
+ * - `secret`: HMAC secret; deliveries go out unsigned when it is empty
+ * - `maxAttempts`, `baseDelayMs`, `maxDelayMs`: attempt n waits baseDelayMs * 2^(n-2), capped
+ * - `timeoutMs`: per-attempt request timeout
+ * - `logSize`: number of deliveries kept in the in-memory log
+ *
+ * `deliver({ url, event, payload, jobId, apiKeyId })` records a delivery and sends it in the background;
+ * it returns the delivery record, whose `done` promise settles once it is delivered or given up.
+ * `apiKeyId` is the key the job was submitted with: only that key (and admins) can see the delivery.
+ */
+export function createWebhookDispatcher({
+  secret = '',
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 60000,
+  timeoutMs = 10000,
+  logSize = 500,
+} = {}) {
+  const deliveries = new Map();
+
+  function prune() {
+    while (deliveries.size > logSize) {
+      const oldest = [...deliveries.values()].find((d) => d.status !== 'pending');
+      if (!oldest) break;
+      deliveries.delete(oldest.id);
+    }
+  }
+
+  async function attempt(delivery, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'facebook-scraper-webhooks/1.0',
+      'X-Scraper-Event': delivery.event,
+      'X-Scraper-Delivery': delivery.id,
+      'X-Scraper-Timestamp': timestamp,
+    };
+    if (secret) headers['X-Scraper-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: null };
+    delivery.attempts.push(record);
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      record.statusCode = res.status;
+      // Drain the body so the connection can be reused
+      await res.arrayBuffer().catch(() => {});
+      if (!res.ok) record.error = `HTTP ${res.status}`;
+    } catch (err) {
+      record.error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message;
+    }
+    record.durationMs = Date.now() - started;
+    return record;
+  }
+
+  async function send(delivery, body) {
+    for (let n = 1; n <= maxAttempts; n++) {
+      const record = await attempt(delivery, body);
+      if (!record.error) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        delivery.nextAttemptAt = null;
+        console.log(`[Webhook] ✅ Delivered ${delivery.event} ${delivery.id} to ${delivery.url}`);
+        return;
+      }
+      if (n === maxAttempts || !isRetryable(record.statusCode)) break;
+
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (n - 1));
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.warn(`[Webhook] ⚠️ Delivery ${delivery.id} attempt ${n} failed (${record.error}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    console.warn(`[Webhook] ❌ Giving up on delivery ${delivery.id} to ${delivery.url} after ${delivery.attempts.length} attempt(s)`);
+  }
+
+  function deliver({ url, event, payload, jobId = null, apiKeyId = null }) {
+    const delivery = {
+      id: randomUUID(),
+      url,
+      event,
+      jobId,
+      apiKeyId,
+      status: 'pending',
+      signed: !!secret,
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null,
+      attempts: [],
+    };
+    const body = JSON.stringify({ id: delivery.id, event, created_at: delivery.createdAt, ...payload });
+    Object.defineProperty(delivery, 'done', { value: send(delivery, body), enumerable: false });
+    deliveries.set(delivery.id, delivery);
+    prune();
+    return delivery;
+  }
+
+  return {
+    deliver,
+    get: (id) => deliveries.get(id),
+    /** Deliveries, newest first, optionally filtered by { status, jobId } */
+    list({ status, jobId } = {}) {
+      return [...deliveries.values()]
+        .filter((d) => (!status || d.status === status) && (!jobId || d.jobId === jobId))
+        .reverse();
+    },
+    stats() {
+      const all = [...deliveries.values()];
+      return {
+        pending: all.filter((d) => d.status === 'pending').length,
+        delivered: all.filter((d) => d.status === 'delivered').length,
+        failed: all.filter((d) => d.status === 'failed').length,
+      };
+    },
+  };
+}
@@ -0,0 +1,132 @@
+// test/api-keys.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createKeyStore, createRateLimiter, canAccess } from '../src/api-keys.js';
+
+describe('createKeyStore', () => {
+  let dir;
+  let file;
+  let clock;
+  let keys;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-keys-'));
+    file = path.join(dir, 'api-keys.json');
+    clock = Date.parse('2026-03-01T22:00:00Z');
+    keys = createKeyStore({ file, adminKey: 'master', defaults: { rateLimitPerMinute: 60, dailyQuota: 3 }, now: () => clock });
+    await keys.load();
+  });
+
+  afterEach(async () => {
+    await keys.flush();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('creates keys, stores only their hash and authenticates them', async () => {
+    const { key, record } = await keys.create({ name: 'dashboard' });
+    assert.match(key, /^fbs_/);
+    assert.equal(record.prefix, key.slice(0, 8));
+    assert.equal(record.dailyQuota, 3);
+    assert.equal(record.hash, undefined);
+
+    assert.equal(keys.authenticate(key).id, record.id);
+    assert.equal(keys.authenticate('fbs_wrong'), null);
+    assert.equal(keys.authenticate(undefined), null);
+
+    await keys.flush();
+    const saved = await fs.readFile(file, 'utf-8');
+    assert.ok(!saved.includes(key), 'the plain key never reaches the disk');
+  });
+
+  it('authenticates the admin master key without limits', () => {
+    assert.deepEqual(keys.authenticate('master'), {
+      id: 'admin', name: 'ADMIN_API_KEY', role: 'admin', rateLimitPerMinute: null, dailyQuota: null,
+    });
+  });
+
+  it('rejects revoked keys and keeps them listed', async () => {
+    const { key, record } = await keys.create({});
+    assert.equal(await keys.revoke(record.id), true);
+    assert.equal(await keys.revoke(record.id), false);
+    assert.equal(keys.authenticate(key), null);
+    assert.ok(keys.list()[0].revokedAt);
+    assert.deepEqual(keys.stats(), { keys: 0, admin: true });
+  });
+
+  it('tells which key ids can still act', async () => {
+    const { record } = await keys.create({});
+    assert.equal(keys.isActive(record.id), true);
+    assert.equal(keys.isActive('admin'), true);
+    assert.equal(keys.isActive('deleted-key'), false);
+    await keys.revoke(record.id);
+    assert.equal(keys.isActive(record.id), false);
+
+    const withoutAdmin = createKeyStore({ file: path.join(dir, 'other.json') });
+    assert.equal(withoutAdmin.isActive('admin'), false, 'ADMIN_API_KEY was unset since');
+  });
+
+  it('validates limits', async () => {
+    await assert.rejects(keys.create({ dailyQuota: 0 }), /dailyQuota/);
+    await assert.rejects(keys.create({ rateLimitPerMinute: 'many' }), /rateLimitPerMinute/);
+    await assert.rejects(keys.create({ role: 'root' }), /role/);
+    const { record } = await keys.create({ dailyQuota: null });
+    assert.equal(record.dailyQuota, null);
+  });
+
+  it('counts the daily quota per UTC day', async () => {
+    const { record } = await keys.create({});
+    assert.equal(keys.consumeQuota(record.id, 2).allowed, true);
+    const denied = keys.consumeQuota(record.id, 2);
+    assert.deepEqual(denied, { allowed: false, limit: 3, used: 2, resetAt: '2026-03-02T00:00:00.000Z' });
+    assert.equal(keys.consumeQuota(record.id).allowed, true);
+    assert.equal(keys.consumeQuota(record.id).allowed, false);
+
+    clock = Date.parse('2026-03-02T00:00:01Z');
+    assert.deepEqual(keys.consumeQuota(record.id), { allowed: true, limit: 3, used: 1, resetAt: '2026-03-03T00:00:00.000Z' });
+  });
+
+  it('reloads keys and usage from disk', async () => {
+    const { key, record } = await keys.create({ name: 'n8n' });
+    keys.consumeQuota(record.id);
+    await keys.flush();
+
+    const reloaded = createKeyStore({ file, now: () => clock });
+    await reloaded.load();
+    assert.equal(reloaded.authenticate(key).name, 'n8n');
+    assert.deepEqual(reloaded.get(record.id).usage, { day: '2026-03-01', scrapes: 1 });
+  });
+});
+
+describe('canAccess', () => {
+  const client = (id) => ({ id, name: null, role: 'client' });
+
+  it('lets client keys see only what they created', () => {
+    assert.equal(canAccess(client('a'), 'a'), true);
+    assert.equal(canAccess(client('a'), 'b'), false);
+    assert.equal(canAccess(client('a'), null), false, 'created before auth was enabled');
+  });
+
+  it('lets admin keys and auth-less servers see everything', () => {
+    assert.equal(canAccess({ id: 'admin', role: 'admin' }, 'b'), true);
+    assert.equal(canAccess({ id: 'k2', role: 'admin' }, null), true);
+    assert.equal(canAccess(null, 'b'), true);
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('allows `limit` requests per window', () => {
+    let clock = 0;
+    const limiter = createRateLimiter({ windowMs: 1000, now: () => clock });
+    assert.deepEqual(limiter.hit('a', 2), { allowed: true, limit: 2, remaining: 1, resetAt: 1000 });
+    assert.equal(limiter.hit('a', 2).allowed, true);
+    assert.deepEqual(limiter.hit('a', 2), { allowed: false, limit: 2, remaining: 0, resetAt: 1000 });
+    assert.equal(limiter.hit('b', 2).allowed, true, 'keys are limited separately');
+
+    clock = 1000;
+    assert.equal(limiter.hit('a', 2).allowed, true);
+    assert.equal(limiter.hit('a', null).allowed, true, 'null limit is unlimited');
+  });
+});
@@ -0,0 +1,63 @@
+// test/batch.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBatch } from '../src/batch.js';
+import { sleep } from '../src/utils.js';
+
+const pages = (n) => Array.from({ length: n }, (_, i) => ({ pageUrl: `https://www.facebook.com/page${i + 1}` }));
+
+describe('runBatch', () => {
+  it('returns per-page results in input order and isolates failures', async () => {
+    const results = await runBatch(pages(3), async ({ pageUrl }) => {
+      if (pageUrl.endsWith('page2')) throw new Error('Page not found');
+      await sleep(pageUrl.endsWith('page1') ? 30 : 1);
+      return { url: pageUrl };
+    }, { concurrency: 2, delayMs: 0 });
+
+    assert.deepEqual(results, [
+      { index: 0, pageUrl: 'https://www.facebook.com/page1', success: true, data: { url: 'https://www.facebook.com/page1' } },
+      { index: 1, pageUrl: 'https://www.facebook.com/page2', success: false, error: 'Page not found', code: 'INTERNAL_ERROR' },
+      { index: 2, pageUrl: 'https://www.facebook.com/page3', success: true, data: { url: 'https://www.facebook.com/page3' } },
+    ]);
+  });
+
+  it('never runs more than `concurrency` pages at once', async () => {
+    let active = 0;
+    let peak = 0;
+    await runBatch(pages(6), async () => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await sleep(5);
+      active -= 1;
+    }, { concurrency: 2, delayMs: 0 });
+    assert.equal(peak, 2);
+  });
+
+  it('waits between pages of the same worker', async () => {
+    const starts = [];
+    await runBatch(pages(2), async () => { starts.push(Date.now()); }, { concurrency: 1, delayMs: 50 });
+    assert.ok(starts[1] - starts[0] >= 45, `second page started after ${starts[1] - starts[0]}ms`);
+  });
+
+  it('reports progress after every page', async () => {
+    const progress = [];
+    await runBatch(pages(2), async ({ pageUrl }) => {
+      if (pageUrl.endsWith('page1')) throw new Error('boom');
+    }, { concurrency: 1, delayMs: 0, onProgress: (p) => progress.push(p) });
+    assert.deepEqual(progress, [
+      { pagesDone: 1, pagesFailed: 1, pagesTotal: 2 },
+      { pagesDone: 2, pagesFailed: 1, pagesTotal: 2 },
+    ]);
+  });
+
+  it('stops starting pages once aborted', async () => {
+    const controller = new AbortController();
+    const results = await runBatch(pages(3), async () => {
+      controller.abort();
+      return 'ok';
+    }, { concurrency: 1, delayMs: 0, signal: controller.signal });
+    assert.deepEqual(results.map((r) => r.success), [true, false, false]);
+    assert.equal(results[2].error, 'Batch was cancelled');
+    assert.equal(results[2].code, 'JOB_CANCELLED');
+  });
+});
@@ -0,0 +1,214 @@
+// test/browser-pool.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { createBrowserPool, createSharedLease } from '../src/browser-pool.js';
+
+/** Browser stand-in: close() and crash() both disconnect it, like Puppeteer's Browser */
+function fakeBrowser(id) {
+  const browser = new EventEmitter();
+  browser.id = id;
+  browser.connected = true;
+  browser.closed = false;
+  browser.close = async () => {
+    browser.closed = true;
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  browser.crash = () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  return browser;
+}
+
+/** launch() handing out fake browsers #1, #2, ... (all of them kept in `browsers`) */
+function fakeLaunch({ account = 'main' } = {}) {
+  const browsers = [];
+  const launch = async () => {
+    const browser = fakeBrowser(browsers.length + 1);
+    browsers.push(browser);
+    return { browser, account };
+  };
+  return { browsers, launch };
+}
+
+const newPage = async () => ({ closed: false, async close() { this.closed = true; } });
+
+/** Let the pool's relaunch and dispatch callbacks run */
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('createBrowserPool', () => {
+  it('reuses a browser across leases and recycles it after maxUses', async () => {
+    const { browsers, launch } = fakeLaunch();
+    const pool = createBrowserPool({ size: 1, maxUses: 2, launch, newPage });
+
+    const first = await pool.acquire();
+    await first.release();
+    assert.equal(first.page.closed, true);
+    const second = await pool.acquire();
+    assert.equal(second.browser, first.browser);
+    await second.release();
+
+    assert.equal(browsers[0].closed, true, 'closed after its second use');
+    await tick();
+    const third = await pool.acquire();
+    assert.equal(third.browser, browsers[1]);
+    assert.equal(browsers.length, 2);
+    await third.release();
+    await pool.shutdown();
+  });
+
+  it('replaces a browser that crashed or disconnected', async () => {
+    const { browsers, launch } = fakeLaunch();
+    const pool = createBrowserPool({ size: 1, launch, newPage });
+
+    const idle = await pool.acquire();
+    await idle.release();
+    browsers[0].crash();
+    await tick();
+    assert.equal(browsers.length, 2, 'relaunched right away');
+    const next = await pool.acquire();
+    assert.equal(next.browser, browsers[1]);
+
+    // Disconnected while leased: recycled on release instead of being handed out again
+    browsers[1].connected = false;
+    await next.release();
+    await tick();
+    assert.equal(browsers.length, 3);
+    assert.equal((await pool.acquire()).browser, browsers[2]);
+    await pool.shutdown();
+  });
+
+  it('recycles a browser whose account became unusable', async () => {
+    const { browsers, launch } = fakeLaunch({ account: 'a1' });
+    const status = { a1: 'active' };
+    const sessions = { isAvailable: (name) => status[name] === 'active', get: (name) => ({ status: status[name] }) };
+    const pool = createBrowserPool({ size: 1, launch, newPage, sessions });
+
+    const lease = await pool.acquire();
+    status.a1 = 'rate_limited';
+    await lease.release();
+    assert.equal(browsers[0].closed, true);
+    await pool.shutdown();
+  });
+
+  it('rejects acquire when the browser fails to launch', async () => {
+    const pool = createBrowserPool({
+      size: 1,
+      launch: async () => { throw new Error('LOGIN_FAILED: wrong password'); },
+      newPage,
+    });
+    await assert.rejects(pool.acquire(), /wrong password/);
+    assert.equal(pool.stats().browsers, 0);
+    assert.equal(pool.stats().waiting, 0);
+  });
+
+  it('retires the browser when opening a page fails', async () => {
+    const { browsers, launch } = fakeLaunch();
+    let failNext = true;
+    const pool = createBrowserPool({
+      size: 1,
+      launch,
+      newPage: async (browser) => {
+        if (failNext) {
+          failNext = false;
+          throw new Error('Target closed');
+        }
+        return newPage(browser);
+      },
+    });
+    await assert.rejects(pool.acquire(), /Target closed/);
+    assert.equal(browsers[0].closed, true);
+    assert.equal((await pool.acquire()).browser, browsers[1]);
+    await pool.shutdown();
+  });
+
+  it('shutdown rejects waiting acquires, closes every browser and refuses new ones', async () => {
+    const { browsers, launch } = fakeLaunch();
+    const pool = createBrowserPool({ size: 1, launch, newPage });
+
+    const held = await pool.acquire();
+    const waiting = [pool.acquire(), pool.acquire()];
+    assert.equal(pool.stats().waiting, 2);
+
+    await pool.shutdown();
+    for (const pending of waiting) await assert.rejects(pending, /shut down/);
+    assert.equal(browsers[0].closed, true);
+    assert.equal(pool.stats().browsers, 0);
+    await assert.rejects(pool.acquire(), /shut down/);
+
+    // A lease released after shutdown neither relaunches nor throws
+    await held.release();
+    await tick();
+    assert.equal(browsers.length, 1);
+  });
+
+  it('gives up a waiting acquire when its signal aborts', async () => {
+    const { launch } = fakeLaunch();
+    const pool = createBrowserPool({ size: 1, launch, newPage });
+    const held = await pool.acquire();
+
+    const controller = new AbortController();
+    const waiting = pool.acquire({ signal: controller.signal });
+    controller.abort();
+    await assert.rejects(waiting, { name: 'AbortError' });
+    assert.equal(pool.stats().waiting, 0);
+    await assert.rejects(pool.acquire({ signal: controller.signal }), { name: 'AbortError' });
+
+    // The aborted caller never gets the browser: the next one does
+    await held.release();
+    const next = await pool.acquire();
+    assert.equal(next.browser, held.browser);
+    await next.release();
+    await pool.shutdown();
+  });
+
+  it('warms up to `size` browsers', async () => {
+    const { browsers, launch } = fakeLaunch();
+    const pool = createBrowserPool({ size: 3, launch, newPage });
+    await pool.warm();
+    assert.equal(browsers.length, 3);
+    assert.deepEqual(pool.stats(), { size: 3, maxUses: 20, browsers: 3, busy: 0, waiting: 0 });
+    await pool.shutdown();
+    assert.ok(browsers.every((b) => b.closed));
+  });
+});
+
+describe('createSharedLease', () => {
+  it('shares one browser and leases another once it crashed', async () => {
+    const { browsers, launch } = fakeLaunch();
+    const pool = createBrowserPool({ size: 1, launch, newPage });
+    const lease = createSharedLease(pool);
+
+    const [a, b] = await Promise.all([lease.get(), lease.get()]);
+    assert.equal(a, b);
+    assert.equal(a.page.closed, true, 'the tabs are opened by the scrapes');
+    assert.equal(pool.stats().busy, 1);
+
+    browsers[0].crash();
+    const [c, d] = await Promise.all([lease.get(), lease.get()]);
+    assert.equal(c, d);
+    assert.equal(c.browser, browsers[1]);
+
+    await lease.close();
+    assert.equal(pool.stats().busy, 0);
+    await pool.shutdown();
+  });
+
+  it('stops waiting for a browser when the batch is cancelled', async () => {
+    const { launch } = fakeLaunch();
+    const pool = createBrowserPool({ size: 1, launch, newPage });
+    const held = await pool.acquire();
+    const controller = new AbortController();
+    const lease = createSharedLease(pool, { signal: controller.signal });
+
+    const pending = lease.get();
+    controller.abort();
+    await assert.rejects(pending, { name: 'AbortError' });
+    await lease.close();
+    await held.release();
+    assert.deepEqual([pool.stats().busy, pool.stats().waiting], [0, 0]);
+    await pool.shutdown();
+  });
+});
@@ -0,0 +1,127 @@
+// test/comments.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchTestBrowser, openFixture } from './helpers/browser.js';
+import { extractComments } from '../src/extractors/comments.js';
+import { getSelectorProfile } from '../src/selectors.js';
+import { scrapePostComments, canonicalProfileUrl } from '../src/comments.js';
+
+const { browser, skip } = await launchTestBrowser();
+const profile = getSelectorProfile().inPage;
+
+describe('canonicalProfileUrl', () => {
+  it('drops tracking and comment parameters', () => {
+    assert.equal(
+      canonicalProfileUrl('https://www.facebook.com/sara.ahmed.55?comment_id=Y29t&__cft__[0]=AZ'),
+      'https://www.facebook.com/sara.ahmed.55',
+    );
+  });
+
+  it('keeps the id of profile.php links', () => {
+    assert.equal(
+      canonicalProfileUrl('https://www.facebook.com/profile.php?id=100055512345&comment_id=2'),
+      'https://www.facebook.com/profile.php?id=100055512345',
+    );
+  });
+
+  it('returns null without a link', () => {
+    assert.equal(canonicalProfileUrl(null), null);
+  });
+});
+
+describe('extractComments', { skip }, () => {
+  let page;
+  let dialog;
+
+  before(async () => {
+    page = await openFixture(browser, 'post-comments.html');
+    dialog = await page.$('div[role="dialog"]');
+  });
+
+  after(async () => {
+    await page?.close();
+  });
+
+  it('reads comments with authors, reactions and nested replies', async () => {
+    assert.deepEqual(await page.evaluate(extractComments, dialog, 20, profile), [
+      {
+        author_name: 'سارة أحمد',
+        author_url: 'https://www.facebook.com/sara.ahmed.55?comment_id=Y29tbWVudDoxMjM%3D&__cft__=AZx1',
+        text: 'الأكل رائع والخدمة ممتازة',
+        date: '٣ س',
+        reactions: 4,
+        replies: [
+          {
+            author_name: 'علي حسن',
+            author_url: 'https://www.facebook.com/profile.php?id=100055512345&comment_id=Y29tbWVudDoxMjQ%3D',
+            text: 'أتفق معك تماماً',
+            date: '٢ س',
+            reactions: 0,
+            replies: [],
+          },
+        ],
+      },
+      {
+        author_name: 'John Smith',
+        author_url: 'https://www.facebook.com/john.smith?comment_id=Y29tbWVudDoxMjU%3D',
+        text: 'Best shawarma in town! Highly recommended.',
+        date: '1d',
+        reactions: 1200,
+        replies: [],
+      },
+    ]);
+  });
+
+  it('counts replies toward the limit', async () => {
+    const comments = await page.evaluate(extractComments, dialog, 2, profile);
+    assert.equal(comments.length, 1);
+    assert.equal(comments[0].replies.length, 1);
+  });
+});
+
+describe('scrapePostComments', { skip }, () => {
+  after(async () => {
+    await browser?.close();
+  });
+
+  it('opens the post overlay, loads more comments and closes it again', async () => {
+    const page = await openFixture(browser, 'feed-comments.html');
+    try {
+      const post = {
+        post_id: 'pfbid02xYz',
+        permalink: 'https://www.facebook.com/mat3amalsham/posts/pfbid02xYz',
+      };
+      const comments = await scrapePostComments(page, post, { limit: 20, delayMs: 50 });
+
+      assert.deepEqual(
+        comments.map(({ author_name, author_url, text, date, replies }) => ({
+          author_name,
+          author_url,
+          text,
+          date,
+          replies: replies.map((r) => r.author_url),
+        })),
+        [
+          {
+            author_name: 'سارة أحمد',
+            author_url: 'https://www.facebook.com/sara.ahmed.55',
+            text: 'الأكل رائع والخدمة ممتازة',
+            date: '٣ س',
+            replies: ['https://www.facebook.com/profile.php?id=100055512345'],
+          },
+          {
+            author_name: 'منى خالد',
+            author_url: 'https://www.facebook.com/mona.khaled',
+            text: 'متى ينتهي العرض؟',
+            date: '١ س',
+            replies: [],
+          },
+        ],
+      );
+      assert.ok(comments.every((c) => c.dateISO), 'relative comment dates are parsed');
+      assert.equal(await page.$('div[role="dialog"]'), null, 'overlay is closed afterwards');
+    } finally {
+      await page.close();
+    }
+  });
+});
@@ -0,0 +1,96 @@
+// test/counts.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { parseCount } from '../src/counts.js';
+
+const CASES = [
+  // Plain and grouped
+  ['0', 0],
+  ['42', 42],
+  ['1,234', 1234],
+  ['1.234', 1234],
+  ['1 234', 1234],
+  ['1\u00a0234', 1234],
+  ['1 234 567', 1234567],
+  ['1,234,567', 1234567],
+  ['1.234.567', 1234567],
+  ["1'234", 1234],
+  ['1,234.5', 1235],
+  ['1.234,5', 1235],
+  // English magnitudes
+  ['2.3K', 2300],
+  ['2.3k', 2300],
+  ['15K', 15000],
+  ['1M', 1_000_000],
+  ['1.2M', 1_200_000],
+  ['3 b', 3_000_000_000],
+  ['2 bn', 2_000_000_000],
+  ['3 thousand', 3000],
+  ['1.5 million', 1_500_000],
+  ['2 billion', 2_000_000_000],
+  // French
+  ['1,2 k', 1200],
+  ['12 k abonnés', 12000],
+  ['1,2 M', 1_200_000],
+  ['3 millions', 3_000_000],
+  ['1,5 Md', 1_500_000_000],
+  ['2 milliards', 2_000_000_000],
+  ['12\u202f345 mentions J’aime', 12345],
+  // Spanish / Portuguese
+  ['3,5 mil', 3500],
+  ['10 mil seguidores', 10000],
+  ['1,2 M de seguidores', 1_200_000],
+  ['1 millón', 1_000_000],
+  ['12 millones', 12_000_000],
+  ['2 mil millones', 2_000_000_000],
+  ['1,5 milhão', 1_500_000],
+  // Arabic
+  ['١٢٥', 125],
+  ['١٬٢٣٤', 1234],
+  ['٢٫٨ ألف', 2800],
+  ['2.8 الف', 2800],
+  ['٣ آلاف', 3000],
+  ['١٫٥ مليون', 1_500_000],
+  ['٣ ملايين متابع', 3_000_000],
+  ['٢ مليار', 2_000_000_000],
+  ['أعجبني: ١٢٠ شخصًا', 120],
+  // Persian
+  ['۱۲۳', 123],
+  ['۲٫۵ هزار', 2500],
+  ['۳ میلیون', 3_000_000],
+  // Ranges give the lower bound
+  ['1K–5K', 1000],
+  ['1-5K', 1000],
+  ['10 to 20', 10],
+  ['١-٥ آلاف', 1000],
+  ['de 1 à 5 M', 1_000_000],
+  // First number in a label
+  ['Like: 120 people', 120],
+  ['2 reactions; see who reacted to this', 2],
+  ['Like: 1,234 people', 1234],
+  // Magnitude letters only after the number
+  ['5 min', 5],
+  ['12 more comments', 12],
+  ['7 Kommentare', 7],
+  // Nothing to parse
+  ['', null],
+  [null, null],
+  [undefined, null],
+  ['لا يوجد', null],
+  ['Like', null],
+];
+
+describe('parseCount', () => {
+  for (const [input, expected] of CASES) {
+    it(`${JSON.stringify(input)} -> ${expected}`, () => {
+      assert.equal(parseCount(input), expected);
+    });
+  }
+
+  it('is self-contained, so it can be installed in the page', () => {
+    // Evaluated without this module's scope, as installCountParser does in the browser
+    const inPage = vm.runInNewContext(`(${parseCount.toString()})`);
+    for (const [input, expected] of CASES) assert.equal(inPage(input), expected, JSON.stringify(input));
+  });
+});
@@ -0,0 +1,90 @@
+// test/dates.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFacebookDate, isValidTimeZone } from '../src/dates.js';
+
+// Tuesday 10 March 2026, 15:00 in Riyadh (UTC+3, no DST)
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const RIYADH = { now: NOW, timeZone: 'Asia/Riyadh' };
+
+describe('parseFacebookDate', () => {
+  const CASES = [
+    // English
+    ['Just now', '2026-03-10T12:00:00.000Z', 'minute'],
+    ['5 mins', '2026-03-10T11:55:00.000Z', 'minute'],
+    ['3h', '2026-03-10T09:00:00.000Z', 'hour'],
+    ['an hour ago', '2026-03-10T11:00:00.000Z', 'hour'],
+    ['2d', '2026-03-08T12:00:00.000Z', 'day'],
+    ['2w', '2026-02-24T12:00:00.000Z', 'estimated'],
+    ['1y', '2025-03-10T12:00:00.000Z', 'estimated'],
+    ['Yesterday at 3:15 PM', '2026-03-09T12:15:00.000Z', 'minute'],
+    ['Monday at 9:00 AM', '2026-03-09T06:00:00.000Z', 'minute'],
+    ['Sunday', '2026-03-07T21:00:00.000Z', 'day'],
+    ['September 14 at 6:00 PM', '2025-09-14T15:00:00.000Z', 'minute'],
+    ['March 2', '2026-03-01T21:00:00.000Z', 'day'],
+    ['14 September 2023', '2023-09-13T21:00:00.000Z', 'day'],
+    ['Sep 14, 2023 at 18:30', '2023-09-14T15:30:00.000Z', 'minute'],
+    // French
+    ["À l'instant", '2026-03-10T12:00:00.000Z', 'minute'],
+    ['il y a 3 h', '2026-03-10T09:00:00.000Z', 'hour'],
+    ['il y a 2 jours', '2026-03-08T12:00:00.000Z', 'day'],
+    ['1 sem', '2026-03-03T12:00:00.000Z', 'estimated'],
+    ['hier à 9h05', '2026-03-09T06:05:00.000Z', 'minute'],
+    ['14 septembre 2023 à 18:30', '2023-09-14T15:30:00.000Z', 'minute'],
+    ['1er janvier', '2025-12-31T21:00:00.000Z', 'day'],
+    // Arabic
+    ['الآن', '2026-03-10T12:00:00.000Z', 'minute'],
+    ['٣ س', '2026-03-10T09:00:00.000Z', 'hour'],
+    ['منذ ساعتين', '2026-03-10T10:00:00.000Z', 'hour'],
+    ['١ ي', '2026-03-09T12:00:00.000Z', 'day'],
+    ['أمس', '2026-03-08T21:00:00.000Z', 'day'],
+    ['أمس الساعة 10:30 ص', '2026-03-09T07:30:00.000Z', 'minute'],
+    ['أسبوع', '2026-03-03T12:00:00.000Z', 'estimated'],
+    ['منذ أسبوعين', '2026-02-24T12:00:00.000Z', 'estimated'],
+    ['14 سبتمبر الساعة 6:00 م', '2025-09-14T15:00:00.000Z', 'minute'],
+    ['١٤ أيلول الساعة ٦:٠٠ م', '2025-09-14T15:00:00.000Z', 'minute'],
+    ['3 تشرين الأول 2022', '2022-10-02T21:00:00.000Z', 'day'],
+    ['2 شباط', '2026-02-01T21:00:00.000Z', 'day'],
+    ['5 جويلية 2024', '2024-07-04T21:00:00.000Z', 'day'],
+  ];
+
+  for (const [text, iso, precision] of CASES) {
+    it(`reads "${text}"`, () => {
+      assert.deepEqual(parseFacebookDate(text, RIYADH), { iso, precision });
+    });
+  }
+
+  it('puts dates without a year in the last twelve months', () => {
+    assert.equal(parseFacebookDate('December 31', RIYADH).iso, '2025-12-30T21:00:00.000Z');
+    assert.equal(parseFacebookDate('10 mars', RIYADH).iso, '2026-03-09T21:00:00.000Z');
+  });
+
+  it('resolves calendar dates in the given timezone, across DST changes', () => {
+    const newYork = { now: NOW, timeZone: 'America/New_York' };
+    assert.equal(parseFacebookDate('January 5, 2025 at 9:00 AM', newYork).iso, '2025-01-05T14:00:00.000Z');
+    assert.equal(parseFacebookDate('July 5, 2025 at 9:00 AM', newYork).iso, '2025-07-05T13:00:00.000Z');
+    // Riyadh is already on 10 March when New York is still on 9 March
+    assert.equal(parseFacebookDate('Yesterday', { now: Date.parse('2026-03-10T02:00:00Z'), timeZone: 'America/New_York' }).iso,
+      '2026-03-08T05:00:00.000Z');
+  });
+
+  it('keeps relative units apart from words around them', () => {
+    assert.equal(parseFacebookDate('عام', RIYADH), null);
+    assert.equal(parseFacebookDate('منذ فترة', RIYADH), null);
+    assert.equal(parseFacebookDate('Sponsored', RIYADH), null);
+    assert.equal(parseFacebookDate('', RIYADH), null);
+  });
+
+  it('passes ISO timestamps through', () => {
+    assert.deepEqual(parseFacebookDate('2024-03-01T10:00:00Z', RIYADH), { iso: '2024-03-01T10:00:00.000Z', precision: 'minute' });
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA names only', () => {
+    assert.equal(isValidTimeZone('Asia/Riyadh'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+    assert.equal(isValidTimeZone(''), false);
+  });
+});
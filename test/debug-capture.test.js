@@ -0,0 +1,249 @@
+// test/debug-capture.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { launchTestBrowser, fixturePath } from './helpers/browser.js';
+import {
+  toHar,
+  formatConsole,
+  articlesDocument,
+  createDebugRecorder,
+  captureDebugArtifacts,
+  listRunArtifacts,
+  pruneRuns,
+} from '../src/debug-capture.js';
+import { ScraperError } from '../src/errors.js';
+import { getSelectorProfile } from '../src/selectors.js';
+import { runScrapePipeline } from '../src/pipeline.js';
+
+const { browser, skip } = await launchTestBrowser();
+
+/** Puppeteer-like request/response/message objects, just the getters the recorder reads */
+const fakeRequest = (url, { method = 'GET', headers = {}, postData } = {}) => ({
+  url: () => url,
+  method: () => method,
+  headers: () => headers,
+  postData: () => postData,
+  resourceType: () => 'xhr',
+  failure: () => ({ errorText: 'net::ERR_CONNECTION_RESET' }),
+});
+const fakeResponse = (request, status, headers = {}) => ({
+  request: () => request,
+  status: () => status,
+  statusText: () => (status === 200 ? 'OK' : ''),
+  headers: () => headers,
+});
+const fakeMessage = (type, text) => ({ type: () => type, text: () => text, location: () => ({ url: 'https://www.facebook.com/' }) });
+
+/** An EventEmitter page that can be captured: screenshot, content and the articles serialization */
+function fakePage() {
+  const page = new EventEmitter();
+  page.off = page.removeListener;
+  page.isClosed = () => false;
+  page.url = () => 'https://www.facebook.com/acmecoffee';
+  page.screenshot = async () => Buffer.from('png');
+  page.content = async () => '<html><body><div role="feed"></div></body></html>';
+  page.evaluate = async () => ({ lang: 'en', title: 'Acme Coffee | Facebook', html: ['<div role="article">5h</div>'] });
+  return page;
+}
+
+describe('toHar', () => {
+  it('builds HAR 1.2 entries and redacts session headers', () => {
+    const har = toHar([{
+      startedAt: Date.parse('2024-05-02T12:00:00.000Z'),
+      finishedAt: Date.parse('2024-05-02T12:00:00.250Z'),
+      method: 'POST',
+      url: 'https://www.facebook.com/api/graphql/?doc_id=42',
+      headers: { cookie: 'c_user=1; xs=secret', 'content-type': 'application/x-www-form-urlencoded' },
+      bodySize: 120,
+      resourceType: 'xhr',
+      status: 200,
+      statusText: 'OK',
+      responseHeaders: { 'content-type': 'application/json', 'content-length': '512', 'set-cookie': 'xs=new' },
+      failure: null,
+    }, {
+      startedAt: Date.parse('2024-05-02T12:00:01.000Z'),
+      finishedAt: null,
+      method: 'GET',
+      url: 'https://static.xx.fbcdn.net/a.js',
+      headers: {},
+      failure: 'net::ERR_ABORTED',
+    }]);
+
+    assert.equal(har.log.version, '1.2');
+    const [graphql, aborted] = har.log.entries;
+    assert.equal(graphql.startedDateTime, '2024-05-02T12:00:00.000Z');
+    assert.equal(graphql.time, 250);
+    assert.deepEqual(graphql.timings, { send: 0, wait: 250, receive: 0 });
+    assert.deepEqual(graphql.request.headers[0], { name: 'cookie', value: '[redacted]' });
+    assert.deepEqual(graphql.request.queryString, [{ name: 'doc_id', value: '42' }]);
+    assert.equal(graphql.request.bodySize, 120);
+    assert.deepEqual(graphql.response.content, { size: 512, mimeType: 'application/json' });
+    assert.equal(graphql.response.headers.find((h) => h.name === 'set-cookie').value, '[redacted]');
+    assert.equal('_error' in graphql, false);
+
+    assert.equal(aborted.time, 0);
+    assert.equal(aborted.response.status, 0);
+    assert.equal(aborted._error, 'net::ERR_ABORTED');
+  });
+});
+
+describe('articlesDocument', () => {
+  it('wraps the articles in a fixture-shaped feed', () => {
+    const html = articlesDocument({ lang: 'ar', title: 'A & B', html: ['<div role="article">1</div>'] });
+    assert.match(html, /^<!DOCTYPE html>\n<html lang="ar">/);
+    assert.match(html, /<title>A &amp; B<\/title>/);
+    assert.match(html, /<div role="main">\n {4}<div role="feed">\n<div role="article">1<\/div>\n {4}<\/div>/);
+  });
+});
+
+describe('createDebugRecorder', () => {
+  it('records console messages and requests until stopped', () => {
+    const page = fakePage();
+    const recorder = createDebugRecorder(page, { maxMessages: 2 });
+    const ok = fakeRequest('https://www.facebook.com/ajax/a', { method: 'POST', postData: 'a=1' });
+    const failed = fakeRequest('https://www.facebook.com/ajax/b');
+    page.emit('request', ok);
+    page.emit('request', failed);
+    page.emit('response', fakeResponse(ok, 200, { 'content-type': 'text/html' }));
+    page.emit('requestfinished', ok);
+    page.emit('requestfailed', failed);
+    page.emit('console', fakeMessage('error', 'Refused to load'));
+    page.emit('pageerror', new Error('x is undefined'));
+    page.emit('console', fakeMessage('log', 'one too many'));
+
+    const [first, second] = recorder.requests();
+    assert.equal(first.status, 200);
+    assert.equal(first.bodySize, 3);
+    assert.ok(first.finishedAt >= first.startedAt);
+    assert.equal(second.failure, 'net::ERR_CONNECTION_RESET');
+    assert.deepEqual(recorder.messages().map((m) => m.type), ['error', 'pageerror']);
+    assert.deepEqual(recorder.dropped(), { requests: 0, messages: 1 });
+    assert.match(formatConsole(recorder.messages()), /\[error\] Refused to load \(https:\/\/www\.facebook\.com\/\)\n/);
+
+    recorder.stop();
+    page.emit('request', fakeRequest('https://www.facebook.com/ajax/c'));
+    assert.equal(recorder.requests().length, 2);
+    assert.equal(page.listenerCount('request'), 0);
+  });
+});
+
+describe('captureDebugArtifacts', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-runs-'));
+  });
+
+  after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('saves every artifact of a failed run and lists them', async () => {
+    const page = fakePage();
+    const recorder = createDebugRecorder(page);
+    page.emit('console', fakeMessage('warning', 'slow'));
+    const run = await captureDebugArtifacts(page, recorder, {
+      runId: 'job-1',
+      reason: 'failure',
+      pageUrl: 'https://www.facebook.com/acmecoffee',
+      stage: 'extract-posts',
+      error: new ScraperError('EXTRACTION_EMPTY', 'No posts could be read'),
+      profile: getSelectorProfile(),
+      dir,
+    });
+    recorder.stop();
+
+    assert.deepEqual(run.files, ['run.json', 'screenshot.png', 'page.html', 'articles.html', 'console.log', 'network.har']);
+    assert.deepEqual(run.error, { code: 'EXTRACTION_EMPTY', message: 'No posts could be read' });
+    assert.equal(run.stage, 'extract-posts');
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, 'job-1', 'run.json'), 'utf8')), run);
+    assert.match(await fs.readFile(path.join(dir, 'job-1', 'articles.html'), 'utf8'), /<div role="article">5h<\/div>/);
+
+    const artifacts = await listRunArtifacts('job-1', { dir });
+    assert.deepEqual(artifacts.map((a) => a.name), run.files);
+    assert.deepEqual(artifacts[1], {
+      name: 'screenshot.png',
+      contentType: 'image/png',
+      size: 3,
+      modifiedAt: artifacts[1].modifiedAt,
+    });
+  });
+
+  it('keeps what it can when the page is gone', async () => {
+    const page = fakePage();
+    page.isClosed = () => true;
+    const run = await captureDebugArtifacts(page, createDebugRecorder(page), {
+      runId: 'job-2', reason: 'failure', profile: getSelectorProfile(), dir,
+    });
+    assert.deepEqual(run.files, ['run.json', 'console.log', 'network.har']);
+    assert.equal(run.url, null);
+  });
+
+  it('lists nothing for unknown or unsafe run ids', async () => {
+    assert.equal(await listRunArtifacts('nope', { dir }), null);
+    assert.equal(await listRunArtifacts('../job-1', { dir }), null);
+    await assert.rejects(
+      captureDebugArtifacts(null, null, { runId: '../x', reason: 'debug', profile: getSelectorProfile(), dir }),
+      /Invalid run id/,
+    );
+  });
+
+  it('prunes the oldest runs', async () => {
+    const old = new Date(Date.now() - 60000);
+    await fs.utimes(path.join(dir, 'job-1'), old, old);
+    await pruneRuns(dir, 1);
+    assert.deepEqual(await fs.readdir(dir), ['job-2']);
+  });
+});
+
+describe('debug capture of a fixture scrape', { skip }, () => {
+  let dir;
+  const previousEnv = process.env.RUNS_DIR;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-runs-'));
+    process.env.RUNS_DIR = dir;
+  });
+
+  after(async () => {
+    await browser?.close();
+    if (previousEnv === undefined) delete process.env.RUNS_DIR;
+    else process.env.RUNS_DIR = previousEnv;
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const scrape = (file, options) => runScrapePipeline({
+    browser,
+    FB_PAGE_URL: pathToFileURL(file).href,
+    OPEN_POSTS_TAB: false,
+    POSTS_TARGET: 3,
+    SCROLL_DELAY_MS: 10,
+    SCROLL_STALL_LIMIT: 1,
+    stages: { 'page-metadata': false },
+    ...options,
+  });
+
+  it('captures a successful run in debug mode, with articles that scrape the same as the fixture', async () => {
+    const data = await scrape(fixturePath('feed-en.html'), { DEBUG_CAPTURE: 'always', runId: 'debug-run' });
+    assert.equal(data.meta.debug.runId, 'debug-run');
+    assert.ok(data.meta.debug.files.includes('network.har'));
+
+    const replayed = await scrape(path.join(dir, 'debug-run', 'articles.html'), { DEBUG_CAPTURE: 'off' });
+    assert.equal(replayed.meta.debug, null);
+    assert.deepEqual(replayed.posts.map((p) => p.id), data.posts.map((p) => p.id));
+  });
+
+  it('captures a failed run by default', async () => {
+    await assert.rejects(scrape(fixturePath('page-unavailable.html'), { runId: 'failed-run' }), { code: 'CONTENT_UNAVAILABLE' });
+    const run = JSON.parse(await fs.readFile(path.join(dir, 'failed-run', 'run.json'), 'utf8'));
+    assert.equal(run.reason, 'failure');
+    assert.equal(run.stage, 'navigate');
+    assert.equal(run.error.code, 'CONTENT_UNAVAILABLE');
+    assert.ok(run.files.includes('screenshot.png'));
+  });
+});
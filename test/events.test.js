@@ -0,0 +1,93 @@
+// test/events.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createEmitter } from '../src/events.js';
+import { createJobQueue } from '../src/job-queue.js';
+import { openEventStream } from '../src/sse.js';
+
+describe('createEmitter', () => {
+  it('timestamps events and survives a throwing listener', () => {
+    const seen = [];
+    createEmitter((event) => seen.push(event))('scroll-iteration', { iteration: 1, articles: 4 });
+    assert.equal(seen[0].type, 'scroll-iteration');
+    assert.equal(seen[0].articles, 4);
+    assert.ok(Date.parse(seen[0].at));
+
+    assert.doesNotThrow(() => createEmitter(() => { throw new Error('boom'); })('done'));
+    assert.doesNotThrow(() => createEmitter(null)('done'));
+  });
+});
+
+describe('job queue events', () => {
+  it('records lifecycle, progress and run events in order', async () => {
+    const jobs = createJobQueue({
+      run: async (params, { onProgress, onEvent }) => {
+        onEvent({ type: 'navigated', url: params.pageUrl });
+        onProgress({ loadedArticles: 3 });
+        return 'ok';
+      },
+    });
+    const job = jobs.submit({ pageUrl: 'https://www.facebook.com/x' });
+    await job.done;
+
+    assert.deepEqual(job.events.map((e) => e.type), ['job-queued', 'job-started', 'navigated', 'progress', 'job-finished']);
+    assert.deepEqual(job.events.map((e) => e.id), [1, 2, 3, 4, 5]);
+    assert.equal(job.events[3].loadedArticles, 3);
+    assert.deepEqual(job.events[4], { id: 5, at: job.events[4].at, type: 'job-finished', status: 'succeeded', error: null, errorCode: null });
+  });
+
+  it('replays missed events to late subscribers, then follows live ones', async () => {
+    let step;
+    const jobs = createJobQueue({
+      run: (params, { onEvent }) => new Promise((resolve) => {
+        step = () => { onEvent({ type: 'feed-loaded' }); resolve(); };
+      }),
+    });
+    const job = jobs.submit({});
+    const seen = [];
+    jobs.subscribe(job.id, (e) => seen.push(e.type), { afterId: 1 });
+    assert.deepEqual(seen, ['job-started']);
+
+    step();
+    await job.done;
+    assert.deepEqual(seen, ['job-started', 'feed-loaded', 'job-finished']);
+    assert.equal(job.listeners.size, 0, 'subscribers are dropped once the job is finished');
+  });
+
+  it('keeps only the last eventBufferSize events', async () => {
+    const jobs = createJobQueue({
+      eventBufferSize: 3,
+      run: async (params, { onProgress }) => {
+        for (let i = 1; i <= 5; i++) onProgress({ loadedArticles: i });
+      },
+    });
+    const job = jobs.submit({});
+    await job.done;
+    assert.deepEqual(job.events.map((e) => e.id), [6, 7, 8]);
+    assert.equal(job.events.at(-1).type, 'job-finished');
+  });
+});
+
+describe('openEventStream', () => {
+  it('writes text/event-stream frames', async () => {
+    const server = http.createServer((req, res) => {
+      const stream = openEventStream(res);
+      stream.send('job', { id: 'abc' });
+      stream.send('scroll-iteration', { articles: 5 }, 'abc:3');
+      stream.close();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/`);
+      assert.equal(res.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+      assert.equal(res.headers.get('cache-control'), 'no-cache, no-transform');
+      assert.equal(await res.text(), [
+        'event: job\ndata: {"id":"abc"}\n\n',
+        'id: abc:3\nevent: scroll-iteration\ndata: {"articles":5}\n\n',
+      ].join(''));
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
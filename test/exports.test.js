@@ -0,0 +1,167 @@
+// test/exports.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import ExcelJS from 'exceljs';
+import { exportResult, toCsv, toNdjson, toXlsx } from '../src/exports.js';
+import { summarizePosts } from '../src/stages/summarize.js';
+import { persistStage } from '../src/stages/persist.js';
+
+const POSTS = [
+  {
+    id: '111',
+    post_id: '111',
+    permalink: 'https://www.facebook.com/acme/posts/111',
+    text: 'افتتاح الفرع الجديد يوم الجمعة، "قهوة مجانية"',
+    reactions: 155,
+    reactions_by_type: { like: 120, love: 30, care: 0, haha: 5, wow: 0, sad: 0, angry: 0 },
+    reactions_breakdown_source: 'summary',
+    comments: 9,
+    shares: 2,
+    total_engagement: 166,
+    date: '2 س',
+    dateISO: '2024-05-01T09:00:00.000Z',
+    date_precision: 'hour',
+    post_type: 'album',
+    media: [
+      { type: 'image', url: 'https://scontent.example/1.jpg', page_url: null, thumbnail_url: null, alt: null },
+      { type: 'image', url: 'https://scontent.example/2.jpg', page_url: null, thumbnail_url: null, alt: null },
+    ],
+    shared_url: null,
+  },
+  {
+    id: 'text:abc',
+    post_id: null,
+    permalink: null,
+    text: '=HYPERLINK("http://evil.example")',
+    reactions: 3,
+    reactions_by_type: null,
+    reactions_breakdown_source: null,
+    comments: 0,
+    shares: 0,
+    total_engagement: 3,
+    date: null,
+    dateISO: null,
+    date_precision: null,
+    post_type: 'text',
+    media: [],
+    shared_url: null,
+  },
+];
+
+const RESULT = {
+  page: { name: 'Acme', url: 'https://www.facebook.com/acme', followers: 3400, likes: null },
+  posts: POSTS,
+  summary: summarizePosts(POSTS),
+  scraped_at: '2024-05-02T12:00:00.000Z',
+};
+
+describe('toCsv', () => {
+  const csv = toCsv(RESULT);
+  const lines = csv.slice(1).split('\r\n');
+
+  it('starts with a BOM and has one row per post', () => {
+    assert.equal(csv[0], '\uFEFF');
+    assert.equal(lines.length, 4, 'header, two posts and a final empty line');
+    assert.match(lines[0], /^id,post_id,permalink,date,date_iso,date_precision,post_type,text,reactions,reactions_like,/);
+  });
+
+  it('quotes text and keeps Arabic as is', () => {
+    assert.ok(lines[1].includes('"افتتاح الفرع الجديد يوم الجمعة، ""قهوة مجانية"""'));
+    assert.ok(lines[1].includes('"https://scontent.example/1.jpg\nhttps://scontent.example/2.jpg"'));
+  });
+
+  it('never lets a post become a formula', () => {
+    assert.ok(lines[2].includes(`"'=HYPERLINK(""http://evil.example"")"`));
+  });
+});
+
+describe('toNdjson', () => {
+  it('writes one post per line tagged with the page and time', () => {
+    const lines = toNdjson(RESULT).trimEnd().split('\n').map((line) => JSON.parse(line));
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].page_url, 'https://www.facebook.com/acme');
+    assert.equal(lines[0].scraped_at, RESULT.scraped_at);
+    assert.equal(lines[1].id, 'text:abc');
+  });
+});
+
+describe('toXlsx', () => {
+  it('has a Posts and a Summary sheet', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await toXlsx(RESULT));
+
+    const posts = workbook.getWorksheet('Posts');
+    assert.equal(posts.rowCount, 3);
+    assert.equal(posts.getRow(1).getCell(8).value, 'text');
+    assert.equal(posts.getRow(2).getCell(8).value, POSTS[0].text);
+    assert.equal(posts.getRow(2).getCell(9).value, 155);
+
+    const summary = workbook.getWorksheet('Summary');
+    const rows = Object.fromEntries(summary.getSheetValues().slice(2).map((row) => [row[1], row[2]]));
+    assert.equal(rows.page_name, 'Acme');
+    assert.equal(rows.total_reactions, 158);
+    assert.equal(rows.best_post_id, '111');
+  });
+});
+
+describe('exportResult', () => {
+  it('returns the body with its content type and extension', async () => {
+    const { body, contentType, extension } = await exportResult(RESULT, 'ndjson');
+    assert.equal(contentType, 'application/x-ndjson; charset=utf-8');
+    assert.equal(extension, 'ndjson');
+    assert.equal(body, toNdjson(RESULT));
+    await assert.rejects(exportResult(RESULT, 'pdf'), /Unknown export format: pdf/);
+  });
+});
+
+describe('persist stage', () => {
+  it('saves the result in OUTPUT_FORMAT', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-exports-'));
+    try {
+      const ctx = {
+        options: { FB_PAGE_URL: RESULT.page.url, OUTPUT_FORMAT: 'csv', saveDir: pathToFileURL(`${dir}/`).href },
+        pageName: 'Acme',
+        followers: 3400,
+        likes: null,
+        posts: POSTS,
+        summary: RESULT.summary,
+        scrapedAt: RESULT.scraped_at,
+        buildResult: () => assert.fail('csv files are built from the context'),
+        isEnabled: () => false,
+      };
+      await persistStage.run(ctx);
+      assert.match(path.basename(ctx.savedTo), /^facebook-scrape-.+\.csv$/);
+      assert.equal(await fs.readFile(ctx.savedTo, 'utf-8'), toCsv(RESULT));
+      assert.deepEqual(await fs.readdir(dir), [path.basename(ctx.savedTo)]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('also saves the JSON when media was downloaded', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-exports-'));
+    try {
+      const ctx = {
+        options: { FB_PAGE_URL: RESULT.page.url, OUTPUT_FORMAT: 'csv', saveDir: pathToFileURL(`${dir}/`).href },
+        pageName: 'Acme',
+        followers: 3400,
+        likes: null,
+        posts: POSTS,
+        summary: RESULT.summary,
+        scrapedAt: RESULT.scraped_at,
+        buildResult: () => RESULT,
+        isEnabled: (name) => name === 'download-media',
+      };
+      await persistStage.run(ctx);
+      const json = ctx.savedTo.replace(/\.csv$/, '.json');
+      assert.deepEqual((await fs.readdir(dir)).sort(), [path.basename(ctx.savedTo), path.basename(json)]);
+      assert.deepEqual(JSON.parse(await fs.readFile(json, 'utf-8')), RESULT);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,124 @@
+// test/extraction-health.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScraperError } from '../src/errors.js';
+import {
+  DEFAULT_THRESHOLDS,
+  measureExtraction,
+  thresholdsFromEnv,
+  createExtractionMonitor,
+} from '../src/extraction-health.js';
+
+const post = (fields) => ({
+  date: '5h',
+  dateISO: '2024-05-01T09:00:00.000Z',
+  reactions: 10,
+  engagement_source: { reactions: 'aria-label', comments: 'aria-label', shares: null },
+  ...fields,
+});
+
+/** A scrape result with `posts` read from `articles` articles */
+const result = (posts, articles = posts.length) => ({
+  page: { url: 'https://www.facebook.com/acmecoffee' },
+  scraped_at: '2024-05-02T12:00:00.000Z',
+  meta: {
+    selectors: { version: 'test', matched: { 'post.time': 1 }, drift: ['post.time'] },
+    extraction: measureExtraction({ articles, postsRead: posts.length, posts }),
+  },
+});
+
+describe('measureExtraction', () => {
+  it('reports the share of posts with each field and the strategies used', () => {
+    const posts = [
+      post({}),
+      post({ engagement_source: { reactions: 'all-reactions', comments: 'all-reactions', shares: 'all-reactions' } }),
+      post({ date: null, dateISO: null, reactions: 0, engagement_source: { reactions: null, comments: null, shares: null } }),
+      post({ dateISO: null, engagement_source: undefined }),
+    ];
+    assert.deepEqual(measureExtraction({ articles: 8, postsRead: 5, posts }), {
+      articles: 8,
+      postsRead: 5,
+      postsKept: 4,
+      postsPerArticle: 0.625,
+      withDate: 0.75,
+      withDateISO: 0.5,
+      withReactions: 0.75,
+      strategies: {
+        reactions: { 'aria-label': 1, 'all-reactions': 1, none: 2 },
+        comments: { 'aria-label': 1, 'all-reactions': 1, none: 2 },
+        shares: { 'all-reactions': 1, none: 3 },
+      },
+    });
+  });
+
+  it('leaves ratios it cannot compute as null', () => {
+    const metrics = measureExtraction({ posts: [] });
+    assert.equal(metrics.postsPerArticle, null);
+    assert.equal(metrics.withDate, null);
+    assert.deepEqual(metrics.strategies.reactions, {});
+  });
+});
+
+describe('thresholdsFromEnv', () => {
+  it('reads ratios between 0 and 1 and falls back to the defaults', () => {
+    assert.deepEqual(thresholdsFromEnv({}), DEFAULT_THRESHOLDS);
+    assert.deepEqual(thresholdsFromEnv({ EXTRACTION_MIN_WITH_REACTIONS: '0', EXTRACTION_MIN_WITH_DATE: '1.5' }), {
+      ...DEFAULT_THRESHOLDS,
+      withReactions: 0,
+    });
+  });
+});
+
+describe('createExtractionMonitor', () => {
+  it('is unknown before the first run', () => {
+    const status = createExtractionMonitor().status();
+    assert.equal(status.state, 'unknown');
+    assert.deepEqual(status.window, {
+      runs: 0,
+      averages: { postsPerArticle: null, withDate: null, withDateISO: null, withReactions: null },
+      below: [],
+    });
+  });
+
+  it('turns degraded when an average over the window drops below its threshold, and recovers', () => {
+    const monitor = createExtractionMonitor({ window: 2 });
+    monitor.record(result([post({}), post({})]));
+    assert.equal(monitor.stats().state, 'ok');
+
+    // All-zero reactions: a markup change broke the reaction counts
+    const broken = result([post({ reactions: 0 }), post({ reactions: 0 })]);
+    const entry = monitor.record(broken);
+    assert.deepEqual(entry.below, ['withReactions']);
+    assert.deepEqual(entry.selectorDrift, ['post.time']);
+    assert.equal(monitor.status().state, 'ok', 'the average (0.5) is still above 0.3');
+    monitor.record(broken);
+    assert.equal(monitor.status().state, 'degraded');
+    assert.deepEqual(monitor.status().window.below, ['withReactions']);
+
+    monitor.record(result([post({})]));
+    monitor.record(result([post({})]));
+    assert.deepEqual(monitor.stats(), { state: 'ok', runs: 5 });
+  });
+
+  it('counts empty extractions as failed runs and ignores other errors', () => {
+    const monitor = createExtractionMonitor({ window: 1 });
+    assert.equal(monitor.recordFailure('https://www.facebook.com/x', new ScraperError('RATE_LIMITED', 'Blocked')), null);
+    const entry = monitor.recordFailure(
+      'https://www.facebook.com/x',
+      new ScraperError('EXTRACTION_EMPTY', 'No posts', { loadedArticles: 12 }),
+    );
+    assert.equal(entry.articles, 12);
+    assert.equal(entry.postsPerArticle, 0);
+    assert.equal(entry.error, 'EXTRACTION_EMPTY');
+    assert.deepEqual(monitor.stats(), { state: 'degraded', runs: 1 });
+  });
+
+  it('keeps a bounded history, newest first', () => {
+    const monitor = createExtractionMonitor({ historySize: 3 });
+    for (let i = 1; i <= 5; i++) monitor.record(result([post({})], i));
+    const { runs, history } = monitor.status({ limit: 2 });
+    assert.equal(runs, 5);
+    assert.deepEqual(history.map((e) => e.articles), [5, 4]);
+    assert.equal(monitor.status().history.length, 3);
+  });
+});
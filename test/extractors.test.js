@@ -0,0 +1,243 @@
+// test/extractors.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchTestBrowser, openFixture } from './helpers/browser.js';
+import { extractPostsFromArticles } from '../src/extractors/posts.js';
+import { getSelectorProfile } from '../src/selectors.js';
+import { extractPageCounts } from '../src/extractors/page-counts.js';
+import { detectPageState } from '../src/extractors/page-state.js';
+import { parseFacebookDate } from '../src/dates.js';
+
+const { browser, skip } = await launchTestBrowser();
+const profile = getSelectorProfile().inPage;
+
+async function extractPosts(fixture, inPage = profile) {
+  const page = await openFixture(browser, fixture);
+  try {
+    return await page.$$eval('div[role="article"]', extractPostsFromArticles, inPage);
+  } finally {
+    await page.close();
+  }
+}
+
+after(async () => {
+  await browser?.close();
+});
+
+describe('extractPostsFromArticles', { skip }, () => {
+  it('reads an Arabic feed', async () => {
+    assert.deepEqual(await extractPosts('feed-ar.html'), [
+      {
+        text: '٣ س عرض خاص على المشاويات طوال هذا الأسبوع كل التفاعلات: ١٢٥ ١٢٥ ٨',
+        reactions: 125,
+        reactions_by_type: null,
+        comments: 8,
+        shares: 3,
+        engagement_source: { reactions: 'all-reactions', comments: 'all-reactions', shares: 'all-reactions' },
+        date: '٣ س',
+        link: 'https://www.facebook.com/mat3amalsham/posts/pfbid02xYz',
+        post_type: 'text',
+        media: [],
+        shared_url: null,
+      },
+      {
+        text: '14 سبتمبر الساعة 6:00 م افتتاح فرعنا الجديد في وسط المدينة ٤٥ ١٢',
+        reactions: 45,
+        reactions_by_type: { like: 45 },
+        comments: 12,
+        shares: 0,
+        engagement_source: { reactions: 'aria-label', comments: 'aria-label', shares: null },
+        date: '14 سبتمبر الساعة 6:00 م',
+        link: 'https://www.facebook.com/mat3amalsham/posts/987654321',
+        post_type: 'text',
+        media: [],
+        shared_url: null,
+      },
+      // A half-rendered copy of the first post: kept for its link, identifyPosts drops it as a duplicate
+      {
+        text: '٢ س',
+        reactions: 0,
+        reactions_by_type: null,
+        comments: 0,
+        shares: 0,
+        engagement_source: { reactions: null, comments: null, shares: null },
+        date: '٢ س',
+        link: 'https://www.facebook.com/mat3amalsham/posts/pfbid02xYz',
+        post_type: 'text',
+        media: [],
+        shared_url: null,
+      },
+    ]);
+  });
+
+  it('reads an English feed, keeping re-rendered duplicates for identifyPosts', async () => {
+    const first = {
+      text: '5h New seasonal blend is here. Come taste it this weekend! 42 12',
+      reactions: 42,
+      reactions_by_type: null,
+      comments: 12,
+      shares: 4,
+      engagement_source: { reactions: 'aria-label', comments: 'aria-label', shares: 'aria-label' },
+      date: '5h',
+      link: 'https://www.facebook.com/acmecoffee/posts/1234567890',
+      post_type: 'text',
+      media: [],
+      shared_url: null,
+    };
+    assert.deepEqual(await extractPosts('feed-en.html'), [
+      first,
+      {
+        text: '2d Behind the scenes at our roastery 18',
+        reactions: 18,
+        reactions_by_type: null,
+        comments: 0,
+        shares: 0,
+        engagement_source: { reactions: 'aria-label', comments: null, shares: null },
+        date: '2d',
+        link: 'https://www.facebook.com/acmecoffee/videos/555000111',
+        post_type: 'video',
+        media: [],
+        shared_url: null,
+      },
+      first,
+    ]);
+  });
+
+  it('parses the "كل التفاعلات" block as reactions, comments and shares', async () => {
+    assert.deepEqual(await extractPosts('post-all-reactions.html'), [
+      {
+        text: '١ ي شكراً لكل زبائننا على ثقتكم الدائمة كل التفاعلات: ٥٧١ ٥٧١ ٢',
+        reactions: 571,
+        reactions_by_type: null,
+        comments: 2,
+        shares: 8,
+        engagement_source: { reactions: 'all-reactions', comments: 'all-reactions', shares: 'all-reactions' },
+        date: '١ ي',
+        link: 'https://www.facebook.com/permalink.php?story_fbid=pfbid0AbCdEf&id=100064000000000&__cft__=AZXq1&__tn__=%2CO%2CP-R',
+        post_type: 'text',
+        media: [],
+        shared_url: null,
+      },
+    ]);
+  });
+
+  it('reports zero shares when the post has none', async () => {
+    assert.deepEqual(await extractPosts('post-no-shares.html'), [
+      {
+        text: '٤ ي ساعات العمل خلال العيد من العاشرة صباحاً كل التفاعلات: ٣٤ ٥',
+        reactions: 34,
+        reactions_by_type: null,
+        comments: 5,
+        shares: 0,
+        engagement_source: { reactions: 'all-reactions', comments: 'all-reactions', shares: 'all-reactions' },
+        date: '٤ ي',
+        link: 'https://www.facebook.com/mat3amalsham/posts/112233445566',
+        post_type: 'text',
+        media: [],
+        shared_url: null,
+      },
+    ]);
+  });
+
+  it('recognizes post links and media by the profile patterns', async () => {
+    const withPatterns = (patterns) => ({ ...profile, patterns: { ...profile.patterns, ...patterns } });
+    const types = (posts) => posts.map((p) => p.post_type);
+    const shipped = await extractPosts('feed-media.html');
+    assert.ok(types(shipped).includes('reel'));
+
+    const noReels = await extractPosts('feed-media.html', withPatterns({ 'media.reelHref': ['/\\/no-such-path\\//'] }));
+    assert.equal(noReels.length, shipped.length);
+    assert.ok(!types(noReels).includes('reel'));
+
+    const onlyPosts = await extractPosts('feed-ar.html', withPatterns({ 'post.href': ['/\\/posts\\/\\d+/'] }));
+    assert.deepEqual(onlyPosts.map((p) => p.link), [null, 'https://www.facebook.com/mat3amalsham/posts/987654321']);
+  });
+});
+
+describe('dates of extracted posts', { skip }, () => {
+  const now = Date.parse('2024-05-02T12:00:00Z');
+  /** [date, dateISO, date_precision] of every post of a fixture, as the enrich stage reads them */
+  async function datesOf(fixture) {
+    return (await extractPosts(fixture)).map(({ date }) => {
+      const parsed = parseFacebookDate(date, { now, timeZone: 'UTC' });
+      return [date, parsed?.iso ?? null, parsed?.precision ?? null];
+    });
+  }
+
+  it('reads English timestamps, preferring the full date of the aria-label', async () => {
+    assert.deepEqual(await datesOf('feed-dates-en.html'), [
+      ['Yesterday at 3:15 PM', '2024-05-01T15:15:00.000Z', 'minute'],
+      ['September 14 at 6:00 PM', '2023-09-14T18:00:00.000Z', 'minute'],
+      ['14 September 2023', '2023-09-14T00:00:00.000Z', 'day'],
+      ['Just now', '2024-05-02T12:00:00.000Z', 'minute'],
+      ['Monday, April 15, 2024 at 9:30 AM', '2024-04-15T09:30:00.000Z', 'minute'],
+    ]);
+  });
+
+  it('reads French timestamps', async () => {
+    assert.deepEqual(await datesOf('feed-dates-fr.html'), [
+      ['hier à 14h30', '2024-05-01T14:30:00.000Z', 'minute'],
+      ['14 septembre 2023 à 18:00', '2023-09-14T18:00:00.000Z', 'minute'],
+      ['il y a 2 jours', '2024-04-30T12:00:00.000Z', 'day'],
+    ]);
+  });
+
+  it('reads Arabic timestamps with Eastern Arabic digits', async () => {
+    assert.deepEqual(await datesOf('feed-dates-ar.html'), [
+      ['١٤ أيلول الساعة ٦:٠٠ م', '2023-09-14T18:00:00.000Z', 'minute'],
+      ['أمس', '2024-05-01T00:00:00.000Z', 'day'],
+      ['أسبوع', '2024-04-25T12:00:00.000Z', 'estimated'],
+      ['٣ س', '2024-05-02T09:00:00.000Z', 'hour'],
+    ]);
+  });
+});
+
+describe('extractPageCounts', { skip }, () => {
+  let page;
+
+  before(async () => {
+    page = await openFixture(browser, 'about.html');
+  });
+
+  after(async () => {
+    await page?.close();
+  });
+
+  it('reads followers and likes from the About page', async () => {
+    const { followers, likes } = await page.evaluate(extractPageCounts, profile);
+    assert.deepEqual({ followers, likes }, { followers: 3400, likes: 1200 });
+  });
+
+  it('takes its labels from the profile and reports the fallback that matched', async () => {
+    const drifted = {
+      ...profile,
+      patterns: { ...profile.patterns, 'page.followersLabel': ['/abonnés/i', ...profile.patterns['page.followersLabel']] },
+    };
+    const { followers, fields } = await page.evaluate(extractPageCounts, drifted);
+    assert.equal(followers, 3400);
+    assert.equal(fields['page.followersLabel'], 1);
+  });
+});
+
+describe('detectPageState', { skip }, () => {
+  async function stateOf(fixture) {
+    const page = await openFixture(browser, fixture);
+    try {
+      const { state, matched } = await page.evaluate(detectPageState, profile);
+      return { state, matched };
+    } finally {
+      await page.close();
+    }
+  }
+
+  it('recognises the "content isn\'t available" screen', async () => {
+    assert.deepEqual(await stateOf('page-unavailable.html'), {
+      state: 'unavailable',
+      matched: 'This content isn\'t available right now',
+    });
+  });
+
+  it('reports a feed as ok', async () => {
+    assert.equal((await stateOf('feed-en.html')).state, 'ok');
+  });
+});
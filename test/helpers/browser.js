@@ -0,0 +1,45 @@
+// test/helpers/browser.js
+// Headless Chromium for fixture tests: pages are loaded from local files and all network is blocked
+import puppeteer from 'puppeteer';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { installCountParser } from '../../src/counts.js';
+
+const fixturesDir = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+/**
+ * Launch headless Chromium. Resolves { browser, skip } where `skip` is a reason string
+ * when no browser can be started on this machine (tests then skip instead of failing).
+ */
+export async function launchTestBrowser() {
+  try {
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
+    });
+    return { browser, skip: false };
+  } catch (err) {
+    return { browser: null, skip: `Chromium unavailable: ${err.message.split('\n')[0]}` };
+  }
+}
+
+/** Absolute path of a fixture file */
+export function fixturePath(name) {
+  return fixturesDir + name;
+}
+
+/**
+ * Open a fixture from test/fixtures in a new page (with the count parser installed, like a scrape page).
+ * Anything that is not a file:// or data: URL is aborted so the suite stays fully offline.
+ */
+export async function openFixture(browser, name) {
+  const page = await browser.newPage();
+  await installCountParser(page);
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    const url = req.url();
+    if (url.startsWith('file:') || url.startsWith('data:')) req.continue();
+    else req.abort();
+  });
+  await page.goto(pathToFileURL(fixturePath(name)).href, { waitUntil: 'load' });
+  return page;
+}
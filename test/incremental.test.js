@@ -0,0 +1,75 @@
+// test/incremental.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCutoff, staleReason, findCutoff, describeCutoff } from '../src/incremental.js';
+
+const hoursAgo = (h) => new Date(Date.now() - h * 3600 * 1000).toISOString();
+
+describe('createCutoff', () => {
+  it('is null without since or known post IDs', () => {
+    assert.equal(createCutoff({}), null);
+    assert.equal(createCutoff({ since: '', knownPostIds: [] }), null);
+  });
+
+  it('normalizes since to ISO', () => {
+    assert.equal(createCutoff({ since: '2024-05-01T10:00:00+02:00' }).since, '2024-05-01T08:00:00.000Z');
+  });
+
+  it('rejects an invalid date or id list', () => {
+    assert.throws(() => createCutoff({ since: 'yesterday' }), /Invalid "since" date/);
+    assert.throws(() => createCutoff({ knownPostIds: '123' }), /must be an array/);
+  });
+});
+
+describe('staleReason', () => {
+  const cutoff = createCutoff({ since: hoursAgo(6), knownPostIds: ['1234567890', 'pfbid02xYz'] });
+
+  it('flags known posts', () => {
+    assert.equal(staleReason({ id: 'pfbid02xYz', post_id: 'pfbid02xYz', date: '1h' }, cutoff), 'known-post');
+  });
+
+  it('resolves relative dates against since', () => {
+    assert.equal(staleReason({ id: '1', date: '3h' }, cutoff), null);
+    assert.equal(staleReason({ id: '2', date: '٨ س' }, cutoff), 'since');
+    assert.equal(staleReason({ id: '3', date: '2d' }, cutoff), 'since');
+  });
+
+  it('keeps posts whose date cannot be parsed', () => {
+    assert.equal(staleReason({ id: '4', date: null }, cutoff), null);
+  });
+});
+
+describe('findCutoff', () => {
+  const cutoff = createCutoff({ since: hoursAgo(24), knownPostIds: ['900'] });
+
+  it('ignores an old pinned post at the top of the feed', () => {
+    const posts = [
+      { id: 'pinned', date: '3y' },
+      { id: '901', date: '2h' },
+      { id: '902', date: '5h' },
+    ];
+    assert.equal(findCutoff(posts, cutoff), null);
+  });
+
+  it('stops at the first older or known post', () => {
+    const posts = [
+      { id: '903', date: '1h' },
+      { id: '901', date: '2h' },
+      { id: '900', date: '3h' },
+      { id: '899', date: '3d' },
+    ];
+    assert.deepEqual(findCutoff(posts, cutoff), { reason: 'known-post', postId: '900' });
+    assert.deepEqual(findCutoff([posts[0], posts[3]], cutoff), { reason: 'since', postId: '899' });
+  });
+
+  it('is described in result metadata without the id list', () => {
+    assert.deepEqual(describeCutoff(cutoff), {
+      since: cutoff.since,
+      knownPostIds: 1,
+      reached: false,
+      reason: null,
+      postId: null,
+    });
+    assert.equal(describeCutoff(null), null);
+  });
+});
@@ -0,0 +1,145 @@
+// test/job-queue.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createJobQueue, JOB_STATUS, isFinished } from '../src/job-queue.js';
+import { ScraperError } from '../src/errors.js';
+
+/**
+ * run() whose calls stay pending until the test settles them: started[i] is
+ * { params, signal, resolve, reject } of the i-th call; an abort rejects like a closed browser
+ */
+function controlledRun() {
+  const started = [];
+  const run = (params, { signal }) => new Promise((resolve, reject) => {
+    started.push({ params, signal, resolve, reject });
+    signal.addEventListener('abort', () => reject(new Error('Browser closed')), { once: true });
+  });
+  return { started, run };
+}
+
+/** Let pending promise callbacks (job start/finish) run */
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('createJobQueue', () => {
+  it('requires a run function', () => {
+    assert.throws(() => createJobQueue({}), /requires a run function/);
+  });
+
+  it('runs at most `concurrency` jobs at once, the rest in FIFO order', async () => {
+    const { started, run } = controlledRun();
+    const jobs = createJobQueue({ run, concurrency: 2 });
+    const [a, b, c, d] = ['a', 'b', 'c', 'd'].map((pageUrl) => jobs.submit({ pageUrl }));
+
+    assert.deepEqual(started.map((s) => s.params.pageUrl), ['a', 'b']);
+    assert.deepEqual([a, b, c, d].map((j) => j.status), ['running', 'running', 'queued', 'queued']);
+    assert.deepEqual(jobs.stats(), { running: 2, queued: 2, concurrency: 2 });
+    assert.equal(jobs.describe(c).queuePosition, 1);
+    assert.equal(jobs.describe(d).queuePosition, 2);
+    assert.equal(jobs.describe(a).queuePosition, null);
+
+    started[1].resolve({ posts: [] });
+    await b.done;
+    await tick();
+    assert.deepEqual(started.map((s) => s.params.pageUrl), ['a', 'b', 'c']);
+    assert.equal(jobs.describe(d).queuePosition, 1);
+
+    started[0].reject(new ScraperError('PAGE_NOT_FOUND', 'Page not found'));
+    await a.done;
+    await tick();
+    assert.equal(a.status, JOB_STATUS.FAILED);
+    assert.equal(jobs.describe(a).errorCode, 'PAGE_NOT_FOUND');
+    assert.equal(started.length, 4);
+
+    started[2].resolve(null);
+    started[3].resolve(null);
+    await Promise.all([c.done, d.done]);
+    assert.deepEqual(jobs.stats(), { running: 0, queued: 0, concurrency: 2 });
+  });
+
+  it('cancels a queued job without ever running it', async () => {
+    const { started, run } = controlledRun();
+    const jobs = createJobQueue({ run, concurrency: 1 });
+    const first = jobs.submit({ pageUrl: 'a' });
+    const queued = jobs.submit({ pageUrl: 'b' });
+
+    assert.equal(jobs.cancel(queued.id), true);
+    await queued.done;
+    assert.equal(queued.status, JOB_STATUS.CANCELLED);
+    assert.equal(queued.startedAt, null);
+    assert.equal(jobs.cancel(queued.id), false, 'already finished');
+    assert.equal(jobs.stats().queued, 0);
+
+    started[0].resolve('ok');
+    await first.done;
+    await tick();
+    assert.equal(started.length, 1, 'the cancelled job was skipped');
+  });
+
+  it('cancels a running job through its abort signal and frees its slot', async () => {
+    const { started, run } = controlledRun();
+    const jobs = createJobQueue({ run, concurrency: 1 });
+    const running = jobs.submit({ pageUrl: 'a' });
+    const next = jobs.submit({ pageUrl: 'b' });
+
+    assert.equal(jobs.cancel(running.id), true);
+    assert.equal(started[0].signal.aborted, true);
+    await running.done;
+    // Rejected by the abort, but reported as cancelled rather than failed
+    assert.equal(running.status, JOB_STATUS.CANCELLED);
+    assert.equal(running.error, null);
+    assert.equal(running.events.at(-1).status, 'cancelled');
+
+    await tick();
+    assert.equal(next.status, JOB_STATUS.RUNNING);
+    started[1].resolve('ok');
+    await next.done;
+    assert.equal(jobs.cancel('unknown'), false);
+  });
+
+  it('reports a run that finishes after being cancelled as cancelled', async () => {
+    const jobs = createJobQueue({ run: async (params, { signal }) => {
+      await sleep(5);
+      return signal.aborted ? 'partial' : 'full';
+    } });
+    const job = jobs.submit({});
+    jobs.cancel(job.id);
+    await job.done;
+    assert.equal(job.status, JOB_STATUS.CANCELLED);
+    assert.equal(job.result, null);
+  });
+
+  it('keeps finished jobs and their result for `retentionMs`, then forgets them', async () => {
+    const jobs = createJobQueue({ run: async (params) => ({ posts: [params.pageUrl] }), retentionMs: 30 });
+    const job = jobs.submit({ pageUrl: 'a' });
+    await job.done;
+    assert.ok(isFinished(job));
+
+    // Pruning happens on submit: a job younger than retentionMs survives it
+    await jobs.submit({ pageUrl: 'b' }).done;
+    assert.deepEqual(jobs.get(job.id).result, { posts: ['a'] });
+
+    await sleep(50);
+    const later = jobs.submit({ pageUrl: 'c' });
+    assert.equal(jobs.get(job.id), undefined);
+    assert.equal(jobs.get(later.id), later);
+    await later.done;
+  });
+
+  it('never expires jobs that are still queued or running', async () => {
+    const { started, run } = controlledRun();
+    const jobs = createJobQueue({ run, concurrency: 1, retentionMs: 0 });
+    const running = jobs.submit({});
+    const queued = jobs.submit({});
+    await sleep(5);
+    jobs.submit({});
+    assert.equal(jobs.get(running.id), running);
+    assert.equal(jobs.get(queued.id), queued);
+
+    for (let i = 0; i < 3; i++) {
+      await tick();
+      started[i].resolve(null);
+    }
+    await queued.done;
+  });
+});
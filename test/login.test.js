@@ -0,0 +1,143 @@
+// test/login.test.js
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { launchTestBrowser, openFixture } from './helpers/browser.js';
+import { detectLoginState } from '../src/extractors/login-state.js';
+import { getSelectorProfile } from '../src/selectors.js';
+import { settleLogin, browserArgs, ensureLoggedIn } from '../src/login.js';
+import { base32Decode, totp } from '../src/totp.js';
+import { accountsFromEnv, createSessionStore } from '../src/sessions.js';
+
+const { browser, skip } = await launchTestBrowser();
+
+// RFC 6238 test key ("12345678901234567890") in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+after(async () => {
+  await browser?.close();
+});
+
+describe('browserArgs', () => {
+  it('runs single-process unless the browser is meant for several tabs at once', () => {
+    assert.ok(browserArgs().includes('--single-process'));
+    const multi = browserArgs({ singleProcess: false });
+    assert.ok(!multi.includes('--single-process'));
+    assert.ok(multi.includes('--no-sandbox'));
+  });
+});
+
+describe('ensureLoggedIn', () => {
+  it('keeps the cookies Facebook refreshed during a cookie login', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-login-'));
+    const cookie = (name, value) => ({ name, value, domain: '.facebook.com', path: '/', httpOnly: true, secure: true });
+    const refreshed = [cookie('c_user', '100001'), cookie('xs', 'refreshed-token')];
+    // Lands on the logged-in home page with the saved cookies
+    const page = {
+      setCookie: async () => {},
+      goto: async () => {},
+      evaluate: async () => ({ state: 'logged-in', matched: 'test' }),
+      cookies: async () => refreshed,
+    };
+    try {
+      const sessions = createSessionStore({ file: path.join(dir, 'sessions.json'), secret: 'test-key' });
+      await sessions.load();
+      await sessions.importCookies('main', [cookie('c_user', '100001'), cookie('xs', 'old-token')]);
+
+      assert.equal((await ensureLoggedIn(page, { sessions, account: 'main' })).via, 'cookies');
+      await sessions.flush();
+      const reopened = createSessionStore({ file: path.join(dir, 'sessions.json'), secret: 'test-key' });
+      await reopened.load();
+      assert.deepEqual(reopened.session('main').cookies, refreshed);
+      assert.equal(reopened.get('main').status, 'active');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('totp', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    assert.equal(totp(SECRET, { now: 59000, digits: 8 }), '94287082');
+    assert.equal(totp(SECRET, { now: 1111111109000, digits: 8 }), '07081804');
+    assert.equal(totp(SECRET, { now: 20000000000000, digits: 8 }), '65353130');
+    assert.equal(totp(SECRET, { now: 59000 }), '287082');
+  });
+
+  it('reads secrets the way authenticator apps show them', () => {
+    assert.deepEqual(base32Decode('gezd gnbv-gy3t qojq'), base32Decode('GEZDGNBVGY3TQOJQ'));
+    assert.throws(() => base32Decode('not base32!'), /Invalid base32 character/);
+  });
+
+  it('rejects invalid secrets in the account config', () => {
+    assert.equal(accountsFromEnv({ FB_EMAIL: 'a@example.com', FB_PASSWORD: 'x', FB_TOTP_SECRET: SECRET })[0].totpSecret, SECRET);
+    assert.throws(
+      () => accountsFromEnv({ FB_EMAIL: 'a@example.com', FB_PASSWORD: 'x', FB_TOTP_SECRET: '123456' }),
+      /TOTP secret of account "default" is not valid base32/,
+    );
+  });
+});
+
+describe('detectLoginState', { skip }, () => {
+  const CASES = [
+    ['login-two-factor.html', 'two-factor'],
+    ['login-save-device.html', 'save-device'],
+    ['login-checkpoint.html', 'checkpoint'],
+    ['login-confirm-identity.html', 'confirm-identity'],
+    ['login-locked.html', 'account-locked'],
+    ['login-wrong-password.html', 'wrong-password'],
+    ['login-consent.html', 'consent-wall'],
+    ['feed-en.html', 'logged-in'],
+  ];
+
+  for (const [fixture, expected] of CASES) {
+    it(`recognises ${fixture} as ${expected}`, async () => {
+      const page = await openFixture(browser, fixture);
+      try {
+        assert.equal((await page.evaluate(detectLoginState, getSelectorProfile().inPage)).state, expected);
+      } finally {
+        await page.close();
+      }
+    });
+  }
+});
+
+describe('settleLogin', { skip }, () => {
+  async function settle(fixture, options) {
+    const page = await openFixture(browser, fixture);
+    const states = [];
+    try {
+      const result = await settleLogin(page, { ...options, onState: ({ state }) => states.push(state) });
+      return { result, states, url: new URL(page.url()) };
+    } finally {
+      await page.close();
+    }
+  }
+
+  it('fills the two-factor code from the TOTP secret', async () => {
+    const now = () => Date.parse('2026-03-01T12:00:00Z');
+    const { result, states, url } = await settle('login-two-factor.html', { totpSecret: SECRET, now });
+    assert.deepEqual(states, ['two-factor', 'logged-in']);
+    assert.equal(result.state, 'logged-in');
+    assert.equal(result.codeSent, true);
+    assert.equal(url.searchParams.get('approvals_code'), totp(SECRET, { now: now() }));
+  });
+
+  it('stops at the two-factor prompt without a secret', async () => {
+    const { result } = await settle('login-two-factor.html', {});
+    assert.equal(result.state, 'two-factor');
+    assert.equal(result.codeSent, false);
+  });
+
+  it('dismisses the cookie consent dialog and lets Facebook remember the browser', async () => {
+    assert.deepEqual((await settle('login-consent.html', {})).states, ['consent-wall', 'login-form']);
+    assert.equal((await settle('login-save-device.html', {})).result.state, 'logged-in');
+  });
+
+  it('reports the screens it cannot get past', async () => {
+    assert.equal((await settle('login-locked.html', { totpSecret: SECRET })).result.state, 'account-locked');
+    assert.equal((await settle('login-wrong-password.html', {})).result.state, 'wrong-password');
+  });
+});
@@ -0,0 +1,146 @@
+// test/media.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { launchTestBrowser, openFixture } from './helpers/browser.js';
+import { extractPostsFromArticles } from '../src/extractors/posts.js';
+import { getSelectorProfile } from '../src/selectors.js';
+import { mediaFileName, downloadPostMedia } from '../src/media.js';
+
+const { browser, skip } = await launchTestBrowser();
+const profile = getSelectorProfile().inPage;
+
+describe('mediaFileName', () => {
+  it('maps the file back to the post id and media index', () => {
+    assert.equal(mediaFileName({ id: '3000000001' }, 0, 'jpg'), '3000000001-1.jpg');
+    assert.equal(mediaFileName({ id: 'pfbid02xYz' }, 2, 'mp4'), 'pfbid02xYz-3.mp4');
+  });
+
+  it('makes text-hash ids safe and marks thumbnails', () => {
+    assert.equal(mediaFileName({ id: 'text:0a1b2c3d4e5f6a7b' }, 0, 'jpg', { thumbnail: true }), 'text_0a1b2c3d4e5f6a7b-1-thumb.jpg');
+  });
+});
+
+describe('downloadPostMedia', () => {
+  let server;
+  let base;
+  let dir;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/photo.jpg') {
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        res.end('jpeg-bytes');
+      } else if (req.url === '/thumb') {
+        res.writeHead(200, { 'Content-Type': 'image/webp' });
+        res.end('webp-bytes');
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-media-'));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('saves images and video thumbnails next to each other, named after the post', async () => {
+    const posts = [
+      { id: '3000000001', media: [{ type: 'image', url: `${base}/photo.jpg`, thumbnail_url: null }] },
+      {
+        id: '3000000401',
+        media: [
+          { type: 'reel', url: null, thumbnail_url: `${base}/thumb` },
+          { type: 'image', url: `${base}/missing.png`, thumbnail_url: null },
+        ],
+      },
+      { id: 'text:abc', media: [] },
+    ];
+    const mediaDirUrl = new URL('facebook-scrape-test-media/', pathToFileURL(`${dir}/`));
+
+    assert.deepEqual(await downloadPostMedia(posts, mediaDirUrl), { downloaded: 2, failed: 1 });
+    assert.equal(posts[0].media[0].file, 'facebook-scrape-test-media/3000000001-1.jpg');
+    assert.equal(posts[1].media[0].file, 'facebook-scrape-test-media/3000000401-1-thumb.webp');
+    assert.equal(posts[1].media[1].file, null);
+    assert.equal(await fs.readFile(path.join(dir, posts[0].media[0].file), 'utf-8'), 'jpeg-bytes');
+    assert.equal(await fs.readFile(path.join(dir, posts[1].media[0].file), 'utf-8'), 'webp-bytes');
+  });
+});
+
+describe('media extraction', { skip }, () => {
+  let posts;
+
+  before(async () => {
+    const page = await openFixture(browser, 'feed-media.html');
+    try {
+      posts = await page.$$eval('div[role="article"]', extractPostsFromArticles, profile);
+    } finally {
+      await page.close();
+    }
+  });
+
+  after(async () => {
+    await browser?.close();
+  });
+
+  it('detects the post type of each post', () => {
+    assert.deepEqual(posts.map((p) => p.post_type), ['photo', 'album', 'video', 'reel', 'link', 'event', 'text', 'photo']);
+  });
+
+  it('keeps photo posts without a caption and drops empty placeholders', () => {
+    assert.equal(posts[7].text, '6d');
+    assert.equal(posts[7].link, 'https://www.facebook.com/acmecoffee/posts/3000000008');
+    assert.deepEqual(posts[7].media.map((m) => m.url), ['https://scontent.xx.fbcdn.net/v/t39/storefront.jpg']);
+    assert.equal(posts.length, 8);
+  });
+
+  it('keeps image URLs with Facebook\'s alt text', () => {
+    assert.deepEqual(posts[0].media, [
+      {
+        type: 'image',
+        url: 'https://scontent.xx.fbcdn.net/v/t39/cold-brew.jpg?_nc_cat=1',
+        page_url: 'https://www.facebook.com/photo/?fbid=3000000101&set=a.100',
+        thumbnail_url: null,
+        alt: 'May be an image of bottle and text that says \'COLD BREW\'',
+      },
+    ]);
+    assert.deepEqual(posts[1].media.map((m) => m.alt), ['May be an image of 2 people and coffee cup', null]);
+  });
+
+  it('reads video sources and thumbnails', () => {
+    assert.deepEqual(posts[2].media, [
+      {
+        type: 'video',
+        url: 'https://video.xx.fbcdn.net/v/t42/roast.mp4',
+        page_url: 'https://www.facebook.com/acmecoffee/videos/3000000301',
+        thumbnail_url: 'https://scontent.xx.fbcdn.net/v/t15/roast-thumb.jpg',
+        alt: null,
+      },
+    ]);
+    assert.deepEqual(posts[3].media, [
+      {
+        type: 'reel',
+        url: null,
+        page_url: 'https://www.facebook.com/reel/3000000401',
+        thumbnail_url: 'https://scontent.xx.fbcdn.net/v/t15/reel-thumb.jpg',
+        alt: null,
+      },
+    ]);
+  });
+
+  it('unwraps shared links and keeps event links', () => {
+    assert.equal(posts[4].shared_url, 'https://cityguide.example.com/best-coffee');
+    assert.deepEqual(posts[4].media, [], 'link preview images are not post media');
+    assert.equal(posts[5].shared_url, 'https://www.facebook.com/events/3000000601');
+    assert.equal(posts[6].shared_url, null, 'hashtags are not shares');
+  });
+});
@@ -0,0 +1,292 @@
+// test/openapi.test.js
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { launchTestBrowser, fixturePath } from './helpers/browser.js';
+import { buildOpenApiDocument, ROUTES } from '../src/openapi.js';
+import { createSchemas } from '../src/schemas.js';
+import { ScraperError, errorResponse } from '../src/errors.js';
+import { buildResult, runScrapePipeline } from '../src/pipeline.js';
+import { identifyPosts } from '../src/post-identity.js';
+import { enrichStage } from '../src/stages/enrich.js';
+import { summarizeStage } from '../src/stages/summarize.js';
+import { createJobQueue } from '../src/job-queue.js';
+import { runBatch } from '../src/batch.js';
+import { createKeyStore } from '../src/api-keys.js';
+import { createScheduler } from '../src/scheduler.js';
+import { createStore } from '../src/store.js';
+import { createSessionStore } from '../src/sessions.js';
+import { getSelectorProfile, createSelectorReport } from '../src/selectors.js';
+import { createExtractionMonitor } from '../src/extraction-health.js';
+import { captureDebugArtifacts, listRunArtifacts } from '../src/debug-capture.js';
+
+const { browser, skip } = await launchTestBrowser();
+const doc = buildOpenApiDocument({ schemas: createSchemas() });
+const ajv = addFormats(new Ajv2020({ strict: false, allErrors: true }));
+
+/** Assert `body` matches the documented JSON response of `method path` with `status` */
+function assertResponse(method, route, status, body) {
+  const { schema } = doc.paths[route][method].responses[status].content['application/json'];
+  // Component refs resolve against the document's components
+  const validate = ajv.compile({ ...schema, components: doc.components });
+  assert.ok(validate(body), `${method.toUpperCase()} ${route} ${status}: ${ajv.errorsText(validate.errors)}`);
+}
+
+/** Raw posts as extractPostsFromArticles returns them */
+const RAW_POSTS = [
+  {
+    text: 'Grand opening this Friday! Come by for free coffee.',
+    reactions: 155,
+    reactions_by_type: { like: 120, love: 30, haha: 5 },
+    comments: 9,
+    shares: 2,
+    engagement_source: { reactions: 'all-reactions', comments: 'all-reactions', shares: 'all-reactions' },
+    date: '2024-05-01T09:00:00.000Z',
+    link: 'https://www.facebook.com/acmecoffee/posts/111',
+    post_type: 'photo',
+    media: [{ type: 'image', url: 'https://scontent.example/1.jpg', page_url: 'https://www.facebook.com/photo/?fbid=1', thumbnail_url: null, alt: 'Shop' }],
+    shared_url: null,
+  },
+  {
+    text: 'New menu is out, link in the post',
+    reactions: 18,
+    reactions_by_type: null,
+    comments: 0,
+    shares: 0,
+    engagement_source: { reactions: 'aria-label', comments: null, shares: null },
+    date: null,
+    link: null,
+    post_type: 'link',
+    media: [],
+    shared_url: 'https://acme.example/menu',
+  },
+];
+
+/** A scrape result made by the real enrich/summarize stages and buildResult */
+async function scrapeResult() {
+  const selectorReport = createSelectorReport(getSelectorProfile());
+  selectorReport.merge({ 'feed.article': 0, 'post.time': 1, 'post.sharesLabel': null });
+  const ctx = {
+    options: { FB_PAGE_URL: 'https://www.facebook.com/acmecoffee', POSTS_TARGET: 10 },
+    pageName: 'Acme Coffee',
+    followers: 3400,
+    likes: null,
+    loadedArticles: 2,
+    posts: identifyPosts(RAW_POSTS),
+    enabledStages: ['navigate', 'load-feed', 'extract-posts', 'enrich', 'summarize'],
+    scrapedAt: '2024-05-02T12:00:00.000Z',
+    cutoff: null,
+    selectorReport,
+    runId: 'job-1',
+    debugCapture: { files: ['run.json', 'console.log', 'network.har'] },
+  };
+  await enrichStage.run(ctx);
+  await summarizeStage.run(ctx);
+  return buildResult(ctx);
+}
+
+describe('OpenAPI document', () => {
+  it('documents every route the server registers', async () => {
+    const source = await fs.readFile(new URL('../src/api-server.js', import.meta.url), 'utf-8');
+    const registered = [...source.matchAll(/app\.(get|post|put|patch|delete)\(\s*'([^']+)'/g)]
+      .map(([, method, route]) => `${method} ${route}`)
+      .sort();
+    assert.deepEqual(ROUTES.map((r) => `${r.method} ${r.path}`).sort(), registered);
+  });
+
+  it('has unique operation ids and only resolvable refs', () => {
+    const ids = Object.values(doc.paths).flatMap((methods) => Object.values(methods).map((op) => op.operationId));
+    assert.equal(new Set(ids).size, ids.length);
+
+    const refs = JSON.stringify(doc).match(/"\$ref":"[^"]+"/g);
+    for (const ref of refs) {
+      const name = ref.slice(ref.lastIndexOf('/') + 1, -1);
+      assert.ok(doc.components.schemas[name], `${ref} does not resolve`);
+    }
+    for (const [name, schema] of Object.entries(doc.components.schemas)) {
+      assert.doesNotThrow(() => ajv.compile({ ...schema, components: doc.components }), name);
+    }
+  });
+
+  it('lists the error responses of a route with their codes', () => {
+    const { responses } = doc.paths['/api/jobs/{id}/result'].get;
+    assert.match(responses['404'].description, /PAGE_NOT_FOUND/);
+    assert.match(responses['404'].description, /NOT_FOUND: No such job/);
+    assert.equal(responses['401'].content['application/json'].schema.$ref, '#/components/schemas/Error');
+    assert.deepEqual(doc.paths['/health'].get.security, []);
+  });
+
+  it('leaves out security without authentication', () => {
+    const open = buildOpenApiDocument({ schemas: createSchemas(), authEnabled: false });
+    assert.equal(open.security, undefined);
+    assert.equal(open.paths['/api/scrape'].post.responses['401'], undefined);
+  });
+});
+
+describe('responses match the OpenAPI document', () => {
+  it('scrape result', async () => {
+    const data = await scrapeResult();
+    assert.equal(data.summary.best_post.id, '111');
+    assertResponse('post', '/api/scrape', '200', { success: true, data });
+  });
+
+  it('batch result', async () => {
+    const data = await scrapeResult();
+    const pages = await runBatch(
+      [{ pageUrl: 'https://www.facebook.com/acmecoffee' }, { pageUrl: 'https://www.facebook.com/gone' }],
+      async (item) => {
+        if (item.pageUrl.endsWith('/gone')) throw new ScraperError('PAGE_NOT_FOUND', 'Facebook page not found');
+        return data;
+      },
+      { delayMs: 0 },
+    );
+    assertResponse('post', '/api/scrape/batch', '200', {
+      success: true,
+      data: { pages, summary: { total: 2, succeeded: 1, failed: 1 } },
+    });
+  });
+
+  it('extraction health', async () => {
+    const monitor = createExtractionMonitor();
+    assertResponse('get', '/api/health/extraction', '200', { success: true, extraction: monitor.status() });
+    monitor.record(await scrapeResult());
+    monitor.recordFailure('https://www.facebook.com/acmecoffee', new ScraperError('EXTRACTION_EMPTY', 'No posts', { loadedArticles: 6 }));
+    assertResponse('get', '/api/health/extraction', '200', { success: true, extraction: monitor.status() });
+  });
+
+  it('run artifacts', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-runs-'));
+    try {
+      await captureDebugArtifacts(null, null, { runId: 'job-1', reason: 'failure', profile: getSelectorProfile(), dir });
+      const artifacts = (await listRunArtifacts('job-1', { dir }))
+        .map((a) => ({ ...a, url: `/api/runs/job-1/artifacts/${a.name}` }));
+      assertResponse('get', '/api/runs/{id}/artifacts', '200', { success: true, runId: 'job-1', artifacts });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('selector profile', () => {
+    const profile = getSelectorProfile();
+    assertResponse('get', '/api/admin/selectors', '200', { success: true, profile: profile.describe() });
+    assertResponse('post', '/api/admin/selectors/reload', '200', {
+      success: true,
+      profile: profile.describe(),
+      previousVersion: '2026.09.1',
+    });
+    assertResponse('post', '/api/admin/selectors/reload', '422', errorResponse(new ScraperError(
+      'INVALID_SELECTOR_PROFILE',
+      'Invalid selector profile: version: must be a non-empty string',
+      { errors: ['version: must be a non-empty string'] },
+    )));
+  });
+
+  it('jobs and errors', async () => {
+    const jobs = createJobQueue({
+      run: async ({ fail }, { onProgress }) => {
+        onProgress({ loadedArticles: 4, postsTarget: 10 });
+        if (fail) throw new ScraperError('EXTRACTION_EMPTY', 'No posts');
+        return 'ok';
+      },
+    });
+    const queued = jobs.submit({ pageUrl: 'https://www.facebook.com/acmecoffee' });
+    assertResponse('post', '/api/scrape', '202', {
+      success: true,
+      job: jobs.describe(queued),
+      links: { status: `/api/jobs/${queued.id}`, result: `/api/jobs/${queued.id}/result` },
+    });
+    const failed = jobs.submit({ fail: true });
+    await Promise.all([queued.done, failed.done]);
+    assertResponse('get', '/api/jobs/{id}', '200', { success: true, job: jobs.describe(failed) });
+
+    assertResponse('get', '/api/jobs/{id}/result', '502', errorResponse(failed.error));
+    assertResponse('post', '/api/scrape', '400', errorResponse(new ScraperError('INVALID_REQUEST', 'pageUrl is required', [
+      { field: 'pageUrl', message: 'pageUrl is required' },
+    ])));
+    assertResponse('get', '/api/jobs/{id}', '404', errorResponse(new Error('boom'), { includeStack: true }));
+  });
+
+  describe('stored objects', () => {
+    let dir;
+
+    after(async () => {
+      if (dir) await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('api keys, accounts, schedules and history', async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-openapi-'));
+
+      const keys = createKeyStore({ file: path.join(dir, 'keys.json'), defaults: { rateLimitPerMinute: 60, dailyQuota: null } });
+      await keys.load();
+      const { key, record } = await keys.create({ name: 'dashboard' });
+      assertResponse('post', '/api/admin/keys', '201', { success: true, key, apiKey: record });
+      assertResponse('get', '/api/admin/keys', '200', { success: true, keys: keys.list() });
+
+      const sessions = createSessionStore({
+        file: path.join(dir, 'sessions.json'),
+        secret: 'test-key',
+        accounts: [{ name: 'main', email: 'main@example.com', password: 'pw' }],
+      });
+      await sessions.load();
+      const account = await sessions.importCookies('spare', [
+        { name: 'c_user', value: '1', domain: '.facebook.com' },
+        { name: 'xs', value: '2', domain: '.facebook.com' },
+      ]);
+      assertResponse('post', '/api/admin/accounts/{name}/cookies', '200', { success: true, account });
+      sessions.reportFailure('main', new ScraperError('RATE_LIMITED', 'Blocked'));
+      assertResponse('get', '/api/admin/accounts', '200', { success: true, encrypted: true, accounts: sessions.list() });
+      await sessions.flush();
+
+      const scheduler = createScheduler({ file: path.join(dir, 'schedules.json'), runSchedule: () => null });
+      const schedule = await scheduler.create({
+        cron: '0 */6 * * *',
+        pageUrl: 'https://www.facebook.com/acmecoffee',
+        options: { postsTarget: 10, includeComments: false },
+      });
+      assertResponse('post', '/api/schedules', '201', { success: true, schedule });
+      await scheduler.stop();
+
+      const store = createStore({ path: ':memory:' });
+      try {
+        const result = await scrapeResult();
+        store.saveRun({ page: result.page, posts: result.posts, scrapedAt: result.scraped_at });
+        const [page] = store.listPages();
+        assertResponse('get', '/api/pages', '200', { success: true, pages: [page] });
+        const { total, posts } = store.listPosts(page.id);
+        assertResponse('get', '/api/pages/{id}/posts', '200', { success: true, page, total, limit: 50, offset: 0, posts });
+        assertResponse('get', '/api/posts/{id}/history', '200', {
+          success: true,
+          post: store.getPost('111'),
+          history: store.getPostHistory('111'),
+        });
+      } finally {
+        store.close();
+      }
+    });
+  });
+});
+
+describe('fixture scrape matches the OpenAPI document', { skip }, () => {
+  after(async () => {
+    await browser?.close();
+  });
+
+  it('runs the pipeline on a saved feed', async () => {
+    const data = await runScrapePipeline({
+      browser,
+      FB_PAGE_URL: pathToFileURL(fixturePath('feed-en.html')).href,
+      OPEN_POSTS_TAB: false,
+      POSTS_TARGET: 3,
+      SCROLL_DELAY_MS: 10,
+      SCROLL_STALL_LIMIT: 1,
+      stages: { 'page-metadata': false },
+    });
+    assert.ok(data.posts.length > 0);
+    assertResponse('post', '/api/scrape', '200', { success: true, data });
+  });
+});
@@ -0,0 +1,78 @@
+// test/post-identity.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePostUrl, hashPostText, identifyPosts } from '../src/post-identity.js';
+
+describe('parsePostUrl', () => {
+  const cases = [
+    [
+      'https://www.facebook.com/mat3amalsham/posts/pfbid02xYz?__cft__[0]=AZX&__tn__=%2CO%2CP-R',
+      { postId: 'pfbid02xYz', permalink: 'https://www.facebook.com/mat3amalsham/posts/pfbid02xYz' },
+    ],
+    [
+      'https://www.facebook.com/acmecoffee/posts/1234567890/',
+      { postId: '1234567890', permalink: 'https://www.facebook.com/acmecoffee/posts/1234567890' },
+    ],
+    [
+      'https://www.facebook.com/permalink.php?story_fbid=pfbid0AbCdEf&id=100064000000000&__tn__=-R',
+      { postId: 'pfbid0AbCdEf', permalink: 'https://www.facebook.com/permalink.php?story_fbid=pfbid0AbCdEf&id=100064000000000' },
+    ],
+    [
+      'https://m.facebook.com/story.php?story_fbid=998877&id=123',
+      { postId: '998877', permalink: 'https://www.facebook.com/permalink.php?story_fbid=998877&id=123' },
+    ],
+    [
+      'https://www.facebook.com/groups/42/permalink/556677/',
+      { postId: '556677', permalink: 'https://www.facebook.com/groups/42/permalink/556677' },
+    ],
+    [
+      'https://www.facebook.com/acmecoffee/videos/roastery-tour/555000111/',
+      { postId: '555000111', permalink: 'https://www.facebook.com/acmecoffee/videos/555000111' },
+    ],
+    ['https://www.facebook.com/reel/7788990011', { postId: '7788990011', permalink: 'https://www.facebook.com/reel/7788990011' }],
+    ['https://www.facebook.com/watch/?v=1212', { postId: '1212', permalink: 'https://www.facebook.com/watch/?v=1212' }],
+    [
+      'https://www.facebook.com/photo/?fbid=3344&set=a.1',
+      { postId: '3344', permalink: 'https://www.facebook.com/photo/?fbid=3344' },
+    ],
+    ['/acmecoffee/posts/1234567890', { postId: '1234567890', permalink: 'https://www.facebook.com/acmecoffee/posts/1234567890' }],
+    ['https://www.facebook.com/acmecoffee', null],
+    ['https://example.com/acmecoffee/posts/1234567890', null],
+    ['#', null],
+    [null, null],
+  ];
+
+  for (const [href, expected] of cases) {
+    it(String(href), () => {
+      assert.deepEqual(parsePostUrl(href), expected);
+    });
+  }
+});
+
+describe('identifyPosts', () => {
+  it('uses the post ID as id and dedupes on it', () => {
+    const raw = [
+      { text: 'first version', reactions: 1, link: 'https://www.facebook.com/p/posts/111' },
+      { text: 'second render, text differs', reactions: 2, link: 'https://www.facebook.com/p/posts/111?__tn__=R' },
+      { text: 'another post', reactions: 3, link: 'https://www.facebook.com/p/posts/222' },
+    ];
+    assert.deepEqual(identifyPosts(raw), [
+      { id: '111', post_id: '111', permalink: 'https://www.facebook.com/p/posts/111', text: 'first version', reactions: 1 },
+      { id: '222', post_id: '222', permalink: 'https://www.facebook.com/p/posts/222', text: 'another post', reactions: 3 },
+    ]);
+  });
+
+  it('falls back to a text hash when no link was found', () => {
+    const raw = [
+      { text: 'no link here', link: null },
+      { text: 'no   link here ', link: null },
+      { text: 'different text', link: null },
+    ];
+    const posts = identifyPosts(raw);
+    assert.equal(posts.length, 2);
+    assert.equal(posts[0].id, `text:${hashPostText('no link here')}`);
+    assert.equal(posts[0].post_id, null);
+    assert.equal(posts[0].permalink, null);
+    assert.match(posts[1].id, /^text:[0-9a-f]{16}$/);
+  });
+});
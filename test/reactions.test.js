@@ -0,0 +1,108 @@
+// test/reactions.test.js
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchTestBrowser, openFixture } from './helpers/browser.js';
+import { extractPostsFromArticles } from '../src/extractors/posts.js';
+import { readReactionTabs } from '../src/extractors/reactions.js';
+import { getSelectorProfile } from '../src/selectors.js';
+import { normalizeReactionBreakdown, scrapeReactionBreakdown } from '../src/reactions.js';
+import { summarizePosts } from '../src/stages/summarize.js';
+
+const { browser, skip } = await launchTestBrowser();
+const profile = getSelectorProfile().inPage;
+
+describe('normalizeReactionBreakdown', () => {
+  it('fills every reaction type', () => {
+    assert.deepEqual(normalizeReactionBreakdown({ like: 3, wow: 1 }), {
+      like: 3, love: 0, care: 0, haha: 0, wow: 1, sad: 0, angry: 0,
+    });
+  });
+
+  it('keeps null when the post has no breakdown', () => {
+    assert.equal(normalizeReactionBreakdown(null), null);
+  });
+});
+
+describe('summarizePosts reaction types', () => {
+  const posts = [
+    { reactions: 155, comments: 9, shares: 0, total_engagement: 164, reactions_by_type: normalizeReactionBreakdown({ like: 120, love: 30, haha: 5 }) },
+    { reactions: 45, comments: 12, shares: 0, total_engagement: 57, reactions_by_type: normalizeReactionBreakdown({ like: 45 }) },
+    { reactions: 18, comments: 0, shares: 0, total_engagement: 18, reactions_by_type: null },
+  ];
+
+  it('totals each type over posts with a breakdown', () => {
+    assert.deepEqual(summarizePosts(posts).reactions_by_type, {
+      like: 165, love: 30, care: 0, haha: 5, wow: 0, sad: 0, angry: 0,
+    });
+  });
+
+  it('reports each type as a fraction of the typed total', () => {
+    const { reactions_share: share } = summarizePosts(posts);
+    assert.deepEqual(share, { like: 0.825, love: 0.15, care: 0, haha: 0.025, wow: 0, sad: 0, angry: 0 });
+  });
+
+  it('reports zero shares without any breakdown', () => {
+    const summary = summarizePosts([{ reactions: 3, total_engagement: 3, reactions_by_type: null }]);
+    assert.equal(summary.reactions_share.like, 0);
+    assert.equal(summary.reactions_by_type.like, 0);
+  });
+});
+
+describe('reaction breakdown extraction', { skip }, () => {
+  after(async () => {
+    await browser?.close();
+  });
+
+  it('reads per-type counts from the reaction summary labels of each post', async () => {
+    const page = await openFixture(browser, 'post-reactions.html');
+    try {
+      const posts = await page.$$eval('div[role="feed"] > div[role="article"]', extractPostsFromArticles, profile);
+      assert.deepEqual(
+        posts.map(({ reactions, reactions_by_type, comments, shares }) => ({ reactions, reactions_by_type, comments, shares })),
+        [
+          // "كل التفاعلات: ١٥٥ ١٥٥ ٩": the repeated total is not read as comments
+          { reactions: 155, reactions_by_type: { like: 120, love: 30, haha: 5 }, comments: 9, shares: 0 },
+          // No total shown: the typed labels add up to it; the comment's "Like: 7" is not counted
+          {
+            reactions: 1558,
+            reactions_by_type: { like: 1200, love: 340, care: 12, wow: 3, sad: 1, angry: 2 },
+            comments: 25,
+            shares: 0,
+          },
+        ],
+      );
+    } finally {
+      await page.close();
+    }
+  });
+
+  it('reads the reactions dialog tabs, skipping "All"', async () => {
+    const page = await openFixture(browser, 'post-reactions.html');
+    try {
+      const dialog = await page.$('div[role="dialog"]');
+      assert.deepEqual(await dialog.evaluate(readReactionTabs, profile), { like: 120, love: 30, haha: 5, care: 1100 });
+    } finally {
+      await page.close();
+    }
+  });
+
+  it('opens the dialog from the post and closes it again', async () => {
+    const page = await openFixture(browser, 'post-reactions.html');
+    try {
+      const breakdown = await scrapeReactionBreakdown(page, { post_id: '223344556677' }, { delayMs: 50 });
+      assert.deepEqual(breakdown, { like: 120, love: 30, care: 1100, haha: 5, wow: 0, sad: 0, angry: 0 });
+      assert.equal(await page.$('div[role="dialog"]'), null, 'dialog is closed afterwards');
+    } finally {
+      await page.close();
+    }
+  });
+
+  it('returns null when the post is not in the feed', async () => {
+    const page = await openFixture(browser, 'post-reactions.html');
+    try {
+      assert.equal(await scrapeReactionBreakdown(page, { post_id: '000' }, { delayMs: 50 }), null);
+    } finally {
+      await page.close();
+    }
+  });
+});
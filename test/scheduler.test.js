@@ -0,0 +1,150 @@
+// test/scheduler.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createScheduler } from '../src/scheduler.js';
+
+/** Fake queue job that finishes when `finish(status)` is called */
+function fakeJob(id) {
+  let resolveDone;
+  const job = {
+    id,
+    status: 'running',
+    error: null,
+    done: new Promise((resolve) => { resolveDone = resolve; }),
+    finish(status, error = null) {
+      job.status = status;
+      job.error = error;
+      resolveDone();
+    },
+  };
+  return job;
+}
+
+describe('createScheduler', () => {
+  let dir;
+  let file;
+  let started;
+  let scheduler;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-schedules-'));
+    file = path.join(dir, 'schedules.json');
+    started = [];
+    scheduler = createScheduler({
+      file,
+      runSchedule: (schedule) => {
+        const job = fakeJob(`job-${started.length + 1}`);
+        started.push({ schedule, job });
+        return job;
+      },
+    });
+    await scheduler.start();
+  });
+
+  afterEach(async () => {
+    await scheduler.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('creates schedules with their next run time', async () => {
+    const schedule = await scheduler.create({
+      cron: '0 6 * * *',
+      cronTimezone: 'Asia/Riyadh',
+      pageUrl: 'https://www.facebook.com/mat3amalsham',
+      options: { postsTarget: 5 },
+    });
+    assert.ok(Date.parse(schedule.nextRunAt) > Date.now());
+    assert.deepEqual(scheduler.list().map((s) => s.id), [schedule.id]);
+    assert.equal(schedule.lastRun, null);
+  });
+
+  it('rejects invalid cron expressions and timezones', async () => {
+    await assert.rejects(scheduler.create({ cron: 'every day', pageUrl: 'https://www.facebook.com/x' }));
+    await assert.rejects(scheduler.create({ cron: '0 6 * * *', cronTimezone: 'Mars/Olympus', pageUrl: 'https://www.facebook.com/x' }));
+    assert.equal(scheduler.list().length, 0);
+  });
+
+  it('records the last run and skips while the same page is still running', async () => {
+    const pageUrl = 'https://www.facebook.com/mat3amalsham';
+    const a = await scheduler.create({ cron: '*/5 * * * *', pageUrl });
+    const b = await scheduler.create({ cron: '*/10 * * * *', pageUrl });
+
+    const firstRun = scheduler.trigger(a.id);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(a.lastRun.status, 'running');
+    assert.equal(a.lastRun.jobId, 'job-1');
+
+    await scheduler.trigger(b.id);
+    assert.equal(started.length, 1, 'second schedule of the same page did not start a job');
+    assert.equal(b.lastRun.status, 'skipped');
+
+    started[0].job.finish('failed', new Error('Navigation timeout'));
+    await firstRun;
+    assert.equal(a.lastRun.status, 'failed');
+    assert.equal(a.lastRun.error, 'Navigation timeout');
+    assert.ok(a.lastRun.finishedAt);
+  });
+
+  it('persists schedules and last-run status across restarts', async () => {
+    const schedule = await scheduler.create({ cron: '0 * * * *', pageUrl: 'https://www.facebook.com/acmecoffee' });
+    scheduler.trigger(schedule.id);
+    await new Promise((resolve) => setImmediate(resolve));
+    await scheduler.stop();
+
+    // The server went down while the run was in progress
+    const restarted = createScheduler({ file, runSchedule: () => fakeJob('x') });
+    await restarted.start();
+    try {
+      const [reloaded] = restarted.list();
+      assert.equal(reloaded.id, schedule.id);
+      assert.equal(reloaded.cron, '0 * * * *');
+      assert.equal(reloaded.lastRun.status, 'interrupted');
+      assert.ok(reloaded.nextRunAt);
+    } finally {
+      await restarted.stop();
+      started[0].job.finish('cancelled');
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  });
+
+  it('pauses schedules whose API key is no longer usable instead of running them', async () => {
+    const revoked = new Set();
+    const runs = [];
+    const keyed = createScheduler({
+      file: path.join(dir, 'keyed.json'),
+      runSchedule: (schedule) => {
+        runs.push(schedule.id);
+        return fakeJob(`job-${runs.length}`);
+      },
+      pauseReason: (schedule) => (revoked.has(schedule.apiKeyId) ? `API key ${schedule.apiKeyId} was revoked` : null),
+    });
+    await keyed.start();
+    try {
+      const schedule = await keyed.create({ cron: '0 * * * *', pageUrl: 'https://www.facebook.com/acmecoffee', apiKeyId: 'k1' });
+      revoked.add('k1');
+      await keyed.trigger(schedule.id);
+
+      assert.deepEqual(runs, []);
+      assert.equal(schedule.enabled, false);
+      assert.equal(schedule.nextRunAt, null);
+      assert.equal(schedule.lastRun.status, 'paused');
+      assert.equal(schedule.lastRun.reason, 'API key k1 was revoked');
+      assert.equal(keyed.stats().running, 0);
+    } finally {
+      await keyed.stop();
+    }
+    const saved = JSON.parse(await fs.readFile(path.join(dir, 'keyed.json'), 'utf-8'));
+    assert.equal(saved.schedules[0].enabled, false);
+  });
+
+  it('deletes schedules', async () => {
+    const schedule = await scheduler.create({ cron: '0 * * * *', pageUrl: 'https://www.facebook.com/acmecoffee' });
+    assert.equal(await scheduler.remove(schedule.id), true);
+    assert.equal(await scheduler.remove(schedule.id), false);
+    const saved = JSON.parse(await fs.readFile(file, 'utf-8'));
+    assert.deepEqual(saved.schedules, []);
+  });
+});
@@ -0,0 +1,112 @@
+// test/schemas.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSchemas, createValidators, describeSchema } from '../src/schemas.js';
+import { ScraperError, errorCode, httpStatus } from '../src/errors.js';
+import { pageIdFromUrl } from '../src/store.js';
+
+const schemas = createSchemas({ batchMaxPages: 3, batchMaxConcurrency: 2 });
+const validate = createValidators(schemas);
+
+/** The ScraperError a validator throws for `data` */
+function rejection(validator, data) {
+  try {
+    validator(data);
+  } catch (err) {
+    return err;
+  }
+  assert.fail('expected the request to be rejected');
+}
+
+describe('request validators', () => {
+  it('accepts a valid scrape body as is', () => {
+    const body = { pageUrl: 'https://www.facebook.com/acme', postsTarget: 25, stages: { 'page-metadata': false } };
+    assert.equal(validate.scrape(body), body);
+  });
+
+  it('rejects wrong types, ranges and URLs with field details', () => {
+    const err = rejection(validate.scrape, { pageUrl: 'https://example.com/acme', postsTarget: 'abc' });
+    assert.ok(err instanceof ScraperError);
+    assert.equal(err.code, 'INVALID_REQUEST');
+    assert.deepEqual(err.details.map((d) => d.field), ['pageUrl']);
+    assert.equal(err.message, 'pageUrl must be a facebook.com page URL');
+
+    assert.equal(rejection(validate.scrape, { pageUrl: 'https://facebook.com/a', postsTarget: 100000 }).details[0].field, 'postsTarget');
+    assert.equal(rejection(validate.scrape, { pageUrl: 'https://facebook.com/a', scrollDelayMs: -1 }).details[0].field, 'scrollDelayMs');
+  });
+
+  it('moves page URLs of every facebook.com and fb.com host onto www.facebook.com', () => {
+    for (const [pageUrl, expected] of [
+      ['https://www.facebook.com/acme', 'https://www.facebook.com/acme'],
+      ['http://facebook.com/profile.php?id=100064000000000', 'https://www.facebook.com/profile.php?id=100064000000000'],
+      ['https://m.facebook.com/acme', 'https://www.facebook.com/acme'],
+      ['https://mbasic.facebook.com/acme', 'https://www.facebook.com/acme'],
+      ['https://ar-ar.facebook.com/acme', 'https://www.facebook.com/acme'],
+      ['https://fb.com/acme', 'https://www.facebook.com/acme'],
+    ]) {
+      assert.equal(validate.scrape({ pageUrl }).pageUrl, expected, pageUrl);
+      assert.ok(pageIdFromUrl(expected), expected);
+    }
+    const { pages } = validate.batch({ pages: ['https://fb.com/a', { pageUrl: 'https://m.facebook.com/b' }] });
+    assert.deepEqual(pages, ['https://www.facebook.com/a', { pageUrl: 'https://www.facebook.com/b' }]);
+    assert.equal(rejection(validate.scrape, { pageUrl: 'https://facebook.com.evil.io/x' }).details[0].field, 'pageUrl');
+  });
+
+  it('takes http(s) webhook URLs only', () => {
+    const body = { pageUrl: 'https://facebook.com/a', webhookUrl: 'https://n8n.example.com/webhook/abc' };
+    assert.equal(validate.scrape(body), body);
+    for (const webhookUrl of ['ftp://example.com/x', 'not a url']) {
+      assert.equal(rejection(validate.scrape, { ...body, webhookUrl }).details[0].field, 'webhookUrl');
+    }
+  });
+
+  it('names unknown fields, missing fields and unknown stages', () => {
+    assert.equal(rejection(validate.scrape, { pageUrl: 'https://facebook.com/a', postTarget: 5 }).message, 'postTarget is not a known field');
+    assert.equal(rejection(validate.scrape, {}).message, 'pageUrl is required');
+    assert.equal(
+      rejection(validate.scrape, { pageUrl: 'https://facebook.com/a', stages: { nope: true } }).message,
+      'stages has an unknown key "nope"',
+    );
+  });
+
+  it('checks batch pages by index and applies the server limits', () => {
+    const err = rejection(validate.batch, {
+      pages: ['https://facebook.com/a', { pageUrl: 'https://facebook.com/b', webhookUrl: 'https://hooks.example.com' }],
+    });
+    assert.equal(err.details[0].field, 'pages[1].webhookUrl');
+    assert.equal(rejection(validate.batch, { pages: ['https://facebook.com/a'], concurrency: 3 }).details[0].field, 'concurrency');
+    assert.equal(rejection(validate.batch, { pages: Array(4).fill('https://facebook.com/a') }).details[0].field, 'pages');
+  });
+
+  it('coerces query strings and fills in their defaults', () => {
+    assert.deepEqual(validate.pagePostsQuery({ limit: '20' }), { limit: 20, offset: 0 });
+    assert.equal(rejection(validate.pagePostsQuery, { limit: '0' }).details[0].field, 'limit');
+    assert.equal(rejection(validate.deliveriesQuery, { status: 'lost' }).message, 'status must be one of "pending", "delivered", "failed"');
+  });
+});
+
+describe('describeSchema', () => {
+  it('documents type, requirement, default and range', () => {
+    const docs = describeSchema(schemas.scrape);
+    assert.match(docs.pageUrl, /^string \(required, must be a facebook\.com page URL\)/);
+    assert.match(docs.postsTarget, /^integer \(default: 10, 1-500\) - posts to load$/);
+    assert.equal(describeSchema(schemas.createKey).role, '"client" | "admin" (default: "client") - admin keys can manage keys');
+  });
+});
+
+describe('error codes', () => {
+  it('maps errors to codes and HTTP statuses', () => {
+    const notFound = new ScraperError('PAGE_NOT_FOUND', 'gone', { url: 'x' });
+    assert.equal(errorCode(notFound), 'PAGE_NOT_FOUND');
+    assert.equal(notFound.status, 404);
+    assert.equal(httpStatus(notFound), 404);
+
+    const timeout = new Error('Navigation timeout of 30000 ms exceeded');
+    timeout.name = 'TimeoutError';
+    assert.equal(errorCode(timeout), 'NAVIGATION_TIMEOUT');
+    assert.equal(httpStatus(timeout), 504);
+
+    assert.equal(errorCode(Object.assign(new Error('fs'), { code: 'ENOENT' })), 'INTERNAL_ERROR');
+    assert.equal(new ScraperError('NOT_A_CODE', 'x').status, 500);
+  });
+});
@@ -0,0 +1,92 @@
+// test/scrape-params.test.js
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createSchemas, createValidators, SCRAPE_DEFAULTS } from '../src/schemas.js';
+import { createScheduler } from '../src/scheduler.js';
+import {
+  pickScrapeParams,
+  checkScrapeParams,
+  scrapeBodyFromQuery,
+  scheduleFromBody,
+  scheduledRunParams,
+  toScraperOptions,
+} from '../src/scrape-params.js';
+
+const validate = createValidators(createSchemas());
+
+describe('scrape params', () => {
+  it('picks scrape options with their defaults and drops everything else', () => {
+    const params = pickScrapeParams({ pageUrl: 'https://www.facebook.com/acme', postsTarget: 5, cron: '0 6 * * *' });
+    assert.equal(params.postsTarget, 5);
+    assert.equal(params.scrollDelayMs, SCRAPE_DEFAULTS.scrollDelayMs);
+    assert.equal('cron' in params, false);
+  });
+
+  it('rejects unknown timezones and unparsable since dates', () => {
+    assert.throws(() => checkScrapeParams({ timezone: 'Mars/Olympus' }, 'pages[1]'), {
+      code: 'INVALID_REQUEST',
+      message: 'pages[1]: Unknown timezone: Mars/Olympus',
+    });
+    assert.throws(() => checkScrapeParams({ since: 'someday' }), { code: 'INVALID_REQUEST' });
+  });
+
+  it('decodes a query string into a request body', () => {
+    assert.deepEqual(scrapeBodyFromQuery({ postsTarget: '10', debug: '1', knownPostIds: 'a,b,', stages: '{"page-metadata":false}' }), {
+      postsTarget: 10,
+      debug: true,
+      knownPostIds: ['a', 'b'],
+      stages: { 'page-metadata': false },
+    });
+    assert.throws(() => scrapeBodyFromQuery({ stages: '{' }), { code: 'INVALID_REQUEST' });
+  });
+
+  it('saves the JSON for downloaded media and leaves `format` to the response', () => {
+    const params = pickScrapeParams({ pageUrl: 'https://www.facebook.com/acme', downloadMedia: true });
+    const options = toScraperOptions({ ...params, format: 'csv' });
+    assert.equal(options.SAVE_TO_FILE, true);
+    assert.equal(options.OUTPUT_FORMAT, 'json');
+  });
+});
+
+describe('scheduled runs', () => {
+  let dir;
+
+  after(async () => {
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('time the cron in cronTimezone and read post dates in timezone', async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-schedules-'));
+    const runs = [];
+    const scheduler = createScheduler({
+      file: path.join(dir, 'schedules.json'),
+      runSchedule: (schedule) => {
+        runs.push(toScraperOptions(scheduledRunParams(schedule)));
+        return { id: 'job-1', status: 'completed', done: Promise.resolve() };
+      },
+    });
+    await scheduler.start();
+
+    const input = scheduleFromBody(validate.schedule({
+      cron: '0 6 * * *',
+      cronTimezone: 'Europe/Paris',
+      timezone: 'Asia/Riyadh',
+      pageUrl: 'https://www.facebook.com/acme',
+      format: 'csv',
+    }));
+    const schedule = await scheduler.create({ ...input, apiKeyId: 'k1' });
+    assert.equal(schedule.cronTimezone, 'Europe/Paris');
+    await scheduler.trigger(schedule.id);
+    await scheduler.stop();
+
+    assert.equal(runs.length, 1);
+    assert.equal(scheduledRunParams(schedule).apiKeyId, 'k1', 'the job belongs to the key of the schedule');
+    assert.equal(runs[0].TIMEZONE, 'Asia/Riyadh');
+    assert.equal(runs[0].FB_PAGE_URL, 'https://www.facebook.com/acme');
+    assert.equal(runs[0].OUTPUT_FORMAT, 'csv');
+    assert.equal(runs[0].SAVE_TO_FILE, true);
+  });
+});
@@ -0,0 +1,192 @@
+// test/selectors.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  DEFAULT_SELECTORS_FILE,
+  REQUIRED_FIELDS,
+  parsePattern,
+  parseSelector,
+  createSelectorProfile,
+  loadSelectorProfile,
+  getSelectorProfile,
+  reloadSelectorProfile,
+  createSelectorReport,
+  findFirst,
+} from '../src/selectors.js';
+
+const SHIPPED = JSON.parse(readFileSync(DEFAULT_SELECTORS_FILE, 'utf-8'));
+
+/** The shipped profile with a couple of fields replaced */
+const PROFILE = {
+  version: 'test.1',
+  selectors: { ...SHIPPED.selectors, 'feed.article': ['div[role="article"]', 'article'] },
+  patterns: { ...SHIPPED.patterns, 'post.seeMore': ['/see more/i', '/عرض المزيد/'] },
+};
+
+/** Just enough of a page for findFirst: $(selector) -> handle or null */
+const fakePage = (present) => ({ $: async (selector) => (present.includes(selector) ? { selector } : null) });
+
+describe('parsePattern', () => {
+  it('reads "/source/flags"', () => {
+    const rx = parsePattern('/^(?:like|أعجبني)\\s*:/iu');
+    assert.equal(rx.source, '^(?:like|أعجبني)\\s*:');
+    assert.equal(rx.flags, 'iu');
+    assert.equal(parsePattern('/a/b/').source, 'a\\/b');
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => parsePattern('see more'), /must look like/);
+    assert.throws(() => parsePattern('/see more/x'), /must look like/);
+    assert.throws(() => parsePattern('/(/i'), /Invalid regular expression/);
+  });
+});
+
+describe('parseSelector', () => {
+  it('accepts selector lists and rejects broken syntax', () => {
+    parseSelector('div[role="dialog"] [aria-label="إغلاق"], span:not([x])');
+    assert.throws(() => parseSelector('div[role="article"'), /does not parse/);
+    assert.throws(() => parseSelector('a,,b'), /does not parse/);
+  });
+});
+
+describe('createSelectorProfile', () => {
+  it('gives each field its fallbacks in order', () => {
+    const profile = createSelectorProfile(PROFILE, { file: 'p.json' });
+    assert.equal(profile.version, 'test.1');
+    assert.deepEqual(profile.selectors('feed.article'), ['div[role="article"]', 'article']);
+    assert.deepEqual(profile.patterns('post.seeMore').map((rx) => rx.test('See more')), [true, false]);
+    assert.deepEqual(profile.inPage, { version: 'test.1', ...PROFILE });
+    assert.equal(profile.describe().file, 'p.json');
+  });
+
+  it('throws on fields the profile does not have', () => {
+    const profile = createSelectorProfile(PROFILE);
+    assert.throws(() => profile.selectors('post.nope'), /has no selectors "post\.nope"/);
+  });
+
+  it('lists every problem of an invalid profile', () => {
+    const { 'post.time': _, ...selectors } = PROFILE.selectors;
+    assert.throws(() => createSelectorProfile({
+      version: '',
+      selectors: { ...selectors, 'feed.article': [], dialog: ['div', ''], 'page.name': ['h1', 'h1[role'] },
+      patterns: { ...PROFILE.patterns, 'post.seeMore': ['see more'] },
+    }), (e) => {
+      assert.deepEqual(e.details, [
+        'version: must be a non-empty string',
+        'selectors.post.time: missing',
+        'selectors.feed.article: must be a non-empty array',
+        'selectors.page.name[1]: Selector "h1[role" does not parse: Attribute selector didn\'t terminate',
+        'selectors.dialog[1]: must be a non-empty string',
+        'patterns.post.seeMore[0]: Pattern "see more" must look like "/source/flags"',
+      ]);
+      return true;
+    });
+    assert.throws(() => createSelectorProfile([]), /must be a JSON object/);
+  });
+
+  it('ships a valid default profile', () => {
+    const profile = loadSelectorProfile(DEFAULT_SELECTORS_FILE);
+    assert.match(profile.version, /^\d{4}\.\d{2}\.\d+$/);
+    assert.deepEqual(Object.keys(SHIPPED.selectors).sort(), [...REQUIRED_FIELDS.selectors].sort());
+    assert.deepEqual(Object.keys(SHIPPED.patterns).sort(), [...REQUIRED_FIELDS.patterns].sort());
+    for (const field of ['feed.article', 'dialog', 'dialog.close', 'login.email', 'comment.article']) {
+      assert.ok(profile.selectors(field).length > 0, field);
+    }
+    for (const type of ['like', 'love', 'care', 'haha', 'wow', 'sad', 'angry']) {
+      assert.ok(profile.patterns(`reaction.${type}`)[0].test(type), type);
+    }
+  });
+});
+
+describe('createSelectorReport', () => {
+  it('keeps the best fallback of each field and lists the drifted ones', () => {
+    const report = createSelectorReport(createSelectorProfile(PROFILE));
+    report.record('feed.article', 1);
+    report.record('feed.article', 0);
+    report.record('feed.article', null);
+    report.merge({ 'post.seeMore': 1, dialog: null });
+    assert.deepEqual(report.toJSON(), {
+      version: 'test.1',
+      matched: { 'feed.article': 0, 'post.seeMore': 1, dialog: null },
+      drift: ['dialog', 'post.seeMore'],
+    });
+  });
+});
+
+describe('findFirst', () => {
+  it('tries the fallbacks in order and records the one that matched', async () => {
+    const profile = createSelectorProfile(PROFILE);
+    const report = createSelectorReport(profile);
+    assert.deepEqual(await findFirst(fakePage(['article']), profile, 'feed.article', report), {
+      handle: { selector: 'article' },
+      index: 1,
+      selector: 'article',
+    });
+    assert.equal(await findFirst(fakePage([]), profile, 'feed.article'), null);
+    assert.deepEqual(report.toJSON().matched, { 'feed.article': 1 });
+  });
+});
+
+describe('reloadSelectorProfile', () => {
+  let dir;
+  let file;
+  const previousEnv = process.env.SELECTORS_FILE;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-selectors-'));
+    file = path.join(dir, 'selectors.json');
+  });
+
+  after(async () => {
+    if (previousEnv === undefined) delete process.env.SELECTORS_FILE;
+    else process.env.SELECTORS_FILE = previousEnv;
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('switches to the edited file and keeps the old profile when the new one is invalid', async () => {
+    await fs.writeFile(file, JSON.stringify(PROFILE));
+    process.env.SELECTORS_FILE = file;
+    const first = reloadSelectorProfile();
+    assert.equal(first.profile.file, file);
+
+    await fs.writeFile(file, JSON.stringify({ ...PROFILE, version: 'test.2' }));
+    const { profile, previousVersion } = reloadSelectorProfile();
+    assert.equal(profile.version, 'test.2');
+    assert.equal(previousVersion, first.profile.version);
+    assert.equal(getSelectorProfile(), profile);
+
+    await fs.writeFile(file, '{ "version": "test.3", ');
+    assert.throws(() => reloadSelectorProfile(), (err) => {
+      assert.match(err.message, /Cannot read selector profile/);
+      assert.equal(err.details.length, 1);
+      return true;
+    });
+    assert.equal(getSelectorProfile().version, 'test.2');
+  });
+
+  it('keeps the active profile when the new one lacks a required field or has a broken selector', async () => {
+    await fs.writeFile(file, JSON.stringify(PROFILE));
+    process.env.SELECTORS_FILE = file;
+    const { profile: active } = reloadSelectorProfile();
+
+    const { 'post.time': _, ...selectors } = PROFILE.selectors;
+    await fs.writeFile(file, JSON.stringify({ ...PROFILE, version: 'test.4', selectors }));
+    assert.throws(() => reloadSelectorProfile(), (err) => {
+      assert.deepEqual(err.details, ['selectors.post.time: missing']);
+      return true;
+    });
+    assert.equal(getSelectorProfile(), active);
+
+    await fs.writeFile(file, JSON.stringify({
+      ...PROFILE,
+      version: 'test.5',
+      selectors: { ...PROFILE.selectors, 'post.time': ['time[datetime'] },
+    }));
+    assert.throws(() => reloadSelectorProfile(), /post\.time\[0\]: Selector "time\[datetime" does not parse/);
+    assert.equal(getSelectorProfile(), active);
+    assert.deepEqual(getSelectorProfile().selectors('post.time'), SHIPPED.selectors['post.time']);
+  });
+});
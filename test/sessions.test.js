@@ -0,0 +1,226 @@
+// test/sessions.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { accountsFromEnv, createSessionStore, normalizeCookies } from '../src/sessions.js';
+import { createBrowserPool } from '../src/browser-pool.js';
+import { ScraperError } from '../src/errors.js';
+
+const COOKIES = [
+  { name: 'c_user', value: '100001', domain: '.facebook.com', path: '/', expires: 1893456000, httpOnly: false, secure: true },
+  { name: 'xs', value: 'secret-session-token', domain: '.facebook.com', path: '/', expires: 1893456000, httpOnly: true, secure: true },
+];
+
+const ACCOUNTS = [
+  { name: 'main', email: 'main@example.com', password: 'pw1' },
+  { name: 'backup', email: 'backup@example.com', password: 'pw2' },
+];
+
+describe('createSessionStore', () => {
+  let dir;
+  let file;
+  let clock;
+  let sessions;
+
+  const open = async (options = {}) => {
+    const store = createSessionStore({ file, secret: 'test-key', accounts: ACCOUNTS, now: () => clock, ...options });
+    await store.load();
+    return store;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-sessions-'));
+    file = path.join(dir, 'sessions.json');
+    clock = Date.parse('2026-03-01T12:00:00Z');
+    sessions = await open();
+  });
+
+  afterEach(async () => {
+    await sessions.flush();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('encrypts cookies at rest and never writes passwords', async () => {
+    await sessions.saveCookies('main', COOKIES);
+    await sessions.flush();
+    const saved = await fs.readFile(file, 'utf-8');
+    assert.ok(!saved.includes('secret-session-token'));
+    assert.ok(!saved.includes('pw1'));
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+
+    const reopened = await open();
+    assert.deepEqual(reopened.session('main').cookies, COOKIES);
+    assert.equal(reopened.session('main').password, 'pw1');
+
+    const wrongKey = await open({ secret: 'other-key' });
+    assert.equal(wrongKey.session('main').cookies, null);
+  });
+
+  it('keeps cookies in memory only without a key', async () => {
+    const plain = await open({ secret: '' });
+    await plain.saveCookies('main', COOKIES);
+    await plain.flush();
+    assert.ok(!(await fs.readFile(file, 'utf-8')).includes('secret-session-token'));
+    assert.deepEqual(plain.session('main').cookies, COOKIES);
+    assert.equal(plain.stats().encrypted, false);
+  });
+
+  it('rotates between accounts and rests a rate-limited one', async () => {
+    assert.equal(sessions.pick(), 'main');
+    assert.equal(sessions.pick(), 'backup');
+    assert.equal(sessions.pick(), 'main');
+
+    assert.ok(sessions.reportFailure('main', new ScraperError('RATE_LIMITED', 'Blocked')));
+    const main = sessions.get('main');
+    assert.equal(main.status, 'rate-limited');
+    assert.equal(main.available, false);
+    assert.deepEqual(main.lastFailure, { code: 'RATE_LIMITED', message: 'Blocked' });
+    assert.equal(main.cooldownUntil, '2026-03-01T12:30:00.000Z');
+
+    assert.equal(sessions.pick(), 'backup');
+    assert.equal(sessions.pick(), 'backup');
+    assert.equal(sessions.pick({ exclude: ['backup'] }), null);
+
+    clock += 30 * 60 * 1000;
+    assert.equal(sessions.pick({ exclude: ['backup'] }), 'main');
+  });
+
+  it('carries on the rotation after a restart', async () => {
+    assert.equal(sessions.pick(), 'main');
+    await sessions.flush();
+    const reopened = await open();
+    assert.equal(reopened.get('main').lastUsedAt, '2026-03-01T12:00:00.000Z');
+    assert.equal(reopened.pick(), 'backup');
+    assert.equal(reopened.pick(), 'main');
+  });
+
+  it('records validations and ignores failures that are not the account\'s fault', async () => {
+    await sessions.reportSuccess('backup');
+    assert.equal(sessions.get('backup').status, 'active');
+    assert.equal(sessions.get('backup').lastValidatedAt, '2026-03-01T12:00:00.000Z');
+
+    assert.equal(sessions.reportFailure('backup', new ScraperError('PAGE_NOT_FOUND', 'Gone')), false);
+    assert.equal(sessions.get('backup').status, 'active');
+  });
+
+  it('keeps a checkpointed account out until fresh cookies are imported', async () => {
+    await sessions.saveCookies('main', COOKIES);
+    sessions.reportFailure('main', new ScraperError('CHECKPOINT_REQUIRED', 'Checkpoint'));
+    assert.equal(sessions.session('main').cookies, null);
+    clock += 24 * 60 * 60 * 1000;
+    assert.equal(sessions.isAvailable('main'), false);
+
+    const account = await sessions.importCookies('main', COOKIES);
+    assert.equal(account.status, 'unknown');
+    assert.equal(account.available, true);
+    assert.equal(account.cookies, 2);
+  });
+
+  it('keeps the cookies of a login that stopped on a consent wall or an unreadable page', async () => {
+    await sessions.saveCookies('main', COOKIES);
+    await sessions.reportSuccess('main');
+    for (const state of ['consent-wall', 'unknown']) {
+      assert.ok(sessions.reportFailure('main', new ScraperError('LOGIN_FAILED', 'Could not confirm the login', { state })));
+    }
+    const main = sessions.get('main');
+    assert.equal(main.status, 'active');
+    assert.equal(main.available, true);
+    assert.deepEqual(main.lastFailure, { code: 'LOGIN_FAILED', message: 'Could not confirm the login' });
+    assert.deepEqual(sessions.session('main').cookies, COOKIES);
+
+    sessions.reportFailure('main', new ScraperError('LOGIN_FAILED', 'Session is gone', { state: 'login-required' }));
+    assert.equal(sessions.get('main').status, 'logged-out');
+    assert.equal(sessions.session('main').cookies, null);
+  });
+
+  it('creates cookie-only accounts on import and fails over when all are down', async () => {
+    const account = await sessions.importCookies('spare', COOKIES);
+    assert.equal(account.hasCredentials, false);
+    assert.equal(account.email, null);
+
+    sessions.reportFailure('spare', new ScraperError('LOGIN_FAILED', 'Expired', { state: 'login-form' }));
+    assert.equal(sessions.get('spare').unavailableReason, 'logged out: import fresh cookies');
+    sessions.reportFailure('main', new ScraperError('RATE_LIMITED', 'Blocked'));
+    sessions.reportFailure('backup', new ScraperError('LOGIN_FAILED', 'Rejected', { state: 'wrong-password' }));
+    assert.equal(sessions.pick(), null);
+    assert.equal(sessions.noAccountError().code, 'NO_ACCOUNT_AVAILABLE');
+    assert.deepEqual(sessions.stats(), { accounts: 3, available: 0, encrypted: true });
+
+    await assert.rejects(sessions.importCookies('../evil', COOKIES), { code: 'INVALID_REQUEST' });
+    assert.throws(() => sessions.session('nobody'), { code: 'NOT_FOUND' });
+  });
+
+  it('imports the legacy plaintext cookies.json into "default"', async () => {
+    const legacy = path.join(dir, 'cookies.json');
+    await fs.writeFile(legacy, JSON.stringify(COOKIES));
+    const store = await open({ accounts: [], legacyCookiesFile: legacy });
+    assert.deepEqual(store.session('default').cookies, COOKIES);
+    assert.equal(store.pick(), 'default');
+  });
+});
+
+describe('normalizeCookies', () => {
+  it('reads browser extension exports', () => {
+    const [cUser, xs] = normalizeCookies([
+      { name: 'c_user', value: '1', domain: '.facebook.com', expirationDate: 1893456000.5, sameSite: 'no_restriction', secure: true },
+      { name: 'xs', value: '2', domain: 'www.facebook.com', session: true, sameSite: 'lax', httpOnly: true },
+      { name: 'tracker', value: '3', domain: '.example.com' },
+    ]);
+    assert.deepEqual(cUser, {
+      name: 'c_user', value: '1', domain: '.facebook.com', path: '/', expires: 1893456000.5, httpOnly: false, secure: true, sameSite: 'None',
+    });
+    assert.equal(xs.expires, undefined);
+    assert.equal(xs.sameSite, 'Lax');
+  });
+
+  it('rejects files without a logged-in session', () => {
+    assert.throws(() => normalizeCookies([COOKIES[0]]), (err) => err.code === 'INVALID_REQUEST' && /missing xs/.test(err.message));
+    assert.throws(() => normalizeCookies({}), { code: 'INVALID_REQUEST' });
+  });
+});
+
+describe('accountsFromEnv', () => {
+  it('reads FB_ACCOUNTS and FB_EMAIL / FB_PASSWORD', () => {
+    assert.deepEqual(accountsFromEnv({
+      FB_ACCOUNTS: JSON.stringify([{ name: 'main', email: 'a@example.com', password: 'x' }]),
+      FB_EMAIL: 'b@example.com',
+      FB_PASSWORD: 'y',
+    }).map((a) => a.name), ['main', 'default']);
+    assert.deepEqual(accountsFromEnv({}), []);
+    assert.throws(() => accountsFromEnv({ FB_ACCOUNTS: '{' }), /FB_ACCOUNTS/);
+    assert.throws(() => accountsFromEnv({ FB_ACCOUNTS: '[{"name":"a b"}]' }), /FB_ACCOUNTS/);
+  });
+});
+
+describe('browser pool with accounts', () => {
+  it('relaunches with another account once the current one is blocked', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fb-sessions-'));
+    const sessions = createSessionStore({ file: path.join(dir, 'sessions.json'), accounts: ACCOUNTS });
+    await sessions.load();
+
+    const fakeBrowser = () => Object.assign(new EventEmitter(), { connected: true, close: async () => {} });
+    const pool = createBrowserPool({
+      size: 1,
+      sessions,
+      launch: async () => ({ browser: fakeBrowser(), account: sessions.pick() }),
+      newPage: async () => ({ close: async () => {} }),
+    });
+    try {
+      const first = await pool.acquire();
+      assert.equal(first.account, 'main');
+      sessions.reportFailure('main', new ScraperError('RATE_LIMITED', 'Blocked'));
+      await first.release();
+
+      const second = await pool.acquire();
+      assert.equal(second.account, 'backup');
+      await second.release();
+    } finally {
+      await pool.shutdown();
+      await sessions.flush();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
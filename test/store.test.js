@@ -0,0 +1,118 @@
+// test/store.test.js
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStore, pageIdFromUrl } from '../src/store.js';
+
+const page = { url: 'https://www.facebook.com/mat3amalsham', name: 'مطعم الشام', followers: 3400, likes: 1200 };
+
+const post = (id, reactions, comments, shares, extra = {}) => ({
+  id,
+  post_id: id.startsWith('text:') ? null : id,
+  permalink: id.startsWith('text:') ? null : `https://www.facebook.com/mat3amalsham/posts/${id}`,
+  text: `post ${id}`,
+  date: '٣ س',
+  dateISO: '2024-05-01T09:00:00.000Z',
+  reactions,
+  comments,
+  shares,
+  total_engagement: reactions + comments + shares,
+  reactions_by_type: null,
+  ...extra,
+});
+
+describe('pageIdFromUrl', () => {
+  it('uses the vanity name or the profile id', () => {
+    assert.equal(pageIdFromUrl('https://www.facebook.com/Mat3amAlSham/'), 'mat3amalsham');
+    assert.equal(pageIdFromUrl('https://m.facebook.com/acmecoffee/posts?ref=page'), 'acmecoffee');
+    assert.equal(pageIdFromUrl('https://www.facebook.com/profile.php?id=100064000000000&sk=posts'), '100064000000000');
+  });
+
+  it('rejects non-Facebook URLs', () => {
+    assert.equal(pageIdFromUrl('https://example.com/acme'), null);
+    assert.equal(pageIdFromUrl('not a url'), null);
+  });
+});
+
+describe('createStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore({ path: ':memory:' });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  it('upserts pages and posts and keeps one snapshot per post per run', () => {
+    store.saveRun({
+      page,
+      posts: [post('111', 10, 2, 0), post('222', 5, 0, 1)],
+      scrapedAt: '2024-05-01T12:00:00.000Z',
+    });
+    const { pageId, runId } = store.saveRun({
+      page: { ...page, followers: 3500 },
+      posts: [post('111', 25, 4, 1, { reactions_by_type: { like: 20, love: 5 } })],
+      scrapedAt: '2024-05-02T12:00:00.000Z',
+    });
+
+    assert.equal(pageId, 'mat3amalsham');
+    assert.equal(runId, 2);
+
+    const [stored] = store.listPages();
+    assert.equal(stored.followers, 3500);
+    assert.equal(stored.posts_count, 2);
+    assert.equal(stored.runs_count, 2);
+    assert.equal(stored.first_seen_at, '2024-05-01T12:00:00.000Z');
+    assert.equal(stored.last_scraped_at, '2024-05-02T12:00:00.000Z');
+
+    assert.deepEqual(store.getPostHistory('111'), [
+      {
+        run_id: 1,
+        scraped_at: '2024-05-01T12:00:00.000Z',
+        reactions: 10,
+        comments: 2,
+        shares: 0,
+        total_engagement: 12,
+        reactions_by_type: null,
+      },
+      {
+        run_id: 2,
+        scraped_at: '2024-05-02T12:00:00.000Z',
+        reactions: 25,
+        comments: 4,
+        shares: 1,
+        total_engagement: 30,
+        reactions_by_type: { like: 20, love: 5 },
+      },
+    ]);
+    assert.equal(store.getPostHistory('222').length, 1);
+  });
+
+  it('returns posts with their latest metrics', () => {
+    store.saveRun({ page, posts: [post('111', 10, 2, 0)], scrapedAt: '2024-05-01T12:00:00.000Z' });
+    store.saveRun({ page, posts: [post('111', 25, 4, 1)], scrapedAt: '2024-05-02T12:00:00.000Z' });
+
+    const { total, posts } = store.listPosts('mat3amalsham');
+    assert.equal(total, 1);
+    assert.equal(posts[0].reactions, 25);
+    assert.equal(posts[0].first_seen_at, '2024-05-01T12:00:00.000Z');
+    assert.equal(posts[0].last_seen_at, '2024-05-02T12:00:00.000Z');
+    assert.equal(posts[0].permalink, 'https://www.facebook.com/mat3amalsham/posts/111');
+  });
+
+  it('keeps the first resolved date of a post', () => {
+    store.saveRun({ page, posts: [post('111', 1, 0, 0)] });
+    store.saveRun({ page, posts: [post('111', 1, 0, 0, { date: '1d', dateISO: '2024-05-01T20:00:00.000Z' })] });
+    assert.equal(store.getPost('111').dateISO, '2024-05-01T09:00:00.000Z');
+    assert.equal(store.getPost('111').date, '1d');
+  });
+
+  it('stores text-hash posts and rejects unknown pages', () => {
+    store.saveRun({ page, posts: [post('text:0a1b2c3d4e5f6a7b', 3, 0, 0)] });
+    assert.equal(store.getPostHistory('text:0a1b2c3d4e5f6a7b').length, 1);
+    assert.deepEqual(store.getPostHistory('missing'), []);
+    assert.equal(store.getPage('missing'), null);
+    assert.throws(() => store.saveRun({ page: { url: 'https://example.com/x' }, posts: [] }), /Cannot derive a page ID/);
+  });
+});
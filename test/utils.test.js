@@ -0,0 +1,62 @@
+// test/utils.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCount, parseDateToISO } from '../src/utils.js';
+
+describe('parseCount', () => {
+  const cases = [
+    ['42', 42],
+    ['2.3K', 2300],
+    ['1M', 1_000_000],
+    ['3 b', 3_000_000_000],
+    ['١٢٥', 125],
+    ['٢٫٨ ألف', 2800],
+    ['٣ آلاف', 3000],
+    ['١٫٥ مليون', 1_500_000],
+    ['', null],
+    [null, null],
+    ['لا يوجد', null],
+  ];
+
+  for (const [input, expected] of cases) {
+    it(`${JSON.stringify(input)} -> ${expected}`, () => {
+      assert.equal(parseCount(input), expected);
+    });
+  }
+});
+
+describe('parseDateToISO', () => {
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+
+  /** Assert an ISO string is `ms` before now, give or take a few seconds */
+  function assertAgo(iso, ms) {
+    assert.ok(iso, 'expected a date');
+    const delta = Date.now() - Date.parse(iso);
+    assert.ok(Math.abs(delta - ms) < 5000, `expected ~${ms}ms ago, got ${delta}ms`);
+  }
+
+  it('passes ISO timestamps through', () => {
+    assert.equal(parseDateToISO('2024-03-01T10:00:00Z'), '2024-03-01T10:00:00.000Z');
+  });
+
+  it('reads Arabic relative hours and days', () => {
+    assertAgo(parseDateToISO('٣ س'), 3 * HOUR);
+    assertAgo(parseDateToISO('١ ي'), DAY);
+  });
+
+  it('reads English relative hours and days', () => {
+    assertAgo(parseDateToISO('5h'), 5 * HOUR);
+    assertAgo(parseDateToISO('2d'), 2 * DAY);
+  });
+
+  it('reads the absolute Arabic form in the given timezone', () => {
+    const options = { now: Date.parse('2024-10-01T00:00:00Z'), timeZone: 'Africa/Cairo' };
+    assert.equal(parseDateToISO('14 سبتمبر الساعة 6:00 م', options), '2024-09-14T15:00:00.000Z');
+  });
+
+  it('returns null for unparsable input', () => {
+    assert.equal(parseDateToISO(''), null);
+    assert.equal(parseDateToISO('منذ فترة'), null);
+  });
+});
@@ -0,0 +1,123 @@
+// test/webhooks.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createWebhookDispatcher, signPayload, verifySignature } from '../src/webhooks.js';
+
+const SECRET = 'test-secret';
+
+describe('signPayload / verifySignature', () => {
+  it('signs "<timestamp>.<body>" and verifies the header', () => {
+    const body = '{"ok":true}';
+    const header = `sha256=${signPayload(SECRET, '1700000000', body)}`;
+    assert.equal(verifySignature(SECRET, '1700000000', body, header), true);
+    assert.equal(verifySignature(SECRET, '1700000001', body, header), false);
+    assert.equal(verifySignature('other', '1700000000', body, header), false);
+    assert.equal(verifySignature(SECRET, '1700000000', body, undefined), false);
+  });
+});
+
+describe('createWebhookDispatcher', () => {
+  let server;
+  let base;
+  let received;
+  // Status codes the receiver answers with, one per request (then 200)
+  let script;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        const status = script.shift() ?? 200;
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    script = [];
+  });
+
+  it('POSTs a signed payload', async () => {
+    const webhooks = createWebhookDispatcher({ secret: SECRET, baseDelayMs: 1 });
+    const delivery = webhooks.deliver({
+      url: `${base}/hook`,
+      event: 'scrape.succeeded',
+      jobId: 'job-1',
+      apiKeyId: 'k1',
+      payload: { data: { posts: [] }, error: null },
+    });
+    await delivery.done;
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.apiKeyId, 'k1');
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-scraper-event'], 'scrape.succeeded');
+    assert.equal(headers['x-scraper-delivery'], delivery.id);
+    assert.ok(verifySignature(SECRET, headers['x-scraper-timestamp'], body, headers['x-scraper-signature']));
+    assert.deepEqual(JSON.parse(body), {
+      id: delivery.id,
+      event: 'scrape.succeeded',
+      created_at: delivery.createdAt,
+      data: { posts: [] },
+      error: null,
+    });
+  });
+
+  it('retries server errors with exponential backoff', async () => {
+    script = [500, 503];
+    const webhooks = createWebhookDispatcher({ secret: SECRET, baseDelayMs: 20 });
+    const delivery = webhooks.deliver({ url: `${base}/hook`, event: 'scrape.failed', payload: {} });
+    await delivery.done;
+
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(delivery.attempts.map((a) => a.statusCode), [500, 503, 200]);
+    const gaps = delivery.attempts.slice(1).map((a, i) => Date.parse(a.at) - Date.parse(delivery.attempts[i].at));
+    assert.ok(gaps[0] >= 18 && gaps[1] >= 38, `waited ${gaps.join('ms, ')}ms between attempts`);
+  });
+
+  it('gives up after maxAttempts and does not retry client errors', async () => {
+    script = [500, 500, 500];
+    const webhooks = createWebhookDispatcher({ secret: SECRET, maxAttempts: 3, baseDelayMs: 1 });
+    const exhausted = webhooks.deliver({ url: `${base}/hook`, event: 'scrape.failed', payload: {} });
+    await exhausted.done;
+    assert.equal(exhausted.status, 'failed');
+    assert.equal(exhausted.attempts.length, 3);
+
+    script = [404];
+    const rejected = webhooks.deliver({ url: `${base}/hook`, event: 'scrape.failed', payload: {} });
+    await rejected.done;
+    assert.equal(rejected.status, 'failed');
+    assert.equal(rejected.attempts.length, 1);
+    assert.equal(rejected.attempts[0].error, 'HTTP 404');
+  });
+
+  it('records network errors and keeps a filterable log', async () => {
+    const webhooks = createWebhookDispatcher({ maxAttempts: 2, baseDelayMs: 1, logSize: 2 });
+    const unreachable = webhooks.deliver({ url: 'http://127.0.0.1:1/hook', event: 'scrape.succeeded', jobId: 'a', payload: {} });
+    await unreachable.done;
+    assert.equal(unreachable.status, 'failed');
+    assert.equal(unreachable.signed, false);
+    assert.ok(unreachable.attempts.every((a) => a.statusCode === null && a.error));
+
+    await webhooks.deliver({ url: `${base}/hook`, event: 'scrape.succeeded', jobId: 'b', payload: {} }).done;
+    await webhooks.deliver({ url: `${base}/hook`, event: 'scrape.succeeded', jobId: 'c', payload: {} }).done;
+
+    assert.deepEqual(webhooks.list().map((d) => d.jobId), ['c', 'b'], 'oldest entry dropped, newest first');
+    assert.deepEqual(webhooks.list({ jobId: 'b' }).map((d) => d.jobId), ['b']);
+    assert.deepEqual(webhooks.stats(), { pending: 0, delivered: 2, failed: 0 });
+    assert.equal(received[0].headers['x-scraper-signature'], undefined, 'unsigned without a secret');
+  });
+});